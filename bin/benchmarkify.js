@@ -0,0 +1,553 @@
+#!/usr/bin/env node
+// Headless benchmark runner. Runs the same create/update/delete scenarios as
+// the web UI (or a YAML/JSON scenario file), in-process, and writes the run's
+// audit log as JSON.
+//
+// Exit codes: 0 all thresholds met, 1 a threshold failed, 2 bad usage or
+// config, 3 the run itself failed, 130 interrupted.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const USAGE = `Usage: benchmarkify [options]
+
+Store
+  --store <url>               Store URL (default: $SHOPIFY_STORE_URL)
+  --token <token>             Admin API access token (default: $SHOPIFY_ACCESS_TOKEN)
+  --api-version <version>     Admin API version, e.g. 2025-07 (default: $SHOPIFY_API_VERSION or 2025-07)
+  --compare-api-version <v>   Run everything again against this version and compare
+
+Operations
+  --create <count>            Products to create
+  --bulk-create <count>       Products to create with one bulk operation, compared with --create
+  --export <count>            Products to read page by page and with a bulk export, compared
+  --read-list <count>         Product list pages to read
+  --read-by-id <count>        Products to look up by ID
+  --read-search <count>       Product searches to run
+  --read-nested <count>       Pages of products with variants, metafields and media to read
+  --update <count>            Products to update
+  --delete <count>            Products to delete
+  --delay <seconds>           Wait between operations for indexing (default: 3)
+  --scenario <file>           YAML/JSON scenario file; replaces the operation flags
+
+Read queries
+  --first <n>                 Products per page (default: 50, 10 for --read-nested)
+  --nested-first <n>          Variants, metafields and media per product (default: 5)
+  --search <query>            Search query for --read-search (default: a rotation of tag and title searches)
+
+Thresholds (checked as performance budget assertions)
+  --min-throughput <n>        Minimum products/sec, for create, bulk create, update and delete
+  --max-p95 <ms>              Maximum p95 latency
+  --max-failure-rate <pct>    Maximum failure rate, in percent
+
+Other
+  --config <file>             JSON config file; flags override its values
+  --output <file>             Audit log path (default: benchmarkify-audit-<runId>.json)
+  --verbose                   Show the server's request logging
+  --help                      Show this help
+
+Run history, cached schemas and learned rate limits are saved in
+$BENCHMARKIFY_DATA_DIR (default: ~/.benchmarkify).
+
+Config file:
+  {
+    "storeUrl": "https://your-store.myshopify.com",
+    "accessToken": "shpat_...",
+    "apiVersion": "2025-07",
+    "compareApiVersion": "2025-10",
+    "operations": { "create": 100, "bulkCreate": 1000, "export": 5000, "readList": 20, "readNested": 20, "update": 100, "delete": 100 },
+    "readSettings": { "first": 50, "nestedFirst": 5 },
+    "delayBetweenOperations": 3,
+    "thresholds": { "minThroughput": 8, "maxP95Ms": 800, "maxFailureRate": 1 },
+    "output": "audit.json"
+  }
+`;
+
+const EXIT_THRESHOLD_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_RUN_FAILED = 3;
+const EXIT_INTERRUPTED = 130;
+
+class UsageError extends Error {}
+
+function parseNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new UsageError(`${flag} must be a non-negative number`);
+  }
+  return number;
+}
+
+// Counts and page sizes take whole numbers only
+function parseCount(value, flag) {
+  const number = parseNumber(value, flag);
+  if (number !== undefined && !Number.isInteger(number)) {
+    throw new UsageError(`${flag} must be a whole number`);
+  }
+  return number;
+}
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new UsageError(`Could not read config ${file}: ${error.message}`);
+  }
+}
+
+// Flags win over the config file, which wins over the environment
+function loadOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      store: { type: "string" },
+      token: { type: "string" },
+      "api-version": { type: "string" },
+      "compare-api-version": { type: "string" },
+      create: { type: "string" },
+      "bulk-create": { type: "string" },
+      export: { type: "string" },
+      "read-list": { type: "string" },
+      "read-by-id": { type: "string" },
+      "read-search": { type: "string" },
+      "read-nested": { type: "string" },
+      first: { type: "string" },
+      "nested-first": { type: "string" },
+      search: { type: "string" },
+      update: { type: "string" },
+      delete: { type: "string" },
+      delay: { type: "string" },
+      scenario: { type: "string" },
+      "min-throughput": { type: "string" },
+      "max-p95": { type: "string" },
+      "max-failure-rate": { type: "string" },
+      config: { type: "string" },
+      output: { type: "string" },
+      verbose: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+
+  const config = values.config ? readConfigFile(values.config) : {};
+  const operations = { ...config.operations };
+  const operationFlags = {
+    create: "create",
+    bulkCreate: "bulk-create",
+    export: "export",
+    readList: "read-list",
+    readById: "read-by-id",
+    readSearch: "read-search",
+    readNested: "read-nested",
+    update: "update",
+    delete: "delete",
+  };
+  for (const [operation, flag] of Object.entries(operationFlags)) {
+    const count = parseCount(values[flag], `--${flag}`);
+    if (count !== undefined) operations[operation] = count;
+  }
+
+  const readSettings = { ...config.readSettings };
+  const flagReadSettings = {
+    first: parseCount(values.first, "--first"),
+    nestedFirst: parseCount(values["nested-first"], "--nested-first"),
+    search: values.search,
+  };
+  Object.entries(flagReadSettings).forEach(([name, value]) => {
+    if (value !== undefined) readSettings[name] = value;
+  });
+
+  const thresholds = { ...config.thresholds };
+  const flagThresholds = {
+    minThroughput: parseNumber(values["min-throughput"], "--min-throughput"),
+    maxP95Ms: parseNumber(values["max-p95"], "--max-p95"),
+    maxFailureRate: parseNumber(
+      values["max-failure-rate"],
+      "--max-failure-rate"
+    ),
+  };
+  Object.entries(flagThresholds).forEach(([name, value]) => {
+    if (value !== undefined) thresholds[name] = value;
+  });
+
+  const options = {
+    storeUrl: values.store || config.storeUrl || process.env.SHOPIFY_STORE_URL,
+    accessToken:
+      values.token || config.accessToken || process.env.SHOPIFY_ACCESS_TOKEN,
+    apiVersion: values["api-version"] || config.apiVersion || null,
+    compareApiVersion:
+      values["compare-api-version"] || config.compareApiVersion || null,
+    operations,
+    readSettings,
+    delayBetweenOperations:
+      parseNumber(values.delay, "--delay") ??
+      config.delayBetweenOperations ??
+      3,
+    thresholds,
+    scenarioFile: values.scenario || config.scenario || null,
+    output: values.output || config.output || null,
+    verbose: values.verbose,
+  };
+
+  if (!options.storeUrl || !options.accessToken) {
+    throw new UsageError(
+      "A store URL and access token are required (--store/--token, config file, or SHOPIFY_STORE_URL/SHOPIFY_ACCESS_TOKEN)"
+    );
+  }
+  return options;
+}
+
+// API version flags override the scenario's own, as they do for the server's
+// scenario endpoints
+function loadScenario(file, options, { scenarioFromRequest }) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new UsageError(`Could not read scenario ${file}: ${error.message}`);
+  }
+  let errors;
+  let scenario;
+  try {
+    ({ errors, scenario } = scenarioFromRequest({
+      definition: text,
+      apiVersion: options.apiVersion,
+      compareApiVersion: options.compareApiVersion,
+    }));
+  } catch (error) {
+    errors = [error.message];
+  }
+  if (errors.length > 0) {
+    throw new UsageError(
+      `Invalid scenario ${file}:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+  return scenario;
+}
+
+// One progress line, redrawn in place on a terminal and printed every 10%
+// otherwise so logs from scheduled jobs stay short
+function createProgressPrinter() {
+  const interactive = process.stdout.isTTY;
+  const lastDecile = new Map();
+  const percentOf = (event) =>
+    event.total > 0 ? (event.processed / event.total) * 100 : 0;
+
+  const draw = (event, parts) => {
+    const line = parts.filter(Boolean).join(" | ");
+    if (interactive) {
+      process.stdout.write(`\r\x1b[K${line}`);
+      return;
+    }
+    const decile = Math.floor(percentOf(event) / 10);
+    // Exports go from 0 to 100% once per approach
+    const phase = `${event.phase || event.operation}${
+      event.stage ? `:${event.stage}` : ""
+    }`;
+    if (decile !== lastDecile.get(phase)) {
+      lastDecile.set(phase, decile);
+      process.stdout.write(`${line}\n`);
+    }
+  };
+
+  return {
+    update(event) {
+      const percent = percentOf(event);
+      const rate =
+        event.elapsedMs > 0 ? event.successes / (event.elapsedMs / 1000) : 0;
+      draw(event, [
+        `[${event.phase || event.operation}] ${event.processed}/${
+          event.total
+        } (${percent.toFixed(0)}%)`,
+        `${rate.toFixed(1)} ${event.noun || "products"}/s`,
+        event.batchSuccesses > 0 ? `p95 ${event.latency.p95}ms` : null,
+        event.bucket
+          ? `bucket ${event.bucket.remaining}/${event.bucket.limit}`
+          : null,
+        event.failures > 0 ? `${event.failures} failed` : null,
+        event.etaSeconds !== null
+          ? `ETA ${Math.ceil(event.etaSeconds)}s`
+          : null,
+      ]);
+    },
+
+    // Bulk operations only report how many rows Shopify has processed
+    bulk(event) {
+      draw(event, [
+        `[${event.phase || event.operation}] bulk operation ${event.status} ${
+          event.processed
+        }/${event.total} (${percentOf(event).toFixed(0)}%)`,
+        event.etaSeconds !== null
+          ? `ETA ${Math.ceil(event.etaSeconds)}s`
+          : null,
+      ]);
+    },
+
+    // Exports report rows read, page by page and then by the bulk query
+    export(event) {
+      const rate =
+        event.elapsedMs > 0 ? event.processed / (event.elapsedMs / 1000) : 0;
+      draw(event, [
+        `[${event.phase || event.operation}] ${
+          event.stage === "bulk"
+            ? `bulk export ${event.status}`
+            : `paginated read, page ${event.pages}`
+        } ${event.processed}/${event.total} (${percentOf(event).toFixed(0)}%)`,
+        `${rate.toFixed(1)} rows/s`,
+        event.etaSeconds !== null
+          ? `ETA ${Math.ceil(event.etaSeconds)}s`
+          : null,
+      ]);
+    },
+
+    message(text) {
+      process.stdout.write(`${interactive ? "\r\x1b[K" : ""}${text}\n`);
+    },
+  };
+}
+
+// Operations whose throughput is in products/sec. Reads count pages or
+// searches and exports count rows, so --min-throughput doesn't apply to them.
+const PRODUCT_OPERATIONS = ["create", "bulkCreate", "update", "delete"];
+
+// Thresholds become performance budget assertions, so the verdict lands in
+// the audit log as well as the exit code. Latency and failure rate budgets
+// apply to every operation, the throughput budget to product operations.
+function thresholdAssertions(thresholds, phases) {
+  const throughput =
+    thresholds.minThroughput === undefined
+      ? []
+      : PRODUCT_OPERATIONS.filter((operation) =>
+          phases.some((phase) => phase.operation === operation)
+        ).map((operation) => ({
+          operation,
+          metric: "throughput",
+          min: thresholds.minThroughput,
+        }));
+  return [
+    ...throughput,
+    thresholds.maxP95Ms !== undefined && {
+      metric: "latencyP95",
+      max: thresholds.maxP95Ms,
+    },
+    thresholds.maxFailureRate !== undefined && {
+      metric: "failureRate",
+      max: thresholds.maxFailureRate,
+    },
+  ].filter(Boolean);
+}
+
+function printApiVersionComparison(comparison, printer) {
+  comparison.comparisons.forEach(({ apiVersion, metrics, regressions }) => {
+    printer.message(
+      `API ${apiVersion} vs ${comparison.baseline}${
+        regressions.length > 0 ? ` (${regressions.length} regression(s))` : ""
+      }:`
+    );
+    metrics.forEach((metric) => {
+      const change =
+        metric.deltaPercent === null
+          ? ""
+          : ` (${
+              metric.deltaPercent > 0 ? "+" : ""
+            }${metric.deltaPercent.toFixed(1)}%)`;
+      printer.message(
+        `  ${metric.label}: ${metric.baseline.toFixed(
+          2
+        )} -> ${metric.candidate.toFixed(2)}${change} ${metric.verdict}`
+      );
+    });
+  });
+}
+
+async function main() {
+  let options;
+  try {
+    options = loadOptions(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(
+      `${error.message}\nRun benchmarkify --help for usage.\n`
+    );
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  // The server logs every request; keep the terminal to the progress line
+  if (!options.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  // Never the package's own directory, which a global install may not be
+  // able to write to. Must be set before the server is loaded.
+  process.env.BENCHMARKIFY_DATA_DIR ||= path.join(
+    os.homedir(),
+    ".benchmarkify"
+  );
+  const {
+    initServer,
+    DEFAULT_API_VERSION,
+    planJobOperations,
+    planApiVersionPhases,
+    validateApiVersionSettings,
+    validateReadSettings,
+    scenarioFromRequest,
+    createJob,
+    executeJob,
+    onProgress,
+  } = require("../server");
+  try {
+    initServer();
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  const settingsErrors = [
+    ...validateApiVersionSettings(options),
+    ...validateReadSettings(options.readSettings, (name) =>
+      name === "nestedFirst" ? "--nested-first" : `--${name}`
+    ),
+  ];
+  if (settingsErrors.length > 0) {
+    process.stderr.write(
+      `${settingsErrors.join("\n")}\nRun benchmarkify --help for usage.\n`
+    );
+    return EXIT_USAGE;
+  }
+
+  let scenarioName = null;
+  let plannedOperations;
+  let apiVersions = [
+    options.apiVersion || DEFAULT_API_VERSION,
+    options.compareApiVersion,
+  ];
+  let assertions;
+  if (options.scenarioFile) {
+    let scenario;
+    try {
+      scenario = loadScenario(options.scenarioFile, options, {
+        scenarioFromRequest,
+      });
+    } catch (error) {
+      process.stderr.write(`${error.message}\n`);
+      return EXIT_USAGE;
+    }
+    scenarioName = scenario.name;
+    plannedOperations = scenario.phases;
+    apiVersions = [scenario.apiVersion, scenario.compareApiVersion];
+    assertions = [
+      ...scenario.assertions,
+      ...thresholdAssertions(options.thresholds, plannedOperations),
+    ];
+  } else {
+    plannedOperations = planApiVersionPhases(
+      planJobOperations(options.operations, options.readSettings),
+      options
+    );
+    assertions = thresholdAssertions(options.thresholds, plannedOperations);
+  }
+  if (!plannedOperations.some(({ operation }) => operation)) {
+    process.stderr.write(
+      `Select at least one operation with a count of 1 or more\nRun benchmarkify --help for usage.\n`
+    );
+    return EXIT_USAGE;
+  }
+
+  const job = createJob(plannedOperations, null, scenarioName, assertions);
+  const printer = createProgressPrinter();
+  printer.message(
+    `Benchmarking ${options.storeUrl} (API ${apiVersions
+      .filter(Boolean)
+      .join(" vs ")})${
+      scenarioName ? ` with scenario ${scenarioName}` : ""
+    }: ${plannedOperations
+      .map((phase) =>
+        phase.operation
+          ? `${phase.key || phase.operation} ${phase.count}`
+          : `pause ${phase.pause}s`
+      )
+      .join(", ")} (run ${job.id})`
+  );
+
+  const stopListening = onProgress((event) => {
+    if (event.runId !== job.id) return;
+    if (event.type === "batch") printer.update(event);
+    if (event.type === "bulk") printer.bulk(event);
+    if (event.type === "export") printer.export(event);
+    if (event.type === "status") printer.message(event.message);
+    if (event.type === "complete") {
+      printer.message(`[${event.phase || event.operation}] ${event.details}`);
+    }
+  });
+
+  // First Ctrl+C stops cleanly between batches; the audit log is still written
+  process.once("SIGINT", () => {
+    printer.message("Stopping after the current batch...");
+    job.cancelRequested = true;
+  });
+
+  const audit = await executeJob(job, {
+    storeUrl: options.storeUrl,
+    accessToken: options.accessToken,
+    delayBetweenOperations: options.delayBetweenOperations,
+  });
+  stopListening();
+
+  const output = path.resolve(
+    options.output || `benchmarkify-audit-${job.id}.json`
+  );
+  fs.writeFileSync(output, JSON.stringify(audit, null, 2));
+  printer.message(`Audit log written to ${output}`);
+
+  if (job.state === "failed") {
+    process.stderr.write(`Run failed: ${job.error}\n`);
+    return EXIT_RUN_FAILED;
+  }
+  if (job.state === "cancelled") {
+    return EXIT_INTERRUPTED;
+  }
+  const failedOperations = Object.entries(job.results).filter(
+    ([, result]) => result.status === "error"
+  );
+  if (failedOperations.length > 0) {
+    failedOperations.forEach(([operation, result]) =>
+      process.stderr.write(`Run failed: ${operation}: ${result.details}\n`)
+    );
+    return EXIT_RUN_FAILED;
+  }
+
+  if (job.apiVersionComparison) {
+    printApiVersionComparison(job.apiVersionComparison, printer);
+  }
+
+  if (job.verdict?.status === "fail") {
+    job.verdict.checks
+      .filter((check) => !check.passed)
+      .forEach((check) => process.stderr.write(`FAIL ${check.message}\n`));
+    return EXIT_THRESHOLD_FAILED;
+  }
+  if (job.verdict) {
+    printer.message(`All ${job.verdict.checks.length} assertions passed`);
+  }
+  return 0;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`${error.stack || error.message}\n`);
+    process.exitCode = EXIT_RUN_FAILED;
+  }
+);
@@ -0,0 +1,88 @@
+// Calculate optimal batch configuration based on rate limits
+function calculateOptimalBatchConfig(
+  leakRate,
+  costPerProduct = 10,
+  optimizationMode = "throughput"
+) {
+  // Calculate how many products we can process per second
+  const productsPerSecond = Math.floor(leakRate / costPerProduct);
+
+  // Choose optimization strategy based on mode
+  let optimalBatchSize, finalDelay, safetyMargin;
+
+  if (optimizationMode === "aggressive") {
+    // Maximum throughput mode - push the limits
+    const bucketCapacity = leakRate * 2; // Approximate bucket capacity
+    const maxBatchSizeByCapacity = Math.floor(
+      (bucketCapacity * 0.9) / costPerProduct
+    );
+    const optimalBatchSizeByTime = Math.floor(productsPerSecond * 0.9);
+
+    optimalBatchSize = Math.min(
+      Math.max(maxBatchSizeByCapacity, optimalBatchSizeByTime, 20),
+      1000 // Higher cap for aggressive mode
+    );
+
+    const batchCost = optimalBatchSize * costPerProduct;
+    const minDelayForRateLimit = (batchCost / leakRate) * 1000;
+    safetyMargin = 1.02; // Only 2% safety margin
+    finalDelay = Math.max(Math.ceil(minDelayForRateLimit * safetyMargin), 25);
+  } else if (optimizationMode === "balanced") {
+    // Balanced mode - good throughput with reasonable safety
+    const bucketCapacity = leakRate * 2;
+    const maxBatchSizeByCapacity = Math.floor(
+      (bucketCapacity * 0.7) / costPerProduct
+    );
+    const optimalBatchSizeByTime = Math.floor(productsPerSecond * 0.7);
+
+    optimalBatchSize = Math.min(
+      Math.max(maxBatchSizeByCapacity, optimalBatchSizeByTime, 15),
+      300
+    );
+
+    const batchCost = optimalBatchSize * costPerProduct;
+    const minDelayForRateLimit = (batchCost / leakRate) * 1000;
+    safetyMargin = 1.1; // 10% safety margin
+    finalDelay = Math.max(Math.ceil(minDelayForRateLimit * safetyMargin), 50);
+  } else {
+    // Default throughput mode (current optimized approach)
+    const bucketCapacity = leakRate * 2;
+    const maxBatchSizeByCapacity = Math.floor(
+      (bucketCapacity * 0.8) / costPerProduct
+    );
+    const optimalBatchSizeByTime = Math.floor(productsPerSecond * 0.8);
+
+    optimalBatchSize = Math.min(
+      Math.max(maxBatchSizeByCapacity, optimalBatchSizeByTime, 10),
+      500
+    );
+
+    const batchCost = optimalBatchSize * costPerProduct;
+    const minDelayForRateLimit = (batchCost / leakRate) * 1000;
+    safetyMargin = 1.05; // 5% safety margin
+    finalDelay = Math.max(Math.ceil(minDelayForRateLimit * safetyMargin), 50);
+  }
+
+  const batchCost = optimalBatchSize * costPerProduct;
+  const minDelayForRateLimit = (batchCost / leakRate) * 1000;
+
+  console.log(
+    `Rate limit analysis - Leak rate: ${leakRate} points/sec, Products/sec: ${productsPerSecond}`
+  );
+  console.log(
+    `Optimization mode: ${optimizationMode} - Batch size: ${optimalBatchSize}, Delay: ${finalDelay}ms`
+  );
+  console.log(
+    `Batch cost: ${batchCost} points, Safety margin: ${(
+      (safetyMargin - 1) *
+      100
+    ).toFixed(1)}%`
+  );
+
+  return {
+    batchSize: Math.floor(optimalBatchSize),
+    delayBetweenBatches: Math.min(finalDelay, 2000), // Cap at 2 seconds for responsiveness
+  };
+}
+
+module.exports = { calculateOptimalBatchConfig };
@@ -0,0 +1,330 @@
+const { GRAPHQL_QUERIES } = require("./graphqlQueries");
+const { ERROR_CATEGORIES, BenchmarkError } = require("./errors");
+const { extractUserErrors } = require("./graphqlRequest");
+
+// Bulk imports and exports
+// Instead of one request per product, Shopify can run a mutation once per line
+// of an uploaded JSONL file: stage an upload target, upload the variables, start
+// bulkOperationRunMutation and poll until it reaches a final status. Exports
+// work the same way with bulkOperationRunQuery, minus the upload, and end with
+// a JSONL file to download. The rows themselves don't count against the
+// request rate limit, only the staging, start and status requests do.
+// Docs: https://shopify.dev/docs/api/usage/bulk-operations/imports
+const BULK_POLL_INTERVAL_MS = 1000;
+const BULK_TIMEOUT_MS = 60 * 60 * 1000;
+const BULK_FINAL_STATUSES = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+const BULK_VARIABLES_FILENAME = "bulk_op_vars.jsonl";
+
+function toJsonl(rows) {
+  return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+}
+
+function parseJsonl(text) {
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// Requests that failed outright (not throttles, which are retried inside the
+// request) end the bulk run
+function requireSuccess(result, step) {
+  if (result.success) return result.data.data;
+  throw new BenchmarkError(
+    result.errorCategory || "unknown",
+    `${step} failed: ${result.error}`,
+    { userErrors: result.userErrors || [] }
+  );
+}
+
+// Staged targets take a multipart form: Shopify's parameters first, the file
+// last
+async function uploadStagedFile(fetch, target, contents) {
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append(
+    "file",
+    new Blob([contents], { type: "text/jsonl" }),
+    BULK_VARIABLES_FILENAME
+  );
+
+  const response = await fetch(target.url, { method: "POST", body: form });
+  if (!response.ok) {
+    throw new BenchmarkError(
+      response.status >= 500 ? "server" : "unknown",
+      `Staged upload failed: HTTP ${response.status}`,
+      { statusCode: response.status }
+    );
+  }
+}
+
+async function downloadResults(fetch, url) {
+  if (!url) return [];
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new BenchmarkError(
+      response.status >= 500 ? "server" : "unknown",
+      `Downloading bulk operation results failed: HTTP ${response.status}`,
+      { statusCode: response.status }
+    );
+  }
+  return parseJsonl(await response.text());
+}
+
+// Sends the GraphQL requests of one bulk run and keeps their results (for
+// cost and latency), and times each step in ms
+function trackBulkRun(request) {
+  const run = { requests: [], timings: {}, startedAt: Date.now() };
+  run.send = async (query, variables, operationName) => {
+    const result = await request(query, variables, operationName);
+    run.requests.push(result);
+    return result;
+  };
+  run.timed = async (step, work) => {
+    const startedAt = Date.now();
+    try {
+      return await work();
+    } finally {
+      run.timings[step] = Date.now() - startedAt;
+    }
+  };
+  return run;
+}
+
+// Poll until the operation reaches a final status, then download its result
+// lines. Cancelling sends bulkOperationCancel once and waits for Shopify to
+// confirm.
+async function finishBulkRun(
+  run,
+  operation,
+  { fetch, pollIntervalMs, timeoutMs, isCancelled, onStatus }
+) {
+  let polls = 0;
+  let cancelRequested = false;
+  await run.timed("processingMs", async () => {
+    while (!BULK_FINAL_STATUSES.includes(operation.status)) {
+      if (Date.now() - run.startedAt > timeoutMs) {
+        throw new BenchmarkError(
+          "network",
+          `Bulk operation ${operation.id} did not finish within ${Math.round(
+            timeoutMs / 1000
+          )}s (last status ${operation.status})`
+        );
+      }
+      if (isCancelled() && !cancelRequested) {
+        cancelRequested = true;
+        await run.send(
+          GRAPHQL_QUERIES.bulkOperationCancel,
+          { id: operation.id },
+          "bulkOperationCancel"
+        );
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+      const poll = await run.send(
+        GRAPHQL_QUERIES.bulkOperationStatus,
+        { id: operation.id },
+        "bulkOperationStatus"
+      );
+      polls++;
+
+      // A poll that failed for a retryable reason is just tried again
+      if (!poll.success) {
+        const category = poll.errorCategory || "unknown";
+        if (!ERROR_CATEGORIES[category]?.retry) {
+          requireSuccess(poll, "bulkOperationStatus");
+        }
+        continue;
+      }
+      operation = poll.data.data.node || operation;
+      onStatus(operation, Date.now() - run.startedAt);
+    }
+  });
+
+  const lines = await run.timed("downloadMs", () =>
+    downloadResults(fetch, operation.url || operation.partialDataUrl)
+  );
+  run.timings.totalMs = Date.now() - run.startedAt;
+
+  return {
+    operation,
+    lines,
+    requests: run.requests,
+    polls,
+    timings: run.timings,
+  };
+}
+
+/**
+ * Run `mutation` once per entry of `rows` as a bulk operation and wait for it
+ * to finish. `request(query, variables, operationName)` sends one GraphQL
+ * request and resolves like handleGraphQLRequest; `fetch` is used for the
+ * upload and the results file. Cancelling sends bulkOperationCancel and waits
+ * for Shopify to confirm. Resolves with the final bulk operation, its result
+ * lines, the GraphQL requests sent (for cost and latency) and the time spent
+ * in each step, in ms.
+ */
+async function runBulkMutation(
+  request,
+  {
+    mutation,
+    rows,
+    fetch = globalThis.fetch,
+    pollIntervalMs = BULK_POLL_INTERVAL_MS,
+    timeoutMs = BULK_TIMEOUT_MS,
+    isCancelled = () => false,
+    onStatus = () => {},
+  }
+) {
+  const run = trackBulkRun(request);
+
+  const target = await run.timed("stageMs", async () => {
+    const staged = requireSuccess(
+      await run.send(
+        GRAPHQL_QUERIES.stagedUploadsCreate,
+        {
+          input: [
+            {
+              resource: "BULK_MUTATION_VARIABLES",
+              filename: BULK_VARIABLES_FILENAME,
+              mimeType: "text/jsonl",
+              httpMethod: "POST",
+            },
+          ],
+        },
+        "stagedUploadsCreate"
+      ),
+      "stagedUploadsCreate"
+    );
+    return staged.stagedUploadsCreate.stagedTargets[0];
+  });
+  // The "key" parameter is where the file lands - the path the mutation reads
+  const stagedUploadPath = target.parameters.find(
+    ({ name }) => name === "key"
+  )?.value;
+
+  await run.timed("uploadMs", () =>
+    uploadStagedFile(fetch, target, toJsonl(rows))
+  );
+
+  const operation = await run.timed("startMs", async () => {
+    const started = requireSuccess(
+      await run.send(
+        GRAPHQL_QUERIES.bulkOperationRunMutation,
+        { mutation, stagedUploadPath },
+        "bulkOperationRunMutation"
+      ),
+      "bulkOperationRunMutation"
+    );
+    return started.bulkOperationRunMutation.bulkOperation;
+  });
+
+  return finishBulkRun(run, operation, {
+    fetch,
+    pollIntervalMs,
+    timeoutMs,
+    isCancelled,
+    onStatus,
+  });
+}
+
+/**
+ * Export everything `query` selects with bulkOperationRunQuery: start the
+ * operation, poll it and download the JSONL. Connections in a bulk query
+ * aren't paged, so the whole connection comes back. Takes the same options
+ * as runBulkMutation and resolves the same way; each line is one object,
+ * nested ones pointing at their parent with __parentId.
+ * Docs: https://shopify.dev/docs/api/usage/bulk-operations/queries
+ */
+async function runBulkQuery(
+  request,
+  {
+    query,
+    fetch = globalThis.fetch,
+    pollIntervalMs = BULK_POLL_INTERVAL_MS,
+    timeoutMs = BULK_TIMEOUT_MS,
+    isCancelled = () => false,
+    onStatus = () => {},
+  }
+) {
+  const run = trackBulkRun(request);
+
+  const operation = await run.timed("startMs", async () => {
+    const started = requireSuccess(
+      await run.send(
+        GRAPHQL_QUERIES.bulkOperationRunQuery,
+        { query },
+        "bulkOperationRunQuery"
+      ),
+      "bulkOperationRunQuery"
+    );
+    return started.bulkOperationRunQuery.bulkOperation;
+  });
+
+  return finishBulkRun(run, operation, {
+    fetch,
+    pollIntervalMs,
+    timeoutMs,
+    isCancelled,
+    onStatus,
+  });
+}
+
+// One result per row, in row order, shaped like handleGraphQLRequest's so the
+// same summaries apply. Rows without a result line never ran (the operation
+// failed or was cancelled first).
+function collectBulkResults(lines, rowCount, extractResult) {
+  const byLine = new Map(lines.map((line) => [line.__lineNumber, line]));
+
+  return Array.from({ length: rowCount }, (_, index) => {
+    const line = byLine.get(index);
+    if (!line) {
+      return {
+        success: false,
+        error: "Row was not processed by the bulk operation",
+        errorCategory: "server",
+      };
+    }
+    if (line.errors?.length) {
+      return {
+        success: false,
+        data: line,
+        error: `GraphQL errors: ${JSON.stringify(line.errors)}`,
+        errorCategory: "graphql",
+      };
+    }
+
+    const userErrors = extractUserErrors(line.data);
+    if (userErrors.length > 0) {
+      return {
+        success: false,
+        data: line,
+        error: `userErrors: ${userErrors
+          .map((userError) => `${userError.path || "-"}: ${userError.message}`)
+          .join("; ")}`,
+        errorCategory: "validation",
+        userErrors,
+      };
+    }
+    return extractResult(line.data)
+      ? { success: true, data: line }
+      : {
+          success: false,
+          data: line,
+          error: "Row returned no result",
+          errorCategory: "unknown",
+        };
+  });
+}
+
+module.exports = {
+  BULK_POLL_INTERVAL_MS,
+  BULK_TIMEOUT_MS,
+  BULK_FINAL_STATUSES,
+  toJsonl,
+  parseJsonl,
+  runBulkMutation,
+  runBulkQuery,
+  collectBulkResults,
+};
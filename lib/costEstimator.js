@@ -0,0 +1,254 @@
+const { parse, validate, getNamedType, isLeafType, Kind } = require("graphql");
+const { BenchmarkError } = require("./errors");
+
+// Static query cost estimates
+// Shopify's calculated query cost rules (see queryCost.js for the docs):
+// scalars and enums are free, objects cost 1, connections cost 2 plus first
+// (or last) times the cost of one node, interfaces and unions cost their most
+// expensive selection, and every mutation costs 10. The estimate is the
+// requestedQueryCost Shopify would report - what the bucket has to hold
+// before the query runs.
+const OBJECT_COST = 1;
+const CONNECTION_COST = 2;
+const MUTATION_COST = 10;
+// Shopify rejects any single query above this, whatever the bucket size
+const MAX_QUERY_COST = 1000;
+
+function parseDocument(query) {
+  if (typeof query !== "string") return query;
+  try {
+    return parse(query);
+  } catch (error) {
+    throw new BenchmarkError("graphql", `Not valid GraphQL: ${error.message}`);
+  }
+}
+
+// Estimate a query's requested cost against `schema` without running it, with
+// a field breakdown shaped like extractQueryCost's and warnings for guesses (a
+// connection without first or last). Throws for a document the schema rejects.
+function estimateQueryCost(schema, query, variables = {}) {
+  const document = parseDocument(query);
+  const errors = validate(schema, document);
+  if (errors.length > 0) {
+    throw new BenchmarkError(
+      "graphql",
+      `Query doesn't match the schema: ${errors
+        .map((error) => error.message)
+        .join("; ")}`,
+      { errors: errors.map((error) => error.message) }
+    );
+  }
+
+  const operations = document.definitions.filter(
+    (definition) => definition.kind === Kind.OPERATION_DEFINITION
+  );
+  if (operations.length !== 1) {
+    throw new BenchmarkError(
+      "graphql",
+      "The document must contain exactly one operation"
+    );
+  }
+  const [operation] = operations;
+  if (operation.operation === "subscription") {
+    throw new BenchmarkError(
+      "graphql",
+      "Only queries and mutations have a cost"
+    );
+  }
+
+  const fragments = Object.fromEntries(
+    document.definitions
+      .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((fragment) => [fragment.name.value, fragment])
+  );
+  const variableDefaults = Object.fromEntries(
+    operation.variableDefinitions
+      .filter((definition) => definition.defaultValue?.kind === Kind.INT)
+      .map((definition) => [
+        definition.variable.name.value,
+        parseInt(definition.defaultValue.value, 10),
+      ])
+  );
+  const fields = [];
+  const warnings = [];
+
+  const argumentValue = (field, name) => {
+    const argument = field.arguments.find((arg) => arg.name.value === name);
+    if (!argument) return undefined;
+    if (argument.value.kind === Kind.VARIABLE) {
+      const variable = argument.value.name.value;
+      return variables[variable] ?? variableDefaults[variable];
+    }
+    return argument.value.kind === Kind.INT
+      ? parseInt(argument.value.value, 10)
+      : undefined;
+  };
+
+  // Fields with the type they're selected on, fragments flattened
+  const flatten = (selectionSet, type) =>
+    selectionSet.selections.flatMap((selection) => {
+      if (selection.kind === Kind.FIELD) return [{ field: selection, type }];
+      const fragment =
+        selection.kind === Kind.FRAGMENT_SPREAD
+          ? fragments[selection.name.value]
+          : selection;
+      const condition = fragment.typeCondition
+        ? schema.getType(fragment.typeCondition.name.value)
+        : type;
+      return flatten(fragment.selectionSet, condition);
+    });
+
+  // Fields selected on the type itself always count; fields selected for one
+  // possible type (`... on MediaImage`) count for that type only, and the
+  // most expensive type sets the cost
+  const selectionCost = (selectionSet, type, path) => {
+    const byType = new Map();
+    let cost = 0;
+    for (const selected of flatten(selectionSet, type)) {
+      if (selected.type === type) {
+        cost += fieldCost(selected, path);
+      } else {
+        byType.set(
+          selected.type,
+          (byType.get(selected.type) || 0) + fieldCost(selected, path)
+        );
+      }
+    }
+    return cost + Math.max(0, ...byType.values());
+  };
+
+  // One node of a connection: edges { node } or nodes; pageInfo is free
+  const nodeCost = (selectionSet, connectionType, path) =>
+    flatten(selectionSet, connectionType).reduce((total, selected) => {
+      const name = selected.field.name.value;
+      if (name === "nodes") return total + fieldCost(selected, path);
+      if (name !== "edges") return total;
+      const edgeType = getNamedType(connectionType.getFields().edges.type);
+      return (
+        total +
+        selectionCost(selected.field.selectionSet, edgeType, [
+          ...path,
+          selected.field.alias?.value || name,
+        ])
+      );
+    }, 0);
+
+  const fieldCost = ({ field, type }, path) => {
+    const definition = type.getFields?.()[field.name.value];
+    if (!definition) return 0; // __typename
+    const fieldType = getNamedType(definition.type);
+    if (isLeafType(fieldType)) return 0;
+
+    const fieldPath = [...path, field.alias?.value || field.name.value];
+    let definedCost = OBJECT_COST;
+    let childrenCost;
+    if (fieldType.name.endsWith("Connection")) {
+      definedCost = CONNECTION_COST;
+      const pageSize =
+        argumentValue(field, "first") ?? argumentValue(field, "last");
+      if (pageSize === undefined) {
+        warnings.push(
+          `${fieldPath.join(
+            "."
+          )} has no first or last, so it's counted as an empty page`
+        );
+      }
+      childrenCost =
+        (pageSize || 0) * nodeCost(field.selectionSet, fieldType, fieldPath);
+    } else {
+      childrenCost = selectionCost(field.selectionSet, fieldType, fieldPath);
+    }
+
+    fields.push({
+      path: fieldPath.join("."),
+      definedCost,
+      requestedTotalCost: definedCost + childrenCost,
+      requestedChildrenCost: childrenCost,
+    });
+    return definedCost + childrenCost;
+  };
+
+  let cost;
+  if (operation.operation === "mutation") {
+    // Each mutation is a fixed price, whatever it selects
+    const mutations = flatten(
+      operation.selectionSet,
+      schema.getMutationType()
+    ).filter(({ field }) => !field.name.value.startsWith("__"));
+    mutations.forEach(({ field }) =>
+      fields.push({
+        path: field.alias?.value || field.name.value,
+        definedCost: MUTATION_COST,
+        requestedTotalCost: MUTATION_COST,
+        requestedChildrenCost: 0,
+      })
+    );
+    cost = mutations.length * MUTATION_COST;
+  } else {
+    cost = selectionCost(operation.selectionSet, schema.getQueryType(), []);
+  }
+
+  return {
+    cost,
+    operationType: operation.operation,
+    operationName: operation.name?.value || null,
+    fields,
+    warnings,
+  };
+}
+
+// How fast a query of `cost` runs against a bucket ({ limit, restoreRate }):
+// the burst a full bucket allows, then the sustained rate once it's empty.
+function predictRate(cost, { limit, restoreRate }) {
+  const maxCost = Math.min(MAX_QUERY_COST, limit);
+  if (cost > maxCost) {
+    return { runnable: false, maxCost, requestsPerSecond: 0, burst: 0 };
+  }
+  // Free queries aren't limited by the bucket at all
+  if (cost === 0) {
+    return { runnable: true, maxCost, requestsPerSecond: null, burst: null };
+  }
+  return {
+    runnable: true,
+    maxCost,
+    requestsPerSecond: restoreRate / cost,
+    burst: Math.floor(limit / cost),
+  };
+}
+
+// A prediction next to the requestedQueryCost Shopify reported
+function compareEstimate(predicted, measured) {
+  const difference = predicted - measured;
+  return {
+    predicted,
+    measured,
+    difference,
+    errorPercent: measured > 0 ? (difference / measured) * 100 : null,
+    exact: difference === 0,
+  };
+}
+
+function summarizeEstimateChecks(comparisons) {
+  const relative = comparisons.filter(
+    (comparison) => comparison.errorPercent !== null
+  );
+  return {
+    checks: comparisons.length,
+    exact: comparisons.filter((comparison) => comparison.exact).length,
+    meanAbsoluteErrorPercent:
+      relative.length > 0
+        ? relative.reduce(
+            (sum, comparison) => sum + Math.abs(comparison.errorPercent),
+            0
+          ) / relative.length
+        : null,
+  };
+}
+
+module.exports = {
+  MAX_QUERY_COST,
+  estimateQueryCost,
+  predictRate,
+  compareEstimate,
+  summarizeEstimateChecks,
+};
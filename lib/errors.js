@@ -0,0 +1,73 @@
+// Error taxonomy
+// Every failed request is classified so retries, summaries and the audit log
+// can tell a throttle from a bad token or a typo in a query. `retry` is the
+// per-category policy applied by retryGraphQLRequest.
+const ERROR_CATEGORIES = {
+  throttled: { label: "Throttled", retry: true },
+  validation: { label: "Validation / userErrors", retry: false },
+  auth: { label: "Authentication (401/403)", retry: false },
+  network: { label: "Network / timeout", retry: true },
+  server: { label: "Server error (5xx)", retry: true },
+  graphql: { label: "GraphQL syntax / schema", retry: false },
+  unknown: { label: "Other", retry: true },
+};
+
+class BenchmarkError extends Error {
+  constructor(category, message, details = {}) {
+    super(message);
+    this.name = "BenchmarkError";
+    this.category = category;
+    this.details = details;
+  }
+}
+
+// Shopify error codes that map onto a category; anything else falls back to
+// "graphql" (the document itself was rejected)
+const GRAPHQL_ERROR_CODES = {
+  THROTTLED: "throttled",
+  ACCESS_DENIED: "auth",
+  UNAUTHORIZED: "auth",
+  INTERNAL_SERVER_ERROR: "server",
+  BAD_USER_INPUT: "validation",
+  INVALID_VARIABLE: "validation",
+  argumentLiteralsIncompatible: "validation",
+  variableMismatch: "validation",
+};
+
+function classifyGraphQLErrors(errors) {
+  for (const error of errors) {
+    const category = GRAPHQL_ERROR_CODES[error.extensions?.code];
+    if (category) return category;
+  }
+  return "graphql";
+}
+
+function classifyHttpStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "throttled";
+  if (status >= 500) return "server";
+  return "unknown";
+}
+
+function classifyError(error) {
+  if (error instanceof BenchmarkError) return error.category;
+  // fetch rejects with TypeError on DNS/connection failures and with
+  // TimeoutError/AbortError when the signal fires
+  if (
+    error.name === "TimeoutError" ||
+    error.name === "AbortError" ||
+    (error instanceof TypeError && /fetch failed/i.test(error.message))
+  ) {
+    return "network";
+  }
+  return "unknown";
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  BenchmarkError,
+  GRAPHQL_ERROR_CODES,
+  classifyGraphQLErrors,
+  classifyHttpStatus,
+  classifyError,
+};
@@ -0,0 +1,350 @@
+// GraphQL documents Benchmarkify sends, and their standard costs
+const GRAPHQL_QUERIES = {
+  // Product creation - typically costs 10 points
+  createProduct: `
+    mutation productCreate($product: ProductCreateInput!) {
+      productCreate(product: $product) {
+        product {
+          id
+          title
+          handle
+          createdAt
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+
+  // Product update - typically costs 10 points
+  updateProduct: `
+    mutation productUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+          title
+          updatedAt
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+
+  // Product deletion - typically costs 10 points
+  deleteProduct: `
+    mutation productDelete($input: ProductDeleteInput!) {
+      productDelete(input: $input) {
+        deletedProductId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+
+  // Get products for updates/deletions - typically costs 1 point per product
+  getProducts: `
+    query getProducts(
+      $first: Int!
+      $after: String
+      $query: String
+      $sortKey: ProductSortKeys
+      $reverse: Boolean
+    ) {
+      products(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
+        edges {
+          cursor
+          node {
+            id
+            title
+            handle
+            createdAt
+            tags
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `,
+
+  // Page boundaries only, so read benchmarks can start at any page
+  getProductPageCursors: `
+    query getProductPageCursors($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `,
+
+  // Read benchmark: one page of the product list
+  readProductList: `
+    query readProductList($first: Int!, $after: String) {
+      products(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            handle
+            status
+            vendor
+            productType
+            tags
+            createdAt
+            updatedAt
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `,
+
+  // Read benchmark: a single product by ID
+  readProductById: `
+    query readProductById($id: ID!) {
+      product(id: $id) {
+        id
+        title
+        handle
+        status
+        vendor
+        productType
+        tags
+        createdAt
+        updatedAt
+      }
+    }
+  `,
+
+  // Read benchmark: the first page of a product search
+  readProductSearch: `
+    query readProductSearch($first: Int!, $query: String!) {
+      products(first: $first, query: $query) {
+        edges {
+          node {
+            id
+            title
+            handle
+            tags
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `,
+
+  // Read benchmark: a page of products with their variants, metafields and
+  // media, nestedFirst of each
+  readProductsNested: `
+    query readProductsNested(
+      $first: Int!
+      $nestedFirst: Int!
+      $after: String
+    ) {
+      products(first: $first, after: $after) {
+        edges {
+          node {
+            id
+            title
+            variants(first: $nestedFirst) {
+              edges {
+                node {
+                  id
+                  title
+                  price
+                  sku
+                  inventoryQuantity
+                }
+              }
+            }
+            metafields(first: $nestedFirst) {
+              edges {
+                node {
+                  id
+                  namespace
+                  key
+                  value
+                  type
+                }
+              }
+            }
+            media(first: $nestedFirst) {
+              edges {
+                node {
+                  id
+                  alt
+                  mediaContentType
+                }
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `,
+
+  // Catalog size, uncapped (productsCount stops at 10,000 by default)
+  countProducts: `
+    query countProducts($query: String) {
+      productsCount(query: $query, limit: null) {
+        count
+      }
+    }
+  `,
+
+  // Bulk import, step 1: an upload target for the JSONL of mutation variables
+  stagedUploadsCreate: `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+
+  // Bulk import, step 2: run a mutation once per line of the uploaded file
+  bulkOperationRunMutation: `
+    mutation bulkOperationRunMutation(
+      $mutation: String!
+      $stagedUploadPath: String!
+    ) {
+      bulkOperationRunMutation(
+        mutation: $mutation
+        stagedUploadPath: $stagedUploadPath
+      ) {
+        bulkOperation {
+          id
+          status
+          createdAt
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `,
+
+  // Bulk import, step 3: poll until the operation reaches a final status
+  bulkOperationStatus: `
+    query bulkOperationStatus($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          fileSize
+          url
+          partialDataUrl
+          createdAt
+          completedAt
+        }
+      }
+    }
+  `,
+
+  // Bulk export: run a query over the whole connection, without paging. The
+  // same product fields as getProducts, so both reads return the same rows.
+  exportProducts: `
+    query exportProducts {
+      products {
+        edges {
+          node {
+            id
+            title
+            handle
+            createdAt
+            tags
+          }
+        }
+      }
+    }
+  `,
+
+  bulkOperationRunQuery: `
+    mutation bulkOperationRunQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+          createdAt
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }
+  `,
+
+  bulkOperationCancel: `
+    mutation bulkOperationCancel($id: ID!) {
+      bulkOperationCancel(id: $id) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+};
+
+// Query costs (Shopify's standard costs)
+const QUERY_COSTS = {
+  createProduct: 10,
+  updateProduct: 10,
+  deleteProduct: 10,
+  getProducts: 1,
+  getProductPageCursors: 2,
+  // Read queries, at their default page sizes (see the read scenarios)
+  readProductList: 52,
+  readProductById: 1,
+  readProductSearch: 52,
+  readProductsNested: 222,
+  countProducts: 1,
+  stagedUploadsCreate: 10,
+  bulkOperationRunMutation: 10,
+  bulkOperationRunQuery: 10,
+  bulkOperationStatus: 1,
+  bulkOperationCancel: 10,
+};
+
+module.exports = { GRAPHQL_QUERIES, QUERY_COSTS };
@@ -0,0 +1,495 @@
+const { QUERY_COSTS } = require("./graphqlQueries");
+const { extractQueryCost } = require("./queryCost");
+const {
+  BenchmarkError,
+  classifyGraphQLErrors,
+  classifyHttpStatus,
+  classifyError,
+} = require("./errors");
+
+// Abort requests that hang rather than holding a batch open indefinitely
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Helper functions for audit logging
+function extractProductId(response, operationName) {
+  if (!response) return "N/A";
+
+  switch (operationName) {
+    case "createProduct":
+      return response.productCreate?.product?.id || "N/A";
+    case "updateProduct":
+      return response.productUpdate?.product?.id || "N/A";
+    case "deleteProduct":
+      return response.productDelete?.deletedProductId || "N/A";
+    default:
+      return "N/A";
+  }
+}
+
+function generateOperationSummary(operationName, response, success) {
+  if (!success) return "Operation failed";
+
+  switch (operationName) {
+    case "createProduct":
+      const createdProduct = response.productCreate?.product;
+      return createdProduct
+        ? `Created product: ${createdProduct.title}`
+        : "Product created";
+    case "updateProduct":
+      const updatedProduct = response.productUpdate?.product;
+      return updatedProduct
+        ? `Updated product: ${updatedProduct.title}`
+        : "Product updated";
+    case "deleteProduct":
+      return "Product deleted successfully";
+    case "stagedUploadsCreate":
+      return "Staged upload target created";
+    case "bulkOperationRunMutation":
+      const bulkOperation = response.bulkOperationRunMutation?.bulkOperation;
+      return bulkOperation
+        ? `Started bulk operation ${bulkOperation.id}`
+        : "Bulk operation started";
+    case "bulkOperationRunQuery":
+      const bulkExport = response.bulkOperationRunQuery?.bulkOperation;
+      return bulkExport
+        ? `Started bulk export ${bulkExport.id}`
+        : "Bulk export started";
+    case "bulkOperationStatus":
+      const status = response.node;
+      return status
+        ? `Bulk operation ${status.status} (${status.objectCount} objects)`
+        : "Bulk operation status checked";
+    default:
+      return "Operation completed";
+  }
+}
+
+// Collect userErrors from every mutation payload in the response, with the
+// field path joined for display (e.g. "product.title")
+function extractUserErrors(data) {
+  return Object.values(data || {}).flatMap((payload) =>
+    Array.isArray(payload?.userErrors)
+      ? payload.userErrors.map((userError) => ({
+          field: userError.field || null,
+          path: Array.isArray(userError.field)
+            ? userError.field.join(".")
+            : null,
+          message: userError.message,
+          code: userError.code || null,
+        }))
+      : []
+  );
+}
+
+// Throttled requests are retried here, after waiting for the bucket to refill
+const MAX_THROTTLE_RETRIES = 5;
+
+// How long until the bucket can cover the request, from throttleStatus
+function throttleWaitMs(cost) {
+  const throttleStatus = cost?.throttleStatus;
+  if (!throttleStatus?.restoreRate) return 1000;
+
+  const deficit =
+    (cost.requestedQueryCost || 0) - throttleStatus.currentlyAvailable;
+  return Math.max(
+    250,
+    Math.ceil((deficit / throttleStatus.restoreRate) * 1000)
+  );
+}
+
+// Build handleGraphQLRequest around its collaborators: the fetch to send
+// requests with, the store's scheduler (so throttle retries queue behind other
+// requests) and the audit loggers. The server passes its own; tests pass fakes.
+// getDefaultAudit supplies the audit log for calls that don't pass one.
+function createGraphQLRequestHandler({
+  fetch = globalThis.fetch,
+  getScheduler = () => null,
+  logOperation = () => {},
+  logRateLimitStatus = () => {},
+  logThrottleEvent = () => {},
+  getDefaultAudit = () => null,
+} = {}) {
+  async function handleGraphQLRequest(
+    client,
+    query,
+    variables,
+    operationName,
+    storeUrl = null,
+    accessToken = null,
+    audit = getDefaultAudit(),
+    throttleRetries = 0
+  ) {
+    const startTime = Date.now();
+
+    // Record the throttle, wait it out and try again (up to MAX_THROTTLE_RETRIES)
+    const retryAfterThrottle = async (
+      source,
+      waitMs,
+      throttleStatus = null
+    ) => {
+      const responseTime = (Date.now() - startTime) / 1000;
+      const rateLimitInfo = throttleStatus
+        ? {
+            current:
+              throttleStatus.maximumAvailable -
+              throttleStatus.currentlyAvailable,
+            limit: throttleStatus.maximumAvailable,
+            remaining: throttleStatus.currentlyAvailable,
+            restoreRate: throttleStatus.restoreRate,
+            leakRate: throttleStatus.restoreRate,
+            resetTime: "Continuous (leaky bucket)",
+            cost: 0,
+          }
+        : null;
+      const exhausted = throttleRetries >= MAX_THROTTLE_RETRIES;
+
+      logThrottleEvent(audit, {
+        action: operationName,
+        storeUrl,
+        source,
+        waitMs,
+        attempt: throttleRetries + 1,
+        exhausted,
+        throttleStatus,
+      });
+      console.log(
+        `🚦 ${operationName} throttled (${source}) - ${
+          exhausted ? "giving up" : `waiting ${waitMs}ms before retrying`
+        }`
+      );
+
+      // Let the scheduler see how empty the bucket really is
+      if (storeUrl && rateLimitInfo) {
+        getScheduler(storeUrl)?.sync(rateLimitInfo);
+      }
+
+      if (exhausted) {
+        const error = `Throttled (${source}) after ${
+          throttleRetries + 1
+        } attempts`;
+        logOperation(audit, {
+          action: operationName,
+          success: false,
+          category: "throttled",
+          responseTime: responseTime * 1000,
+          cost: 0,
+          productId: "N/A",
+          summary: "Rate limit exceeded",
+          error,
+        });
+        return {
+          success: false,
+          throttled: true,
+          errorCategory: "throttled",
+          responseTime,
+          rateLimit: rateLimitInfo,
+          error,
+          cost: 0,
+          throttleEvents: 1,
+          throttleWaitMs: 0,
+        };
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+
+      // Queue the retry behind other requests so they don't all fire at once
+      const scheduler = storeUrl ? getScheduler(storeUrl) : null;
+      const reservedCost = scheduler?.estimateCost(operationName) || 0;
+      if (scheduler) await scheduler.acquire(reservedCost);
+
+      const result = await handleGraphQLRequest(
+        client,
+        query,
+        variables,
+        operationName,
+        storeUrl,
+        accessToken,
+        audit,
+        throttleRetries + 1
+      );
+      scheduler?.release(operationName, reservedCost, result.rateLimit);
+
+      return {
+        ...result,
+        throttleEvents: (result.throttleEvents || 0) + 1,
+        throttleWaitMs: (result.throttleWaitMs || 0) + waitMs,
+      };
+    };
+
+    try {
+      console.log(`Making GraphQL request: ${operationName}`);
+      console.log(`Variables:`, JSON.stringify(variables, null, 2));
+
+      // Use direct fetch approach matching Shopify documentation
+      const requestHeaders = {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": accessToken,
+        Accept: "application/json",
+      };
+
+      console.log("Request headers:", requestHeaders);
+      console.log("Request URL:", client.url);
+
+      const response = await fetch(client.url, {
+        method: "POST",
+        headers: {
+          ...requestHeaders,
+          // Include cost debug header to expose detailed cost info per Shopify docs
+          "Shopify-GraphQL-Cost-Debug": "1",
+        },
+        body: JSON.stringify({
+          query,
+          variables,
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      // HTTP 429 - Retry-After is in seconds
+      if (response.status === 429) {
+        const retryAfter = parseFloat(response.headers.get("retry-after"));
+        return retryAfterThrottle(
+          "HTTP 429",
+          Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000
+        );
+      }
+
+      if (!response.ok) {
+        throw new BenchmarkError(
+          classifyHttpStatus(response.status),
+          `HTTP ${response.status}: ${response.statusText}`,
+          { statusCode: response.status }
+        );
+      }
+
+      const responseData = await response.json();
+      const responseTime = (Date.now() - startTime) / 1000;
+
+      console.log(
+        `GraphQL response for ${operationName}:`,
+        JSON.stringify(responseData, null, 2)
+      );
+
+      // THROTTLED comes back as a 200 with a GraphQL error and the bucket state
+      if (
+        responseData.errors?.some(
+          (error) => error.extensions?.code === "THROTTLED"
+        )
+      ) {
+        const cost = responseData.extensions?.cost;
+        return retryAfterThrottle(
+          "THROTTLED",
+          throttleWaitMs(cost),
+          cost?.throttleStatus
+        );
+      }
+
+      // Check for GraphQL errors in the response. A query over the max cost
+      // is still priced, so its cost goes along with the error.
+      if (responseData.errors) {
+        throw new BenchmarkError(
+          classifyGraphQLErrors(responseData.errors),
+          `GraphQL errors: ${JSON.stringify(responseData.errors)}`,
+          {
+            errors: responseData.errors,
+            queryCost: extractQueryCost(responseData.extensions),
+          }
+        );
+      }
+
+      // Extract rate limit info from response headers and extensions
+      let rateLimitInfo = {
+        current: 0,
+        limit: 100, // Default Shopify limit (100 points/second)
+        remaining: 100,
+        resetTime: null,
+        cost: QUERY_COSTS[operationName] || 0,
+      };
+
+      // Extract rate limit headers from successful response
+      const headers = response.headers;
+      const limitHeader = headers.get("x-shopify-shop-api-call-limit");
+      const costHeader = headers.get("x-shopify-graphql-query-cost");
+
+      console.log("Rate limit headers found:", {
+        limitHeader: limitHeader,
+        costHeader: costHeader,
+        allHeaders: Object.fromEntries(headers.entries()),
+      });
+
+      // Check GraphQL response extensions for rate limit info (most reliable)
+      if (responseData.extensions?.cost?.throttleStatus) {
+        const throttleStatus = responseData.extensions.cost.throttleStatus;
+        console.log("Rate limit info from GraphQL extensions:", throttleStatus);
+
+        // The restoreRate is the actual leak rate (points per second)
+        const leakRate = throttleStatus.restoreRate;
+
+        rateLimitInfo = {
+          current:
+            throttleStatus.maximumAvailable - throttleStatus.currentlyAvailable,
+          limit: throttleStatus.maximumAvailable, // Total bucket capacity
+          remaining: throttleStatus.currentlyAvailable, // Available points
+          restoreRate: throttleStatus.restoreRate, // Points restored per second (leak rate)
+          leakRate: leakRate, // Same as restoreRate for clarity
+          resetTime: "Continuous (leaky bucket)",
+          cost:
+            responseData.extensions.cost.actualQueryCost ??
+            QUERY_COSTS[operationName] ??
+            0,
+          requestedCost: responseData.extensions.cost.requestedQueryCost,
+        };
+
+        console.log("Parsed rate limit info from extensions:", rateLimitInfo);
+      }
+      // Fall back to headers if extensions not available
+      else if (limitHeader) {
+        const [current, limit] = limitHeader.split("/").map(Number);
+        rateLimitInfo = {
+          current,
+          limit,
+          remaining: limit - current,
+          resetTime:
+            headers.get("x-shopify-shop-api-call-limit-reset") ||
+            "Continuous (leaky bucket)",
+          cost: costHeader
+            ? parseInt(costHeader)
+            : QUERY_COSTS[operationName] || 0,
+        };
+      }
+
+      console.log("Final rate limit info:", rateLimitInfo);
+
+      // Requested vs actual cost and the per-field breakdown
+      const queryCost = extractQueryCost(responseData.extensions);
+
+      // Mutations reject invalid input with userErrors on a 200 response - the
+      // request still costs points, but the operation failed
+      const userErrors = extractUserErrors(responseData.data);
+      const success = userErrors.length === 0;
+      const error = success
+        ? null
+        : `userErrors: ${userErrors
+            .map(
+              (userError) => `${userError.path || "-"}: ${userError.message}`
+            )
+            .join("; ")}`;
+
+      logOperation(audit, {
+        action: operationName,
+        success,
+        responseTime: responseTime * 1000, // Convert to ms
+        cost: rateLimitInfo.cost,
+        productId: extractProductId(responseData.data, operationName),
+        summary: success
+          ? generateOperationSummary(operationName, responseData.data, true)
+          : "Rejected with userErrors",
+        ...(success ? {} : { category: "validation", error, userErrors }),
+        rateLimit: rateLimitInfo,
+        queryCost,
+      });
+
+      // Log rate limit status if storeUrl is provided
+      if (storeUrl) {
+        logRateLimitStatus(
+          audit,
+          storeUrl,
+          rateLimitInfo.current,
+          rateLimitInfo.limit,
+          rateLimitInfo.remaining,
+          rateLimitInfo.resetTime
+        );
+      }
+
+      if (!success) {
+        console.log(`❌ ${operationName} rejected: ${error}`);
+        return {
+          success: false,
+          responseTime,
+          rateLimit: rateLimitInfo,
+          data: responseData,
+          error,
+          errorCategory: "validation",
+          userErrors,
+          cost: rateLimitInfo.cost,
+          queryCost,
+        };
+      }
+
+      return {
+        success: true,
+        responseTime,
+        rateLimit: rateLimitInfo,
+        data: responseData,
+        cost: rateLimitInfo.cost,
+        queryCost,
+      };
+    } catch (error) {
+      const responseTime = (Date.now() - startTime) / 1000;
+
+      const errorCategory = classifyError(error);
+      console.error(
+        `GraphQL error for ${operationName} [${errorCategory}]:`,
+        error.message
+      );
+
+      // Failed requests carry no bucket info - assume the operation's standard cost
+      const rateLimitInfo = {
+        current: 0,
+        limit: 1000,
+        remaining: 1000,
+        resetTime: null,
+        cost: QUERY_COSTS[operationName] || 0,
+      };
+      const queryCost = error.details?.queryCost || null;
+
+      // Log failed operation
+      logOperation(audit, {
+        action: operationName,
+        success: false,
+        responseTime: responseTime * 1000,
+        cost: rateLimitInfo.cost,
+        productId: "N/A",
+        summary: generateOperationSummary(operationName, null, false),
+        category: errorCategory,
+        error: error.message,
+        rateLimit: rateLimitInfo,
+        queryCost,
+      });
+
+      // Log rate limit status if storeUrl is provided
+      if (storeUrl) {
+        logRateLimitStatus(
+          audit,
+          storeUrl,
+          rateLimitInfo.current,
+          rateLimitInfo.limit,
+          rateLimitInfo.remaining,
+          rateLimitInfo.resetTime
+        );
+      }
+
+      return {
+        success: false,
+        responseTime,
+        rateLimit: rateLimitInfo,
+        error: error.message,
+        errorCategory,
+        statusCode: error.details?.statusCode || null,
+        cost: rateLimitInfo.cost,
+        queryCost,
+      };
+    }
+  }
+
+  return handleGraphQLRequest;
+}
+
+module.exports = {
+  REQUEST_TIMEOUT_MS,
+  MAX_THROTTLE_RETRIES,
+  extractProductId,
+  generateOperationSummary,
+  extractUserErrors,
+  throttleWaitMs,
+  createGraphQLRequestHandler,
+};
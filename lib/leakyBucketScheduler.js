@@ -0,0 +1,143 @@
+const { QUERY_COSTS } = require("./graphqlQueries");
+
+// Token-bucket model of Shopify's leaky bucket, driven by throttleStatus.
+// A request is admitted only once its requested cost fits in what the bucket
+// has left (after in-flight reservations), so throughput tracks restoreRate
+// without tripping THROTTLED. Requests are admitted in arrival order.
+class LeakyBucketScheduler {
+  constructor() {
+    this.capacity = null; // maximumAvailable
+    this.restoreRate = null; // points restored per second
+    this.available = 0; // modelled currentlyAvailable
+    this.updatedAt = Date.now();
+    this.inFlight = 0; // points reserved by requests awaiting a response
+    this.queue = [];
+    this.timer = null;
+    this.requestedCosts = new Map(); // last requestedQueryCost per operation
+    this.stats = { admitted: 0, waited: 0, totalWaitMs: 0 };
+  }
+
+  // Until the first throttleStatus arrives, requests are admitted unpaced
+  isCalibrated() {
+    return Boolean(this.capacity && this.restoreRate);
+  }
+
+  estimateCost(operationName) {
+    return (
+      this.requestedCosts.get(operationName) || QUERY_COSTS[operationName] || 10
+    );
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.isCalibrated()) {
+      this.available = Math.min(
+        this.capacity,
+        this.available + ((now - this.updatedAt) / 1000) * this.restoreRate
+      );
+    }
+    this.updatedAt = now;
+  }
+
+  // Resolves once `cost` points fit in the bucket
+  acquire(cost) {
+    return new Promise((resolve) => {
+      this.queue.push({ cost, resolve, queuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (this.timer) return;
+    this.refill();
+
+    while (this.queue.length > 0) {
+      const next = this.queue[0];
+      // A query costing more than the whole bucket goes out once it's full
+      const needed = this.isCalibrated()
+        ? Math.min(next.cost, this.capacity)
+        : 0;
+
+      if (this.available < needed) {
+        const waitMs = Math.ceil(
+          ((needed - this.available) / this.restoreRate) * 1000
+        );
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, waitMs);
+        return;
+      }
+
+      this.queue.shift();
+      if (this.isCalibrated()) this.available -= needed;
+      this.inFlight += next.cost;
+
+      const waitedMs = Date.now() - next.queuedAt;
+      this.stats.admitted++;
+      if (waitedMs > 0) {
+        this.stats.waited++;
+        this.stats.totalWaitMs += waitedMs;
+      }
+      next.resolve();
+    }
+  }
+
+  // Release a request's reservation, refund what it didn't spend and resync
+  release(operationName, reservedCost, rateLimitInfo) {
+    this.inFlight = Math.max(0, this.inFlight - reservedCost);
+
+    if (rateLimitInfo?.requestedCost) {
+      this.requestedCosts.set(operationName, rateLimitInfo.requestedCost);
+    }
+    if (this.isCalibrated() && rateLimitInfo?.restoreRate) {
+      this.available += Math.max(0, reservedCost - (rateLimitInfo.cost || 0));
+    }
+
+    this.sync(rateLimitInfo);
+  }
+
+  // Adopt the server's view of the bucket. Responses can arrive out of order,
+  // so once calibrated the model only ever moves down to match the server;
+  // refill takes care of moving it back up.
+  sync(rateLimitInfo) {
+    if (!rateLimitInfo?.restoreRate) return;
+
+    const serverAvailable = rateLimitInfo.remaining - this.inFlight;
+    if (this.isCalibrated()) {
+      this.refill();
+      this.available = Math.min(this.available, serverAvailable);
+    } else {
+      this.available = serverAvailable;
+      this.updatedAt = Date.now();
+    }
+    this.capacity = rateLimitInfo.limit;
+    this.restoreRate = rateLimitInfo.restoreRate;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.drain();
+  }
+
+  getStats() {
+    this.refill();
+    return {
+      calibrated: this.isCalibrated(),
+      capacity: this.capacity,
+      restoreRate: this.restoreRate,
+      available: Math.floor(this.available),
+      inFlight: this.inFlight,
+      queued: this.queue.length,
+      admitted: this.stats.admitted,
+      waited: this.stats.waited,
+      averageWaitMs:
+        this.stats.waited > 0
+          ? Math.round(this.stats.totalWaitMs / this.stats.waited)
+          : 0,
+    };
+  }
+}
+
+module.exports = { LeakyBucketScheduler };
@@ -0,0 +1,104 @@
+const { GRAPHQL_QUERIES } = require("./graphqlQueries");
+
+const MAX_PAGE_SIZE = 250;
+
+/**
+ * Page through products with GraphQL cursor-based pagination, up to 250 per
+ * request, until the connection runs out or maxToFetch products are
+ * collected. `request(query, variables, operationName)` sends one page
+ * request and resolves like handleGraphQLRequest (see
+ * createGraphQLRequestHandler). A page that fails ends the walk. Resolves with
+ * the products and every page request's result (for cost and latency);
+ * `onPage(result, products)` is called after each page.
+ * Docs: https://shopify.dev/docs/api/usage/pagination-graphql
+ */
+async function paginateProducts(
+  request,
+  {
+    query = null,
+    maxToFetch = Infinity,
+    sortKey = "ID",
+    reverse = false,
+    isCancelled = () => false,
+    onPage = () => {},
+  } = {}
+) {
+  const products = [];
+  const pages = [];
+  let hasNextPage = true;
+  let afterCursor = null;
+
+  while (hasNextPage && products.length < maxToFetch && !isCancelled()) {
+    const pageSize = Math.min(MAX_PAGE_SIZE, maxToFetch - products.length);
+
+    const response = await request(
+      GRAPHQL_QUERIES.getProducts,
+      { first: pageSize, after: afterCursor, query, sortKey, reverse },
+      "getProducts"
+    );
+    pages.push(response);
+
+    const connection = response?.data?.data?.products;
+    const edges = connection?.edges || [];
+    const pageInfo = connection?.pageInfo;
+
+    for (const edge of edges) {
+      if (edge?.node) products.push(edge.node);
+      if (products.length >= maxToFetch) break;
+    }
+    onPage(response, products);
+
+    hasNextPage = Boolean(pageInfo?.hasNextPage);
+    afterCursor = pageInfo?.endCursor || null;
+  }
+
+  return { products, pages };
+}
+
+/**
+ * Walk the connection's page boundaries without reading any products, for
+ * benchmarks that read pages out of order. Resolves with the `after` cursor
+ * of each page, starting with null for the first, up to maxPages pages. A
+ * request that fails ends the walk.
+ */
+async function collectPageCursors(
+  request,
+  { pageSize = MAX_PAGE_SIZE, query = null, maxPages = Infinity } = {}
+) {
+  const cursors = [null];
+
+  while (cursors.length < maxPages) {
+    const response = await request(
+      GRAPHQL_QUERIES.getProductPageCursors,
+      { first: pageSize, after: cursors[cursors.length - 1], query },
+      "getProductPageCursors"
+    );
+    const pageInfo = response?.data?.data?.products?.pageInfo;
+    if (!pageInfo?.hasNextPage || !pageInfo.endCursor) break;
+    cursors.push(pageInfo.endCursor);
+  }
+
+  return cursors;
+}
+
+/**
+ * Fetch products by tag, newest first, stopping after maxToFetch items.
+ */
+async function fetchProductsByTagWithPagination(request, tag, maxToFetch) {
+  const { products } = await paginateProducts(request, {
+    query: `tag:${tag}`,
+    maxToFetch,
+    sortKey: "CREATED_AT",
+    reverse: true,
+  });
+
+  // Extra safety: filter by tag in case query matches broader set
+  return products.filter((p) => Array.isArray(p.tags) && p.tags.includes(tag));
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  paginateProducts,
+  collectPageCursors,
+  fetchProductsByTagWithPagination,
+};
@@ -0,0 +1,115 @@
+// Shopify's calculated query cost, as each response reports it in
+// `extensions.cost`. Every request sends the Shopify-GraphQL-Cost-Debug
+// header, so the cost also carries `fields`: each field's share of the
+// requested cost. Shopify reserves requestedQueryCost before running a query
+// and refunds the difference down to actualQueryCost afterwards.
+// Docs: https://shopify.dev/docs/api/usage/limits#cost-calculation
+
+// Most expensive fields kept per operation in the audit summary
+const MAX_SUMMARY_FIELDS = 10;
+
+// Requested and actual cost plus the per-field breakdown, or null without a
+// cost. actual is null when the query didn't run (throttled or over the max
+// cost). Free fields are left out; paths are dotted, e.g. "products.edges".
+function extractQueryCost(extensions) {
+  const cost = extensions?.cost;
+  if (!Number.isFinite(cost?.requestedQueryCost)) return null;
+
+  return {
+    requested: cost.requestedQueryCost,
+    actual: Number.isFinite(cost.actualQueryCost) ? cost.actualQueryCost : null,
+    fields: Array.isArray(cost.fields)
+      ? cost.fields
+          .filter((field) => field.requestedTotalCost > 0)
+          .map((field) => ({
+            path: Array.isArray(field.path)
+              ? field.path.join(".")
+              : String(field.path),
+            definedCost: field.definedCost ?? null,
+            requestedTotalCost: field.requestedTotalCost,
+            requestedChildrenCost: field.requestedChildrenCost ?? null,
+          }))
+      : null,
+  };
+}
+
+function costStats(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return {
+    total,
+    mean: values.length > 0 ? total / values.length : 0,
+    max: values.length > 0 ? Math.max(...values) : 0,
+  };
+}
+
+// Requested vs actual for a set of costs. Only queries that ran have an
+// actual cost, so the charged ratio compares those alone.
+function compareCosts(costs) {
+  const ran = costs.filter((cost) => cost.actual !== null);
+  const requestedByRan = ran.reduce((sum, cost) => sum + cost.requested, 0);
+  const actual = costStats(ran.map((cost) => cost.actual));
+
+  return {
+    operations: costs.length,
+    requested: costStats(costs.map((cost) => cost.requested)),
+    actual,
+    refunded: requestedByRan - actual.total,
+    chargedRatio: requestedByRan > 0 ? actual.total / requestedByRan : null,
+  };
+}
+
+// Query costs of audit log operations, overall and per action with its most
+// expensive fields. `tableCosts` (QUERY_COSTS) sits next to the measured
+// requested cost so a stale estimate stands out.
+function summarizeQueryCosts(operations, tableCosts = {}) {
+  const measured = operations.filter((op) => op.queryCost);
+  const byAction = new Map();
+  for (const op of measured) {
+    if (!byAction.has(op.action)) byAction.set(op.action, []);
+    byAction.get(op.action).push(op.queryCost);
+  }
+
+  const byOperation = {};
+  for (const [action, costs] of byAction) {
+    const fields = new Map();
+    for (const { fields: breakdown } of costs) {
+      for (const field of breakdown || []) {
+        const entry = fields.get(field.path) || {
+          path: field.path,
+          definedCost: field.definedCost,
+          samples: [],
+        };
+        entry.samples.push(field.requestedTotalCost);
+        fields.set(field.path, entry);
+      }
+    }
+
+    byOperation[action] = {
+      ...compareCosts(costs),
+      tableCost: tableCosts[action] ?? null,
+      fields: Array.from(fields.values())
+        .map(({ path, definedCost, samples }) => {
+          const stats = costStats(samples);
+          return {
+            path,
+            definedCost,
+            requestedTotalCost: stats.mean,
+            maxRequestedTotalCost: stats.max,
+          };
+        })
+        .sort((a, b) => b.requestedTotalCost - a.requestedTotalCost)
+        .slice(0, MAX_SUMMARY_FIELDS),
+    };
+  }
+
+  return {
+    ...compareCosts(measured.map((op) => op.queryCost)),
+    byOperation,
+  };
+}
+
+module.exports = {
+  MAX_SUMMARY_FIELDS,
+  extractQueryCost,
+  summarizeQueryCosts,
+};
@@ -0,0 +1,431 @@
+const { calculateOptimalBatchConfig } = require("./batchConfig");
+const { LeakyBucketScheduler } = require("./leakyBucketScheduler");
+
+// Only the latest readings are used, so older ones are dropped
+const RATE_LIMIT_HISTORY_SIZE = 100;
+
+// Rate limiting and retry management system
+class RateLimitManager {
+  constructor(shopDomain = null, profile = null) {
+    this.shopDomain = shopDomain;
+    // More aggressive initial settings for higher throughput
+    this.currentBatchSize = 50; // Increased from 10
+    this.currentDelay = 25; // Reduced from 100ms
+    this.maxBatchSize = 200; // Increased from 100
+    this.minDelay = 10; // Reduced from 50ms
+    this.maxDelay = 2000; // Reduced from 5000ms
+    this.retryAttempts = 3;
+    this.retryDelay = 500; // Reduced from 1000ms
+    this.rateLimitHistory = [];
+    this.rateLimitChecks = 0;
+    this.failureHistory = [];
+
+    // Enterprise API optimization flags
+    this.isEnterprisePlan = false;
+    this.aggressiveMode = true;
+
+    // What earlier runs against this store learned (persisted between runs)
+    this.learned = {
+      leakRate: null,
+      bucketCapacity: null,
+      isEnterprisePlan: false,
+      bestSettings: null, // { batchSize, delay, maxBatchSize, throughput }
+      runs: 0,
+      updatedAt: null,
+      ...profile,
+    };
+    this.activeRuns = 0;
+
+    // Paces individual requests against this store's bucket
+    this.scheduler = new LeakyBucketScheduler();
+  }
+
+  // Update settings based on rate limit response
+  updateFromResponse(rateLimitInfo, success = true) {
+    if (success && rateLimitInfo) {
+      // Only throttleStatus reports a leak rate, so only trust the capacity then
+      const leakRate = rateLimitInfo.leakRate || rateLimitInfo.restoreRate;
+      if (leakRate) {
+        this.learned.leakRate = leakRate;
+        this.learned.bucketCapacity = rateLimitInfo.limit;
+      }
+
+      // Detect Enterprise plan based on leak rate
+      if (rateLimitInfo.leakRate >= 2000) {
+        this.isEnterprisePlan = true;
+        this.aggressiveMode = true;
+        console.log(
+          `🚀 Enterprise API detected (${rateLimitInfo.leakRate} points/sec) - enabling aggressive mode`
+        );
+      }
+
+      const usagePercentage =
+        (rateLimitInfo.current / rateLimitInfo.limit) * 100;
+
+      // Store rate limit info
+      this.rateLimitHistory.push({
+        timestamp: Date.now(),
+        usage: usagePercentage,
+        current: rateLimitInfo.current,
+        limit: rateLimitInfo.limit,
+        remaining: rateLimitInfo.remaining,
+        leakRate: rateLimitInfo.leakRate || rateLimitInfo.restoreRate,
+      });
+      this.rateLimitChecks++;
+      if (this.rateLimitHistory.length > RATE_LIMIT_HISTORY_SIZE) {
+        this.rateLimitHistory.shift();
+      }
+
+      // More aggressive adjustment strategy for Enterprise plans
+      if (this.isEnterprisePlan && this.aggressiveMode) {
+        if (usagePercentage > 90) {
+          // Very high usage - minimal reduction
+          this.currentBatchSize = Math.max(
+            Math.floor(this.currentBatchSize * 0.85),
+            this.maxBatchSize / 4
+          );
+          this.currentDelay = Math.min(
+            this.maxDelay,
+            Math.floor(this.currentDelay * 1.2)
+          );
+          console.log(
+            `⚠️ Very high rate limit usage (${usagePercentage.toFixed(
+              1
+            )}%). Reducing batch size to ${
+              this.currentBatchSize
+            }, increasing delay to ${this.currentDelay}ms`
+          );
+        } else if (usagePercentage > 75) {
+          // High usage - slight reduction
+          this.currentBatchSize = Math.max(
+            Math.floor(this.currentBatchSize * 0.9),
+            this.maxBatchSize / 3
+          );
+          this.currentDelay = Math.min(
+            this.maxDelay,
+            Math.floor(this.currentDelay * 1.1)
+          );
+          console.log(
+            `⚠️ High rate limit usage (${usagePercentage.toFixed(
+              1
+            )}%). Adjusting batch size to ${this.currentBatchSize}, delay to ${
+              this.currentDelay
+            }ms`
+          );
+        } else if (usagePercentage < 50) {
+          // Low usage - aggressive increase
+          this.currentBatchSize = Math.min(
+            this.maxBatchSize,
+            Math.floor(this.currentBatchSize * 1.3)
+          );
+          this.currentDelay = Math.max(
+            this.minDelay,
+            Math.floor(this.currentDelay * 0.7)
+          );
+          console.log(
+            `✅ Low rate limit usage (${usagePercentage.toFixed(
+              1
+            )}%). Increasing batch size to ${
+              this.currentBatchSize
+            }, reducing delay to ${this.currentDelay}ms`
+          );
+        } else if (usagePercentage < 30) {
+          // Very low usage - maximum throughput
+          this.currentBatchSize = Math.min(
+            this.maxBatchSize,
+            Math.floor(this.currentBatchSize * 1.5)
+          );
+          this.currentDelay = Math.max(
+            this.minDelay,
+            Math.floor(this.currentDelay * 0.5)
+          );
+          console.log(
+            `🚀 Very low rate limit usage (${usagePercentage.toFixed(
+              1
+            )}%). Maximizing batch size to ${
+              this.currentBatchSize
+            }, minimizing delay to ${this.currentDelay}ms`
+          );
+        }
+      } else {
+        // Standard adjustment strategy (existing logic)
+        if (usagePercentage > 85) {
+          this.currentBatchSize = Math.max(
+            1,
+            Math.floor(this.currentBatchSize * 0.7)
+          );
+          this.currentDelay = Math.min(
+            this.maxDelay,
+            Math.floor(this.currentDelay * 1.5)
+          );
+          console.log(
+            `⚠️ High rate limit usage (${usagePercentage.toFixed(
+              1
+            )}%). Reducing batch size to ${
+              this.currentBatchSize
+            }, increasing delay to ${this.currentDelay}ms`
+          );
+        } else if (usagePercentage > 70) {
+          this.currentBatchSize = Math.max(
+            1,
+            Math.floor(this.currentBatchSize * 0.9)
+          );
+          this.currentDelay = Math.min(
+            this.maxDelay,
+            Math.floor(this.currentDelay * 1.2)
+          );
+          console.log(
+            `⚠️ Moderate rate limit usage (${usagePercentage.toFixed(
+              1
+            )}%). Adjusting batch size to ${this.currentBatchSize}, delay to ${
+              this.currentDelay
+            }ms`
+          );
+        } else if (usagePercentage < 30) {
+          this.currentBatchSize = Math.min(
+            this.maxBatchSize,
+            Math.floor(this.currentBatchSize * 1.2)
+          );
+          this.currentDelay = Math.max(
+            this.minDelay,
+            Math.floor(this.currentDelay * 0.8)
+          );
+          console.log(
+            `✅ Low rate limit usage (${usagePercentage.toFixed(
+              1
+            )}%). Increasing batch size to ${
+              this.currentBatchSize
+            }, reducing delay to ${this.currentDelay}ms`
+          );
+        }
+      }
+    }
+  }
+
+  // Get current optimal settings
+  getCurrentSettings() {
+    return {
+      batchSize: this.currentBatchSize,
+      delay: this.currentDelay,
+    };
+  }
+
+  // Calculate retry delay with exponential backoff
+  getRetryDelay(attempt) {
+    return Math.min(this.retryDelay * Math.pow(2, attempt), this.maxDelay);
+  }
+
+  // Record failure for analysis
+  recordFailure(error, operation) {
+    this.failureHistory.push({
+      timestamp: Date.now(),
+      error: error.message,
+      operation,
+      batchSize: this.currentBatchSize,
+      delay: this.currentDelay,
+    });
+
+    // If we have many recent failures, reduce batch size
+    const recentFailures = this.failureHistory.filter(
+      (f) => Date.now() - f.timestamp < 60000 // Last minute
+    );
+
+    if (recentFailures.length > 5) {
+      this.currentBatchSize = Math.max(
+        1,
+        Math.floor(this.currentBatchSize * 0.8)
+      );
+      this.currentDelay = Math.min(
+        this.maxDelay,
+        Math.floor(this.currentDelay * 1.3)
+      );
+      console.log(
+        `🚨 High failure rate detected. Reducing batch size to ${this.currentBatchSize}, increasing delay to ${this.currentDelay}ms`
+      );
+      // Clear failure history to avoid continuous reduction
+      this.failureHistory = [];
+    }
+  }
+
+  // Get performance summary
+  getPerformanceSummary() {
+    if (this.rateLimitHistory.length === 0) return null;
+
+    const recent = this.rateLimitHistory.slice(-10);
+    const avgUsage =
+      recent.reduce((sum, r) => sum + r.usage, 0) / recent.length;
+    const avgLeakRate =
+      recent.reduce((sum, r) => sum + (r.leakRate || 100), 0) / recent.length;
+
+    return {
+      averageUsage: avgUsage,
+      averageLeakRate: avgLeakRate,
+      currentBatchSize: this.currentBatchSize,
+      currentDelay: this.currentDelay,
+      totalRateLimitChecks: this.rateLimitChecks,
+      totalFailures: this.failureHistory.length,
+      isEnterprisePlan: this.isEnterprisePlan,
+      aggressiveMode: this.aggressiveMode,
+      shopDomain: this.shopDomain,
+      learned: this.learned,
+      scheduler: this.scheduler.getStats(),
+    };
+  }
+
+  // Optimize for maximum throughput during operation
+  optimizeForThroughput() {
+    if (this.isEnterprisePlan && this.aggressiveMode) {
+      // For Enterprise API, push the limits more aggressively
+      const currentUsage =
+        this.rateLimitHistory.length > 0
+          ? this.rateLimitHistory[this.rateLimitHistory.length - 1].usage
+          : 0;
+
+      if (currentUsage < 60) {
+        // We have plenty of headroom - maximize throughput
+        this.currentBatchSize = Math.min(
+          this.maxBatchSize,
+          this.currentBatchSize + 25
+        );
+        this.currentDelay = Math.max(this.minDelay, this.currentDelay - 5);
+        console.log(
+          `🚀 Optimizing for maximum throughput: batch size ${this.currentBatchSize}, delay ${this.currentDelay}ms`
+        );
+      }
+    }
+  }
+
+  // Start from calculateOptimalBatchConfig's settings for a scenario phase's
+  // optimization mode; needs the leak rate from throttleStatus
+  applyOptimizationMode(leakRate, costPerOperation, optimizationMode) {
+    if (!leakRate) {
+      console.log(
+        `⚠️ No leak rate reported - ignoring ${optimizationMode} optimization mode`
+      );
+      return;
+    }
+
+    const { batchSize, delayBetweenBatches } = calculateOptimalBatchConfig(
+      leakRate,
+      costPerOperation,
+      optimizationMode
+    );
+    this.currentBatchSize = batchSize;
+    this.currentDelay = delayBetweenBatches;
+    this.maxBatchSize = Math.max(this.maxBatchSize, batchSize);
+    this.aggressiveMode = optimizationMode === "aggressive";
+  }
+
+  // Calculate optimal initial settings based on rate limits
+  calculateOptimalInitialSettings(leakRate) {
+    if (leakRate >= 2000) {
+      // Enterprise API - maximum throughput
+      this.currentBatchSize = Math.min(200, Math.floor(leakRate / 10));
+      this.currentDelay = 10;
+      this.maxBatchSize = Math.min(400, Math.floor(leakRate / 5));
+      console.log(
+        `🚀 Enterprise API detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
+      );
+    } else if (leakRate >= 1000) {
+      // Shopify Plus - high throughput
+      this.currentBatchSize = Math.min(100, Math.floor(leakRate / 10));
+      this.currentDelay = 20;
+      this.maxBatchSize = Math.min(200, Math.floor(leakRate / 5));
+      console.log(
+        `⚡ Shopify Plus detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
+      );
+    } else if (leakRate >= 200) {
+      // Advanced Shopify - moderate throughput
+      this.currentBatchSize = Math.min(50, Math.floor(leakRate / 10));
+      this.currentDelay = 50;
+      this.maxBatchSize = Math.min(100, Math.floor(leakRate / 5));
+      console.log(
+        `📈 Advanced Shopify detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
+      );
+    } else {
+      // Standard Shopify - conservative throughput
+      this.currentBatchSize = Math.min(25, Math.floor(leakRate / 10));
+      this.currentDelay = 100;
+      this.maxBatchSize = Math.min(50, Math.floor(leakRate / 5));
+      console.log(
+        `📊 Standard Shopify detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
+      );
+    }
+  }
+
+  // Start a run from what earlier runs learned. Concurrent runs against the
+  // same store share this manager (they drain the same bucket), so only the
+  // first one resets the adaptive state. Returns true for a fresh start.
+  beginRun() {
+    if (this.activeRuns++ > 0) return false;
+
+    this.reset();
+    const best = this.learned.bestSettings;
+    if (best) {
+      this.currentBatchSize = best.batchSize;
+      this.currentDelay = best.delay;
+      this.maxBatchSize = best.maxBatchSize;
+      this.isEnterprisePlan = this.learned.isEnterprisePlan;
+      console.log(
+        `📚 ${this.shopDomain}: starting from learned settings (batch: ${best.batchSize}, delay: ${best.delay}ms, ${best.throughput} ops/sec)`
+      );
+    }
+    return true;
+  }
+
+  hasLearnedSettings() {
+    return Boolean(this.learned.bestSettings);
+  }
+
+  // Keep the fastest settings that ran cleanly; forget them if they stop working
+  endRun(outcome = null) {
+    this.activeRuns = Math.max(0, this.activeRuns - 1);
+    if (!outcome) return;
+
+    const { successes, failures, totalTime } = outcome;
+    const total = successes + failures;
+    if (total === 0) return;
+
+    const failureRate = failures / total;
+    const throughput = totalTime > 0 ? successes / totalTime : 0;
+    const best = this.learned.bestSettings;
+
+    if (failureRate < 0.05 && (!best || throughput >= best.throughput)) {
+      this.learned.bestSettings = {
+        batchSize: this.currentBatchSize,
+        delay: this.currentDelay,
+        maxBatchSize: this.maxBatchSize,
+        throughput: Number(throughput.toFixed(2)),
+      };
+    } else if (failureRate >= 0.2 && best) {
+      console.log(
+        `🚨 ${this.shopDomain}: learned settings failed ${(
+          failureRate * 100
+        ).toFixed(0)}% of requests - relearning next run`
+      );
+      this.learned.bestSettings = null;
+    }
+
+    this.learned.isEnterprisePlan =
+      this.learned.isEnterprisePlan || this.isEnterprisePlan;
+    this.learned.runs++;
+    this.learned.updatedAt = new Date().toISOString();
+  }
+
+  // Reset manager for new operation
+  reset() {
+    this.currentBatchSize = 50;
+    this.currentDelay = 25;
+    this.maxBatchSize = 200;
+    this.rateLimitHistory = [];
+    this.rateLimitChecks = 0;
+    this.failureHistory = [];
+    this.isEnterprisePlan = false;
+    this.aggressiveMode = true;
+    console.log(
+      `🔄 Rate limit manager reset to aggressive settings (batch: ${this.currentBatchSize}, delay: ${this.currentDelay}ms)`
+    );
+  }
+}
+
+module.exports = { RateLimitManager };
@@ -0,0 +1,99 @@
+const { ERROR_CATEGORIES, classifyError } = require("./errors");
+const { QUERY_COSTS } = require("./graphqlQueries");
+
+// Retry wrapper for GraphQL requests with exponential backoff. `request()`
+// sends one attempt and resolves like handleGraphQLRequest; each attempt
+// waits for room in the store's bucket first.
+async function retryGraphQLRequest(
+  request,
+  rateLimitManager,
+  operationName,
+  maxRetries = 3
+) {
+  let lastError;
+  let lastCategory = "unknown";
+
+  const { scheduler } = rateLimitManager;
+  const throttling = { throttleEvents: 0, throttleWaitMs: 0 };
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    // Wait until the bucket has room for this request's requested cost
+    const reservedCost = scheduler.estimateCost(operationName);
+    await scheduler.acquire(reservedCost);
+
+    try {
+      const result = await request();
+      scheduler.release(operationName, reservedCost, result.rateLimit);
+      throttling.throttleEvents += result.throttleEvents || 0;
+      throttling.throttleWaitMs += result.throttleWaitMs || 0;
+
+      // Update rate limit manager with response info
+      rateLimitManager.updateFromResponse(result.rateLimit, result.success);
+
+      if (result.success) {
+        return { ...result, ...throttling };
+      } else {
+        // Log the failure
+        console.log(
+          `❌ ${operationName} failed (attempt ${attempt + 1}/${
+            maxRetries + 1
+          }): ${result.error}`
+        );
+        lastError = result.error;
+        lastCategory = result.errorCategory || "unknown";
+        const policy =
+          ERROR_CATEGORIES[lastCategory] || ERROR_CATEGORIES.unknown;
+
+        // Retrying a bad token or an invalid query only repeats the failure
+        if (!policy.retry) {
+          return { ...result, attempts: attempt + 1, ...throttling };
+        }
+
+        // Record failure for rate limit analysis
+        rateLimitManager.recordFailure(new Error(result.error), operationName);
+
+        // Back off before the next attempt
+        if (attempt < maxRetries) {
+          const retryDelay = rateLimitManager.getRetryDelay(attempt);
+          console.log(
+            `⏳ ${policy.label} - waiting ${retryDelay}ms before retry...`
+          );
+          await new Promise((resolve) => setTimeout(resolve, retryDelay));
+        }
+      }
+    } catch (error) {
+      scheduler.release(operationName, reservedCost, null);
+      console.log(
+        `❌ ${operationName} threw error (attempt ${attempt + 1}/${
+          maxRetries + 1
+        }): ${error.message}`
+      );
+      lastError = error;
+      lastCategory = classifyError(error);
+
+      // Record failure for rate limit analysis
+      rateLimitManager.recordFailure(error, operationName);
+
+      // If this is the last attempt, don't wait
+      if (attempt < maxRetries) {
+        const retryDelay = rateLimitManager.getRetryDelay(attempt);
+        console.log(`⏳ Waiting ${retryDelay}ms before retry...`);
+        await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  // All retries exhausted
+  return {
+    success: false,
+    error: `All ${maxRetries + 1} attempts failed. Last error: ${lastError}`,
+    cost: QUERY_COSTS[operationName] || 0,
+    retriesExhausted: true,
+    errorCategory: lastCategory,
+    throttled: lastCategory === "throttled",
+    attempts: maxRetries + 1,
+    ...throttling,
+  };
+}
+
+module.exports = { retryGraphQLRequest };
@@ -0,0 +1,160 @@
+// Schema browser
+// Summaries and search over an introspection result (the `data` of
+// getIntrospectionQuery), so the UI can show what a store's API version
+// supports without shipping the whole schema - several megabytes for the
+// Admin API - to the browser.
+
+const TYPE_KINDS = [
+  "OBJECT",
+  "INPUT_OBJECT",
+  "ENUM",
+  "INTERFACE",
+  "UNION",
+  "SCALAR",
+];
+// Types returned per search; the total match count is always reported
+const MAX_SCHEMA_MATCHES = 50;
+
+// An introspection type reference as it's written in SDL, e.g. "[Product!]!"
+function typeRefName(ref) {
+  if (!ref) return null;
+  if (ref.kind === "NON_NULL") return `${typeRefName(ref.ofType)}!`;
+  if (ref.kind === "LIST") return `[${typeRefName(ref.ofType)}]`;
+  return ref.name;
+}
+
+const deprecation = (item) =>
+  item.isDeprecated
+    ? { isDeprecated: true, deprecationReason: item.deprecationReason || null }
+    : { isDeprecated: false, deprecationReason: null };
+
+function describeInputValue(input) {
+  return {
+    name: input.name,
+    description: input.description || null,
+    type: typeRefName(input.type),
+    defaultValue: input.defaultValue ?? null,
+    ...deprecation(input),
+  };
+}
+
+function describeType(type, { includeDeprecated = true } = {}) {
+  const keep = (item) => includeDeprecated || !item.isDeprecated;
+  return {
+    name: type.name,
+    kind: type.kind,
+    description: type.description || null,
+    fields: type.fields
+      ? type.fields.filter(keep).map((field) => ({
+          name: field.name,
+          description: field.description || null,
+          type: typeRefName(field.type),
+          args: field.args.filter(keep).map(describeInputValue),
+          ...deprecation(field),
+        }))
+      : null,
+    inputFields: type.inputFields
+      ? type.inputFields.filter(keep).map(describeInputValue)
+      : null,
+    enumValues: type.enumValues
+      ? type.enumValues.filter(keep).map((value) => ({
+          name: value.name,
+          description: value.description || null,
+          ...deprecation(value),
+        }))
+      : null,
+    interfaces: type.interfaces?.map((ref) => ref.name) || null,
+    possibleTypes: type.possibleTypes?.map((ref) => ref.name) || null,
+  };
+}
+
+// The fields, input fields and enum values a type has, whatever its kind
+const members = (type) => [
+  ...(type.fields || []),
+  ...(type.inputFields || []),
+  ...(type.enumValues || []),
+];
+
+/**
+ * Counts for the schema as a whole: types per kind, the query and mutation
+ * root fields, and how many fields, arguments and enum values are deprecated.
+ */
+function describeSchema(introspection) {
+  const { __schema: schema } = introspection;
+  const types = schema.types.filter((type) => !type.name.startsWith("__"));
+  const byName = new Map(types.map((type) => [type.name, type]));
+  const rootFields = (root) =>
+    root ? byName.get(root.name)?.fields?.length || 0 : 0;
+
+  const kinds = Object.fromEntries(TYPE_KINDS.map((kind) => [kind, 0]));
+  let deprecated = 0;
+  for (const type of types) {
+    kinds[type.kind] = (kinds[type.kind] || 0) + 1;
+    for (const member of members(type)) {
+      if (member.isDeprecated) deprecated++;
+      deprecated += (member.args || []).filter(
+        (arg) => arg.isDeprecated
+      ).length;
+    }
+  }
+
+  return {
+    types: types.length,
+    kinds,
+    queryType: schema.queryType?.name || null,
+    mutationType: schema.mutationType?.name || null,
+    queries: rootFields(schema.queryType),
+    mutations: rootFields(schema.mutationType),
+    deprecated,
+  };
+}
+
+/**
+ * Types whose name, or one of whose fields, input fields or enum values,
+ * contains `search` (case-insensitive), optionally of one `kind`. An empty
+ * search lists every type. Types named by the search come first, the exact
+ * name before the rest; `matchedMembers` lists the members that matched.
+ * Returns the total match count and up to `limit` described types.
+ */
+function searchSchema(
+  introspection,
+  { search = "", kind = null, includeDeprecated = true, limit } = {}
+) {
+  const term = String(search).trim().toLowerCase();
+  const matches = [];
+  for (const type of introspection.__schema.types) {
+    if (type.name.startsWith("__") || (kind && type.kind !== kind)) continue;
+
+    const name = type.name.toLowerCase();
+    const matchedMembers = term
+      ? members(type)
+          .filter((member) => includeDeprecated || !member.isDeprecated)
+          .filter((member) => member.name.toLowerCase().includes(term))
+          .map((member) => member.name)
+      : [];
+    const rank = name === term ? 0 : name.includes(term) ? 1 : 2;
+    if (rank === 2 && matchedMembers.length === 0) continue;
+    matches.push({ type, rank, matchedMembers });
+  }
+
+  matches.sort(
+    (a, b) => a.rank - b.rank || a.type.name.localeCompare(b.type.name)
+  );
+  return {
+    matches: matches.length,
+    types: matches
+      .slice(0, limit ?? MAX_SCHEMA_MATCHES)
+      .map(({ type, matchedMembers }) => ({
+        ...describeType(type, { includeDeprecated }),
+        matchedMembers,
+      })),
+  };
+}
+
+module.exports = {
+  TYPE_KINDS,
+  MAX_SCHEMA_MATCHES,
+  typeRefName,
+  describeSchema,
+  searchSchema,
+};
@@ -0,0 +1,1702 @@
+#!/usr/bin/env node
+// Local stand-in for the Shopify Admin GraphQL API, for offline demos and
+// tests. It serves a subset of the real schema (shop, products with their
+// variants, metafields and media, product create/update/delete, staged
+// uploads, bulk mutations and bulk queries) at
+// /admin/api/<version>/graphql.json, charges calculated query costs against a
+// leaky bucket and answers with the same throttleStatus extensions and
+// THROTTLED errors as Shopify. Latency and failures can be injected.
+//
+// Point Benchmarkify at it by using its URL as the store URL:
+//
+//   node mock/shopifyMockServer.js --port 4000 --latency 80 --failure-rate 0.02
+//   benchmarkify --store http://localhost:4000 --token mock --create 100
+
+const { randomUUID } = require("crypto");
+const express = require("express");
+const {
+  buildSchema,
+  parse,
+  validate,
+  execute,
+  getNamedType,
+  getNullableType,
+  isListType,
+  isLeafType,
+  Kind,
+} = require("graphql");
+
+const SCHEMA_SDL = `
+  scalar DateTime
+  scalar HTML
+  scalar Money
+  scalar URL
+  scalar UnsignedInt64
+
+  interface Node {
+    id: ID!
+  }
+
+  enum ProductStatus {
+    ACTIVE
+    ARCHIVED
+    DRAFT
+  }
+
+  enum ProductSortKeys {
+    CREATED_AT
+    ID
+    TITLE
+    UPDATED_AT
+  }
+
+  type ShopPlan {
+    displayName: String!
+    partnerDevelopment: Boolean!
+    shopifyPlus: Boolean!
+  }
+
+  type Shop implements Node {
+    id: ID!
+    name: String!
+    email: String!
+    myshopifyDomain: String!
+    currencyCode: String!
+    plan: ShopPlan!
+  }
+
+  type Product implements Node {
+    id: ID!
+    legacyResourceId: String!
+    title: String!
+    handle: String!
+    descriptionHtml: HTML!
+    vendor: String!
+    productType: String!
+    status: ProductStatus!
+    tags: [String!]!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+    variants(
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): ProductVariantConnection!
+    metafields(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      namespace: String
+    ): MetafieldConnection!
+    media(
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): MediaConnection!
+  }
+
+  type ProductVariant implements Node {
+    id: ID!
+    title: String!
+    price: Money!
+    sku: String
+    inventoryQuantity: Int
+  }
+
+  type Metafield implements Node {
+    id: ID!
+    namespace: String!
+    key: String!
+    value: String!
+    type: String!
+  }
+
+  enum MediaContentType {
+    EXTERNAL_VIDEO
+    IMAGE
+    MODEL_3D
+    VIDEO
+  }
+
+  interface Media {
+    id: ID!
+    alt: String
+    mediaContentType: MediaContentType!
+  }
+
+  type MediaImage implements Media & Node {
+    id: ID!
+    alt: String
+    mediaContentType: MediaContentType!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type ProductEdge {
+    cursor: String!
+    node: Product!
+  }
+
+  type ProductConnection {
+    edges: [ProductEdge!]!
+    nodes: [Product!]!
+    pageInfo: PageInfo!
+  }
+
+  type ProductVariantEdge {
+    cursor: String!
+    node: ProductVariant!
+  }
+
+  type ProductVariantConnection {
+    edges: [ProductVariantEdge!]!
+    nodes: [ProductVariant!]!
+    pageInfo: PageInfo!
+  }
+
+  type MetafieldEdge {
+    cursor: String!
+    node: Metafield!
+  }
+
+  type MetafieldConnection {
+    edges: [MetafieldEdge!]!
+    nodes: [Metafield!]!
+    pageInfo: PageInfo!
+  }
+
+  type MediaEdge {
+    cursor: String!
+    node: Media!
+  }
+
+  type MediaConnection {
+    edges: [MediaEdge!]!
+    nodes: [Media!]!
+    pageInfo: PageInfo!
+  }
+
+  type Count {
+    count: Int!
+  }
+
+  enum StagedUploadTargetGenerateUploadResource {
+    BULK_MUTATION_VARIABLES
+  }
+
+  enum StagedUploadHttpMethodType {
+    POST
+    PUT
+  }
+
+  input StagedUploadInput {
+    resource: StagedUploadTargetGenerateUploadResource!
+    filename: String!
+    mimeType: String!
+    httpMethod: StagedUploadHttpMethodType
+  }
+
+  type StagedUploadParameter {
+    name: String!
+    value: String!
+  }
+
+  type StagedMediaUploadTarget {
+    url: URL
+    resourceUrl: URL
+    parameters: [StagedUploadParameter!]!
+  }
+
+  enum BulkOperationStatus {
+    CANCELED
+    CANCELING
+    COMPLETED
+    CREATED
+    EXPIRED
+    FAILED
+    RUNNING
+  }
+
+  enum BulkOperationType {
+    MUTATION
+    QUERY
+  }
+
+  enum BulkOperationErrorCode {
+    ACCESS_DENIED
+    INTERNAL_SERVER_ERROR
+    TIMEOUT
+  }
+
+  type BulkOperation implements Node {
+    id: ID!
+    type: BulkOperationType!
+    status: BulkOperationStatus!
+    errorCode: BulkOperationErrorCode
+    query: String!
+    objectCount: UnsignedInt64!
+    rootObjectCount: UnsignedInt64!
+    fileSize: UnsignedInt64
+    url: URL
+    partialDataUrl: URL
+    createdAt: DateTime!
+    completedAt: DateTime
+  }
+
+  type UserError {
+    field: [String!]
+    message: String!
+  }
+
+  enum BulkOperationUserErrorCode {
+    INVALID
+    NO_SUCH_FILE
+    OPERATION_IN_PROGRESS
+  }
+
+  type BulkOperationUserError {
+    field: [String!]
+    message: String!
+    code: BulkOperationUserErrorCode
+  }
+
+  input OptionValueCreateInput {
+    name: String
+  }
+
+  input OptionCreateInput {
+    name: String
+    values: [OptionValueCreateInput!]
+  }
+
+  input MetafieldInput {
+    namespace: String
+    key: String!
+    value: String!
+    type: String
+  }
+
+  input ProductCreateInput {
+    title: String
+    handle: String
+    descriptionHtml: String
+    vendor: String
+    productType: String
+    status: ProductStatus
+    tags: [String!]
+    productOptions: [OptionCreateInput!]
+    metafields: [MetafieldInput!]
+  }
+
+  input ProductInput {
+    id: ID
+    title: String
+    handle: String
+    descriptionHtml: String
+    vendor: String
+    productType: String
+    status: ProductStatus
+    tags: [String!]
+  }
+
+  input ProductDeleteInput {
+    id: ID!
+  }
+
+  type ProductCreatePayload {
+    product: Product
+    userErrors: [UserError!]!
+  }
+
+  type ProductUpdatePayload {
+    product: Product
+    userErrors: [UserError!]!
+  }
+
+  type ProductDeletePayload {
+    deletedProductId: ID
+    userErrors: [UserError!]!
+  }
+
+  type StagedUploadsCreatePayload {
+    stagedTargets: [StagedMediaUploadTarget!]
+    userErrors: [UserError!]!
+  }
+
+  type BulkOperationRunMutationPayload {
+    bulkOperation: BulkOperation
+    userErrors: [BulkOperationUserError!]!
+  }
+
+  type BulkOperationRunQueryPayload {
+    bulkOperation: BulkOperation
+    userErrors: [BulkOperationUserError!]!
+  }
+
+  type BulkOperationCancelPayload {
+    bulkOperation: BulkOperation
+    userErrors: [UserError!]!
+  }
+
+  type Query {
+    shop: Shop!
+    node(id: ID!): Node
+    product(id: ID!): Product
+    products(
+      first: Int
+      after: String
+      last: Int
+      before: String
+      query: String
+      sortKey: ProductSortKeys
+      reverse: Boolean
+    ): ProductConnection!
+    productsCount(query: String, limit: Int): Count
+    currentBulkOperation(type: BulkOperationType = QUERY): BulkOperation
+  }
+
+  type Mutation {
+    productCreate(
+      product: ProductCreateInput
+      input: ProductInput
+    ): ProductCreatePayload
+    productUpdate(input: ProductInput!): ProductUpdatePayload
+    productDelete(input: ProductDeleteInput!): ProductDeletePayload
+    stagedUploadsCreate(
+      input: [StagedUploadInput!]!
+    ): StagedUploadsCreatePayload
+    bulkOperationRunMutation(
+      mutation: String!
+      stagedUploadPath: String!
+      clientIdentifier: String
+    ): BulkOperationRunMutationPayload
+    bulkOperationRunQuery(
+      query: String!
+      groupObjects: Boolean
+    ): BulkOperationRunQueryPayload
+    bulkOperationCancel(id: ID!): BulkOperationCancelPayload
+  }
+`;
+
+const DEFAULT_OPTIONS = {
+  accessToken: null, // any token is accepted when null
+  shopName: "Benchmarkify Mock Store",
+  bucketSize: 1000, // maximumAvailable
+  restoreRate: 50, // points per second
+  latencyMs: 50,
+  latencyJitterMs: 0,
+  failureRate: 0, // 0-1, share of requests that fail
+  failureKinds: ["internal"], // internal, http500, userError
+  seedProducts: 0,
+  bulkRowsPerSecond: 100, // bulk mutation lines processed per second
+  bulkExportRowsPerSecond: 1000, // bulk query objects written per second
+};
+
+const MUTATION_COST = 10;
+const CONNECTION_COST = 2;
+const MAX_PAGE_SIZE = 250;
+const FAILURE_KINDS = ["internal", "http500", "userError"];
+const BULK_TICK_MS = 100;
+
+// Shopify's calculated query cost: scalars and enums are free, objects cost
+// 1, connections cost 2 plus their page size times the cost of one node, and
+// every mutation costs 10. With `data`, connections are charged for the nodes
+// actually returned instead (actualQueryCost). `fields` collects the per-field
+// breakdown Shopify returns for the Shopify-GraphQL-Cost-Debug header.
+function calculateQueryCost(
+  schema,
+  document,
+  variables = {},
+  data = null,
+  fields = null
+) {
+  const operation = document.definitions.find(
+    (definition) => definition.kind === Kind.OPERATION_DEFINITION
+  );
+  const fragments = Object.fromEntries(
+    document.definitions
+      .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((fragment) => [fragment.name.value, fragment])
+  );
+  if (!operation) return 0;
+
+  const argumentValue = (node, name) => {
+    const argument = node.arguments.find((arg) => arg.name.value === name);
+    if (!argument) return undefined;
+    if (argument.value.kind === Kind.VARIABLE) {
+      return variables[argument.value.name.value];
+    }
+    return argument.value.kind === Kind.INT
+      ? parseInt(argument.value.value, 10)
+      : undefined;
+  };
+
+  // Flatten fragments into [field, type] pairs; fragment fields are costed
+  // against the fragment's type condition (e.g. "... on Product" under node)
+  const collectFields = (selectionSet, type) =>
+    selectionSet.selections.flatMap((selection) => {
+      if (selection.kind === Kind.FIELD) return [[selection, type]];
+      const fragment =
+        selection.kind === Kind.FRAGMENT_SPREAD
+          ? fragments[selection.name.value]
+          : selection;
+      if (!fragment) return [];
+      const condition = fragment.typeCondition
+        ? schema.getType(fragment.typeCondition.name.value)
+        : type;
+      return collectFields(fragment.selectionSet, condition);
+    });
+
+  const costOf = (selectionSet, type, value, path) =>
+    collectFields(selectionSet, type).reduce((total, [field, parent]) => {
+      const name = field.name.value;
+      const definition = parent.getFields?.()[name];
+      if (!definition) return total;
+
+      const alias = field.alias?.value || name;
+      const fieldType = getNamedType(definition.type);
+      const fieldPath = [...path, alias];
+      const fieldValue = value ? value[alias] : undefined;
+      if (isLeafType(fieldType)) return total;
+
+      let definedCost = 1;
+      let childrenCost = 0;
+      if (fieldType.name.endsWith("Connection")) {
+        definedCost = CONNECTION_COST;
+        const pageSize =
+          argumentValue(field, "first") ?? argumentValue(field, "last") ?? 0;
+        childrenCost = connectionCost(
+          field.selectionSet,
+          fieldType,
+          fieldValue,
+          pageSize,
+          fieldPath
+        );
+      } else if (!value || fieldValue) {
+        const items = isListType(getNullableType(definition.type))
+          ? fieldValue || [undefined]
+          : [fieldValue];
+        childrenCost = items.reduce(
+          (sum, item) =>
+            sum + costOf(field.selectionSet, fieldType, item, fieldPath),
+          0
+        );
+      }
+
+      if (fields && !value) {
+        fields.push({
+          path: fieldPath,
+          definedCost,
+          requestedTotalCost: definedCost + childrenCost,
+          requestedChildrenCost: childrenCost,
+        });
+      }
+      return total + definedCost + childrenCost;
+    }, 0);
+
+  // edges/nodes are priced per node; pageInfo and the edge wrapper are free
+  const connectionCost = (selectionSet, type, value, pageSize, path) =>
+    collectFields(selectionSet, type).reduce((total, [field]) => {
+      const name = field.name.value;
+      if (name !== "edges" && name !== "nodes") return total;
+
+      const alias = field.alias?.value || name;
+      const itemType = getNamedType(type.getFields()[name].type);
+      const itemCost = (item) =>
+        (name === "nodes" ? 1 : 0) +
+        costOf(field.selectionSet, itemType, item, [...path, alias]);
+      // Without data every node costs the same, so cost one and multiply
+      if (!value) return total + pageSize * itemCost(undefined);
+      return (
+        total +
+        (value[alias] || []).reduce((sum, item) => sum + itemCost(item), 0)
+      );
+    }, 0);
+
+  if (operation.operation === "mutation") {
+    const rootFields = collectFields(
+      operation.selectionSet,
+      schema.getMutationType()
+    ).filter(([field]) => !field.name.value.startsWith("__"));
+    if (fields && !data) {
+      rootFields.forEach(([field]) =>
+        fields.push({
+          path: [field.alias?.value || field.name.value],
+          definedCost: MUTATION_COST,
+          requestedTotalCost: MUTATION_COST,
+          requestedChildrenCost: 0,
+        })
+      );
+    }
+    return rootFields.length * MUTATION_COST;
+  }
+
+  return costOf(operation.selectionSet, schema.getQueryType(), data, []);
+}
+
+// Shopify product search syntax, the parts Benchmarkify uses: field:value
+// terms (tag, title, vendor, product_type, status, id), "-" to negate, a
+// trailing * for prefix matches and bare words matched against the title.
+function matchesSearch(product, search) {
+  if (!search) return true;
+
+  const terms = search.match(/-?[\w.]+:"[^"]*"|-?[^\s]+/g) || [];
+  return terms
+    .filter((term) => !["AND", "OR"].includes(term))
+    .every((term) => {
+      const negated = term.startsWith("-");
+      const [field, rawValue] = term.replace(/^-/, "").includes(":")
+        ? term.replace(/^-/, "").split(/:(.*)/s)
+        : ["title", term.replace(/^-/, "")];
+      const value = rawValue.replace(/^"|"$/g, "").toLowerCase();
+      const prefix = value.endsWith("*");
+      const needle = prefix ? value.slice(0, -1) : value;
+      const compare = (candidate) => {
+        const text = String(candidate).toLowerCase();
+        return prefix ? text.startsWith(needle) : text === needle;
+      };
+
+      let matched;
+      switch (field) {
+        case "tag":
+          matched = product.tags.some(compare);
+          break;
+        case "title":
+          matched = prefix
+            ? compare(product.title)
+            : product.title.toLowerCase().includes(needle);
+          break;
+        case "vendor":
+          matched = compare(product.vendor);
+          break;
+        case "product_type":
+          matched = compare(product.productType);
+          break;
+        case "status":
+          matched = compare(product.status);
+          break;
+        case "id":
+          matched = compare(product.legacyResourceId);
+          break;
+        default:
+          matched = false;
+      }
+      return negated ? !matched : matched;
+    });
+}
+
+const SORT_FIELDS = {
+  ID: (product) => product.sequence,
+  CREATED_AT: (product) => product.createdAt,
+  UPDATED_AT: (product) => product.updatedAt,
+  TITLE: (product) => product.title.toLowerCase(),
+};
+
+function encodeCursor(product, sortKey) {
+  return Buffer.from(
+    JSON.stringify({
+      last_id: product.sequence,
+      last_value: SORT_FIELDS[sortKey](product),
+    })
+  ).toString("base64");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+// In-memory catalog plus the leaky bucket every request is charged against
+class MockShopifyStore {
+  constructor(options) {
+    this.options = options;
+    this.reset();
+  }
+
+  reset() {
+    this.products = new Map();
+    this.uploads = new Map();
+    this.bulkOperations = new Map();
+    this.nextSequence = 1;
+    this.available = this.options.bucketSize;
+    this.updatedAt = Date.now();
+    this.stats = {
+      requests: 0,
+      throttled: 0,
+      injectedFailures: 0,
+      unauthorized: 0,
+      pointsCharged: 0,
+      bulkOperations: 0,
+    };
+    for (let i = 0; i < this.options.seedProducts; i++) {
+      this.createProduct({
+        title: `Seed product ${i + 1}`,
+        tags: ["seed"],
+      });
+    }
+  }
+
+  // Leak the bucket up to now
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(
+      this.options.bucketSize,
+      this.available +
+        ((now - this.updatedAt) / 1000) * this.options.restoreRate
+    );
+    this.updatedAt = now;
+  }
+
+  throttleStatus() {
+    return {
+      maximumAvailable: this.options.bucketSize,
+      currentlyAvailable: Math.floor(this.available),
+      restoreRate: this.options.restoreRate,
+    };
+  }
+
+  productGid(product) {
+    return `gid://shopify/Product/${product.legacyResourceId}`;
+  }
+
+  findProduct(id) {
+    return this.products.get(String(id).split("/").pop()) || null;
+  }
+
+  uniqueHandle(base) {
+    const slug =
+      String(base)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "product";
+    const taken = new Set(
+      Array.from(this.products.values()).map((product) => product.handle)
+    );
+    let handle = slug;
+    for (let suffix = 1; taken.has(handle); suffix++) {
+      handle = `${slug}-${suffix}`;
+    }
+    return handle;
+  }
+
+  createProduct(input) {
+    const now = new Date().toISOString();
+    const sequence = this.nextSequence++;
+    const product = {
+      sequence,
+      legacyResourceId: String(7000000000000 + sequence),
+      title: input.title,
+      handle: this.uniqueHandle(input.handle || input.title),
+      descriptionHtml: input.descriptionHtml || "",
+      vendor: input.vendor || this.options.shopName,
+      productType: input.productType || "",
+      status: input.status || "ACTIVE",
+      tags: [...new Set(input.tags || [])],
+      createdAt: now,
+      updatedAt: now,
+      // Every Shopify product has at least its default variant
+      variants: [
+        {
+          id: `gid://shopify/ProductVariant/${8000000000000 + sequence}`,
+          title: "Default Title",
+          price: "0.00",
+          sku: "",
+          inventoryQuantity: 0,
+        },
+      ],
+      metafields: (input.metafields || []).map((metafield, index) => ({
+        id: `gid://shopify/Metafield/${9000000000000 + sequence * 100 + index}`,
+        namespace: metafield.namespace || "custom",
+        key: metafield.key,
+        value: metafield.value,
+        type: metafield.type || "single_line_text_field",
+      })),
+      media: [],
+    };
+    product.id = this.productGid(product);
+    this.products.set(product.legacyResourceId, product);
+    return product;
+  }
+
+  // Shopify runs one bulk mutation and one bulk query per shop at a time
+  runningBulkOperation(type) {
+    return (
+      Array.from(this.bulkOperations.values()).find(
+        (operation) =>
+          operation.type === type &&
+          ["CREATED", "RUNNING", "CANCELING"].includes(operation.status)
+      ) || null
+    );
+  }
+
+  // `lines` are the uploaded variables of a mutation, or the objects a query
+  // exports
+  createBulkOperation(type, query, lines, baseUrl) {
+    this.stats.bulkOperations++;
+    const legacyId = String(this.stats.bulkOperations);
+    const operation = {
+      id: `gid://shopify/BulkOperation/${legacyId}`,
+      legacyId,
+      type,
+      status: "CREATED",
+      errorCode: null,
+      query,
+      objectCount: "0",
+      rootObjectCount: "0",
+      fileSize: null,
+      url: null,
+      partialDataUrl: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      lines,
+      results: [],
+      resultsUrl: `${baseUrl}/mock/bulk-results/${legacyId}`,
+    };
+    this.bulkOperations.set(operation.id, operation);
+    return operation;
+  }
+
+  searchProducts({ query, sortKey = "ID", reverse = false }) {
+    const key = SORT_FIELDS[sortKey] ? sortKey : "ID";
+    const value = SORT_FIELDS[key];
+    const direction = reverse ? -1 : 1;
+    return Array.from(this.products.values())
+      .filter((product) => matchesSearch(product, query))
+      .sort((a, b) => {
+        const order = value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0;
+        return (order || a.sequence - b.sequence) * direction;
+      });
+  }
+}
+
+// Connections over a product's own lists (variants, metafields, media), with
+// index cursors. Bulk queries read them whole, like the products connection.
+function listConnection(items, { first, after, last, before }, context) {
+  if (!context?.bulk) {
+    if (first === undefined && last === undefined) {
+      throw new Error("You must provide one of first or last");
+    }
+    if ((first ?? last) > MAX_PAGE_SIZE || (first ?? last) < 0) {
+      throw new Error(`The page size must be between 0 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+  const indexOf = (cursor) =>
+    Number(Buffer.from(cursor, "base64").toString()) || 0;
+
+  let start = after ? indexOf(after) + 1 : 0;
+  let end = before ? indexOf(before) : items.length;
+  if (!context?.bulk && first !== undefined) {
+    end = Math.min(end, start + first);
+  } else if (!context?.bulk && last !== undefined) {
+    start = Math.max(start, end - last);
+  }
+
+  const window = items.slice(start, end);
+  const edges = window.map((node, offset) => ({
+    cursor: Buffer.from(String(start + offset)).toString("base64"),
+    node,
+  }));
+  return {
+    edges,
+    nodes: window,
+    pageInfo: {
+      hasNextPage: end < items.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+  };
+}
+
+function userError(field, message) {
+  return { field, message };
+}
+
+function bulkUserError(field, code, message) {
+  return { bulkOperation: null, userErrors: [{ field, code, message }] };
+}
+
+// Bulk mutations must be a single mutation with a single top-level field
+function validateBulkMutation(schema, mutation) {
+  let document;
+  try {
+    document = parse(mutation);
+  } catch (error) {
+    return { error: error.message };
+  }
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0)
+    return { error: validationErrors[0].message };
+
+  const operations = document.definitions.filter(
+    (definition) => definition.kind === Kind.OPERATION_DEFINITION
+  );
+  if (
+    operations.length !== 1 ||
+    operations[0].operation !== "mutation" ||
+    operations[0].selectionSet.selections.length !== 1
+  ) {
+    return {
+      error: "Bulk mutations must contain exactly one mutation with one field",
+    };
+  }
+  return { document };
+}
+
+// Bulk queries must be a single query with at least one connection
+function validateBulkQuery(schema, query) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { error: error.message };
+  }
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0)
+    return { error: validationErrors[0].message };
+
+  const operations = document.definitions.filter(
+    (definition) => definition.kind === Kind.OPERATION_DEFINITION
+  );
+  if (operations.length !== 1 || operations[0].operation !== "query") {
+    return { error: "Bulk queries must contain exactly one query" };
+  }
+  const hasConnection = operations[0].selectionSet.selections.some(
+    (selection) =>
+      selection.kind === Kind.FIELD &&
+      getNamedType(
+        schema.getQueryType().getFields()[selection.name.value]?.type
+      )?.name.endsWith("Connection")
+  );
+  if (!hasConnection) {
+    return { error: "Bulk queries require a connection field" };
+  }
+  return { document };
+}
+
+// A bulk query's JSONL: one line per connection node, its nested connections'
+// nodes following it with __parentId
+function flattenBulkQueryResult(value, parentId = null, lines = []) {
+  const nodes = value?.edges
+    ? value.edges.map((edge) => edge.node)
+    : value?.nodes || [];
+  for (const node of nodes) {
+    const line = {};
+    const nested = [];
+    for (const [key, field] of Object.entries(node)) {
+      if (field && (field.edges || field.nodes)) nested.push(field);
+      else line[key] = field;
+    }
+    lines.push(parentId ? { ...line, __parentId: parentId } : line);
+    nested.forEach((connection) =>
+      flattenBulkQueryResult(connection, node.id, lines)
+    );
+  }
+  return lines;
+}
+
+// Runs a bulk mutation's uploaded lines one at a time, outside the request
+// bucket as on Shopify; each response becomes a result line tagged with its
+// __lineNumber
+function bulkMutationLineRunner(
+  store,
+  operation,
+  { schema, rootValue, document }
+) {
+  return async (index) => {
+    let variables;
+    try {
+      variables = JSON.parse(operation.lines[index]);
+    } catch (error) {
+      return {
+        errors: [{ message: `Line ${index + 1} is not valid JSON` }],
+        __lineNumber: index,
+      };
+    }
+
+    const injectUserError =
+      store.options.failureKinds.includes("userError") &&
+      Math.random() < store.options.failureRate;
+    if (injectUserError) store.stats.injectedFailures++;
+    const result = await execute({
+      schema,
+      document,
+      rootValue,
+      contextValue: { injectUserError },
+      variableValues: variables,
+    });
+    return {
+      ...(result.errors && {
+        errors: result.errors.map((error) => ({ message: error.message })),
+      }),
+      data: result.data ?? null,
+      __lineNumber: index,
+    };
+  };
+}
+
+// Works through a bulk operation's lines at `rowsPerSecond`, collecting what
+// `runLine(index)` returns for each as its JSONL result line
+function processBulkOperation(store, operation, runLine, rowsPerSecond) {
+  let allowance = 0;
+
+  const finish = (status) => {
+    const contents = operation.results
+      .map((line) => `${JSON.stringify(line)}\n`)
+      .join("");
+    operation.status = status;
+    operation.completedAt = new Date().toISOString();
+    operation.fileSize = String(Buffer.byteLength(contents));
+    operation.contents = contents;
+    if (operation.results.length > 0) {
+      operation[status === "COMPLETED" ? "url" : "partialDataUrl"] =
+        operation.resultsUrl;
+    }
+  };
+
+  const tick = async () => {
+    // A reset dropped the operation
+    if (store.bulkOperations.get(operation.id) !== operation) return;
+    if (operation.status === "CANCELING") return finish("CANCELED");
+
+    operation.status = "RUNNING";
+    allowance += (rowsPerSecond() * BULK_TICK_MS) / 1000;
+    while (
+      allowance >= 1 &&
+      operation.results.length < operation.lines.length
+    ) {
+      allowance--;
+      operation.results.push(await runLine(operation.results.length));
+    }
+    operation.objectCount = String(operation.results.length);
+    operation.rootObjectCount = String(
+      operation.results.filter((line) => !line.__parentId).length
+    );
+
+    if (operation.results.length === operation.lines.length) {
+      return finish("COMPLETED");
+    }
+    setTimeout(tick, BULK_TICK_MS);
+  };
+  setTimeout(tick, BULK_TICK_MS);
+}
+
+// Root resolvers. `context.injectUserError` turns a mutation into a
+// userErrors response for failure injection; `context.baseUrl` is where the
+// mock's staged upload and bulk result endpoints are served.
+function createRootValue(store, schema) {
+  // Bulk queries (`context.bulk`) read the whole connection; page sizes are
+  // ignored, as on Shopify
+  const productsConnection = (
+    { first, after, last, before, query, sortKey = "ID", reverse = false },
+    context
+  ) => {
+    if (context?.bulk) {
+      first = undefined;
+      last = undefined;
+    } else if (first === undefined && last === undefined) {
+      throw new Error("You must provide one of first or last");
+    }
+    if ((first ?? last) > MAX_PAGE_SIZE || (first ?? last) < 0) {
+      throw new Error(`The page size must be between 0 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const key = SORT_FIELDS[sortKey] ? sortKey : "ID";
+    const all = store.searchProducts({ query, sortKey: key, reverse });
+    const positionOf = (cursor) => {
+      const decoded = cursor ? decodeCursor(cursor) : null;
+      if (!decoded) return -1;
+      // Position of the cursor's product, or where it would have been
+      const direction = reverse ? -1 : 1;
+      const index = all.findIndex((product) => {
+        const value = SORT_FIELDS[key](product);
+        const order =
+          value < decoded.last_value ? -1 : value > decoded.last_value ? 1 : 0;
+        return (order || product.sequence - decoded.last_id) * direction >= 0;
+      });
+      return index === -1 ? all.length : index;
+    };
+
+    let start = 0;
+    let end = all.length;
+    if (after) {
+      const index = positionOf(after);
+      const exact = all[index]?.sequence === decodeCursor(after)?.last_id;
+      start = exact ? index + 1 : index;
+    }
+    if (before) end = Math.max(start, positionOf(before));
+
+    let window = all.slice(start, end);
+    let windowStart = start;
+    if (first !== undefined) {
+      window = window.slice(0, first);
+    } else if (last !== undefined) {
+      windowStart += Math.max(0, window.length - last);
+      window = window.slice(Math.max(0, window.length - last));
+    }
+
+    const edges = window.map((product) => ({
+      cursor: encodeCursor(product, key),
+      node: product,
+    }));
+    return {
+      edges,
+      nodes: window,
+      pageInfo: {
+        hasNextPage:
+          window.length > 0 && windowStart + window.length < all.length,
+        hasPreviousPage: window.length > 0 && windowStart > 0,
+        startCursor: edges[0]?.cursor || null,
+        endCursor: edges[edges.length - 1]?.cursor || null,
+      },
+    };
+  };
+
+  const rootValue = {
+    shop: () => ({
+      id: "gid://shopify/Shop/1",
+      name: store.options.shopName,
+      email: "mock@example.com",
+      myshopifyDomain: "benchmarkify-mock.myshopify.com",
+      currencyCode: "USD",
+      plan: {
+        displayName: "Development",
+        partnerDevelopment: true,
+        shopifyPlus: false,
+      },
+    }),
+
+    node: ({ id }) => {
+      const bulkOperation = store.bulkOperations.get(id);
+      if (bulkOperation)
+        return { ...bulkOperation, __typename: "BulkOperation" };
+      const product = store.findProduct(id);
+      return product ? { ...product, __typename: "Product" } : null;
+    },
+
+    product: ({ id }) => store.findProduct(id),
+
+    products: productsConnection,
+
+    productsCount: ({ query }) => ({
+      count: store.searchProducts({ query }).length,
+    }),
+
+    currentBulkOperation: ({ type }) =>
+      Array.from(store.bulkOperations.values())
+        .reverse()
+        .find((operation) => operation.type === type) || null,
+
+    productCreate: (args, context) => {
+      const input = args.product || args.input || {};
+      if (context.injectUserError) {
+        return {
+          product: null,
+          userErrors: [userError(null, "Injected failure (mock server)")],
+        };
+      }
+      if (!input.title || !input.title.trim()) {
+        return {
+          product: null,
+          userErrors: [userError(["title"], "Title can't be blank")],
+        };
+      }
+      return { product: store.createProduct(input), userErrors: [] };
+    },
+
+    productUpdate: ({ input }, context) => {
+      if (context.injectUserError) {
+        return {
+          product: null,
+          userErrors: [userError(null, "Injected failure (mock server)")],
+        };
+      }
+      const product = input.id ? store.findProduct(input.id) : null;
+      if (!product) {
+        return {
+          product: null,
+          userErrors: [userError(["id"], "Product does not exist")],
+        };
+      }
+      if (input.title !== undefined && !input.title.trim()) {
+        return {
+          product: null,
+          userErrors: [userError(["title"], "Title can't be blank")],
+        };
+      }
+
+      const { id, handle, ...changes } = input;
+      Object.assign(product, changes, {
+        ...(handle && { handle: store.uniqueHandle(handle) }),
+        updatedAt: new Date().toISOString(),
+      });
+      return { product, userErrors: [] };
+    },
+
+    productDelete: ({ input }, context) => {
+      if (context.injectUserError) {
+        return {
+          deletedProductId: null,
+          userErrors: [userError(null, "Injected failure (mock server)")],
+        };
+      }
+      const product = store.findProduct(input.id);
+      if (!product) {
+        return {
+          deletedProductId: null,
+          userErrors: [userError(["id"], "Product does not exist")],
+        };
+      }
+      store.products.delete(product.legacyResourceId);
+      return { deletedProductId: product.id, userErrors: [] };
+    },
+
+    // Upload targets point back at the mock's own /mock/staged-uploads
+    stagedUploadsCreate: ({ input }, context) => ({
+      stagedTargets: input.map(({ filename, mimeType }) => {
+        const key = `tmp/bulk/${randomUUID()}/${filename}`;
+        return {
+          url: `${context.baseUrl}/mock/staged-uploads`,
+          resourceUrl: `${context.baseUrl}/mock/staged-uploads/${key}`,
+          parameters: [
+            { name: "key", value: key },
+            { name: "Content-Type", value: mimeType },
+            { name: "success_action_status", value: "201" },
+            { name: "acl", value: "private" },
+          ],
+        };
+      }),
+      userErrors: [],
+    }),
+
+    bulkOperationRunMutation: ({ mutation, stagedUploadPath }, context) => {
+      const running = store.runningBulkOperation("MUTATION");
+      if (running) {
+        return bulkUserError(
+          null,
+          "OPERATION_IN_PROGRESS",
+          `A bulk mutation operation for this app and shop is already in progress: ${running.id}.`
+        );
+      }
+      if (!store.uploads.has(stagedUploadPath)) {
+        return bulkUserError(
+          ["stagedUploadPath"],
+          "NO_SUCH_FILE",
+          "The JSONL file could not be found. Try uploading the file again."
+        );
+      }
+      const { document, error } = validateBulkMutation(schema, mutation);
+      if (error) return bulkUserError(["mutation"], "INVALID", error);
+
+      const lines = store.uploads
+        .get(stagedUploadPath)
+        .split("\n")
+        .filter((line) => line.trim());
+      const operation = store.createBulkOperation(
+        "MUTATION",
+        mutation,
+        lines,
+        context.baseUrl
+      );
+      processBulkOperation(
+        store,
+        operation,
+        bulkMutationLineRunner(store, operation, {
+          schema,
+          rootValue,
+          document,
+        }),
+        () => store.options.bulkRowsPerSecond
+      );
+      return { bulkOperation: operation, userErrors: [] };
+    },
+
+    // The export is read when the operation starts and written out at
+    // bulkExportRowsPerSecond
+    bulkOperationRunQuery: async ({ query }, context) => {
+      const running = store.runningBulkOperation("QUERY");
+      if (running) {
+        return bulkUserError(
+          null,
+          "OPERATION_IN_PROGRESS",
+          `A bulk query operation for this app and shop is already in progress: ${running.id}.`
+        );
+      }
+      const { document, error } = validateBulkQuery(schema, query);
+      if (error) return bulkUserError(["query"], "INVALID", error);
+
+      const result = await execute({
+        schema,
+        document,
+        rootValue,
+        contextValue: { bulk: true },
+      });
+      if (result.errors) {
+        return bulkUserError(["query"], "INVALID", result.errors[0].message);
+      }
+      const lines = Object.values(result.data).flatMap((value) =>
+        flattenBulkQueryResult(value)
+      );
+      const operation = store.createBulkOperation(
+        "QUERY",
+        query,
+        lines,
+        context.baseUrl
+      );
+      processBulkOperation(
+        store,
+        operation,
+        (index) => operation.lines[index],
+        () => store.options.bulkExportRowsPerSecond
+      );
+      return { bulkOperation: operation, userErrors: [] };
+    },
+
+    bulkOperationCancel: ({ id }) => {
+      const operation = store.bulkOperations.get(id);
+      if (!operation) {
+        return {
+          bulkOperation: null,
+          userErrors: [userError(["id"], "Bulk operation does not exist")],
+        };
+      }
+      if (!["CREATED", "RUNNING"].includes(operation.status)) {
+        return {
+          bulkOperation: operation,
+          userErrors: [
+            userError(
+              null,
+              `A bulk operation cannot be canceled when it is ${operation.status.toLowerCase()}`
+            ),
+          ],
+        };
+      }
+      operation.status = "CANCELING";
+      return { bulkOperation: operation, userErrors: [] };
+    },
+  };
+  return rootValue;
+}
+
+/**
+ * Build the mock Admin API. Returns the Express app, the store behind it and
+ * `listen(port)`, which resolves with the running server and its base URL.
+ * Options and stats are also exposed over HTTP under /mock.
+ */
+function createShopifyMockServer(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const schema = buildSchema(SCHEMA_SDL);
+  schema.getType("Node").resolveType = (value) => value.__typename;
+  schema.getType("Media").resolveType = () => "MediaImage";
+  const productFields = schema.getType("Product").getFields();
+  ["variants", "metafields", "media"].forEach((name) => {
+    productFields[name].resolve = (product, args, context) =>
+      listConnection(
+        name === "metafields" && args.namespace
+          ? product.metafields.filter(
+              (metafield) => metafield.namespace === args.namespace
+            )
+          : product[name],
+        args,
+        context
+      );
+  });
+  const store = new MockShopifyStore(options);
+  const rootValue = createRootValue(store, schema);
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+
+  const delay = () =>
+    new Promise((resolve) =>
+      setTimeout(
+        resolve,
+        options.latencyMs + Math.random() * options.latencyJitterMs
+      )
+    );
+
+  app.post("/admin/api/:version/graphql.json", async (req, res) => {
+    store.stats.requests++;
+
+    if (
+      options.accessToken &&
+      req.get("X-Shopify-Access-Token") !== options.accessToken
+    ) {
+      store.stats.unauthorized++;
+      await delay();
+      return res.status(401).json({
+        errors:
+          "[API] Invalid API key or access token (unrecognized login or wrong password)",
+      });
+    }
+
+    const { query, variables = {}, operationName } = req.body || {};
+    let document;
+    try {
+      document = parse(query || "");
+    } catch (error) {
+      await delay();
+      return res.json({ errors: [{ message: error.message }] });
+    }
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      await delay();
+      return res.json({
+        errors: validationErrors.map((error) => ({ message: error.message })),
+      });
+    }
+
+    const debugFields = req.get("Shopify-GraphQL-Cost-Debug") ? [] : null;
+    const requestedQueryCost = calculateQueryCost(
+      schema,
+      document,
+      variables,
+      null,
+      debugFields
+    );
+
+    store.refill();
+    if (requestedQueryCost > options.bucketSize) {
+      await delay();
+      return res.json({
+        errors: [
+          {
+            message: `Query cost is ${requestedQueryCost}, which exceeds the single query max cost limit (${options.bucketSize}).`,
+            extensions: { code: "MAX_COST_EXCEEDED", cost: requestedQueryCost },
+          },
+        ],
+        extensions: {
+          cost: {
+            requestedQueryCost,
+            actualQueryCost: null,
+            throttleStatus: store.throttleStatus(),
+          },
+        },
+      });
+    }
+    if (requestedQueryCost > store.available) {
+      store.stats.throttled++;
+      await delay();
+      return res.json({
+        errors: [
+          {
+            message: "Throttled",
+            extensions: {
+              code: "THROTTLED",
+              documentation: "https://shopify.dev/api/usage/rate-limits",
+            },
+          },
+        ],
+        extensions: {
+          cost: {
+            requestedQueryCost,
+            actualQueryCost: null,
+            throttleStatus: store.throttleStatus(),
+          },
+        },
+      });
+    }
+
+    // Shopify reserves the requested cost up front and refunds the unused
+    // part once the query has run
+    store.available -= requestedQueryCost;
+
+    const failure =
+      options.failureRate > 0 && Math.random() < options.failureRate
+        ? options.failureKinds[
+            Math.floor(Math.random() * options.failureKinds.length)
+          ]
+        : null;
+    const isMutation = document.definitions.some(
+      (definition) =>
+        definition.kind === Kind.OPERATION_DEFINITION &&
+        definition.operation === "mutation"
+    );
+    if (failure) store.stats.injectedFailures++;
+
+    await delay();
+
+    if (failure === "http500") {
+      store.available += requestedQueryCost;
+      return res.status(500).json({
+        errors: "Internal Server Error (injected by mock server)",
+      });
+    }
+    if (failure === "internal" || (failure === "userError" && !isMutation)) {
+      store.available += requestedQueryCost;
+      return res.json({
+        errors: [
+          {
+            message:
+              "Internal error. Looks like something went wrong on our end. (injected by mock server)",
+            extensions: { code: "INTERNAL_SERVER_ERROR" },
+          },
+        ],
+      });
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      rootValue,
+      contextValue: {
+        injectUserError: failure === "userError",
+        baseUrl: `${req.protocol}://${req.get("host")}`,
+      },
+      variableValues: variables,
+      operationName,
+    });
+
+    const actualQueryCost = result.data
+      ? calculateQueryCost(schema, document, variables, result.data)
+      : requestedQueryCost;
+    store.refill();
+    store.available = Math.min(
+      options.bucketSize,
+      store.available + (requestedQueryCost - actualQueryCost)
+    );
+    store.stats.pointsCharged += actualQueryCost;
+
+    res.json({
+      ...(result.errors && {
+        errors: result.errors.map((error) => ({
+          message: error.message,
+          path: error.path,
+        })),
+      }),
+      data: result.data ?? null,
+      extensions: {
+        cost: {
+          requestedQueryCost,
+          actualQueryCost,
+          throttleStatus: store.throttleStatus(),
+          ...(debugFields && { fields: debugFields }),
+        },
+      },
+    });
+  });
+
+  // Staged upload target: a multipart form with the file last, like the
+  // storage bucket Shopify's staged targets point to. 100MB is Shopify's limit
+  // for bulk mutation variables.
+  app.post(
+    "/mock/staged-uploads",
+    express.raw({ type: "multipart/form-data", limit: "100mb" }),
+    async (req, res) => {
+      let form;
+      try {
+        form = await new Response(req.body, {
+          headers: { "Content-Type": req.get("Content-Type") },
+        }).formData();
+      } catch (error) {
+        return res.status(400).send("Expected a multipart form upload");
+      }
+      const key = form.get("key");
+      const file = form.get("file");
+      if (!key || !file || typeof file === "string") {
+        return res.status(400).send("The form needs a key and a file");
+      }
+
+      store.uploads.set(key, await file.text());
+      res
+        .status(201)
+        .type("application/xml")
+        .send(`<PostResponse><Key>${key}</Key></PostResponse>`);
+    }
+  );
+
+  app.get("/mock/bulk-results/:id", (req, res) => {
+    const operation = store.bulkOperations.get(
+      `gid://shopify/BulkOperation/${req.params.id}`
+    );
+    if (operation?.contents === undefined) {
+      return res.status(404).send("No results for this bulk operation");
+    }
+    res.type("application/jsonl").send(operation.contents);
+  });
+
+  // Control endpoints for tests and demos
+  app.get("/mock/stats", (req, res) => {
+    store.refill();
+    res.json({
+      ...store.stats,
+      products: store.products.size,
+      runningBulkOperation:
+        store.runningBulkOperation("MUTATION")?.id ||
+        store.runningBulkOperation("QUERY")?.id ||
+        null,
+      throttleStatus: store.throttleStatus(),
+    });
+  });
+
+  app.get("/mock/options", (req, res) => res.json(options));
+
+  app.patch("/mock/options", (req, res) => {
+    const errors = validateMockOptions(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    Object.assign(options, req.body);
+    store.refill();
+    store.available = Math.min(store.available, options.bucketSize);
+    res.json(options);
+  });
+
+  app.post("/mock/reset", (req, res) => {
+    store.reset();
+    res.json({ status: "reset", products: store.products.size });
+  });
+
+  return {
+    app,
+    store,
+    options,
+    schema,
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, () =>
+          resolve({
+            server,
+            url: `http://localhost:${server.address().port}`,
+          })
+        );
+        server.on("error", reject);
+      });
+    },
+  };
+}
+
+function validateMockOptions(changes) {
+  const errors = [];
+  const checkNumber = (name, min, max = Infinity) => {
+    if (changes[name] === undefined) return;
+    const value = changes[name];
+    if (typeof value !== "number" || value < min || value > max) {
+      errors.push(`${name} must be a number from ${min} to ${max}`);
+    }
+  };
+
+  Object.keys(changes)
+    .filter((key) => !(key in DEFAULT_OPTIONS))
+    .forEach((key) => errors.push(`${key} is not a mock server option`));
+  checkNumber("bucketSize", 1);
+  checkNumber("restoreRate", 0.001);
+  checkNumber("latencyMs", 0);
+  checkNumber("latencyJitterMs", 0);
+  checkNumber("failureRate", 0, 1);
+  checkNumber("seedProducts", 0);
+  checkNumber("bulkRowsPerSecond", 0.001);
+  checkNumber("bulkExportRowsPerSecond", 0.001);
+  if (
+    changes.failureKinds !== undefined &&
+    (!Array.isArray(changes.failureKinds) ||
+      changes.failureKinds.length === 0 ||
+      changes.failureKinds.some((kind) => !FAILURE_KINDS.includes(kind)))
+  ) {
+    errors.push(`failureKinds must list some of: ${FAILURE_KINDS.join(", ")}`);
+  }
+  return errors;
+}
+
+const USAGE = `Usage: node mock/shopifyMockServer.js [options]
+
+  --port <port>             Port to listen on (default: $MOCK_SHOPIFY_PORT or 4000)
+  --token <token>           Only accept this access token (default: any)
+  --bucket-size <points>    Leaky bucket size (default: ${
+    DEFAULT_OPTIONS.bucketSize
+  })
+  --restore-rate <points>   Points restored per second (default: ${
+    DEFAULT_OPTIONS.restoreRate
+  })
+  --latency <ms>            Added response time (default: ${
+    DEFAULT_OPTIONS.latencyMs
+  })
+  --jitter <ms>             Random extra latency, 0 to this (default: 0)
+  --failure-rate <0-1>      Share of requests that fail (default: 0)
+  --failure-kinds <list>    Comma-separated: ${FAILURE_KINDS.join(", ")}
+  --seed <count>            Products to create at startup, tagged "seed"
+  --bulk-rate <rows>        Bulk mutation lines processed per second (default: ${
+    DEFAULT_OPTIONS.bulkRowsPerSecond
+  })
+  --bulk-export-rate <rows> Bulk query objects exported per second (default: ${
+    DEFAULT_OPTIONS.bulkExportRowsPerSecond
+  })
+  --help                    Show this help
+`;
+
+if (require.main === module) {
+  const { parseArgs } = require("util");
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string" },
+      token: { type: "string" },
+      "bucket-size": { type: "string" },
+      "restore-rate": { type: "string" },
+      latency: { type: "string" },
+      jitter: { type: "string" },
+      "failure-rate": { type: "string" },
+      "failure-kinds": { type: "string" },
+      seed: { type: "string" },
+      "bulk-rate": { type: "string" },
+      "bulk-export-rate": { type: "string" },
+      help: { type: "boolean", default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+  }
+
+  const number = (value) => (value === undefined ? undefined : Number(value));
+  const overrides = Object.fromEntries(
+    Object.entries({
+      accessToken: values.token,
+      bucketSize: number(values["bucket-size"]),
+      restoreRate: number(values["restore-rate"]),
+      latencyMs: number(values.latency),
+      latencyJitterMs: number(values.jitter),
+      failureRate: number(values["failure-rate"]),
+      failureKinds: values["failure-kinds"]
+        ?.split(",")
+        .map((kind) => kind.trim()),
+      seedProducts: number(values.seed),
+      bulkRowsPerSecond: number(values["bulk-rate"]),
+      bulkExportRowsPerSecond: number(values["bulk-export-rate"]),
+    }).filter(([, value]) => value !== undefined)
+  );
+  const { accessToken, ...numericOverrides } = overrides;
+  const errors = validateMockOptions(numericOverrides);
+  if (errors.length > 0) {
+    process.stderr.write(`${errors.join("\n")}\n`);
+    process.exit(2);
+  }
+
+  const mock = createShopifyMockServer(overrides);
+  mock
+    .listen(
+      number(values.port) ?? number(process.env.MOCK_SHOPIFY_PORT) ?? 4000
+    )
+    .then(({ url }) => {
+      console.log(`🧪 Mock Shopify Admin API running on ${url}`);
+      console.log(
+        `   Use ${url} as the store URL. Bucket ${mock.options.bucketSize} points, restoring ${mock.options.restoreRate}/s.`
+      );
+    });
+}
+
+module.exports = {
+  createShopifyMockServer,
+  calculateQueryCost,
+  matchesSearch,
+  SCHEMA_SDL,
+};
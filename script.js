@@ -1,9 +1,20 @@
+// SVG viewBox size and plot margins shared by the run charts
+const TIME_SERIES_LAYOUT = {
+  width: 640,
+  height: 200,
+  left: 48,
+  right: 12,
+  top: 12,
+  bottom: 28,
+};
+
 class Benchmarkify {
   constructor() {
     this.form = document.getElementById("credentialsForm");
     this.benchmarkSection = document.getElementById("benchmarkSection");
     this.progressFill = document.getElementById("progressFill");
     this.status = document.getElementById("status");
+    this.stopButton = document.getElementById("stopBenchmark");
     this.resultsBody = document.getElementById("resultsBody");
     this.summary = document.getElementById("summary");
     this.summaryStats = document.getElementById("summaryStats");
@@ -41,13 +52,32 @@ class Benchmarkify {
     this.projection1m = document.getElementById("projection1m");
     this.projection10m = document.getElementById("projection10m");
 
+    // Scopes server-side audit logs and stored product IDs to this tab
+    this.browserSessionId = this.getBrowserSessionId();
+    this.lastRunId = null;
+    this.failureBreakdowns = {};
+    this.latencyStats = {};
+    this.verdict = null;
+    this.apiVersionComparison = null;
+    this.bulkResults = {};
+    this.exportResults = {};
+    this.readResults = {};
+    this.readShapeLabels = {
+      readList: "product list",
+      readById: "by ID",
+      readSearch: "search",
+      readNested: "nested connections",
+    };
+
     this.bindEvents();
     this.initializeGraphQLQueries();
     this.loadStoredCredentials();
+    this.loadApiVersions();
   }
 
   bindEvents() {
     this.form.addEventListener("submit", (e) => this.handleSubmit(e));
+    this.stopButton.addEventListener("click", () => this.stopBenchmark());
 
     // Tab switching for GraphQL queries
     const tabBtns = document.querySelectorAll(".tab-btn");
@@ -85,6 +115,39 @@ class Benchmarkify {
         this.analyzeRateLimits();
       });
 
+    // Query cost analyzer
+    document
+      .getElementById("analyzeQueryCost")
+      .addEventListener("click", () => this.analyzeQueryCost());
+    document
+      .getElementById("estimateQueryCost")
+      .addEventListener("click", () => this.estimateQueryCost());
+    document
+      .getElementById("validateCostEstimator")
+      .addEventListener("click", () => this.validateCostEstimator());
+
+    // Schema browser
+    document
+      .getElementById("searchSchema")
+      .addEventListener("click", () => this.searchSchema());
+    document
+      .getElementById("refreshSchema")
+      .addEventListener("click", () => this.searchSchema({ refresh: true }));
+    document.getElementById("schemaSearch").addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.searchSchema();
+      }
+    });
+    // Type names in the results jump to that type
+    document.getElementById("schemaResults").addEventListener("click", (e) => {
+      const link = e.target.closest(".schema-type-link");
+      if (!link) return;
+      document.getElementById("schemaSearch").value = link.dataset.type;
+      document.getElementById("schemaKind").value = "";
+      this.searchSchema();
+    });
+
     // Credential storage events
     document
       .getElementById("storeCredentials")
@@ -108,6 +171,26 @@ class Benchmarkify {
         this.clearStoredCredentials();
       });
 
+    // Run comparison events
+    document
+      .getElementById("refreshComparisonRuns")
+      .addEventListener("click", () => this.loadComparisonRuns());
+    document
+      .getElementById("compareRuns")
+      .addEventListener("click", () => this.compareRuns());
+    this.loadComparisonRuns();
+
+    // Scenario file events
+    document
+      .getElementById("scenarioFile")
+      .addEventListener("change", (e) => this.loadScenarioFile(e.target));
+    document
+      .getElementById("validateScenario")
+      .addEventListener("click", () => this.validateScenario());
+    document
+      .getElementById("runScenario")
+      .addEventListener("click", () => this.runScenario());
+
     // Operation checkbox events
     this.bindOperationCheckboxes();
 
@@ -117,10 +200,23 @@ class Benchmarkify {
 
   bindOperationCheckboxes() {
     const createCheckbox = document.getElementById("enableCreate");
+    const bulkCreateCheckbox = document.getElementById("enableBulkCreate");
+    const exportCheckbox = document.getElementById("enableExport");
+    const readCheckbox = document.getElementById("enableRead");
     const updateCheckbox = document.getElementById("enableUpdate");
     const deleteCheckbox = document.getElementById("enableDelete");
 
     const createCountInput = document.getElementById("createCount");
+    const bulkCreateCountInput = document.getElementById("bulkCreateCount");
+    const exportCountInput = document.getElementById("exportCount");
+    const readCountInput = document.getElementById("readCount");
+    // Read settings only apply while read queries are enabled
+    const readSettingInputs = [
+      ...document.querySelectorAll('input[name="readShape"]'),
+      document.getElementById("readFirst"),
+      document.getElementById("readNestedFirst"),
+      document.getElementById("readSearchQuery"),
+    ];
     const updateCountInput = document.getElementById("updateCount");
     const deleteCountInput = document.getElementById("deleteCount");
 
@@ -135,6 +231,45 @@ class Benchmarkify {
       this.updateOperationLabels();
     });
 
+    // Handle bulk create checkbox
+    bulkCreateCheckbox.addEventListener("change", () => {
+      bulkCreateCountInput.disabled = !bulkCreateCheckbox.checked;
+      if (!bulkCreateCheckbox.checked) {
+        bulkCreateCountInput.value = "";
+      } else if (!bulkCreateCountInput.value) {
+        bulkCreateCountInput.value = "1000";
+      }
+      this.updateOperationLabels();
+      this.updateOperationsSummary();
+    });
+
+    // Handle export checkbox
+    exportCheckbox.addEventListener("change", () => {
+      exportCountInput.disabled = !exportCheckbox.checked;
+      if (!exportCheckbox.checked) {
+        exportCountInput.value = "";
+      } else if (!exportCountInput.value) {
+        exportCountInput.value = "10000";
+      }
+      this.updateOperationLabels();
+      this.updateOperationsSummary();
+    });
+
+    // Handle read queries checkbox
+    readCheckbox.addEventListener("change", () => {
+      readCountInput.disabled = !readCheckbox.checked;
+      readSettingInputs.forEach((input) => {
+        input.disabled = !readCheckbox.checked;
+      });
+      if (!readCheckbox.checked) {
+        readCountInput.value = "";
+      } else if (!readCountInput.value) {
+        readCountInput.value = "20";
+      }
+      this.updateOperationLabels();
+      this.updateOperationsSummary();
+    });
+
     // Handle update checkbox
     updateCheckbox.addEventListener("change", () => {
       updateCountInput.disabled = !updateCheckbox.checked;
@@ -160,6 +295,12 @@ class Benchmarkify {
 
     // Initialize disabled state
     createCountInput.disabled = !createCheckbox.checked;
+    bulkCreateCountInput.disabled = !bulkCreateCheckbox.checked;
+    exportCountInput.disabled = !exportCheckbox.checked;
+    readCountInput.disabled = !readCheckbox.checked;
+    readSettingInputs.forEach((input) => {
+      input.disabled = !readCheckbox.checked;
+    });
     updateCountInput.disabled = !updateCheckbox.checked;
     deleteCountInput.disabled = !deleteCheckbox.checked;
 
@@ -167,6 +308,18 @@ class Benchmarkify {
     createCountInput.addEventListener("input", () =>
       this.updateOperationsSummary()
     );
+    bulkCreateCountInput.addEventListener("input", () =>
+      this.updateOperationsSummary()
+    );
+    exportCountInput.addEventListener("input", () =>
+      this.updateOperationsSummary()
+    );
+    readCountInput.addEventListener("input", () =>
+      this.updateOperationsSummary()
+    );
+    readSettingInputs.forEach((input) =>
+      input.addEventListener("change", () => this.updateOperationsSummary())
+    );
     updateCountInput.addEventListener("input", () =>
       this.updateOperationsSummary()
     );
@@ -189,14 +342,478 @@ class Benchmarkify {
     document
       .getElementById("viewAuditSummary")
       .addEventListener("click", () => this.viewAuditSummary());
+    document
+      .getElementById("auditRunSelect")
+      .addEventListener("change", () => this.loadTimeSeries());
+    this.loadRunHistory();
+  }
+
+  async loadRunHistory() {
+    const select = document.getElementById("auditRunSelect");
+    try {
+      const response = await fetch(`/api/runs${this.sessionQuery()}`);
+      if (!response.ok) {
+        throw new Error("Failed to fetch run history");
+      }
+
+      const { runs } = await response.json();
+      const selected = select.value;
+      select.innerHTML = '<option value="">Latest run</option>';
+      runs
+        .filter((run) => run.id !== this.browserSessionId)
+        .forEach((run) => {
+          const option = document.createElement("option");
+          option.value = run.id;
+          option.textContent = `${new Date(run.startTime).toLocaleString()} — ${
+            run.scenarios.join(", ") || "no benchmarks"
+          } (${run.totalOperations} ops)${
+            run.verdict
+              ? ` — budgets ${run.verdict === "pass" ? "✅" : "❌"}`
+              : ""
+          }${
+            run.apiVersions?.length
+              ? ` — API ${run.apiVersions.join(" vs ")}`
+              : ""
+          }`;
+          select.appendChild(option);
+        });
+      select.value = selected;
+    } catch (error) {
+      console.error("Error loading run history:", error);
+    }
+  }
+
+  // This session's saved runs; runs from earlier sessions are compared by
+  // uploading their JSON audit logs
+  async loadComparisonRuns() {
+    const list = document.getElementById("comparisonRunList");
+    try {
+      const response = await fetch(`/api/runs${this.sessionQuery()}`);
+      if (!response.ok) {
+        throw new Error("Failed to fetch runs");
+      }
+
+      const { runs } = await response.json();
+      const checked = new Set(
+        Array.from(list.querySelectorAll("input:checked")).map(
+          (input) => input.value
+        )
+      );
+      const benchmarkRuns = runs.filter((run) => run.scenarios.length > 0);
+      list.innerHTML =
+        benchmarkRuns.length === 0
+          ? '<p class="comparison-empty">No saved benchmark runs yet.</p>'
+          : benchmarkRuns
+              .map(
+                (run) => `
+                  <label class="comparison-run">
+                    <input type="checkbox" value="${this.escapeHtml(run.id)}"${
+                  checked.has(run.id) ? " checked" : ""
+                }>
+                    ${new Date(
+                      run.startTime
+                    ).toLocaleString()} — ${this.escapeHtml(
+                  run.scenarios.join(", ")
+                )} (${run.totalOperations} ops)
+                  </label>
+                `
+              )
+              .join("");
+    } catch (error) {
+      console.error("Error loading runs for comparison:", error);
+    }
+  }
+
+  async compareRuns() {
+    const container = document.getElementById("comparisonResults");
+    try {
+      const runIds = Array.from(
+        document.querySelectorAll("#comparisonRunList input:checked")
+      ).map((input) => input.value);
+      const uploads = await Promise.all(
+        Array.from(document.getElementById("comparisonUploads").files).map(
+          async (file) => {
+            try {
+              return { name: file.name, log: JSON.parse(await file.text()) };
+            } catch (error) {
+              throw new Error(`${file.name} is not valid JSON`);
+            }
+          }
+        )
+      );
+
+      const response = await fetch("/api/runs/compare", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          runIds,
+          uploads,
+          sessionId: this.browserSessionId,
+        }),
+      });
+      const comparison = await response.json();
+      if (!response.ok) {
+        throw new Error(comparison.error || "Failed to compare runs");
+      }
+
+      this.showRunComparison(comparison);
+    } catch (error) {
+      console.error("Error comparing runs:", error);
+      container.innerHTML = `<p class="comparison-error">${this.escapeHtml(
+        error.message
+      )}</p>`;
+      container.style.display = "block";
+    }
+  }
+
+  // Metric deltas of one comparison (runs or API versions) as a table
+  comparisonTable(metrics, candidateLabel) {
+    const format = (metric, value) =>
+      metric === "failureRate"
+        ? `${(value * 100).toFixed(1)}%`
+        : value.toFixed(metric === "throughput" ? 2 : 1);
+
+    const rows = metrics
+      .map(
+        (metric) => `
+          <tr>
+            <td>${metric.label}</td>
+            <td>${format(metric.metric, metric.baseline)}</td>
+            <td>${format(metric.metric, metric.candidate)}</td>
+            <td>${metric.delta > 0 ? "+" : ""}${format(
+          metric.metric,
+          metric.delta
+        )}${
+          metric.deltaPercent === null
+            ? ""
+            : ` (${
+                metric.deltaPercent > 0 ? "+" : ""
+              }${metric.deltaPercent.toFixed(1)}%)`
+        }</td>
+            <td>${metric.test ? metric.test.pValue.toFixed(3) : "-"}</td>
+            <td><span class="comparison-badge ${metric.verdict}">${
+          metric.verdict
+        }</span></td>
+          </tr>
+        `
+      )
+      .join("");
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Baseline</th>
+            <th>${candidateLabel}</th>
+            <th>Change</th>
+            <th>p-value</th>
+            <th>Verdict</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  regressionBadge(regressions) {
+    return regressions.length > 0
+      ? ` — <span class="comparison-badge regression">${regressions.length} regression(s)</span>`
+      : "";
+  }
+
+  showRunComparison(comparison) {
+    const container = document.getElementById("comparisonResults");
+    const runs = new Map(comparison.runs.map((run) => [run.id, run]));
+    const describe = (run) =>
+      `${new Date(run.startTime).toLocaleString()}${
+        run.source === "run" ? "" : ` (${this.escapeHtml(run.source)})`
+      }`;
+
+    container.innerHTML = comparison.comparisons
+      .map(
+        (entry) => `
+          <h5>${describe(runs.get(entry.runId))} vs baseline ${describe(
+          runs.get(comparison.baseline)
+        )}${this.regressionBadge(entry.regressions)}</h5>
+          ${this.comparisonTable(entry.metrics, "This run")}
+        `
+      )
+      .join("");
+    container.style.display = "block";
+  }
+
+  // The same operations run against two Admin API versions, back to back
+  showApiVersionComparison() {
+    const container = document.getElementById("apiVersionComparison");
+    if (!this.apiVersionComparison) {
+      container.style.display = "none";
+      return;
+    }
+
+    const { baseline, comparisons } = this.apiVersionComparison;
+    container.innerHTML = `
+      <h4>🔢 API Version Comparison</h4>
+      ${comparisons
+        .map(
+          (entry) => `
+            <h5>API ${this.escapeHtml(
+              entry.apiVersion
+            )} vs baseline ${this.escapeHtml(baseline)}${this.regressionBadge(
+            entry.regressions
+          )}</h5>
+            ${this.comparisonTable(
+              entry.metrics,
+              this.escapeHtml(entry.apiVersion)
+            )}
+          `
+        )
+        .join("")}
+    `;
+    container.style.display = "block";
+  }
+
+  // Bulk operations next to this run's per-request mutations
+  showBulkComparison() {
+    const container = document.getElementById("bulkComparison");
+    const runs = Object.values(this.bulkResults);
+    if (runs.length === 0) {
+      container.style.display = "none";
+      return;
+    }
+
+    const rows = runs
+      .map(({ operation, result }) => {
+        const { comparison, timings } = result.bulk;
+        return `
+          <tr>
+            <td>${this.escapeHtml(operation)}</td>
+            <td>${result.counts.successful}/${result.counts.total}</td>
+            <td>${result.totalTime}s</td>
+            <td>${result.throughput.toFixed(2)}</td>
+            <td>${
+              comparison
+                ? `${comparison.perMutation.throughput.toFixed(
+                    2
+                  )} (${this.escapeHtml(comparison.phase)})`
+                : "-"
+            }</td>
+            <td>${
+              comparison?.speedup ? `${comparison.speedup.toFixed(1)}x` : "-"
+            }</td>
+            <td>${Object.entries(timings)
+              .filter(([step]) => step !== "totalMs")
+              .map(
+                ([step, ms]) =>
+                  `${step.replace(/Ms$/, "")} ${(ms / 1000).toFixed(1)}s`
+              )
+              .join(", ")}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    container.innerHTML = `
+      <h4>📦 Bulk Operation vs Per-Request Mutations</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>Operation</th>
+            <th>Products</th>
+            <th>Total time</th>
+            <th>Objects/sec</th>
+            <th>Per-request objects/sec</th>
+            <th>Speedup</th>
+            <th>Bulk steps</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${
+        runs.some(({ result }) => !result.bulk.comparison)
+          ? "<p>Run Create in the same benchmark to compare with per-request mutations.</p>"
+          : ""
+      }
+    `;
+    container.style.display = "block";
+  }
+
+  // Paginated reads next to the bulk query export of the same catalog
+  showExportComparison() {
+    const container = document.getElementById("exportComparison");
+    const runs = Object.values(this.exportResults);
+    if (runs.length === 0) {
+      container.style.display = "none";
+      return;
+    }
+
+    const approachRow = (operation, name, approach, extra) => `
+      <tr>
+        <td>${this.escapeHtml(operation)}</td>
+        <td>${name}</td>
+        <td>${approach.rows}</td>
+        <td>${approach.totalTime.toFixed(2)}s</td>
+        <td>${approach.cost}</td>
+        <td>${approach.rowsPerSecond.toFixed(2)}</td>
+        <td>${extra}</td>
+      </tr>
+    `;
+    const rows = runs
+      .map(({ operation, result }) => {
+        const { pagination, bulk, speedup, faster } = result.export;
+        return `
+          ${approachRow(
+            operation,
+            "Cursor pagination",
+            pagination,
+            `${pagination.pages} pages${
+              faster === "pagination"
+                ? ` · ${(1 / speedup).toFixed(1)}x faster`
+                : ""
+            }`
+          )}
+          ${approachRow(
+            operation,
+            "Bulk export",
+            bulk,
+            bulk.error
+              ? `Failed: ${this.escapeHtml(bulk.error)}`
+              : `${this.escapeHtml(bulk.status || "-")}, ${bulk.polls} polls${
+                  faster === "bulk" ? ` · ${speedup.toFixed(1)}x faster` : ""
+                }`
+          )}
+        `;
+      })
+      .join("");
+
+    container.innerHTML = `
+      <h4>📤 Bulk Export vs Paginated Reads</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>Operation</th>
+            <th>Approach</th>
+            <th>Rows</th>
+            <th>Total time</th>
+            <th>Cost points</th>
+            <th>Rows/sec</th>
+            <th>Notes</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p>A bulk export always returns the whole catalog; the product count only caps the paginated read.</p>
+    `;
+    container.style.display = "block";
+  }
+
+  // Each read query shape's page rate and what its queries cost: Shopify
+  // charges the requested cost up front and refunds what went unused
+  showReadSummary() {
+    const container = document.getElementById("readSummary");
+    const runs = Object.values(this.readResults);
+    if (runs.length === 0) {
+      container.style.display = "none";
+      return;
+    }
+
+    const rows = runs
+      .map(({ operation, result }) => {
+        const { read, latency } = result;
+        const { requested, actual, chargedRatio } = read.queryCost;
+        const settings = Object.entries(read.settings)
+          .map(([key, value]) => `${key}: ${value ?? "default"}`)
+          .join(", ");
+        return `
+          <tr>
+            <td>${this.escapeHtml(operation)}</td>
+            <td>${this.escapeHtml(settings || "-")}</td>
+            <td>${read.pages}</td>
+            <td>${read.pagesPerSecond.toFixed(2)}</td>
+            <td>${read.rowsPerPage.toFixed(1)}</td>
+            <td>${requested ? requested.mean.toFixed(1) : "-"}</td>
+            <td>${actual.mean.toFixed(1)}</td>
+            <td>${
+              chargedRatio === null
+                ? "-"
+                : `${(chargedRatio * 100).toFixed(0)}%`
+            }</td>
+            <td>${
+              latency?.count ? `${latency.p50} / ${latency.p95}ms` : "-"
+            }</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    container.innerHTML = `
+      <h4>🔎 Read Query Costs</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>Query</th>
+            <th>Settings</th>
+            <th>Queries</th>
+            <th>Queries/sec</th>
+            <th>Rows/query</th>
+            <th>Requested cost</th>
+            <th>Actual cost</th>
+            <th>Charged</th>
+            <th>p50 / p95</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p>Costs are per query. Connections are priced at their full page size up front; the actual cost only counts what came back.</p>
+    `;
+    container.style.display = "block";
+  }
+
+  // Selected historical run, otherwise the latest job, otherwise this
+  // session's own log (connection tests, rate limit analysis)
+  auditRunId() {
+    return (
+      document.getElementById("auditRunSelect").value ||
+      this.lastRunId ||
+      this.browserSessionId
+    );
+  }
+
+  // Runs, jobs and progress streams only answer the session that started them
+  sessionQuery() {
+    return `?sessionId=${encodeURIComponent(this.browserSessionId)}`;
+  }
+
+  auditLogQuery() {
+    return `?runId=${encodeURIComponent(
+      this.auditRunId()
+    )}&sessionId=${encodeURIComponent(this.browserSessionId)}`;
+  }
+
+  getBrowserSessionId() {
+    let sessionId = sessionStorage.getItem("benchmarkifyBrowserSession");
+    if (!sessionId) {
+      sessionId = `session-${Date.now()}-${Math.random()
+        .toString(36)
+        .substring(2, 8)}`;
+      sessionStorage.setItem("benchmarkifyBrowserSession", sessionId);
+    }
+    return sessionId;
   }
 
   updateOperationLabels() {
     const createCheckbox = document.getElementById("enableCreate");
+    const bulkCreateCheckbox = document.getElementById("enableBulkCreate");
+    const exportCheckbox = document.getElementById("enableExport");
+    const readCheckbox = document.getElementById("enableRead");
     const updateCheckbox = document.getElementById("enableUpdate");
     const deleteCheckbox = document.getElementById("enableDelete");
 
     const createLabel = createCheckbox.parentElement.querySelector("span");
+    const bulkCreateLabel =
+      bulkCreateCheckbox.parentElement.querySelector("span");
+    const exportLabel = exportCheckbox.parentElement.querySelector("span");
+    const readLabel = readCheckbox.parentElement.querySelector("span");
     const updateLabel = updateCheckbox.parentElement.querySelector("span");
     const deleteLabel = deleteCheckbox.parentElement.querySelector("span");
 
@@ -211,6 +828,39 @@ class Benchmarkify {
       createCheckbox.parentElement.classList.add("disabled");
     }
 
+    // Update bulk create label and styling
+    if (bulkCreateCheckbox.checked) {
+      bulkCreateLabel.textContent = "📦 Bulk Create Products";
+      bulkCreateLabel.style.color = "#0e7490";
+      bulkCreateCheckbox.parentElement.classList.remove("disabled");
+    } else {
+      bulkCreateLabel.textContent = "⏸️ Bulk Create Products (Disabled)";
+      bulkCreateLabel.style.color = "#6b7280";
+      bulkCreateCheckbox.parentElement.classList.add("disabled");
+    }
+
+    // Update export label and styling
+    if (exportCheckbox.checked) {
+      exportLabel.textContent = "📤 Export Catalog";
+      exportLabel.style.color = "#b45309";
+      exportCheckbox.parentElement.classList.remove("disabled");
+    } else {
+      exportLabel.textContent = "⏸️ Export Catalog (Disabled)";
+      exportLabel.style.color = "#6b7280";
+      exportCheckbox.parentElement.classList.add("disabled");
+    }
+
+    // Update read queries label and styling
+    if (readCheckbox.checked) {
+      readLabel.textContent = "🔎 Read Queries";
+      readLabel.style.color = "#4338ca";
+      readCheckbox.parentElement.classList.remove("disabled");
+    } else {
+      readLabel.textContent = "⏸️ Read Queries (Disabled)";
+      readLabel.style.color = "#6b7280";
+      readCheckbox.parentElement.classList.add("disabled");
+    }
+
     // Update update label and styling
     if (updateCheckbox.checked) {
       updateLabel.textContent = "✅ Update Products";
@@ -236,10 +886,17 @@ class Benchmarkify {
 
   updateOperationsSummary() {
     const createCheckbox = document.getElementById("enableCreate");
+    const bulkCreateCheckbox = document.getElementById("enableBulkCreate");
+    const exportCheckbox = document.getElementById("enableExport");
+    const readCheckbox = document.getElementById("enableRead");
     const updateCheckbox = document.getElementById("enableUpdate");
     const deleteCheckbox = document.getElementById("enableDelete");
 
     const createCount = document.getElementById("createCount").value;
+    const bulkCreateCount = document.getElementById("bulkCreateCount").value;
+    const exportCount = document.getElementById("exportCount").value;
+    const readCount = document.getElementById("readCount").value;
+    const readShapes = this.selectedReadShapes();
     const updateCount = document.getElementById("updateCount").value;
     const deleteCount = document.getElementById("deleteCount").value;
 
@@ -256,6 +913,26 @@ class Benchmarkify {
       operations.push(`✅ Create ${createCount} products`);
     }
 
+    if (bulkCreateCheckbox.checked && bulkCreateCount) {
+      operations.push(
+        `📦 Bulk create ${bulkCreateCount} products in one bulk operation`
+      );
+    }
+
+    if (exportCheckbox.checked && exportCount) {
+      operations.push(
+        `📤 Read up to ${exportCount} products page by page, then export the catalog in bulk`
+      );
+    }
+
+    if (readCheckbox.checked && readCount && readShapes.length > 0) {
+      operations.push(
+        `🔎 Run ${readCount} queries each: ${readShapes
+          .map((shape) => this.readShapeLabels[shape])
+          .join(", ")}`
+      );
+    }
+
     if (updateCheckbox.checked && updateCount) {
       operations.push(`✅ Update ${updateCount} products`);
     }
@@ -342,6 +1019,107 @@ class Benchmarkify {
 }`;
   }
 
+  async loadScenarioFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    document.getElementById("scenarioDefinition").value = await file.text();
+    input.value = "";
+    this.validateScenario();
+  }
+
+  // Validate the pasted definition server-side; returns the normalized
+  // scenario, or null after listing the errors
+  async validateScenario() {
+    const container = document.getElementById("scenarioValidation");
+    const definition = document.getElementById("scenarioDefinition").value;
+    const show = (valid, html) => {
+      container.className = `scenario-validation ${
+        valid ? "valid" : "invalid"
+      }`;
+      container.innerHTML = html;
+      container.style.display = "block";
+    };
+
+    if (!definition.trim()) {
+      show(false, "Paste a scenario definition or load a file first.");
+      return null;
+    }
+
+    try {
+      const response = await fetch("/api/scenarios/validate", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ definition, ...this.apiVersionSettings() }),
+      });
+      const result = await response.json();
+      if (!response.ok && !result.errors) {
+        throw new Error(result.error || "Failed to validate scenario");
+      }
+
+      if (!result.valid) {
+        show(
+          false,
+          `<strong>❌ Invalid scenario</strong><ul>${result.errors
+            .map((error) => `<li>${this.escapeHtml(error)}</li>`)
+            .join("")}</ul>`
+        );
+        return null;
+      }
+
+      const { scenario } = result;
+      show(
+        true,
+        `<strong>✅ ${this.escapeHtml(
+          scenario.name
+        )}</strong>: ${scenario.phases
+          .map((phase) =>
+            phase.operation
+              ? `${this.escapeHtml(phase.key)} ×${phase.count}`
+              : `pause ${phase.pause}s`
+          )
+          .join(" → ")}`
+      );
+      return scenario;
+    } catch (error) {
+      console.error("Error validating scenario:", error);
+      show(false, this.escapeHtml(error.message));
+      return null;
+    }
+  }
+
+  async runScenario() {
+    const formData = new FormData(this.form);
+    const storeUrl = formData.get("storeUrl");
+    const accessToken = formData.get("accessToken");
+
+    if (!storeUrl || !accessToken) {
+      alert("Please fill in all fields");
+      return;
+    }
+
+    const scenario = await this.validateScenario();
+    if (!scenario) return;
+
+    this.benchmarkSection.style.display = "block";
+    const controls = document.querySelectorAll(
+      "#credentialsForm input, #credentialsForm button, .benchmark-config input, .benchmark-config button, .benchmark-config textarea"
+    );
+    controls.forEach((el) => (el.disabled = true));
+
+    await this.runJob(
+      "/api/scenarios/run",
+      scenario.phases.filter((phase) => phase.operation),
+      {
+        storeUrl,
+        accessToken,
+        definition: document.getElementById("scenarioDefinition").value,
+        ...this.apiVersionSettings(),
+      }
+    );
+
+    controls.forEach((el) => (el.disabled = false));
+  }
+
   async handleSubmit(e) {
     console.log("🔍 Form submitted - starting main benchmark");
     console.log("🔍 Event target:", e.target);
@@ -360,11 +1138,22 @@ class Benchmarkify {
 
     // Get operation selection
     const enableCreate = document.getElementById("enableCreate").checked;
+    const enableBulkCreate =
+      document.getElementById("enableBulkCreate").checked;
+    const enableExport = document.getElementById("enableExport").checked;
+    const enableRead = document.getElementById("enableRead").checked;
     const enableUpdate = document.getElementById("enableUpdate").checked;
     const enableDelete = document.getElementById("enableDelete").checked;
 
     // Check if at least one operation is selected
-    if (!enableCreate && !enableUpdate && !enableDelete) {
+    if (
+      !enableCreate &&
+      !enableBulkCreate &&
+      !enableExport &&
+      !enableRead &&
+      !enableUpdate &&
+      !enableDelete
+    ) {
       alert("Please select at least one operation to benchmark");
       return;
     }
@@ -373,6 +1162,17 @@ class Benchmarkify {
     const createCount = enableCreate
       ? parseInt(document.getElementById("createCount").value) || 100
       : 0;
+    const bulkCreateCount = enableBulkCreate
+      ? parseInt(document.getElementById("bulkCreateCount").value) || 1000
+      : 0;
+    const exportCount = enableExport
+      ? parseInt(document.getElementById("exportCount").value) || 10000
+      : 0;
+    const readCount = enableRead
+      ? parseInt(document.getElementById("readCount").value) || 20
+      : 0;
+    const readShapes = enableRead ? this.selectedReadShapes() : [];
+    const readSettings = this.readSettings();
     const updateCount = enableUpdate
       ? parseInt(document.getElementById("updateCount").value) || 100
       : 0;
@@ -390,6 +1190,36 @@ class Benchmarkify {
       alert("Please enter a valid number of products to create (1-1,000,000)");
       return;
     }
+    if (
+      enableBulkCreate &&
+      (bulkCreateCount < 1 || bulkCreateCount > 1000000)
+    ) {
+      alert(
+        "Please enter a valid number of products to bulk create (1-1,000,000)"
+      );
+      return;
+    }
+    if (enableExport && (exportCount < 1 || exportCount > 1000000)) {
+      alert("Please enter a valid number of products to export (1-1,000,000)");
+      return;
+    }
+    if (enableRead && (readCount < 1 || readCount > 1000000)) {
+      alert("Please enter a valid number of queries per shape (1-1,000,000)");
+      return;
+    }
+    if (enableRead && readShapes.length === 0) {
+      alert("Please select at least one read query shape");
+      return;
+    }
+    if (
+      enableRead &&
+      [readSettings.first, readSettings.nestedFirst].some(
+        (size) => size !== undefined && !(size >= 1 && size <= 250)
+      )
+    ) {
+      alert("Please enter read page sizes from 1 to 250");
+      return;
+    }
     if (enableUpdate && (updateCount < 1 || updateCount > 1000000)) {
       alert("Please enter a valid number of products to update (1-1,000,000)");
       return;
@@ -400,7 +1230,7 @@ class Benchmarkify {
     }
 
     // Additional validation: if update/delete are enabled, ensure create is also enabled or there are existing products
-    if ((enableUpdate || enableDelete) && !enableCreate) {
+    if ((enableUpdate || enableDelete) && !enableCreate && !enableBulkCreate) {
       alert(
         "⚠️ Warning: Update and Delete operations require existing products. Consider enabling Create operation first, or ensure you have existing benchmark products in your store."
       );
@@ -417,11 +1247,18 @@ class Benchmarkify {
     // Start benchmarking with configuration
     await this.startBenchmark(storeUrl, accessToken, {
       createCount,
+      bulkCreateCount,
+      exportCount,
+      readCount,
+      readShapes,
+      readSettings,
       updateCount,
       deleteCount,
       batchSize,
       delayBetweenBatches,
       delayBetweenOperations: 3, // 3 second delay between operations
+      assertions: this.budgetAssertions(),
+      ...this.apiVersionSettings(),
     });
 
     // Re-enable controls after run to allow immediate follow-up operations
@@ -431,252 +1268,429 @@ class Benchmarkify {
   async startBenchmark(storeUrl, accessToken, config) {
     console.log("🔍 startBenchmark called with config:", config);
 
+    const rows = [
+      config.createCount > 0 && { key: "create", operation: "create" },
+      config.bulkCreateCount > 0 && {
+        key: "bulkCreate",
+        operation: "bulkCreate",
+      },
+      config.exportCount > 0 && { key: "export", operation: "export" },
+      ...config.readShapes.map((shape) => ({ key: shape, operation: shape })),
+      config.updateCount > 0 && { key: "update", operation: "update" },
+      config.deleteCount > 0 && { key: "delete", operation: "delete" },
+    ].filter(Boolean);
+
+    await this.runJob("/api/jobs", rows, {
+      storeUrl,
+      accessToken,
+      operations: {
+        create: config.createCount,
+        bulkCreate: config.bulkCreateCount,
+        export: config.exportCount,
+        ...Object.fromEntries(
+          config.readShapes.map((shape) => [shape, config.readCount])
+        ),
+        update: config.updateCount,
+        delete: config.deleteCount,
+      },
+      readSettings: config.readSettings,
+      delayBetweenOperations: config.delayBetweenOperations,
+      assertions: config.assertions,
+      apiVersion: config.apiVersion,
+      compareApiVersion: config.compareApiVersion,
+    });
+  }
+
+  selectedReadShapes() {
+    return Array.from(
+      document.querySelectorAll('input[name="readShape"]:checked')
+    ).map((input) => input.value);
+  }
+
+  // Read setting inputs; empty fields leave each query shape's default
+  readSettings() {
+    const size = (id) => {
+      const value = document.getElementById(id).value;
+      return value === "" ? undefined : Number(value);
+    };
+    return {
+      first: size("readFirst"),
+      nestedFirst: size("readNestedFirst"),
+      search:
+        document.getElementById("readSearchQuery").value.trim() || undefined,
+    };
+  }
+
+  // API version inputs; empty fields leave the choice to the server default
+  apiVersionSettings() {
+    const value = (id) => document.getElementById(id).value.trim() || undefined;
+    return {
+      apiVersion: value("apiVersion"),
+      compareApiVersion: value("compareApiVersion"),
+    };
+  }
+
+  // Suggest recent versions and show the server's default as the placeholder
+  async loadApiVersions() {
+    try {
+      const response = await fetch("/api/api-versions");
+      if (!response.ok) return;
+
+      const versions = await response.json();
+      document.getElementById("apiVersion").placeholder = versions.default;
+      document.getElementById("apiVersionOptions").innerHTML = [
+        ...versions.recent,
+        "unstable",
+      ]
+        .map((version) => `<option value="${version}"></option>`)
+        .join("");
+    } catch (error) {
+      console.error("Error loading API versions:", error);
+    }
+  }
+
+  // Budget inputs as server-side assertions on every operation
+  budgetAssertions() {
+    return [
+      { id: "budgetP95", metric: "latencyP95", limit: "max" },
+      { id: "budgetFailureRate", metric: "failureRate", limit: "max" },
+      { id: "budgetThroughput", metric: "throughput", limit: "min" },
+    ]
+      .map(({ id, metric, limit }) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? { metric, [limit]: value } : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Start a background job (form or scenario file) and follow it to the end.
+  // `rows` are the result table rows: { key, operation } per phase.
+  async runJob(url, rows, body) {
     try {
       this.updateStatus("Starting GraphQL benchmark...");
       this.updateProgress(0);
 
       // Initialize results table based on selected operations
-      this.initializeResultsTable(config);
-
-      let progress = 0;
-      const totalOperations = [
-        config.createCount > 0,
-        config.updateCount > 0,
-        config.deleteCount > 0,
-      ].filter(Boolean).length;
-      const progressPerOperation =
-        totalOperations > 0 ? 100 / totalOperations : 100;
-
-      // Start product creation benchmark if enabled
-      if (config.createCount > 0) {
-        await this.benchmarkProductCreation(
-          storeUrl,
-          accessToken,
-          config.createCount,
-          config
-        );
-        progress += progressPerOperation;
-        this.updateProgress(progress);
-
-        // Add delay after creation to ensure products are indexed
-        if (config.deleteCount > 0 || config.updateCount > 0) {
-          const delaySeconds = config.delayBetweenOperations || 8; // Increased from 3 to 8 seconds
-          console.log(
-            `⏳ Waiting ${delaySeconds} seconds for products to be indexed...`
-          );
-          this.updateStatus(
-            `Waiting ${delaySeconds} seconds for products to be indexed...`
-          );
-          await new Promise((resolve) =>
-            setTimeout(resolve, delaySeconds * 1000)
-          );
-        }
+      this.initializeResultsTable(rows);
+
+      const progressPerOperation = rows.length > 0 ? 100 / rows.length : 100;
+      this.progressState = { completed: 0, progressPerOperation };
+      this.failureBreakdowns = {};
+      this.latencyStats = {};
+      this.verdict = null;
+      this.apiVersionComparison = null;
+      this.bulkResults = {};
+      this.exportResults = {};
+      this.readResults = {};
+
+      // The server runs the whole benchmark as a background job and returns
+      // a job ID immediately; results are collected by polling
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          ...body,
+          browserSessionId: this.browserSessionId,
+        }),
+      });
+
+      const started = await response.json();
+      if (!response.ok) {
+        throw new Error(started.error || "Failed to start benchmark job");
       }
 
-      // Start product update benchmark if enabled
-      if (config.updateCount > 0) {
-        await this.benchmarkProductUpdates(
-          storeUrl,
-          accessToken,
-          config.updateCount,
-          config
-        );
-        progress += progressPerOperation;
-        this.updateProgress(progress);
-
-        // Add delay after updates if delete is next
-        if (config.deleteCount > 0) {
-          const delaySeconds = config.delayBetweenOperations || 2;
-          console.log(
-            `⏳ Waiting ${delaySeconds} seconds for updates to be indexed...`
-          );
-          this.updateStatus(
-            `Waiting ${delaySeconds} seconds for updates to be indexed...`
-          );
-          await new Promise((resolve) =>
-            setTimeout(resolve, delaySeconds * 1000)
-          );
-        }
+      // The server's plan wins, e.g. operations repeated per API version
+      if (started.phases) {
+        const plannedRows = started.phases
+          .filter((phase) => phase.operation)
+          .map((phase) => ({
+            key: phase.key || phase.operation,
+            operation: phase.operation,
+          }));
+        this.initializeResultsTable(plannedRows);
+        this.progressState.progressPerOperation = 100 / plannedRows.length;
       }
 
-      // Start product deletion benchmark if enabled
-      if (config.deleteCount > 0) {
-        await this.benchmarkProductDeletion(
-          storeUrl,
-          accessToken,
-          config.deleteCount,
-          config
-        );
-        progress += progressPerOperation;
-        this.updateProgress(progress);
+      this.currentJobId = started.jobId;
+      this.lastRunId = started.jobId;
+      this.stopButton.style.display = "inline-block";
+      this.stopButton.disabled = false;
+      this.progressStream = await this.openProgressStream(started.jobId);
+
+      const job = await this.pollJob(started.jobId);
+      this.verdict = job.verdict;
+      this.apiVersionComparison = job.apiVersionComparison;
+
+      if (job.state === "cancelled") {
+        this.updateStatus("GraphQL benchmark stopped - partial results shown");
+      } else if (job.state === "failed") {
+        this.updateStatus(`Error: ${job.error}`);
+        this.showDetailedError("Benchmark Failed", { message: job.error });
+      } else {
+        this.updateProgress(100);
+        this.updateStatus("GraphQL benchmark completed!");
       }
 
-      this.updateProgress(100);
-      this.updateStatus("GraphQL benchmark completed!");
       this.showRateLimitInfo();
+      this.loadTimeSeries();
       this.showGraphQLPayloads();
       this.showSummary();
+      this.loadRunHistory();
+      this.loadComparisonRuns();
     } catch (error) {
       console.error("Benchmark error:", error);
       this.updateStatus(`Error: ${error.message}`);
+    } finally {
+      this.closeProgressStream();
+      this.currentJobId = null;
+      this.stopButton.style.display = "none";
     }
   }
 
-  initializeResultsTable(config) {
-    let tableRows = "";
+  // Poll job status until it reaches a terminal state, filling in result rows
+  // as each operation finishes
+  async pollJob(jobId) {
+    const applied = new Set();
 
-    if (config.createCount > 0) {
-      tableRows += `
-        <tr id="create-row">
-          <td>Product Creation</td>
-          <td><span class="status-pending">Pending</span></td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-        </tr>
-      `;
-    }
+    while (true) {
+      const response = await fetch(`/api/jobs/${jobId}${this.sessionQuery()}`);
+      const job = await response.json();
+      if (!response.ok) {
+        throw new Error(job.error || "Failed to fetch job status");
+      }
 
-    if (config.updateCount > 0) {
-      tableRows += `
-        <tr id="update-row">
-          <td>Product Updates</td>
-          <td><span class="status-pending">Pending</span></td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-        </tr>
-      `;
-    }
+      Object.entries(job.results).forEach(([operation, result]) => {
+        if (applied.has(operation)) return;
+        applied.add(operation);
+        this.updateResultRow(`${operation}-row`, result);
+        this.progressState.completed =
+          applied.size * this.progressState.progressPerOperation;
+        this.updateProgress(this.progressState.completed);
+      });
 
-    if (config.deleteCount > 0) {
-      tableRows += `
-        <tr id="delete-row">
-          <td>Product Deletion</td>
-          <td><span class="status-pending">Pending</span></td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-          <td>-</td>
-        </tr>
-      `;
-    }
+      if (["completed", "failed", "cancelled"].includes(job.state)) {
+        // Operations that never started because the job was stopped
+        job.operations
+          .filter((phase) => phase.operation)
+          .map((phase) => phase.key || phase.operation)
+          .filter((key) => !applied.has(key))
+          .forEach((key) =>
+            this.updateResultRow(`${key}-row`, {
+              status: "cancelled",
+              details: "Not started - benchmark was stopped",
+            })
+          );
+        return job;
+      }
 
-    this.resultsBody.innerHTML = tableRows;
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
   }
 
-  async benchmarkProductCreation(storeUrl, accessToken, count, config) {
-    this.updateStatus(
-      `Testing GraphQL product creation performance (Count: ${count})...`
-    );
+  async stopBenchmark() {
+    if (!this.currentJobId) return;
 
-    try {
-      const response = await fetch("/api/benchmark/create", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          storeUrl,
-          accessToken,
-          count,
-          batchSize: config.batchSize || 10,
-          delayBetweenBatches: config.delayBetweenBatches || 100,
-        }),
-      });
+    this.stopButton.disabled = true;
+    this.updateStatus("Stopping benchmark after the current batch...");
 
+    try {
+      const response = await fetch(
+        `/api/jobs/${this.currentJobId}${this.sessionQuery()}`,
+        {
+          method: "DELETE",
+        }
+      );
       const result = await response.json();
-      this.updateResultRow("create-row", result);
+      if (!response.ok && response.status !== 409) {
+        throw new Error(result.error || "Failed to stop benchmark");
+      }
     } catch (error) {
-      this.updateResultRow("create-row", {
-        status: "error",
-        responseTime: "-",
-        rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-        cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-        details: error.message,
-      });
-      this.showDetailedError("Product Creation Failed", {
-        message: error.message,
-      });
+      console.error("Error stopping benchmark:", error);
+      this.stopButton.disabled = false;
+      alert(`Failed to stop benchmark: ${error.message}`);
     }
   }
 
-  async benchmarkProductUpdates(storeUrl, accessToken, count, config) {
-    this.updateStatus(
-      `Testing GraphQL product update performance (Count: ${count})...`
+  // Open the Server-Sent Events progress channel for a run. Resolves once the
+  // connection is open (or after a short timeout) so no early events are missed.
+  openProgressStream(runId) {
+    if (!window.EventSource) return Promise.resolve(null);
+
+    const source = new EventSource(
+      `/api/benchmark/progress/${runId}${this.sessionQuery()}`
+    );
+    ["start", "batch", "bulk", "export", "status", "complete", "error"].forEach(
+      (type) => {
+        source.addEventListener(type, (e) => {
+          // Connection errors arrive as "error" events without data
+          if (!e.data) return;
+          try {
+            this.handleProgressEvent(JSON.parse(e.data));
+          } catch (parseError) {
+            console.warn("Ignoring malformed progress event:", parseError);
+          }
+        });
+      }
     );
 
-    try {
-      const response = await fetch("/api/benchmark/update", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => resolve(source), 2000);
+      source.addEventListener(
+        "open",
+        () => {
+          clearTimeout(timeout);
+          resolve(source);
         },
-        body: JSON.stringify({
-          storeUrl,
-          accessToken,
-          count,
-          batchSize: config.batchSize || 10,
-          delayBetweenBatches: config.delayBetweenBatches || 100,
-        }),
-      });
+        { once: true }
+      );
+    });
+  }
 
-      const result = await response.json();
-      this.updateResultRow("update-row", result);
-    } catch (error) {
-      this.updateResultRow("update-row", {
-        status: "error",
-        responseTime: "-",
-        rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-        cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-        details: error.message,
-      });
-      this.showDetailedError("Product Update Failed", {
-        message: error.message,
-      });
+  closeProgressStream() {
+    if (this.progressStream) {
+      this.progressStream.close();
+      this.progressStream = null;
+    }
+  }
+
+  handleProgressEvent(event) {
+    const rowId = `${event.phase || event.operation}-row`;
+    const label = {
+      create: "Creating",
+      bulkCreate: "Bulk creating",
+      export: "Exporting",
+      readList: "Reading pages",
+      readById: "Looking up products",
+      readSearch: "Searching",
+      readNested: "Reading nested pages",
+      update: "Updating",
+      delete: "Deleting",
+    }[event.operation];
+
+    if (event.type === "status") {
+      this.updateStatus(event.message);
+      return;
+    }
+
+    if (event.type === "start") {
+      this.updateRowProgress(rowId, "Running", `0/${event.total} queued`);
+      return;
+    }
+
+    if (!["batch", "bulk", "export"].includes(event.type)) return;
+
+    // Overall progress = finished operations + fraction of the current one
+    const fraction = event.total > 0 ? event.processed / event.total : 0;
+    this.updateProgress(
+      Math.min(
+        this.progressState.completed +
+          fraction * this.progressState.progressPerOperation,
+        100
+      )
+    );
+
+    const eta =
+      event.etaSeconds != null
+        ? ` · ETA ${this.formatEta(event.etaSeconds)}`
+        : "";
+
+    // Bulk operations report Shopify's progress through the uploaded rows
+    if (event.type === "bulk") {
+      this.updateStatus(
+        `${label} products: ${event.processed}/${event.total} (bulk operation ${event.status})${eta}`
+      );
+      this.updateRowProgress(
+        rowId,
+        "Running",
+        `Bulk operation ${event.status}: ${event.processed}/${event.total} rows${eta}`
+      );
+      return;
+    }
+
+    // Exports read the catalog twice: page by page, then as one bulk query
+    if (event.type === "export") {
+      const stage =
+        event.stage === "bulk"
+          ? `bulk export ${event.status}`
+          : `paginated read, page ${event.pages}`;
+      this.updateStatus(
+        `${label} products: ${event.processed}/${event.total} (${stage})${eta}`
+      );
+      this.updateRowProgress(
+        rowId,
+        "Running",
+        `${stage[0].toUpperCase()}${stage.slice(1)}: ${event.processed}/${
+          event.total
+        } rows${eta}`
+      );
+      return;
     }
-  }
-
-  async benchmarkProductDeletion(storeUrl, accessToken, count, config) {
     this.updateStatus(
-      `Testing GraphQL product deletion performance (Count: ${count})...`
+      `${label} products: ${event.processed}/${event.total} (batch ${event.batch}, size ${event.batchSize}, delay ${event.delay}ms)${eta}`
+    );
+    this.updateRowProgress(
+      rowId,
+      "Running",
+      `Batch ${event.batch}: ${event.successes} ok, ${event.failures} failed (${event.processed}/${event.total})${eta}`,
+      event.bucket
     );
+  }
 
-    try {
-      const response = await fetch("/api/benchmark/delete", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          storeUrl,
-          accessToken,
-          count,
-          batchSize: config.batchSize || 10,
-          delayBetweenBatches: config.delayBetweenBatches || 100,
-        }),
-      });
+  updateRowProgress(rowId, statusText, details, bucket = null) {
+    const row = document.getElementById(rowId);
+    if (!row) return;
 
-      const result = await response.json();
-      this.updateResultRow("delete-row", result);
-    } catch (error) {
-      this.updateResultRow("delete-row", {
-        status: "error",
-        responseTime: "-",
-        error,
-        rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-        cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-        details: error.message,
-      });
-      this.showDetailedError("Product Deletion Failed", {
-        message: error.message,
-      });
+    const statusCell = row.querySelector("td:nth-child(2) span");
+    statusCell.className = "status-running";
+    statusCell.textContent = statusText;
+
+    if (bucket) {
+      row.querySelector("td:nth-child(4)").textContent = `${
+        bucket.limit - bucket.remaining
+      }/${bucket.limit}`;
     }
+    row.querySelector("td:nth-child(8)").textContent = details;
+  }
+
+  formatEta(seconds) {
+    if (seconds < 60) return `${Math.ceil(seconds)}s`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)}m`;
+    return `${(seconds / 3600).toFixed(1)}h`;
+  }
+
+  initializeResultsTable(rows) {
+    const labels = {
+      create: "Product Creation",
+      bulkCreate: "Bulk Product Creation",
+      export: "Catalog Export",
+      readList: "Product List Query",
+      readById: "Product Lookup by ID",
+      readSearch: "Product Search",
+      readNested: "Nested Product Query",
+      update: "Product Updates",
+      delete: "Product Deletion",
+    };
+
+    this.resultsBody.innerHTML = rows
+      .map(
+        ({ key, operation }) => `
+        <tr id="${key}-row">
+          <td>${labels[operation] || operation}${
+          key !== operation ? ` (${key})` : ""
+        }</td>
+          <td><span class="status-pending">Pending</span></td>
+          <td>-</td>
+          <td>-</td>
+          <td>-</td>
+          <td>-</td>
+          <td>-</td>
+          <td>-</td>
+        </tr>
+      `
+      )
+      .join("");
   }
 
   updateResultRow(rowId, result) {
@@ -688,7 +1702,8 @@ class Benchmarkify {
     const rateLimitCell = row.querySelector("td:nth-child(4)");
     const costCell = row.querySelector("td:nth-child(5)");
     const productsPerSecondCell = row.querySelector("td:nth-child(6)");
-    const detailsCell = row.querySelector("td:nth-child(7)");
+    const userErrorsCell = row.querySelector("td:nth-child(7)");
+    const detailsCell = row.querySelector("td:nth-child(8)");
 
     // Update status
     statusCell.className = `status-${result.status}`;
@@ -697,6 +1712,8 @@ class Benchmarkify {
         ? "Completed"
         : result.status === "error"
         ? "Failed"
+        : result.status === "cancelled"
+        ? "Cancelled"
         : "Pending";
 
     // Update other cells
@@ -720,7 +1737,57 @@ class Benchmarkify {
       productsPerSecondCell.textContent = "-";
     }
 
+    // Rejected mutations, with the most common field paths on hover
+    if (result.userErrors) {
+      userErrorsCell.textContent = result.userErrors.operations;
+      userErrorsCell.title = result.userErrors.errors
+        .slice(0, 5)
+        .map(
+          (error) => `${error.path || "-"}: ${error.message} (${error.count})`
+        )
+        .join("\n");
+    } else {
+      userErrorsCell.textContent = "-";
+      userErrorsCell.title = "";
+    }
+
     detailsCell.textContent = result.details || "-";
+    if (result.throttling?.events > 0) {
+      detailsCell.textContent += ` (${result.throttling.events} throttled, ${(
+        result.throttling.totalWaitMs / 1000
+      ).toFixed(1)}s waiting)`;
+    }
+
+    // Keep each operation's failure categories for the summary table
+    this.failureBreakdowns[rowId] = result.failureBreakdown || [];
+    if (result.latency) {
+      this.latencyStats[rowId] = {
+        operation: row.querySelector("td:nth-child(1)").textContent,
+        latency: result.latency,
+        buckets: result.latencyBuckets || [],
+      };
+    }
+
+    if (result.bulk) {
+      this.bulkResults[rowId] = {
+        operation: row.querySelector("td:nth-child(1)").textContent,
+        result,
+      };
+    }
+
+    if (result.export) {
+      this.exportResults[rowId] = {
+        operation: row.querySelector("td:nth-child(1)").textContent,
+        result,
+      };
+    }
+
+    if (result.read) {
+      this.readResults[rowId] = {
+        operation: row.querySelector("td:nth-child(1)").textContent,
+        result,
+      };
+    }
 
     // Store performance projections for later display
     if (result.performanceProjections) {
@@ -814,7 +1881,12 @@ class Benchmarkify {
       const response = await fetch("/api/test-graphql", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ storeUrl, accessToken }),
+        body: JSON.stringify({
+          storeUrl,
+          accessToken,
+          apiVersion: this.apiVersionSettings().apiVersion,
+          browserSessionId: this.browserSessionId,
+        }),
       });
 
       const result = await response.json();
@@ -839,7 +1911,12 @@ class Benchmarkify {
       const response = await fetch("/api/schema-info", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ storeUrl, accessToken }),
+        body: JSON.stringify({
+          storeUrl,
+          accessToken,
+          apiVersion: this.apiVersionSettings().apiVersion,
+          browserSessionId: this.browserSessionId,
+        }),
       });
 
       const result = await response.json();
@@ -862,7 +1939,12 @@ class Benchmarkify {
       const response = await fetch("/api/test-product-create", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ storeUrl, accessToken }),
+        body: JSON.stringify({
+          storeUrl,
+          accessToken,
+          apiVersion: this.apiVersionSettings().apiVersion,
+          browserSessionId: this.browserSessionId,
+        }),
       });
 
       const result = await response.json();
@@ -872,6 +1954,526 @@ class Benchmarkify {
     }
   }
 
+  // The store, the pasted query and its variables, or null after telling the
+  // user what's missing
+  costQueryRequest() {
+    const storeUrl = document.getElementById("storeUrl").value;
+    const accessToken = document.getElementById("accessToken").value;
+
+    if (!storeUrl || !accessToken) {
+      alert("Please enter store URL and access token first");
+      return null;
+    }
+
+    let variables = {};
+    const variablesText = document.getElementById("costVariables").value.trim();
+    if (variablesText) {
+      try {
+        variables = JSON.parse(variablesText);
+      } catch (error) {
+        alert(`Variables are not valid JSON: ${error.message}`);
+        return null;
+      }
+    }
+
+    return {
+      storeUrl,
+      accessToken,
+      apiVersion: this.apiVersionSettings().apiVersion,
+      browserSessionId: this.browserSessionId,
+      query: document.getElementById("costQuery").value,
+      variables,
+    };
+  }
+
+  async postCostRequest(url, body, show) {
+    const container = document.getElementById("costAnalysisResults");
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!response.ok || (result.status === "error" && result.message)) {
+        throw new Error(
+          [result.message, result.error].filter(Boolean).join(": ") ||
+            "Request failed"
+        );
+      }
+      show(result);
+    } catch (error) {
+      container.innerHTML = `<p class="comparison-error">${this.escapeHtml(
+        error.message
+      )}</p>`;
+      container.style.display = "block";
+    }
+  }
+
+  // Run a pasted query once and show what Shopify requested and charged,
+  // field by field
+  async analyzeQueryCost() {
+    const request = this.costQueryRequest();
+    if (!request) return;
+    await this.postCostRequest("/api/query-cost", request, (result) =>
+      this.showQueryCostAnalysis(result)
+    );
+  }
+
+  // Price the pasted query from the store's schema without running it
+  async estimateQueryCost() {
+    const request = this.costQueryRequest();
+    if (!request) return;
+    await this.postCostRequest("/api/query-cost/estimate", request, (result) =>
+      this.showQueryCostEstimate(result)
+    );
+  }
+
+  // Run the app's read queries once each and compare estimates with the store
+  async validateCostEstimator() {
+    const request = this.costQueryRequest();
+    if (!request) return;
+    const { query, variables, ...store } = request;
+    await this.postCostRequest("/api/query-cost/validate", store, (result) =>
+      this.showEstimatorValidation(result)
+    );
+  }
+
+  costFieldRows(fields) {
+    const measured = (value) => (value === null ? "-" : value);
+    // Fields in document order: parents before their children
+    return [...(fields || [])]
+      .sort((a, b) => a.path.localeCompare(b.path))
+      .map(
+        (field) => `
+        <tr>
+          <td><code>${this.escapeHtml(field.path)}</code></td>
+          <td>${measured(field.definedCost)}</td>
+          <td>${measured(field.requestedChildrenCost)}</td>
+          <td>${field.requestedTotalCost}</td>
+        </tr>
+      `
+      )
+      .join("");
+  }
+
+  costFieldTable(fieldRows) {
+    return `<table>
+      <thead>
+        <tr>
+          <th>Field</th>
+          <th>Field cost</th>
+          <th>Children</th>
+          <th>Requested total</th>
+        </tr>
+      </thead>
+      <tbody>${fieldRows}</tbody>
+    </table>`;
+  }
+
+  // "exact", or how far the estimate was off, e.g. "+5 (+10.0%)"
+  estimateAccuracy(comparison) {
+    if (comparison.exact) return "exact";
+    const sign = comparison.difference > 0 ? "+" : "";
+    return `${sign}${comparison.difference}${
+      comparison.errorPercent === null
+        ? ""
+        : ` (${sign}${comparison.errorPercent.toFixed(1)}%)`
+    }`;
+  }
+
+  showQueryCostAnalysis(result) {
+    const container = document.getElementById("costAnalysisResults");
+    const measured = (value) => (value === null ? "-" : value);
+    const fieldRows = this.costFieldRows(result.fields);
+    const { estimate } = result;
+
+    container.innerHTML = `
+      <h4>${this.escapeHtml(result.operationName || "Query")} cost</h4>
+      <div class="summary-stats">
+        <div class="stat-card">
+          <div class="stat-value">${measured(result.requestedQueryCost)}</div>
+          <div class="stat-label">Requested (estimated)</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${measured(result.actualQueryCost)}</div>
+          <div class="stat-label">Actual (measured)</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${measured(result.refunded)}</div>
+          <div class="stat-label">Refunded</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${
+            result.bucket
+              ? `${result.bucket.remaining}/${result.bucket.limit}`
+              : "-"
+          }</div>
+          <div class="stat-label">Bucket after</div>
+        </div>
+        ${
+          estimate
+            ? `<div class="stat-card">
+                <div class="stat-value">${estimate.estimatedQueryCost}</div>
+                <div class="stat-label">Static estimate${
+                  estimate.comparison
+                    ? ` (${this.estimateAccuracy(estimate.comparison)})`
+                    : ""
+                }</div>
+              </div>`
+            : ""
+        }
+      </div>
+      ${
+        result.error
+          ? `<p class="comparison-error">${this.escapeHtml(result.error)}</p>`
+          : ""
+      }
+      ${
+        fieldRows
+          ? this.costFieldTable(fieldRows)
+          : `<p>No per-field breakdown was returned for this query.</p>`
+      }
+    `;
+    container.style.display = "block";
+  }
+
+  showQueryCostEstimate(result) {
+    const container = document.getElementById("costAnalysisResults");
+    const fieldRows = this.costFieldRows(result.fields);
+    const { rate, bucket } = result;
+    let rateCards = "";
+    if (rate && !rate.runnable) {
+      rateCards = `
+        <div class="stat-card">
+          <div class="stat-value">Never</div>
+          <div class="stat-label">Over the ${rate.maxCost} point max</div>
+        </div>`;
+    } else if (rate) {
+      rateCards = `
+        <div class="stat-card">
+          <div class="stat-value">${
+            rate.requestsPerSecond === null
+              ? "Unlimited"
+              : `${rate.requestsPerSecond.toFixed(2)}/s`
+          }</div>
+          <div class="stat-label">Sustained rate</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${
+            rate.burst === null ? "Unlimited" : rate.burst
+          }</div>
+          <div class="stat-label">Burst from a full bucket</div>
+        </div>`;
+    }
+
+    container.innerHTML = `
+      <h4>${this.escapeHtml(
+        result.operationName || result.operationType
+      )} estimate</h4>
+      <div class="summary-stats">
+        <div class="stat-card">
+          <div class="stat-value">${result.estimatedQueryCost}</div>
+          <div class="stat-label">Estimated requested cost</div>
+        </div>
+        ${rateCards}
+      </div>
+      <p>${
+        bucket
+          ? `Predicted for a ${bucket.limit} point bucket restoring ${
+              bucket.restoreRate
+            }/s (${
+              bucket.source === "scheduler"
+                ? "learned from live traffic"
+                : "reported with the schema"
+            }).`
+          : "The store reported no bucket, so no rate is predicted."
+      } Schema for ${this.escapeHtml(result.schema.apiVersion)}${
+      result.schema.cached ? ", cached" : ""
+    }.</p>
+      ${result.warnings
+        .map(
+          (warning) =>
+            `<p class="comparison-error">${this.escapeHtml(warning)}</p>`
+        )
+        .join("")}
+      ${fieldRows ? this.costFieldTable(fieldRows) : ""}
+    `;
+    container.style.display = "block";
+  }
+
+  showEstimatorValidation(result) {
+    const container = document.getElementById("costAnalysisResults");
+    const measured = (value) => (value === null ? "-" : value);
+    const { summary } = result;
+    const rows = result.checks
+      .map(
+        (check) => `
+        <tr>
+          <td>${this.escapeHtml(check.operationName)}</td>
+          <td>${measured(check.estimatedQueryCost)}</td>
+          <td>${measured(check.requestedQueryCost)}</td>
+          <td>${measured(check.actualQueryCost)}</td>
+          <td>${
+            check.comparison
+              ? this.estimateAccuracy(check.comparison)
+              : this.escapeHtml(check.error || "-")
+          }</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    container.innerHTML = `
+      <h4>Estimator validation (${this.escapeHtml(result.apiVersion)})</h4>
+      <div class="summary-stats">
+        <div class="stat-card">
+          <div class="stat-value">${summary.exact}/${summary.checks}</div>
+          <div class="stat-label">Exact estimates</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${
+            summary.meanAbsoluteErrorPercent === null
+              ? "-"
+              : `${summary.meanAbsoluteErrorPercent.toFixed(1)}%`
+          }</div>
+          <div class="stat-label">Mean error</div>
+        </div>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Query</th>
+            <th>Estimated</th>
+            <th>Requested</th>
+            <th>Actual</th>
+            <th>Estimate</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+    container.style.display = "block";
+  }
+
+  // Search the store's schema for the selected API version
+  async searchSchema({ refresh = false } = {}) {
+    const storeUrl = document.getElementById("storeUrl").value;
+    const accessToken = document.getElementById("accessToken").value;
+    const container = document.getElementById("schemaResults");
+
+    if (!storeUrl || !accessToken) {
+      alert("Please enter store URL and access token first");
+      return;
+    }
+
+    container.innerHTML = `<p>${
+      refresh ? "Fetching the schema..." : "Searching..."
+    }</p>`;
+    container.style.display = "block";
+    try {
+      const response = await fetch("/api/schema-info", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          storeUrl,
+          accessToken,
+          apiVersion: this.apiVersionSettings().apiVersion,
+          browserSessionId: this.browserSessionId,
+          refresh,
+          search: document.getElementById("schemaSearch").value,
+          kind: document.getElementById("schemaKind").value || undefined,
+          includeDeprecated: document.getElementById("schemaIncludeDeprecated")
+            .checked,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok || result.status === "error") {
+        throw new Error(
+          [result.message, result.error].filter(Boolean).join(": ") ||
+            "Schema search failed"
+        );
+      }
+      this.showSchemaResults(result);
+    } catch (error) {
+      container.innerHTML = `<p class="comparison-error">${this.escapeHtml(
+        error.message
+      )}</p>`;
+    }
+  }
+
+  // A type reference like "[ProductVariant!]!" with the type name linked
+  schemaTypeLink(typeRef) {
+    const name = typeRef.replace(/[[\]!]/g, "");
+    return this.escapeHtml(typeRef).replace(
+      name,
+      `<span class="schema-type-link" data-type="${this.escapeHtml(
+        name
+      )}">${this.escapeHtml(name)}</span>`
+    );
+  }
+
+  schemaMemberRow(member, matched, typeCell, detail) {
+    const notes = [
+      member.isDeprecated
+        ? `⚠️ Deprecated${
+            member.deprecationReason
+              ? `: ${this.escapeHtml(member.deprecationReason)}`
+              : ""
+          }`
+        : "",
+      member.description ? this.escapeHtml(member.description) : "",
+    ]
+      .filter(Boolean)
+      .join("<br>");
+    return `
+      <tr class="${matched.includes(member.name) ? "schema-match" : ""}">
+        <td><code class="${
+          member.isDeprecated ? "schema-deprecated" : ""
+        }">${this.escapeHtml(member.name)}</code></td>
+        <td>${typeCell}</td>
+        <td>${detail}</td>
+        <td>${notes}</td>
+      </tr>
+    `;
+  }
+
+  schemaTypeHtml(type, open) {
+    const matched = type.matchedMembers;
+    const argumentList = (args) =>
+      args
+        .map(
+          (arg) =>
+            `<code class="${
+              arg.isDeprecated ? "schema-deprecated" : ""
+            }">${this.escapeHtml(arg.name)}</code>: ${this.schemaTypeLink(
+              arg.type
+            )}${
+              arg.defaultValue === null
+                ? ""
+                : ` = ${this.escapeHtml(arg.defaultValue)}`
+            }`
+        )
+        .join("<br>");
+
+    let heading;
+    let rows;
+    if (type.fields) {
+      heading = ["Field", "Type", "Arguments"];
+      rows = type.fields.map((field) =>
+        this.schemaMemberRow(
+          field,
+          matched,
+          this.schemaTypeLink(field.type),
+          argumentList(field.args)
+        )
+      );
+    } else if (type.inputFields) {
+      heading = ["Input field", "Type", "Default"];
+      rows = type.inputFields.map((field) =>
+        this.schemaMemberRow(
+          field,
+          matched,
+          this.schemaTypeLink(field.type),
+          field.defaultValue === null ? "" : this.escapeHtml(field.defaultValue)
+        )
+      );
+    } else if (type.enumValues) {
+      heading = ["Value", "", ""];
+      rows = type.enumValues.map((value) =>
+        this.schemaMemberRow(value, matched, "", "")
+      );
+    }
+
+    const related = [
+      ["Implements", type.interfaces],
+      ["Possible types", type.possibleTypes],
+    ]
+      .filter(([, names]) => names?.length)
+      .map(
+        ([label, names]) =>
+          `<p>${label}: ${names
+            .map((name) => this.schemaTypeLink(name))
+            .join(", ")}</p>`
+      )
+      .join("");
+    const count = rows ? ` · ${rows.length} ${heading[0].toLowerCase()}s` : "";
+
+    return `
+      <details class="schema-type" ${open ? "open" : ""}>
+        <summary>${this.escapeHtml(type.name)}
+          <span class="comparison-badge">${this.escapeHtml(
+            type.kind.toLowerCase().replace("_", " ")
+          )}</span>${count}
+        </summary>
+        ${type.description ? `<p>${this.escapeHtml(type.description)}</p>` : ""}
+        ${related}
+        ${
+          rows?.length
+            ? `<table>
+                <thead>
+                  <tr>${[...heading, "Notes"]
+                    .map((label) => `<th>${label}</th>`)
+                    .join("")}</tr>
+                </thead>
+                <tbody>${rows.join("")}</tbody>
+              </table>`
+            : ""
+        }
+      </details>
+    `;
+  }
+
+  showSchemaResults(result) {
+    const container = document.getElementById("schemaResults");
+    const { summary, search } = result;
+    const fetched = new Date(result.fetchedAt).toLocaleString();
+    const types = search.types
+      .map((type, index) =>
+        // Open an exact match, or the only result
+        this.schemaTypeHtml(
+          type,
+          search.types.length === 1 ||
+            (index === 0 &&
+              type.name.toLowerCase() === search.query.trim().toLowerCase())
+        )
+      )
+      .join("");
+
+    container.innerHTML = `
+      <h4>${this.escapeHtml(result.apiVersion)} schema</h4>
+      <div class="summary-stats">
+        <div class="stat-card">
+          <div class="stat-value">${summary.types}</div>
+          <div class="stat-label">Types</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${summary.queries}</div>
+          <div class="stat-label">Queries</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${summary.mutations}</div>
+          <div class="stat-label">Mutations</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${summary.deprecated}</div>
+          <div class="stat-label">Deprecated</div>
+        </div>
+      </div>
+      <p>${
+        result.cached ? `Cached (${result.source})` : "Fetched from the store"
+      }, ${this.escapeHtml(fetched)}. ${search.matches} matching type${
+      search.matches === 1 ? "" : "s"
+    }${
+      search.matches > search.types.length
+        ? `, showing the first ${search.types.length}`
+        : ""
+    }.</p>
+      ${types}
+    `;
+    container.style.display = "block";
+  }
+
   showTestResults(title, data) {
     console.log("🔍 showTestResults called with:", title, data);
 
@@ -972,6 +2574,13 @@ class Benchmarkify {
       `;
 
       this.summary.style.display = "block";
+      this.showVerdict();
+      this.showApiVersionComparison();
+      this.showBulkComparison();
+      this.showExportComparison();
+      this.showReadSummary();
+      this.showLatencyBreakdown();
+      this.showFailureBreakdown();
 
       // Show performance projections if available
       if (this.latestProjections) {
@@ -994,9 +2603,413 @@ class Benchmarkify {
     }
   }
 
+  // Pass/fail badge per performance budget check
+  showVerdict() {
+    const container = document.getElementById("verdict");
+    if (!this.verdict) {
+      container.style.display = "none";
+      return;
+    }
+
+    const { status, passed, checks } = this.verdict;
+    container.innerHTML = `
+      <h4>${status === "pass" ? "✅" : "❌"} Performance Budgets: ${
+      status === "pass" ? "Passed" : "Failed"
+    } (${passed}/${checks.length})</h4>
+      <div class="verdict-badges">
+        ${checks
+          .map(
+            (check) => `
+              <span class="verdict-badge ${check.passed ? "pass" : "fail"}">
+                ${check.passed ? "PASS" : "FAIL"} ${this.escapeHtml(
+              check.message
+            )}
+              </span>
+            `
+          )
+          .join("")}
+      </div>
+    `;
+    container.style.display = "block";
+  }
+
+  // Failures across all operations, grouped by error category
+  showFailureBreakdown() {
+    const container = document.getElementById("failureBreakdown");
+    const totals = new Map();
+
+    Object.values(this.failureBreakdowns).forEach((breakdown) => {
+      breakdown.forEach((entry) => {
+        const total = totals.get(entry.category) || { ...entry, count: 0 };
+        total.count += entry.count;
+        totals.set(entry.category, total);
+      });
+    });
+
+    if (totals.size === 0) {
+      container.style.display = "none";
+      return;
+    }
+
+    const rows = Array.from(totals.values())
+      .sort((a, b) => b.count - a.count)
+      .map(
+        (entry) => `
+          <tr>
+            <td>${entry.label}</td>
+            <td>${entry.count}</td>
+            <td>${entry.retryable ? "Yes" : "No"}</td>
+            <td class="failure-example">${this.escapeHtml(
+              entry.example || "-"
+            )}</td>
+          </tr>
+        `
+      )
+      .join("");
+
+    container.innerHTML = `
+      <h4>Failure Breakdown</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Failures</th>
+            <th>Retried</th>
+            <th>Example</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+    container.style.display = "block";
+  }
+
+  // Latency percentiles per operation with a histogram of successful requests
+  showLatencyBreakdown() {
+    const container = document.getElementById("latencyBreakdown");
+    const entries = Object.values(this.latencyStats).filter(
+      (entry) => entry.latency.count > 0
+    );
+
+    if (entries.length === 0) {
+      container.style.display = "none";
+      return;
+    }
+
+    const rows = entries
+      .map(
+        ({ operation, latency }) => `
+          <tr>
+            <td>${this.escapeHtml(operation)}</td>
+            <td>${latency.count}</td>
+            <td>${latency.p50}ms</td>
+            <td>${latency.p90}ms</td>
+            <td>${latency.p95}ms</td>
+            <td>${latency.p99}ms</td>
+            <td>${latency.max}ms</td>
+            <td>${latency.stdDev}ms</td>
+          </tr>
+        `
+      )
+      .join("");
+
+    const histograms = entries
+      .map(({ operation, latency, buckets }) => {
+        const peak = Math.max(...latency.histogram, 1);
+        const bars = latency.histogram
+          .map((count, index) =>
+            count === 0
+              ? ""
+              : `
+                <div class="latency-bar-row">
+                  <span class="latency-bar-label">${buckets[index]}</span>
+                  <span class="latency-bar" style="width: ${
+                    (count / peak) * 100
+                  }%"></span>
+                  <span class="latency-bar-count">${count}</span>
+                </div>
+              `
+          )
+          .join("");
+        return `
+          <div class="latency-histogram">
+            <h5>${this.escapeHtml(operation)}</h5>
+            ${bars}
+          </div>
+        `;
+      })
+      .join("");
+
+    container.innerHTML = `
+      <h4>Latency</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>Operation</th>
+            <th>Samples</th>
+            <th>p50</th>
+            <th>p90</th>
+            <th>p95</th>
+            <th>p99</th>
+            <th>Max</th>
+            <th>Std Dev</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="latency-histograms">${histograms}</div>
+    `;
+    container.style.display = "block";
+  }
+
+  // Charts of products/sec, response time and bucket level for the selected
+  // run, drawn as inline SVG
+  async loadTimeSeries() {
+    const container = document.getElementById("timeSeriesCharts");
+    try {
+      const response = await fetch(
+        `/api/runs/${encodeURIComponent(
+          this.auditRunId()
+        )}/timeseries${this.sessionQuery()}`
+      );
+      if (!response.ok) {
+        throw new Error("Failed to fetch run time-series");
+      }
+
+      const series = await response.json();
+      const charts = [
+        {
+          title: "Products per second",
+          unit: "/s",
+          lines: [
+            {
+              label: `Rolling ${series.throughputWindowMs / 1000}s rate`,
+              color: "#667eea",
+              points: series.throughput,
+            },
+          ],
+        },
+        {
+          title: "Response time",
+          unit: "ms",
+          lines: [
+            {
+              label: "Mean",
+              color: "#38a169",
+              points: series.responseTimes.map(({ t, mean }) => ({
+                t,
+                value: mean,
+              })),
+            },
+            {
+              label: "Slowest",
+              color: "#dd6b20",
+              points: series.responseTimes.map(({ t, max }) => ({
+                t,
+                value: max,
+              })),
+            },
+          ],
+        },
+        {
+          title: "Bucket level (currentlyAvailable)",
+          unit: "pts",
+          lines: [
+            {
+              label: "Available",
+              color: "#3182ce",
+              points: series.bucketLevels.map(({ t, currentlyAvailable }) => ({
+                t,
+                value: currentlyAvailable,
+              })),
+            },
+            {
+              label: "Capacity",
+              color: "#a0aec0",
+              dashed: true,
+              points: series.bucketLevels.map(({ t, maximumAvailable }) => ({
+                t,
+                value: maximumAvailable,
+              })),
+            },
+          ],
+        },
+      ].filter((chart) => chart.lines.some((line) => line.points.length > 0));
+
+      if (charts.length === 0) {
+        container.style.display = "none";
+        return;
+      }
+
+      const list = document.getElementById("timeSeriesChartList");
+      list.innerHTML = charts
+        .map((chart) => this.renderTimeSeriesChart(chart, series.durationMs))
+        .join("");
+      list.querySelectorAll(".timeseries-chart").forEach((element, index) => {
+        this.bindChartHover(element, charts[index], series.durationMs);
+      });
+      container.style.display = "block";
+    } catch (error) {
+      console.error("Error loading run time-series:", error);
+      container.style.display = "none";
+    }
+  }
+
+  renderTimeSeriesChart(chart, durationMs) {
+    const { width, height, left, right, top, bottom } = TIME_SERIES_LAYOUT;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const yMax = this.niceCeiling(
+      Math.max(
+        ...chart.lines.flatMap((line) => line.points.map((p) => p.value)),
+        1
+      )
+    );
+    const x = (t) => left + (t / durationMs) * plotWidth;
+    const y = (value) => top + plotHeight - (value / yMax) * plotHeight;
+
+    const yTicks = [0, 0.25, 0.5, 0.75, 1]
+      .map((fraction) => {
+        const value = yMax * fraction;
+        return `
+          <line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y(
+          value
+        )}" y2="${y(value)}"></line>
+          <text class="chart-axis" x="${left - 6}" y="${
+          y(value) + 4
+        }" text-anchor="end">${this.formatChartValue(value)}</text>
+        `;
+      })
+      .join("");
+    const xTicks = [0, 0.25, 0.5, 0.75, 1]
+      .map(
+        (fraction) => `
+          <text class="chart-axis" x="${x(durationMs * fraction)}" y="${
+          height - 8
+        }" text-anchor="middle">${((durationMs * fraction) / 1000).toFixed(
+          1
+        )}s</text>
+        `
+      )
+      .join("");
+    const lines = chart.lines
+      .map((line) => {
+        const path = line.points
+          .map((p) => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`)
+          .join(" ");
+        // A single sample has no line to draw - mark it with a dot instead
+        return line.points.length === 1
+          ? `<circle cx="${x(line.points[0].t)}" cy="${y(
+              line.points[0].value
+            )}" r="3" fill="${line.color}"></circle>`
+          : `<polyline points="${path}" fill="none" stroke="${
+              line.color
+            }" stroke-width="2"${
+              line.dashed ? ' stroke-dasharray="6 4"' : ""
+            }></polyline>`;
+      })
+      .join("");
+    const legend = chart.lines
+      .map(
+        (line) => `
+          <span class="chart-legend-item">
+            <span class="chart-legend-swatch" style="background: ${line.color}"></span>
+            ${line.label}
+          </span>
+        `
+      )
+      .join("");
+
+    return `
+      <div class="timeseries-chart">
+        <div class="chart-header">
+          <h5>${chart.title}</h5>
+          <div class="chart-legend">${legend}</div>
+        </div>
+        <div class="chart-body">
+          <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${
+      chart.title
+    }">
+            ${yTicks}
+            ${xTicks}
+            ${lines}
+            <line class="chart-cursor" y1="${top}" y2="${
+      height - bottom
+    }" style="display: none;"></line>
+          </svg>
+          <div class="chart-tooltip" style="display: none;"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Follow the pointer with a cursor line and the nearest value of each line
+  bindChartHover(element, chart, durationMs) {
+    const { width, left, right } = TIME_SERIES_LAYOUT;
+    const svg = element.querySelector("svg");
+    const cursor = element.querySelector(".chart-cursor");
+    const tooltip = element.querySelector(".chart-tooltip");
+
+    svg.addEventListener("mousemove", (event) => {
+      const bounds = svg.getBoundingClientRect();
+      const svgX = ((event.clientX - bounds.left) / bounds.width) * width;
+      const t = Math.min(
+        Math.max(((svgX - left) / (width - left - right)) * durationMs, 0),
+        durationMs
+      );
+
+      const readings = chart.lines
+        .filter((line) => line.points.length > 0)
+        .map((line) => {
+          const nearest = line.points.reduce((best, p) =>
+            Math.abs(p.t - t) < Math.abs(best.t - t) ? p : best
+          );
+          return `<div><span class="chart-legend-swatch" style="background: ${
+            line.color
+          }"></span>${line.label}: ${this.formatChartValue(nearest.value)} ${
+            chart.unit
+          }</div>`;
+        })
+        .join("");
+
+      cursor.setAttribute("x1", svgX);
+      cursor.setAttribute("x2", svgX);
+      cursor.style.display = "";
+      tooltip.innerHTML = `<strong>${(t / 1000).toFixed(
+        1
+      )}s</strong>${readings}`;
+      tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+      tooltip.style.display = "block";
+    });
+
+    svg.addEventListener("mouseleave", () => {
+      cursor.style.display = "none";
+      tooltip.style.display = "none";
+    });
+  }
+
+  // Round an axis maximum up to 1, 2 or 5 times a power of ten
+  niceCeiling(value) {
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find((m) => m * magnitude >= value);
+    return step * magnitude;
+  }
+
+  formatChartValue(value) {
+    return value >= 100 ? value.toFixed(0) : value.toFixed(1);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   async downloadAuditLog(format) {
     try {
-      const response = await fetch(`/api/audit-log/${format}`);
+      const response = await fetch(
+        `/api/audit-log/${format}${this.auditLogQuery()}`
+      );
       if (!response.ok) {
         throw new Error(`Failed to download ${format} log`);
       }
@@ -1033,7 +3046,9 @@ class Benchmarkify {
 
   async viewAuditSummary() {
     try {
-      const response = await fetch("/api/audit-log/summary");
+      const response = await fetch(
+        `/api/audit-log/summary${this.auditLogQuery()}`
+      );
       if (!response.ok) {
         throw new Error("Failed to fetch audit summary");
       }
@@ -1086,8 +3101,24 @@ class Benchmarkify {
             <div><strong>Recommended Delay:</strong> ${
               data.summary.recommendedDelay
             }ms</div>
+            <div><strong>Throttle Events:</strong> ${
+              data.summary.throttleEvents || 0
+            } (${data.summary.throttleWaitMs || 0}ms waiting)</div>
+            <div><strong>Latency p50 / p95 / p99:</strong> ${
+              data.summary.latency?.count
+                ? `${data.summary.latency.p50} / ${data.summary.latency.p95} / ${data.summary.latency.p99}ms`
+                : "-"
+            }</div>
+            <div><strong>Performance Budgets:</strong> ${
+              data.verdict
+                ? `${
+                    data.verdict.status === "pass" ? "✅ Passed" : "❌ Failed"
+                  } (${data.verdict.passed}/${data.verdict.checks.length})`
+                : "-"
+            }</div>
           </div>
         </div>
+        ${this.queryCostSummaryHtml(data.summary.queryCosts)}
         <div style="margin-top: 15px; padding: 10px; background: #f0f9ff; border-radius: 6px; border-left: 3px solid #0ea5e9;">
           <p style="margin: 0; font-size: 0.85rem; color: #0c4a6e;">
             <strong>💡 Rate Limit Insights:</strong> Based on your benchmark performance, the system recommends adjusting batch size and delay for optimal API usage.
@@ -1102,6 +3133,55 @@ class Benchmarkify {
     }
   }
 
+  // Requested vs actual cost per operation, next to the static estimate
+  queryCostSummaryHtml(queryCosts) {
+    if (!queryCosts?.operations) return "";
+
+    const rows = Object.entries(queryCosts.byOperation)
+      .map(
+        ([action, costs]) => `
+        <tr>
+          <td>${this.escapeHtml(action)}</td>
+          <td>${costs.operations}</td>
+          <td>${costs.requested.mean.toFixed(1)}</td>
+          <td>${costs.actual.mean.toFixed(1)}</td>
+          <td>${
+            costs.chargedRatio === null
+              ? "-"
+              : `${(costs.chargedRatio * 100).toFixed(0)}%`
+          }</td>
+          <td>${costs.tableCost ?? "-"}</td>
+          <td>${
+            costs.fields[0]
+              ? `<code>${this.escapeHtml(costs.fields[0].path)}</code>`
+              : "-"
+          }</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    return `
+      <div class="results-table" style="margin-top: 20px;">
+        <h6 style="margin-top: 0; color: #475569;">Query Costs</h6>
+        <table>
+          <thead>
+            <tr>
+              <th>Operation</th>
+              <th>Requests</th>
+              <th>Requested</th>
+              <th>Actual</th>
+              <th>Charged</th>
+              <th>Estimate</th>
+              <th>Costliest field</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
   // Credential storage methods
   async storeCredentials() {
     const storeUrl = document.getElementById("storeUrl").value;
@@ -1258,7 +3338,12 @@ class Benchmarkify {
       const response = await fetch("/api/rate-limit-analysis", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ storeUrl, accessToken }),
+        body: JSON.stringify({
+          storeUrl,
+          accessToken,
+          apiVersion: this.apiVersionSettings().apiVersion,
+          browserSessionId: this.browserSessionId,
+        }),
       });
 
       const result = await response.json();
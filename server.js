@@ -1,15 +1,62 @@
+const fs = require("fs");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const { GraphQLClient } = require("graphql-request");
+const {
+  parse,
+  Kind,
+  getIntrospectionQuery,
+  buildClientSchema,
+} = require("graphql");
 const { faker } = require("@faker-js/faker");
+const YAML = require("yaml");
+const { ERROR_CATEGORIES, BenchmarkError } = require("./lib/errors");
+const { GRAPHQL_QUERIES, QUERY_COSTS } = require("./lib/graphqlQueries");
+const { createGraphQLRequestHandler } = require("./lib/graphqlRequest");
+const { summarizeQueryCosts } = require("./lib/queryCost");
+const {
+  estimateQueryCost,
+  predictRate,
+  compareEstimate,
+  summarizeEstimateChecks,
+} = require("./lib/costEstimator");
+const {
+  TYPE_KINDS,
+  describeSchema,
+  searchSchema,
+} = require("./lib/schemaBrowser");
+const { calculateOptimalBatchConfig } = require("./lib/batchConfig");
+const { RateLimitManager } = require("./lib/rateLimitManager");
+const { retryGraphQLRequest } = require("./lib/retry");
+const {
+  MAX_PAGE_SIZE,
+  paginateProducts,
+  collectPageCursors,
+  fetchProductsByTagWithPagination,
+} = require("./lib/pagination");
+const {
+  runBulkMutation,
+  runBulkQuery,
+  collectBulkResults,
+} = require("./lib/bulkOperations");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Uploaded audit logs for run comparison can run to several megabytes. This
+// has to parse the body before the default parser's 100kb limit rejects it.
+app.post("/api/runs/compare", express.json({ limit: "50mb" }));
 app.use(express.json());
-app.use(express.static("."));
+// Only the frontend is served. The project root also holds the server code,
+// .env and the data directory with every session's run history.
+const FRONTEND_FILES = ["index.html", "script.js", "styles.css"];
+app.get("/", (req, res) => res.sendFile(path.join(__dirname, "index.html")));
+FRONTEND_FILES.forEach((file) =>
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)))
+);
 
 // Rate limiting tracking
 const rateLimitStore = new Map();
@@ -18,20 +65,34 @@ const rateLimitStore = new Map();
 const storedCredentials = new Map();
 
 // Audit logging system
-const auditLog = {
-  sessionId: null,
-  startTime: null,
-  endTime: null,
-  operations: [],
-  rateLimitHistory: [],
-  createdProductIds: [], // Store created product IDs for direct deletion
-  summary: {
+function createAuditLog(sessionId = null, startTime = null) {
+  return {
+    sessionId,
+    startTime,
+    endTime: null,
+    operations: [],
+    rateLimitHistory: [],
+    throttleEvents: [], // THROTTLED / HTTP 429 responses, kept apart from operations
+    createdProductIds: [], // Store created product IDs for direct deletion
+    results: [], // Benchmark responses recorded during the run
+    verdict: null, // Performance budget results, see evaluateAssertions
+    summary: createAuditSummary(),
+  };
+}
+
+function createAuditSummary() {
+  return {
     totalOperations: 0,
     successfulOperations: 0,
     failedOperations: 0,
     totalCost: 0,
     averageResponseTime: 0,
+    latency: null, // successful operations, see computeLatencyStats
+    latencyByOperation: {},
     peakRateLimitUsage: 0,
+    throttleEvents: 0,
+    throttleWaitMs: 0,
+    queryCosts: null, // requested vs actual cost, see summarizeQueryCosts
     recommendedBatchSize: 10,
     recommendedDelay: 100,
     totalTime: 0,
@@ -41,8 +102,8 @@ const auditLog = {
       products1m: { time: 0, cost: 0 },
       products10m: { time: 0, cost: 0 },
     },
-  },
-};
+  };
+}
 
 // Generate unique benchmark tag for this session
 function generateBenchmarkTag() {
@@ -53,49 +114,413 @@ function generateBenchmarkTag() {
 
 // Store benchmark tag for this session
 const SESSION_BENCHMARK_TAG = generateBenchmarkTag();
-console.log(`🔒 Benchmark session tag: ${SESSION_BENCHMARK_TAG}`);
 
-// Initialize audit log for this session
-auditLog.sessionId = SESSION_BENCHMARK_TAG;
-auditLog.startTime = new Date().toISOString();
-console.log(`📊 Audit log initialized for session: ${SESSION_BENCHMARK_TAG}`);
+// Run history persistence (JSON-lines)
+// Every audit record is appended to data/runs/<runId>.jsonl as it happens, so a
+// restart never loses a run; index.jsonl gets a metadata line whenever a run
+// starts or records a result, which keeps listings cheap
+const DATA_DIR =
+  process.env.BENCHMARKIFY_DATA_DIR || path.join(__dirname, "data");
+const RUNS_DIR = path.join(DATA_DIR, "runs");
+const RUN_INDEX_FILE = path.join(RUNS_DIR, "index.jsonl");
+
+const runStreams = new Map();
+
+// Data directories are created on first write, so requiring the server (as
+// the CLI does) never touches the disk by itself
+function ensureDataDir(dir) {
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (error) {
+    console.error(`Failed to create ${dir}:`, error.message);
+  }
+}
+
+function isValidRunId(runId) {
+  return typeof runId === "string" && /^[\w-]+$/.test(runId);
+}
+
+function runFilePath(runId) {
+  return path.join(RUNS_DIR, `${runId}.jsonl`);
+}
+
+function appendRunRecord(runId, record) {
+  let stream = runStreams.get(runId);
+  if (!stream) {
+    ensureDataDir(RUNS_DIR);
+    stream = fs.createWriteStream(runFilePath(runId), { flags: "a" });
+    stream.on("error", (error) =>
+      console.error(`Failed to persist run ${runId}:`, error.message)
+    );
+    runStreams.set(runId, stream);
+  }
+  stream.write(`${JSON.stringify(record)}\n`);
+}
+
+function closeRunStream(runId) {
+  const stream = runStreams.get(runId);
+  if (stream) {
+    stream.end();
+    runStreams.delete(runId);
+  }
+}
+
+function appendRunIndex(log) {
+  const entry = {
+    id: log.sessionId,
+    clientSessionId: log.clientSessionId,
+    startTime: log.startTime,
+    updatedAt: new Date().toISOString(),
+    storeUrls: [...new Set(log.results.map((r) => r.storeUrl))],
+    scenarios: [...new Set(log.results.map((r) => r.scenario))],
+    apiVersions: [
+      ...new Set(log.results.map((r) => r.apiVersion).filter(Boolean)),
+    ],
+    totalOperations: log.operations.length,
+    successfulOperations: log.operations.filter((op) => op.success).length,
+    verdict: log.verdict?.status || null,
+  };
+
+  try {
+    ensureDataDir(RUNS_DIR);
+    fs.appendFileSync(RUN_INDEX_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error("Failed to update run index:", error.message);
+  }
+}
+
+function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        // A crash can leave a truncated last line behind - skip it
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Latest index entry per run, newest first
+function listPersistedRuns() {
+  const byId = new Map();
+  for (const entry of readJsonLines(RUN_INDEX_FILE)) {
+    byId.set(entry.id, entry);
+  }
+  return Array.from(byId.values()).sort((a, b) =>
+    b.startTime.localeCompare(a.startTime)
+  );
+}
+
+// Rebuild an audit log by replaying its JSON-lines records
+function loadPersistedRun(runId) {
+  if (!isValidRunId(runId) || !fs.existsSync(runFilePath(runId))) {
+    return null;
+  }
+
+  const log = createAuditLog(runId);
+  for (const record of readJsonLines(runFilePath(runId))) {
+    const { type, ...data } = record;
+    switch (type) {
+      case "run":
+        log.startTime = data.startTime;
+        log.clientSessionId = data.clientSessionId || null;
+        break;
+      case "operation":
+        log.operations.push(data);
+        break;
+      case "rateLimit":
+        log.rateLimitHistory.push(data);
+        break;
+      case "throttle":
+        log.throttleEvents.push(data);
+        break;
+      case "createdProduct":
+        log.createdProductIds.push(data);
+        break;
+      case "result":
+        log.results.push(data);
+        break;
+      case "verdict":
+        log.verdict = data.verdict;
+        break;
+      case "summary":
+        log.endTime = data.endTime;
+        log.summary = { ...log.summary, ...data.summary };
+        break;
+    }
+  }
+
+  updateAuditSummary(log);
+  return log;
+}
+
+// Rate limit managers, one per store (keyed by shop domain). Learned profiles
+// are persisted so the next run - even after a restart - starts from them.
+const RATE_LIMIT_PROFILES_FILE = path.join(DATA_DIR, "rate-limits.json");
+const rateLimitManagers = new Map();
+let rateLimitProfiles = null;
+
+function getShopDomain(storeUrl) {
+  try {
+    const url = /^https?:\/\//i.test(storeUrl)
+      ? storeUrl
+      : `https://${storeUrl}`;
+    return new URL(url).host.toLowerCase();
+  } catch (error) {
+    return String(storeUrl).toLowerCase();
+  }
+}
+
+function loadRateLimitProfiles() {
+  if (!rateLimitProfiles) {
+    try {
+      rateLimitProfiles = JSON.parse(
+        fs.readFileSync(RATE_LIMIT_PROFILES_FILE, "utf8")
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Failed to read rate limit profiles:", error.message);
+      }
+      rateLimitProfiles = {};
+    }
+  }
+  return rateLimitProfiles;
+}
+
+function saveRateLimitProfile(manager) {
+  const profiles = loadRateLimitProfiles();
+  profiles[manager.shopDomain] = manager.learned;
+
+  try {
+    ensureDataDir(DATA_DIR);
+    fs.writeFileSync(
+      RATE_LIMIT_PROFILES_FILE,
+      JSON.stringify(profiles, null, 2)
+    );
+  } catch (error) {
+    console.error("Failed to persist rate limit profiles:", error.message);
+  }
+}
+
+function getRateLimitManager(storeUrl) {
+  const shopDomain = getShopDomain(storeUrl);
+  if (!rateLimitManagers.has(shopDomain)) {
+    rateLimitManagers.set(
+      shopDomain,
+      new RateLimitManager(shopDomain, loadRateLimitProfiles()[shopDomain])
+    );
+  }
+  return rateLimitManagers.get(shopDomain);
+}
+
+// Audit contexts
+// Every benchmark run and every browser session gets its own audit log, so
+// concurrent users never see each other's operations or product IDs. Live
+// contexts are kept here; finished runs are served from disk.
+const auditContexts = new Map();
+
+function createAuditContext(id, { clientSessionId = null } = {}) {
+  const log = createAuditLog(id, new Date().toISOString());
+  log.clientSessionId = clientSessionId;
+  auditContexts.set(id, log);
+
+  appendRunRecord(id, {
+    type: "run",
+    startTime: log.startTime,
+    clientSessionId,
+  });
+  appendRunIndex(log);
+  return log;
+}
+
+// Write the final summary and hand the run over to disk-backed history
+function closeAuditContext(log) {
+  finalizeAuditLog(log);
+  auditContexts.delete(log.sessionId);
+  closeRunStream(log.sessionId);
+}
+
+// Shared context for API callers that don't identify a browser session.
+// Created on first use, so a server start or CLI run that never needs it
+// leaves no empty run in the history.
+let defaultAuditLog = null;
+
+function getDefaultAuditLog() {
+  if (!defaultAuditLog) {
+    defaultAuditLog = createAuditContext(SESSION_BENCHMARK_TAG);
+    console.log(
+      `📊 Audit log initialized for session: ${SESSION_BENCHMARK_TAG}`
+    );
+  }
+  return defaultAuditLog;
+}
+
+// Browser sessions send their own ID; contexts idle for a day are dropped
+function getSessionAuditLog(clientSessionId) {
+  if (!isValidRunId(clientSessionId)) return getDefaultAuditLog();
+
+  const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  for (const existing of auditContexts.values()) {
+    if (
+      existing !== defaultAuditLog &&
+      existing.sessionId === existing.clientSessionId &&
+      Date.parse(existing.lastActivity || existing.startTime) < oneDayAgo
+    ) {
+      closeAuditContext(existing);
+    }
+  }
+
+  const log =
+    auditContexts.get(clientSessionId) ||
+    createAuditContext(clientSessionId, { clientSessionId });
+  log.lastActivity = new Date().toISOString();
+  return log;
+}
+
+// A live context, or a historical run from disk
+function resolveAuditLog(runId) {
+  // Before anything was logged without a session there's nothing to show
+  if (!runId) {
+    return (
+      defaultAuditLog ||
+      createAuditLog(SESSION_BENCHMARK_TAG, new Date().toISOString())
+    );
+  }
+  return auditContexts.get(runId) || loadPersistedRun(runId);
+}
+
+// A run the caller may see: one started by their browser session or, for
+// API callers without a session, one started without a session. Other
+// sessions' runs are reported as not found.
+function resolveSessionRun(runId, sessionId) {
+  const log = resolveAuditLog(runId);
+  if (!log || !runId) return log;
+  return (log.clientSessionId || null) === (sessionId || null) ? log : null;
+}
 
 // Audit logging functions
-function logOperation(operation) {
-  auditLog.operations.push({
+function logOperation(log, operation) {
+  const entry = {
     timestamp: new Date().toISOString(),
     ...operation,
+    // Benchmark runs tag each request with its phase and API version
+    ...log.currentPhase,
+  };
+  log.operations.push(entry);
+  appendRunRecord(log.sessionId, { type: "operation", ...entry });
+}
+
+// Keep the benchmark response with the run so history shows what was measured
+function recordRunResult(log, scenario, storeUrl, result) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    scenario,
+    storeUrl,
+    ...log.currentPhase,
+    result,
+  };
+  log.results.push(entry);
+  appendRunRecord(log.sessionId, { type: "result", ...entry });
+  appendRunRecord(log.sessionId, {
+    type: "summary",
+    endTime: entry.timestamp,
+    summary: log.summary,
   });
+  appendRunIndex(log);
+}
+
+function recordRunVerdict(log, verdict) {
+  log.verdict = verdict;
+  appendRunRecord(log.sessionId, { type: "verdict", verdict });
+  appendRunIndex(log);
+}
+
+// Created product IDs available for direct deletion, per browser session and
+// store. Sync requests and jobs share their session's pool, and runs started
+// without a session share the default context's. Pools idle for a day are
+// dropped, like session contexts.
+const sessionProductPools = new Map();
+
+function getProductPool(log, storeUrl) {
+  const owner = log.clientSessionId || SESSION_BENCHMARK_TAG;
+  const now = Date.now();
+  for (const [id, existing] of sessionProductPools.entries()) {
+    if (now - existing.lastActivity > 24 * 60 * 60 * 1000) {
+      sessionProductPools.delete(id);
+    }
+  }
+
+  if (!sessionProductPools.has(owner)) {
+    sessionProductPools.set(owner, { stores: new Map(), lastActivity: now });
+  }
+
+  const pools = sessionProductPools.get(owner);
+  pools.lastActivity = now;
+  const shopDomain = getShopDomain(storeUrl);
+  if (!pools.stores.has(shopDomain)) {
+    pools.stores.set(shopDomain, []);
+  }
+  return pools.stores.get(shopDomain);
 }
 
 // Store created product IDs for direct deletion
-function storeCreatedProductId(productId, productTitle) {
-  auditLog.createdProductIds.push({
+function storeCreatedProductId(log, storeUrl, productId, productTitle) {
+  const entry = {
     id: productId,
     title: productTitle,
     timestamp: new Date().toISOString(),
     sessionTag: SESSION_BENCHMARK_TAG,
-  });
+    storeUrl,
+  };
+  log.createdProductIds.push(entry);
+  getProductPool(log, storeUrl).push(entry);
+  appendRunRecord(log.sessionId, { type: "createdProduct", ...entry });
   console.log(
     `📝 Stored product ID for deletion: ${productId} (${productTitle})`
   );
 }
 
-// Get stored product IDs for deletion
-function getStoredProductIds(count = null) {
-  const ids = auditLog.createdProductIds;
-  if (count === null) return ids;
-  return ids.slice(0, Math.min(count, ids.length));
+// Up to `count` stored product IDs from this session's pool, newest first.
+// They stay in the pool until their delete succeeds, so a failed or
+// cancelled delete can target them again.
+function peekStoredProductIds(log, storeUrl, count) {
+  const pool = getProductPool(log, storeUrl);
+  return pool.slice(Math.max(0, pool.length - count)).reverse();
+}
+
+function forgetStoredProductId(log, storeUrl, productId) {
+  const pool = getProductPool(log, storeUrl);
+  const index = pool.findIndex((entry) => entry.id === productId);
+  if (index !== -1) pool.splice(index, 1);
+}
+
+// Throttles are recorded on their own rather than as failed operations - the
+// request is retried, and its final outcome is logged once
+function logThrottleEvent(log, event) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    ...event,
+  };
+  log.throttleEvents.push(entry);
+  appendRunRecord(log.sessionId, { type: "throttle", ...entry });
 }
 
 function logRateLimitStatus(
+  log,
   storeUrl,
   currentUsage,
   limit,
   remaining,
   resetTime
 ) {
-  auditLog.rateLimitHistory.push({
+  const entry = {
     timestamp: new Date().toISOString(),
     storeUrl,
     currentUsage,
@@ -103,21 +528,301 @@ function logRateLimitStatus(
     remaining,
     resetTime,
     usagePercentage: (currentUsage / limit) * 100,
+  };
+  log.rateLimitHistory.push(entry);
+  appendRunRecord(log.sessionId, { type: "rateLimit", ...entry });
+}
+
+// Every GraphQL request goes through here: throttle retries queue on the
+// store's scheduler and outcomes land in the given audit log
+const handleGraphQLRequest = createGraphQLRequestHandler({
+  getScheduler: (storeUrl) => getRateLimitManager(storeUrl).scheduler,
+  logOperation,
+  logRateLimitStatus,
+  logThrottleEvent,
+  getDefaultAudit: getDefaultAuditLog,
+});
+
+// Latency statistics
+// Fixed bucket bounds (ms) keep histograms comparable across runs and batches
+const LATENCY_BUCKETS_MS = [
+  50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000,
+];
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function computeLatencyStats(samplesMs) {
+  const sorted = samplesMs
+    .filter((ms) => typeof ms === "number" && Number.isFinite(ms))
+    .sort((a, b) => a - b);
+  const count = sorted.length;
+  const mean = count > 0 ? sorted.reduce((sum, ms) => sum + ms, 0) / count : 0;
+  const variance =
+    count > 1
+      ? sorted.reduce((sum, ms) => sum + (ms - mean) ** 2, 0) / (count - 1)
+      : 0;
+
+  // histogram[i] counts samples <= LATENCY_BUCKETS_MS[i]; the last slot is overflow
+  const histogram = new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+  for (const ms of sorted) {
+    const bucket = LATENCY_BUCKETS_MS.findIndex((bound) => ms <= bound);
+    histogram[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket]++;
+  }
+
+  const round = (ms) => Math.round(ms * 10) / 10;
+  return {
+    count,
+    min: round(sorted[0] || 0),
+    mean: round(mean),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[count - 1] || 0),
+    stdDev: round(Math.sqrt(variance)),
+    histogram,
+  };
+}
+
+// "≤50ms", "≤100ms", ... ">10000ms" - labels for histogram slots
+function latencyBucketLabels() {
+  return [
+    ...LATENCY_BUCKETS_MS.map((bound) => `≤${bound}ms`),
+    `>${LATENCY_BUCKETS_MS[LATENCY_BUCKETS_MS.length - 1]}ms`,
+  ];
+}
+
+function formatLatencyStats(stats) {
+  return `n=${stats.count} | p50 ${stats.p50}ms | p90 ${stats.p90}ms | p95 ${stats.p95}ms | p99 ${stats.p99}ms | max ${stats.max}ms | σ ${stats.stdDev}ms`;
+}
+
+// Significance tests for run comparison. Two-sided p-values; a difference
+// counts as significant below SIGNIFICANCE_LEVEL.
+const SIGNIFICANCE_LEVEL = 0.05;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function sampleVariance(values) {
+  const average = mean(values);
+  return (
+    values.reduce((sum, value) => sum + (value - average) ** 2, 0) /
+    (values.length - 1)
+  );
+}
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let series = 1.000000000190015;
+  coefficients.forEach((c, index) => {
+    series += c / (x + index + 1);
   });
+  const tmp = x + 5.5;
+  return (
+    (x + 0.5) * Math.log(tmp) -
+    tmp +
+    Math.log((2.5066282746310005 * series) / x)
+  );
+}
+
+// Regularized incomplete beta I_x(a, b) by continued fraction (Lentz)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - incompleteBeta(1 - x, b, a);
+  }
+
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m)),
+      -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1)),
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      result *= c * d;
+    }
+    if (Math.abs(c * d - 1) < 1e-10) break;
+  }
+  return (front * result) / a;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Welch's t-test on the means of two samples with unequal variances
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const varianceA = sampleVariance(a) / a.length;
+  const varianceB = sampleVariance(b) / b.length;
+  const standardError = Math.sqrt(varianceA + varianceB);
+  if (standardError === 0) {
+    return {
+      test: "welch-t",
+      statistic: 0,
+      pValue: mean(a) === mean(b) ? 1 : 0,
+    };
+  }
+
+  const t = (mean(b) - mean(a)) / standardError;
+  const df =
+    (varianceA + varianceB) ** 2 /
+    (varianceA ** 2 / (a.length - 1) + varianceB ** 2 / (b.length - 1));
+  return {
+    test: "welch-t",
+    statistic: t,
+    df,
+    pValue: incompleteBeta(df / (df + t * t), df / 2, 0.5),
+  };
+}
+
+// Mann-Whitney U test (normal approximation with tie correction) - whether
+// one sample's values tend to be larger, which percentiles follow
+function mannWhitneyTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const combined = [
+    ...a.map((value) => ({ value, group: 0 })),
+    ...b.map((value) => ({ value, group: 1 })),
+  ].sort((x, y) => x.value - y.value);
+  let rankSumB = 0;
+  let tieTerm = 0;
+  for (let start = 0; start < combined.length; ) {
+    let end = start;
+    while (
+      end + 1 < combined.length &&
+      combined[end + 1].value === combined[start].value
+    ) {
+      end++;
+    }
+    const rank = (start + end) / 2 + 1;
+    const ties = end - start + 1;
+    tieTerm += ties ** 3 - ties;
+    for (let index = start; index <= end; index++) {
+      if (combined[index].group === 1) rankSumB += rank;
+    }
+    start = end + 1;
+  }
+
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const u = rankSumB - (n2 * (n2 + 1)) / 2;
+  const variance = ((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1)));
+  if (variance === 0) return { test: "mann-whitney", statistic: 0, pValue: 1 };
+
+  const z = (u - (n1 * n2) / 2) / Math.sqrt(variance);
+  return {
+    test: "mann-whitney",
+    statistic: z,
+    pValue: 2 * (1 - normalCdf(Math.abs(z))),
+  };
+}
+
+// Two-proportion z-test, e.g. failures out of operations
+function twoProportionZTest(x1, n1, x2, n2) {
+  if (n1 === 0 || n2 === 0) return null;
+
+  const pooled = (x1 + x2) / (n1 + n2);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (standardError === 0) {
+    return { test: "two-proportion-z", statistic: 0, pValue: 1 };
+  }
+
+  const z = (x2 / n2 - x1 / n1) / standardError;
+  return {
+    test: "two-proportion-z",
+    statistic: z,
+    pValue: 2 * (1 - normalCdf(Math.abs(z))),
+  };
+}
+
+// z-test on a ratio of sums, e.g. cost points spent per successful product.
+// Each sample is { numerator, denominator }; the variance uses the delta
+// method.
+function ratioZTest(a, b) {
+  const ratioWithVariance = (samples) => {
+    const denominator = samples.reduce((sum, s) => sum + s.denominator, 0);
+    if (samples.length < 2 || denominator === 0) return null;
+
+    const ratio =
+      samples.reduce((sum, s) => sum + s.numerator, 0) / denominator;
+    const residuals = samples.map((s) => s.numerator - ratio * s.denominator);
+    const meanDenominator = denominator / samples.length;
+    return {
+      ratio,
+      variance:
+        sampleVariance(residuals) / (samples.length * meanDenominator ** 2),
+    };
+  };
+
+  const before = ratioWithVariance(a);
+  const after = ratioWithVariance(b);
+  if (!before || !after) return null;
+
+  const standardError = Math.sqrt(before.variance + after.variance);
+  if (standardError === 0) {
+    return {
+      test: "ratio-z",
+      statistic: 0,
+      pValue: before.ratio === after.ratio ? 1 : 0,
+    };
+  }
+
+  const z = (after.ratio - before.ratio) / standardError;
+  return {
+    test: "ratio-z",
+    statistic: z,
+    pValue: 2 * (1 - normalCdf(Math.abs(z))),
+  };
 }
 
-function updateAuditSummary() {
-  const operations = auditLog.operations;
-  const rateLimitHistory = auditLog.rateLimitHistory;
+function updateAuditSummary(log) {
+  const operations = log.operations;
+  const rateLimitHistory = log.rateLimitHistory;
 
-  auditLog.summary.totalOperations = operations.length;
-  auditLog.summary.successfulOperations = operations.filter(
+  log.summary.totalOperations = operations.length;
+  log.summary.successfulOperations = operations.filter(
     (op) => op.success
   ).length;
-  auditLog.summary.failedOperations = operations.filter(
-    (op) => !op.success
-  ).length;
-  auditLog.summary.totalCost = operations.reduce(
+  log.summary.failedOperations = operations.filter((op) => !op.success).length;
+  log.summary.totalCost = operations.reduce(
     (sum, op) => sum + (op.cost || 0),
     0
   );
@@ -125,13 +830,40 @@ function updateAuditSummary() {
   const responseTimes = operations
     .map((op) => op.responseTime)
     .filter((time) => time !== null);
-  auditLog.summary.averageResponseTime =
+  log.summary.averageResponseTime =
     responseTimes.length > 0
       ? responseTimes.reduce((sum, time) => sum + time, 0) /
         responseTimes.length
       : 0;
 
-  auditLog.summary.peakRateLimitUsage =
+  // Tail latency of successful operations, overall and per action.
+  // Warm-up requests are left out.
+  const successfulOps = operations.filter((op) => op.success && !op.warmup);
+  log.summary.latency = computeLatencyStats(
+    successfulOps.map((op) => op.responseTime)
+  );
+  const latencyByOperation = {};
+  for (const op of successfulOps) {
+    (latencyByOperation[op.action] ||= []).push(op.responseTime);
+  }
+  log.summary.latencyByOperation = Object.fromEntries(
+    Object.entries(latencyByOperation).map(([action, samples]) => [
+      action,
+      computeLatencyStats(samples),
+    ])
+  );
+
+  // What Shopify priced each operation at, what it charged, and which fields
+  // the cost comes from - next to the static QUERY_COSTS estimates
+  log.summary.queryCosts = summarizeQueryCosts(operations, QUERY_COSTS);
+
+  log.summary.throttleEvents = log.throttleEvents.length;
+  log.summary.throttleWaitMs = log.throttleEvents.reduce(
+    (sum, event) => sum + (event.exhausted ? 0 : event.waitMs),
+    0
+  );
+
+  log.summary.peakRateLimitUsage =
     rateLimitHistory.length > 0
       ? Math.max(...rateLimitHistory.map((rl) => rl.usagePercentage))
       : 0;
@@ -145,215 +877,243 @@ function updateAuditSummary() {
 
     if (avgUsage > 80) {
       // High usage - reduce batch size and increase delay
-      auditLog.summary.recommendedBatchSize = Math.max(
+      log.summary.recommendedBatchSize = Math.max(
         1,
-        Math.floor(auditLog.summary.recommendedBatchSize * 0.7)
+        Math.floor(log.summary.recommendedBatchSize * 0.7)
       );
-      auditLog.summary.recommendedDelay = Math.min(
+      log.summary.recommendedDelay = Math.min(
         5000,
-        Math.floor(auditLog.summary.recommendedDelay * 1.5)
+        Math.floor(log.summary.recommendedDelay * 1.5)
       );
     } else if (avgUsage < 40) {
       // Low usage - increase batch size and reduce delay
-      auditLog.summary.recommendedBatchSize = Math.min(
+      log.summary.recommendedBatchSize = Math.min(
         100,
-        Math.floor(auditLog.summary.recommendedBatchSize * 1.3)
+        Math.floor(log.summary.recommendedBatchSize * 1.3)
       );
-      auditLog.summary.recommendedDelay = Math.max(
+      log.summary.recommendedDelay = Math.max(
         50,
-        Math.floor(auditLog.summary.recommendedDelay * 0.8)
+        Math.floor(log.summary.recommendedDelay * 0.8)
       );
     }
   }
 }
 
-function finalizeAuditLog() {
-  auditLog.endTime = new Date().toISOString();
-  updateAuditSummary();
+function finalizeAuditLog(log) {
+  // Historical runs are read-only - only live contexts get a new end time
+  if (auditContexts.get(log.sessionId) !== log) return;
+
+  log.endTime = new Date().toISOString();
+  updateAuditSummary(log);
+  appendRunRecord(log.sessionId, {
+    type: "summary",
+    endTime: log.endTime,
+    summary: log.summary,
+  });
   console.log(
-    `📊 Audit log finalized. Total operations: ${auditLog.summary.totalOperations}`
+    `📊 Audit log ${log.sessionId} finalized. Total operations: ${log.summary.totalOperations}`
   );
 }
 
-// Helper: return all known created product IDs from memory (primary)
-// and audit operations (secondary) in case primary missed some
-function getKnownBenchmarkProductIds(limit = null) {
-  const fromMemory = Array.isArray(auditLog.createdProductIds)
-    ? auditLog.createdProductIds
-    : [];
-
-  const fromOps = Array.isArray(auditLog.operations)
-    ? auditLog.operations
-        .filter(
-          (op) =>
-            op.action === "createProduct" &&
-            op.success &&
-            op.productId &&
-            op.productId !== "N/A"
-        )
-        .map((op) => ({
-          id: op.productId,
-          title: "Benchmark product (ops)",
-          sessionTag: SESSION_BENCHMARK_TAG,
-        }))
-    : [];
+// Live progress streaming (Server-Sent Events)
+// Channels are keyed by a run ID supplied by the client, so the browser can
+// subscribe before it starts the benchmark request. Once the run starts, only
+// the browser session that started it gets its events.
+const progressChannels = new Map();
 
-  const byId = new Map();
-  for (const p of [...fromMemory, ...fromOps]) {
-    if (p && p.id && !byId.has(p.id)) {
-      byId.set(p.id, {
-        id: p.id,
-        title: p.title || "Benchmark product",
-        sessionTag: SESSION_BENCHMARK_TAG,
-      });
-    }
+// In-process subscribers (the CLI) get every event for every run
+const progressListeners = new Set();
+
+function onProgress(listener) {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+}
+
+function getProgressChannel(runId) {
+  if (!progressChannels.has(runId)) {
+    progressChannels.set(runId, { clients: new Set(), lastEvent: null });
   }
+  return progressChannels.get(runId);
+}
 
-  const list = Array.from(byId.values());
-  if (limit == null) return list;
-  return list.slice(0, Math.min(limit, list.length));
+// A synchronous run claims its channel for the session that started it. The
+// channel is kept until the run ends, even if every subscriber disconnects.
+function claimProgressChannel(runId, clientSessionId) {
+  if (!runId) return;
+  const channel = getProgressChannel(runId);
+  channel.clientSessionId = clientSessionId;
+  channel.running = true;
 }
 
-// GraphQL queries with cost analysis
-const GRAPHQL_QUERIES = {
-  // Product creation - typically costs 10 points
-  createProduct: `
-    mutation productCreate($product: ProductCreateInput!) {
-      productCreate(product: $product) {
-        product {
-          id
-          title
-          handle
-          createdAt
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `,
+// The session a run's progress belongs to: the job's, or whoever claimed the
+// channel. Undefined while nobody has, so early subscribers can wait for it.
+function progressOwner(runId) {
+  const job = jobs.get(runId);
+  if (job) return job.clientSessionId;
+  return progressChannels.get(runId)?.clientSessionId;
+}
 
-  // Product update - typically costs 10 points
-  updateProduct: `
-    mutation productUpdate($input: ProductInput!) {
-      productUpdate(input: $input) {
-        product {
-          id
-          title
-          updatedAt
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `,
+function emitProgress(runId, type, payload) {
+  if (!runId) return;
 
-  // Product deletion - typically costs 10 points
-  deleteProduct: `
-    mutation productDelete($input: ProductDeleteInput!) {
-      productDelete(input: $input) {
-        deletedProductId
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `,
+  const channel = getProgressChannel(runId);
+  const event = {
+    type,
+    runId,
+    timestamp: new Date().toISOString(),
+    ...payload,
+  };
+  channel.lastEvent = event;
 
-  // Get products for updates/deletions - typically costs 1 point per product
-  getProducts: `
-    query getProducts(
-      $first: Int!
-      $after: String
-      $query: String
-      $sortKey: ProductSortKeys
-      $reverse: Boolean
-    ) {
-      products(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
-        edges {
-          cursor
-          node {
-            id
-            title
-            handle
-            createdAt
-            tags
-          }
-        }
-        pageInfo {
-          hasNextPage
-          endCursor
-        }
-      }
+  // Jobs expose the latest batch (or bulk or export status) as partial
+  // results for status polling
+  const job = jobs.get(runId);
+  if (job && ["batch", "bulk", "export"].includes(type)) {
+    job.progress = event;
+  }
+
+  const frame = `event: ${type}\ndata: ${JSON.stringify(event)}\n\n`;
+  const owner = progressOwner(runId);
+  for (const client of channel.clients) {
+    if (owner === undefined || client.locals.clientSessionId === owner) {
+      client.write(frame);
     }
-  `,
-};
+  }
+  progressListeners.forEach((listener) => listener(event));
 
-/**
- * Fetch products by tag using GraphQL cursor-based pagination.
- * Respects Shopify's 250 page size limit and stops after maxToFetch items.
- * Docs: https://shopify.dev/docs/api/usage/pagination-graphql
- */
-async function fetchProductsByTagWithPagination(
-  client,
-  storeUrl,
-  accessToken,
-  tag,
-  maxToFetch
+  // Nobody is listening and the run is over - nothing left to replay. A job
+  // ends with "job", after the "complete" of each of its operations.
+  if (["complete", "error", "job"].includes(type)) {
+    channel.running = false;
+    if (!channel.clients.size) progressChannels.delete(runId);
+  }
+}
+
+// Tracks cumulative counts for one operation of a run and emits per-batch
+// events. `noun` is what the operation counts (products, pages, searches).
+function createProgressReporter(
+  runId,
+  operation,
+  total,
+  phase = operation,
+  noun = "products"
 ) {
-  const collectedProducts = [];
-  let hasNextPage = true;
-  let afterCursor = null;
+  const startTime = Date.now();
+  let processed = 0;
+  let successes = 0;
+  let failures = 0;
 
-  while (hasNextPage && collectedProducts.length < maxToFetch) {
-    const pageSize = Math.min(250, maxToFetch - collectedProducts.length);
+  return {
+    start(settings) {
+      emitProgress(runId, "start", {
+        operation,
+        phase,
+        total,
+        batchSize: settings.batchSize,
+        delay: settings.delay,
+      });
+    },
 
-    const response = await handleGraphQLRequest(
-      client,
-      GRAPHQL_QUERIES.getProducts,
-      {
-        first: pageSize,
-        after: afterCursor,
-        query: `tag:${tag}`,
-        sortKey: "CREATED_AT",
-        reverse: true,
-      },
-      "getProducts",
-      storeUrl,
-      accessToken
-    );
+    batch(batchIndex, batchResults, settings, latency = null) {
+      const batchSuccesses = batchResults.filter((r) => r.success).length;
+      const batchFailures = batchResults.length - batchSuccesses;
+      processed += batchResults.length;
+      successes += batchSuccesses;
+      failures += batchFailures;
+
+      const elapsedMs = Date.now() - startTime;
+      const remainingItems = Math.max(total - processed, 0);
+      const lastRateLimit = [...batchResults]
+        .reverse()
+        .find((r) => r.rateLimit)?.rateLimit;
+
+      emitProgress(runId, "batch", {
+        operation,
+        phase,
+        noun,
+        batch: batchIndex,
+        processed,
+        total,
+        successes,
+        failures,
+        batchSuccesses,
+        batchFailures,
+        batchSize: settings.batchSize,
+        delay: settings.delay,
+        bucket: lastRateLimit
+          ? { remaining: lastRateLimit.remaining, limit: lastRateLimit.limit }
+          : null,
+        latency: latency
+          ? { p50: latency.p50, p95: latency.p95, max: latency.max }
+          : null,
+        elapsedMs,
+        etaSeconds:
+          processed > 0
+            ? ((elapsedMs / processed) * remainingItems) / 1000
+            : null,
+      });
+    },
 
-    const connection = response?.data?.data?.products;
-    const edges = connection?.edges || [];
-    const pageInfo = connection?.pageInfo;
+    // Bulk operations report how many rows Shopify has worked through
+    bulk(bulkOperation, elapsedMs) {
+      processed = Math.min(parseInt(bulkOperation.objectCount) || 0, total);
+      emitProgress(runId, "bulk", {
+        operation,
+        phase,
+        bulkOperationId: bulkOperation.id,
+        status: bulkOperation.status,
+        processed,
+        total,
+        elapsedMs,
+        etaSeconds:
+          processed > 0
+            ? ((elapsedMs / processed) * (total - processed)) / 1000
+            : null,
+      });
+    },
 
-    for (const edge of edges) {
-      if (edge?.node) collectedProducts.push(edge.node);
-      if (collectedProducts.length >= maxToFetch) break;
-    }
+    // Exports report the rows read so far by the current approach
+    // ("pagination" or "bulk")
+    export(stage, { rows, ...details }, elapsedMs) {
+      processed = Math.min(rows, total);
+      emitProgress(runId, "export", {
+        operation,
+        phase,
+        stage,
+        ...details,
+        processed,
+        total,
+        elapsedMs,
+        etaSeconds:
+          processed > 0
+            ? ((elapsedMs / processed) * (total - processed)) / 1000
+            : null,
+      });
+    },
 
-    hasNextPage = Boolean(pageInfo?.hasNextPage);
-    afterCursor = pageInfo?.endCursor || null;
-  }
+    complete(result) {
+      emitProgress(runId, "complete", {
+        operation,
+        phase,
+        status: result.status,
+        processed,
+        total,
+        successes,
+        failures,
+        details: result.details,
+      });
+    },
 
-  // Extra safety: filter by tag in case query matches broader set
-  return collectedProducts.filter(
-    (p) => Array.isArray(p.tags) && p.tags.includes(tag)
-  );
+    fail(error) {
+      emitProgress(runId, "error", {
+        operation,
+        phase,
+        message: error.message,
+      });
+    },
+  };
 }
 
-// Query costs (Shopify's standard costs)
-const QUERY_COSTS = {
-  createProduct: 10,
-  updateProduct: 10,
-  deleteProduct: 10,
-  getProducts: 1,
-};
-
 // Helper function to generate random product data
 function generateRandomProduct() {
   return {
@@ -378,9 +1138,86 @@ function generateRandomProduct() {
   };
 }
 
+// Admin API versions
+// Shopify releases a version every quarter (YYYY-01, -04, -07 and -10) and
+// supports each for at least twelve months; "unstable" previews the next one.
+// SHOPIFY_API_VERSION sets the default, and each run can pick its own.
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+const DEFAULT_API_VERSION = process.env.SHOPIFY_API_VERSION || "2025-07";
+
+function isValidApiVersion(version) {
+  return typeof version === "string" && API_VERSION_PATTERN.test(version);
+}
+
+// This quarter's release and the three before it, newest first
+function recentApiVersions(now = new Date()) {
+  const versions = [];
+  let year = now.getUTCFullYear();
+  let month = Math.floor(now.getUTCMonth() / 3) * 3 + 1;
+  for (let index = 0; index < 4; index++) {
+    versions.push(`${year}-${String(month).padStart(2, "0")}`);
+    month -= 3;
+    if (month < 1) {
+      month += 12;
+      year--;
+    }
+  }
+  return versions;
+}
+
+// apiVersion picks the version a run talks to; compareApiVersion, when set,
+// runs the same phases again against a second version
+function validateApiVersionSettings({ apiVersion, compareApiVersion }) {
+  const errors = [];
+  Object.entries({ apiVersion, compareApiVersion }).forEach(
+    ([field, version]) => {
+      if (version !== undefined && version !== null) {
+        if (!isValidApiVersion(version)) {
+          errors.push(
+            `${field} must be a version like ${DEFAULT_API_VERSION} or "unstable"`
+          );
+        }
+      }
+    }
+  );
+  if (
+    compareApiVersion &&
+    compareApiVersion === (apiVersion || DEFAULT_API_VERSION)
+  ) {
+    errors.push("compareApiVersion must differ from apiVersion");
+  }
+  return errors;
+}
+
+// Tag phases with their API version. A version comparison runs every phase
+// against the first version, then again against the second, keyed
+// <phase>@<version> so results from the two passes stay apart.
+function planApiVersionPhases(phases, { apiVersion, compareApiVersion } = {}) {
+  const baseline = apiVersion || DEFAULT_API_VERSION;
+  if (!compareApiVersion) {
+    return phases.map((phase) =>
+      phase?.operation ? { ...phase, apiVersion: baseline } : phase
+    );
+  }
+
+  return [baseline, compareApiVersion].flatMap((version) =>
+    phases.map((phase) =>
+      phase?.operation
+        ? {
+            ...phase,
+            key: `${phase.key || phase.operation}@${version}`,
+            apiVersion: version,
+          }
+        : phase
+    )
+  );
+}
+
 // Helper function to create GraphQL client
-function createGraphQLClient(storeUrl, accessToken) {
-  const graphqlEndpoint = `${storeUrl}/admin/api/2025-07/graphql.json`;
+function createGraphQLClient(storeUrl, accessToken, apiVersion = null) {
+  const graphqlEndpoint = `${storeUrl}/admin/api/${
+    apiVersion || DEFAULT_API_VERSION
+  }/graphql.json`;
   console.log(`Creating GraphQL client for endpoint: ${graphqlEndpoint}`);
 
   const client = new GraphQLClient(graphqlEndpoint, {
@@ -394,99 +1231,13 @@ function createGraphQLClient(storeUrl, accessToken) {
   return client;
 }
 
-// Calculate optimal batch configuration based on rate limits
-function calculateOptimalBatchConfig(
-  leakRate,
-  costPerProduct = 10,
-  optimizationMode = "throughput"
-) {
-  // Calculate how many products we can process per second
-  const productsPerSecond = Math.floor(leakRate / costPerProduct);
-
-  // Choose optimization strategy based on mode
-  let optimalBatchSize, finalDelay, safetyMargin;
-
-  if (optimizationMode === "aggressive") {
-    // Maximum throughput mode - push the limits
-    const bucketCapacity = leakRate * 2; // Approximate bucket capacity
-    const maxBatchSizeByCapacity = Math.floor(
-      (bucketCapacity * 0.9) / costPerProduct
-    );
-    const optimalBatchSizeByTime = Math.floor(productsPerSecond * 0.9);
-
-    optimalBatchSize = Math.min(
-      Math.max(maxBatchSizeByCapacity, optimalBatchSizeByTime, 20),
-      1000 // Higher cap for aggressive mode
-    );
-
-    const batchCost = optimalBatchSize * costPerProduct;
-    const minDelayForRateLimit = (batchCost / leakRate) * 1000;
-    safetyMargin = 1.02; // Only 2% safety margin
-    finalDelay = Math.max(Math.ceil(minDelayForRateLimit * safetyMargin), 25);
-  } else if (optimizationMode === "balanced") {
-    // Balanced mode - good throughput with reasonable safety
-    const bucketCapacity = leakRate * 2;
-    const maxBatchSizeByCapacity = Math.floor(
-      (bucketCapacity * 0.7) / costPerProduct
-    );
-    const optimalBatchSizeByTime = Math.floor(productsPerSecond * 0.7);
-
-    optimalBatchSize = Math.min(
-      Math.max(maxBatchSizeByCapacity, optimalBatchSizeByTime, 15),
-      300
-    );
-
-    const batchCost = optimalBatchSize * costPerProduct;
-    const minDelayForRateLimit = (batchCost / leakRate) * 1000;
-    safetyMargin = 1.1; // 10% safety margin
-    finalDelay = Math.max(Math.ceil(minDelayForRateLimit * safetyMargin), 50);
-  } else {
-    // Default throughput mode (current optimized approach)
-    const bucketCapacity = leakRate * 2;
-    const maxBatchSizeByCapacity = Math.floor(
-      (bucketCapacity * 0.8) / costPerProduct
-    );
-    const optimalBatchSizeByTime = Math.floor(productsPerSecond * 0.8);
-
-    optimalBatchSize = Math.min(
-      Math.max(maxBatchSizeByCapacity, optimalBatchSizeByTime, 10),
-      500
-    );
-
-    const batchCost = optimalBatchSize * costPerProduct;
-    const minDelayForRateLimit = (batchCost / leakRate) * 1000;
-    safetyMargin = 1.05; // 5% safety margin
-    finalDelay = Math.max(Math.ceil(minDelayForRateLimit * safetyMargin), 50);
-  }
-
-  const batchCost = optimalBatchSize * costPerProduct;
-  const minDelayForRateLimit = (batchCost / leakRate) * 1000;
-
-  console.log(
-    `Rate limit analysis - Leak rate: ${leakRate} points/sec, Products/sec: ${productsPerSecond}`
-  );
-  console.log(
-    `Optimization mode: ${optimizationMode} - Batch size: ${optimalBatchSize}, Delay: ${finalDelay}ms`
-  );
-  console.log(
-    `Batch cost: ${batchCost} points, Safety margin: ${(
-      (safetyMargin - 1) *
-      100
-    ).toFixed(1)}%`
-  );
-
-  return {
-    batchSize: Math.floor(optimalBatchSize),
-    delayBetweenBatches: Math.min(finalDelay, 2000), // Cap at 2 seconds for responsiveness
-  };
-}
-
 // Helper: fetch benchmark products with optional GraphQL query filter and pagination
 async function fetchBenchmarkProducts(
   client,
   storeUrl,
   accessToken,
-  maxCount = 250
+  maxCount = 250,
+  audit
 ) {
   console.log(`🚀 fetchBenchmarkProducts called with maxCount: ${maxCount}`);
   console.log(`🚀 Client URL: ${client.url}`);
@@ -512,7 +1263,8 @@ async function fetchBenchmarkProducts(
         variables,
         "getProducts",
         storeUrl,
-        accessToken
+        accessToken,
+        audit
       );
       console.log(
         `🔍 GraphQL request result:`,
@@ -551,290 +1303,26 @@ async function fetchBenchmarkProducts(
   return products;
 }
 
-// Helper function to handle Shopify rate limits and extract costs
-// Helper functions for audit logging
-function extractProductId(response, operationName) {
-  if (!response) return "N/A";
-
-  switch (operationName) {
-    case "createProduct":
-      return response.productCreate?.product?.id || "N/A";
-    case "updateProduct":
-      return response.productUpdate?.product?.id || "N/A";
-    case "deleteProduct":
-      return response.productDelete?.deletedProductId || "N/A";
-    default:
-      return "N/A";
-  }
-}
-
-function generateOperationSummary(operationName, response, success) {
-  if (!success) return "Operation failed";
-
-  switch (operationName) {
-    case "createProduct":
-      const createdProduct = response.productCreate?.product;
-      return createdProduct
-        ? `Created product: ${createdProduct.title}`
-        : "Product created";
-    case "updateProduct":
-      const updatedProduct = response.productUpdate?.product;
-      return updatedProduct
-        ? `Updated product: ${updatedProduct.title}`
-        : "Product updated";
-    case "deleteProduct":
-      return "Product deleted successfully";
-    default:
-      return "Operation completed";
+// Every endpoint that talks to Shopify takes an optional apiVersion
+app.use("/api", (req, res, next) => {
+  const errors = validateApiVersionSettings(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid API version", errors });
   }
-}
-
-async function handleGraphQLRequest(
-  client,
-  query,
-  variables,
-  operationName,
-  storeUrl = null,
-  accessToken = null
-) {
-  const startTime = Date.now();
-
-  try {
-    console.log(`Making GraphQL request: ${operationName}`);
-    console.log(`Variables:`, JSON.stringify(variables, null, 2));
-
-    // Use direct fetch approach matching Shopify documentation
-    const requestHeaders = {
-      "Content-Type": "application/json",
-      "X-Shopify-Access-Token": accessToken,
-      Accept: "application/json",
-    };
-
-    console.log("Request headers:", requestHeaders);
-    console.log("Request URL:", client.url);
-
-    const response = await fetch(client.url, {
-      method: "POST",
-      headers: {
-        ...requestHeaders,
-        // Include cost debug header to expose detailed cost info per Shopify docs
-        "Shopify-GraphQL-Cost-Debug": "1",
-      },
-      body: JSON.stringify({
-        query,
-        variables,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const responseData = await response.json();
-    const responseTime = (Date.now() - startTime) / 1000;
-
-    console.log(
-      `GraphQL response for ${operationName}:`,
-      JSON.stringify(responseData, null, 2)
-    );
-
-    // Check for GraphQL errors in the response
-    if (responseData.errors) {
-      throw new Error(`GraphQL errors: ${JSON.stringify(responseData.errors)}`);
-    }
-
-    // Extract rate limit info from response headers and extensions
-    let rateLimitInfo = {
-      current: 0,
-      limit: 100, // Default Shopify limit (100 points/second)
-      remaining: 100,
-      resetTime: null,
-      cost: QUERY_COSTS[operationName] || 0,
-    };
-
-    // Extract rate limit headers from successful response
-    const headers = response.headers;
-    const limitHeader = headers.get("x-shopify-shop-api-call-limit");
-    const costHeader = headers.get("x-shopify-graphql-query-cost");
-
-    console.log("Rate limit headers found:", {
-      limitHeader: limitHeader,
-      costHeader: costHeader,
-      allHeaders: Object.fromEntries(headers.entries()),
-    });
-
-    // Check GraphQL response extensions for rate limit info (most reliable)
-    if (responseData.extensions?.cost?.throttleStatus) {
-      const throttleStatus = responseData.extensions.cost.throttleStatus;
-      console.log("Rate limit info from GraphQL extensions:", throttleStatus);
-
-      // The restoreRate is the actual leak rate (points per second)
-      const leakRate = throttleStatus.restoreRate;
-
-      rateLimitInfo = {
-        current:
-          throttleStatus.maximumAvailable - throttleStatus.currentlyAvailable,
-        limit: throttleStatus.maximumAvailable, // Total bucket capacity
-        remaining: throttleStatus.currentlyAvailable, // Available points
-        restoreRate: throttleStatus.restoreRate, // Points restored per second (leak rate)
-        leakRate: leakRate, // Same as restoreRate for clarity
-        resetTime: "Continuous (leaky bucket)",
-        cost:
-          responseData.extensions.cost.actualQueryCost ||
-          QUERY_COSTS[operationName] ||
-          0,
-      };
-
-      console.log("Parsed rate limit info from extensions:", rateLimitInfo);
-    }
-    // Fall back to headers if extensions not available
-    else if (limitHeader) {
-      const [current, limit] = limitHeader.split("/").map(Number);
-      rateLimitInfo = {
-        current,
-        limit,
-        remaining: limit - current,
-        resetTime:
-          headers.get("x-shopify-shop-api-call-limit-reset") ||
-          "Continuous (leaky bucket)",
-        cost: costHeader
-          ? parseInt(costHeader)
-          : QUERY_COSTS[operationName] || 0,
-      };
-    }
-
-    console.log("Final rate limit info:", rateLimitInfo);
-
-    // Log successful operation
-    logOperation({
-      action: operationName,
-      success: true,
-      responseTime: responseTime * 1000, // Convert to ms
-      cost: rateLimitInfo.cost,
-      productId: extractProductId(responseData, operationName),
-      summary: generateOperationSummary(operationName, responseData, true),
-      rateLimit: rateLimitInfo,
-    });
-
-    // Log rate limit status if storeUrl is provided
-    if (storeUrl) {
-      logRateLimitStatus(
-        storeUrl,
-        rateLimitInfo.current,
-        rateLimitInfo.limit,
-        rateLimitInfo.remaining,
-        rateLimitInfo.resetTime
-      );
-    }
-
-    return {
-      success: true,
-      responseTime,
-      rateLimit: rateLimitInfo,
-      data: responseData,
-      cost: rateLimitInfo.cost,
-    };
-  } catch (error) {
-    const responseTime = (Date.now() - startTime) / 1000;
-
-    console.error(`GraphQL error for ${operationName}:`, error.message);
-    if (error.response) {
-      console.error(`Response status:`, error.response.status);
-      console.error(`Response headers:`, error.response.headers);
-      console.error(`Response data:`, error.response.data);
-    }
-
-    // Handle rate limiting
-    if (error.response?.status === 429) {
-      const retryAfter = error.response.headers["retry-after"] || 60;
-      console.log(`Rate limit exceeded. Waiting ${retryAfter}s...`);
-
-      // Log rate limit hit
-      logOperation({
-        action: operationName,
-        success: false,
-        responseTime: responseTime * 1000,
-        cost: QUERY_COSTS[operationName] || 0,
-        productId: "N/A",
-        summary: `Rate limit exceeded - waiting ${retryAfter}s`,
-        error: "Rate limit exceeded",
-      });
-
-      await new Promise((resolve) => setTimeout(resolve, retryAfter * 1000));
-      return handleGraphQLRequest(
-        client,
-        query,
-        variables,
-        operationName,
-        storeUrl
-      );
-    }
-
-    // Extract rate limit info from error response if available
-    let rateLimitInfo = {
-      current: 0,
-      limit: 1000,
-      remaining: 1000,
-      resetTime: null,
-      cost: QUERY_COSTS[operationName] || 0,
-    };
-
-    if (error.response?.headers) {
-      const headers = error.response.headers;
-      const limitHeader = headers["x-shopify-shop-api-call-limit"];
-      const costHeader = headers["x-shopify-graphql-query-cost"];
-
-      if (limitHeader) {
-        const [current, limit] = limitHeader.split("/").map(Number);
-        rateLimitInfo = {
-          current,
-          limit,
-          remaining: limit - current,
-          resetTime: headers["x-shopify-shop-api-call-limit-reset"],
-          cost: costHeader
-            ? parseInt(costHeader)
-            : QUERY_COSTS[operationName] || 0,
-        };
-      }
-    }
-
-    // Log failed operation
-    logOperation({
-      action: operationName,
-      success: false,
-      responseTime: responseTime * 1000,
-      cost: rateLimitInfo.cost,
-      productId: "N/A",
-      summary: generateOperationSummary(operationName, null, false),
-      error: error.message,
-      rateLimit: rateLimitInfo,
-    });
-
-    // Log rate limit status if storeUrl is provided
-    if (storeUrl) {
-      logRateLimitStatus(
-        storeUrl,
-        rateLimitInfo.current,
-        rateLimitInfo.limit,
-        rateLimitInfo.remaining,
-        rateLimitInfo.resetTime
-      );
-    }
+  next();
+});
 
-    return {
-      success: false,
-      responseTime,
-      rateLimit: rateLimitInfo,
-      error: error.message,
-      cost: rateLimitInfo.cost,
-    };
-  }
-}
+app.get("/api/api-versions", (req, res) => {
+  res.json({
+    default: DEFAULT_API_VERSION,
+    recent: recentApiVersions(),
+  });
+});
 
 // Test GraphQL connection endpoint
 app.post("/api/test-graphql", async (req, res) => {
   try {
-    const { storeUrl, accessToken } = req.body;
+    const { storeUrl, accessToken, apiVersion, browserSessionId } = req.body;
 
     if (!storeUrl || !accessToken) {
       return res.status(400).json({
@@ -842,9 +1330,11 @@ app.post("/api/test-graphql", async (req, res) => {
       });
     }
 
+    const audit = getSessionAuditLog(browserSessionId);
+
     console.log("Testing GraphQL connection...");
 
-    const client = createGraphQLClient(storeUrl, accessToken);
+    const client = createGraphQLClient(storeUrl, accessToken, apiVersion);
 
     // Test with a simple introspection query
     const testQuery = `
@@ -862,7 +1352,8 @@ app.post("/api/test-graphql", async (req, res) => {
       {},
       "testConnection",
       storeUrl,
-      accessToken
+      accessToken,
+      audit
     );
 
     if (result.success) {
@@ -892,7 +1383,7 @@ app.post("/api/test-graphql", async (req, res) => {
 // Test minimal product creation endpoint
 app.post("/api/test-product-create", async (req, res) => {
   try {
-    const { storeUrl, accessToken } = req.body;
+    const { storeUrl, accessToken, apiVersion, browserSessionId } = req.body;
 
     if (!storeUrl || !accessToken) {
       return res.status(400).json({
@@ -900,9 +1391,11 @@ app.post("/api/test-product-create", async (req, res) => {
       });
     }
 
+    const audit = getSessionAuditLog(browserSessionId);
+
     console.log("Testing minimal product creation...");
 
-    const client = createGraphQLClient(storeUrl, accessToken);
+    const client = createGraphQLClient(storeUrl, accessToken, apiVersion);
 
     // Test with minimal product data
     const minimalProduct = {
@@ -921,7 +1414,8 @@ app.post("/api/test-product-create", async (req, res) => {
       { product: minimalProduct },
       "testProductCreate",
       storeUrl,
-      accessToken
+      accessToken,
+      audit
     );
 
     if (result.success) {
@@ -949,61 +1443,203 @@ app.post("/api/test-product-create", async (req, res) => {
 });
 
 // Schema introspection endpoint
+// Store schemas
+// Introspected once per store and API version - fields, arguments, input
+// types and deprecations - then kept in memory and on disk
+// (data/schemas/<shop>@<version>.json), so the cost estimator and the schema
+// browser survive a restart without asking the store again. The raw
+// introspection result is kept next to the built schema. `refresh` fetches it
+// again, e.g. for "unstable", which changes under the same name. A cached
+// schema is only served once the caller's token has passed a one-point shop
+// query against the store.
+const SCHEMAS_DIR = path.join(DATA_DIR, "schemas");
+const storeSchemas = new Map();
+const MAX_SCHEMA_SEARCH_LENGTH = 200;
+
+function schemaCacheFile(key) {
+  return path.join(SCHEMAS_DIR, `${key.replace(/[^\w.@-]/g, "_")}.json`);
+}
+
+function readCachedSchema(key) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(schemaCacheFile(key), "utf8"));
+    return { ...cached, schema: buildClientSchema(cached.introspection) };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Failed to read cached schema ${key}:`, error.message);
+    }
+    return null;
+  }
+}
+
+function writeCachedSchema(key, { schema, ...entry }) {
+  try {
+    ensureDataDir(SCHEMAS_DIR);
+    fs.writeFileSync(schemaCacheFile(key), JSON.stringify(entry));
+  } catch (error) {
+    console.error(`Failed to cache schema ${key}:`, error.message);
+  }
+}
+
+async function loadStoreSchema({
+  storeUrl,
+  accessToken,
+  apiVersion,
+  audit,
+  refresh = false,
+}) {
+  const version = apiVersion || DEFAULT_API_VERSION;
+  const key = `${getShopDomain(storeUrl)}@${version}`;
+  const client = createGraphQLClient(storeUrl, accessToken, version);
+  if (!refresh) {
+    const memory = storeSchemas.get(key);
+    const cached = memory || readCachedSchema(key);
+    if (cached) {
+      const access = await handleGraphQLRequest(
+        client,
+        "query schemaAccessCheck { shop { id } }",
+        {},
+        "schemaAccessCheck",
+        storeUrl,
+        accessToken,
+        audit
+      );
+      if (!access.success) {
+        return {
+          success: false,
+          error: access.error,
+          responseTime: access.responseTime,
+        };
+      }
+      storeSchemas.set(key, cached);
+      return {
+        success: true,
+        ...cached,
+        source: memory ? "memory" : "disk",
+      };
+    }
+  }
+
+  const result = await handleGraphQLRequest(
+    client,
+    getIntrospectionQuery({ inputValueDeprecation: true }),
+    {},
+    "schemaIntrospection",
+    storeUrl,
+    accessToken,
+    audit
+  );
+  if (!result.success || !result.data?.data?.__schema) {
+    return {
+      success: false,
+      error: result.error || "The store returned no schema",
+      responseTime: result.responseTime,
+    };
+  }
+
+  const entry = {
+    apiVersion: version,
+    introspection: result.data.data,
+    schema: buildClientSchema(result.data.data),
+    fetchedAt: new Date().toISOString(),
+    bucket: result.rateLimit?.restoreRate
+      ? {
+          limit: result.rateLimit.limit,
+          restoreRate: result.rateLimit.restoreRate,
+        }
+      : null,
+    responseTime: result.responseTime,
+  };
+  storeSchemas.set(key, entry);
+  writeCachedSchema(key, entry);
+  return { success: true, ...entry, source: "store" };
+}
+
 app.post("/api/schema-info", async (req, res) => {
   try {
-    const { storeUrl, accessToken } = req.body;
+    const {
+      storeUrl,
+      accessToken,
+      apiVersion,
+      browserSessionId,
+      refresh,
+      search,
+      kind,
+      includeDeprecated = true,
+      includeIntrospection,
+    } = req.body;
 
     if (!storeUrl || !accessToken) {
       return res.status(400).json({
         error: "Missing store URL or access token",
       });
     }
+    if (
+      search !== undefined &&
+      (typeof search !== "string" || search.length > MAX_SCHEMA_SEARCH_LENGTH)
+    ) {
+      return res.status(400).json({
+        error: `search must be text of at most ${MAX_SCHEMA_SEARCH_LENGTH} characters`,
+      });
+    }
+    if (kind && !TYPE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: `kind must be one of ${TYPE_KINDS.join(", ")}`,
+      });
+    }
 
-    console.log("Getting schema information...");
-
-    const client = createGraphQLClient(storeUrl, accessToken);
+    const audit = getSessionAuditLog(browserSessionId);
 
-    // Introspection query to see available types
-    const introspectionQuery = `
-      query IntrospectionQuery {
-        __schema {
-          types {
-            name
-            kind
-            description
-          }
-        }
-      }
-    `;
+    console.log("Getting schema information...");
 
-    const result = await handleGraphQLRequest(
-      client,
-      introspectionQuery,
-      {},
-      "schemaIntrospection",
+    const loaded = await loadStoreSchema({
       storeUrl,
-      accessToken
-    );
+      accessToken,
+      apiVersion,
+      audit,
+      refresh: Boolean(refresh),
+    });
 
-    if (result.success) {
-      const productTypes =
-        result.data?.__schema?.types?.filter((type) =>
-          type.name.toLowerCase().includes("product")
-        ) || [];
+    if (loaded.success) {
+      const { types } = loaded.introspection.__schema;
+      const productTypes = types
+        .filter((type) => type.name.toLowerCase().includes("product"))
+        .map(({ name, kind, description }) => ({ name, kind, description }));
 
+      // The browser asks for matching types; the whole schema is only sent
+      // on request, as it runs to megabytes
+      const browsing = search !== undefined || Boolean(kind);
       res.json({
         status: "success",
         message: "Schema introspection successful",
-        totalTypes: result.data?.__schema?.types?.length || 0,
+        apiVersion: loaded.apiVersion,
+        cached: loaded.source !== "store",
+        source: loaded.source,
+        fetchedAt: loaded.fetchedAt,
+        totalTypes: types.length,
         productTypes: productTypes,
-        responseTime: result.responseTime,
+        summary: describeSchema(loaded.introspection),
+        ...(browsing && {
+          search: {
+            query: search || "",
+            kind: kind || null,
+            includeDeprecated: includeDeprecated !== false,
+            ...searchSchema(loaded.introspection, {
+              search,
+              kind,
+              includeDeprecated: includeDeprecated !== false,
+            }),
+          },
+        }),
+        ...(includeIntrospection && { introspection: loaded.introspection }),
+        responseTime: loaded.responseTime,
       });
     } else {
       res.json({
         status: "error",
         message: "Schema introspection failed",
-        error: result.error,
-        responseTime: result.responseTime,
+        error: loaded.error,
+        responseTime: loaded.responseTime,
       });
     }
   } catch (error) {
@@ -1015,16 +1651,363 @@ app.post("/api/schema-info", async (req, res) => {
   }
 });
 
-// Store credentials endpoint
-app.post("/api/store-credentials", (req, res) => {
-  try {
-    const { storeUrl, accessToken, sessionId } = req.body;
+// Query cost analyzer
+// Runs a pasted query once and reports what Shopify priced it at before it
+// ran (requestedQueryCost), what it charged (actualQueryCost) and the
+// per-field breakdown. Mutations are refused, since running one would change
+// the store.
+const MAX_ANALYZED_QUERY_LENGTH = 50000;
+
+// Returns { error, operationName } for a pasted GraphQL document. Mutations
+// are only allowed where nothing runs (the estimator).
+function checkAnalyzableQuery(query, { mutations = false } = {}) {
+  if (typeof query !== "string" || !query.trim()) {
+    return { error: "Paste a GraphQL query to analyze" };
+  }
+  if (query.length > MAX_ANALYZED_QUERY_LENGTH) {
+    return {
+      error: `Queries can be at most ${MAX_ANALYZED_QUERY_LENGTH} characters`,
+    };
+  }
 
-    if (!storeUrl || !accessToken) {
-      return res.status(400).json({
-        error: "Missing store URL or access token",
-      });
-    }
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { error: `Not valid GraphQL: ${error.message}` };
+  }
+  const operations = document.definitions.filter(
+    (definition) => definition.kind === Kind.OPERATION_DEFINITION
+  );
+  if (operations.length !== 1) {
+    return { error: "The document must contain exactly one operation" };
+  }
+  const { operation } = operations[0];
+  if (operation !== "query" && !(mutations && operation === "mutation")) {
+    return {
+      error: mutations
+        ? `A ${operation} has no cost to estimate`
+        : `Only queries can be analyzed - running a ${operation} would change the store`,
+    };
+  }
+  return { error: null, operationName: operations[0].name?.value || null };
+}
+
+function isVariablesObject(variables) {
+  return (
+    variables !== null &&
+    typeof variables === "object" &&
+    !Array.isArray(variables)
+  );
+}
+
+// The bucket rate predictions use: what the scheduler has learned from live
+// traffic, else what the introspection response reported
+function predictionBucket(storeUrl, fallback) {
+  const stats = getRateLimitManager(storeUrl).scheduler.getStats();
+  if (stats.calibrated) {
+    return {
+      limit: stats.capacity,
+      restoreRate: stats.restoreRate,
+      source: "scheduler",
+    };
+  }
+  return fallback ? { ...fallback, source: "introspection" } : null;
+}
+
+// Estimate against the store's schema. Returns { estimate, error }, where
+// error is a 400-worthy message for a query the schema rejects.
+function estimateAgainstSchema(schema, query, variables) {
+  try {
+    return { estimate: estimateQueryCost(schema, query, variables) };
+  } catch (error) {
+    if (error instanceof BenchmarkError) {
+      return { error: error.message, errors: error.details?.errors };
+    }
+    throw error;
+  }
+}
+
+app.post("/api/query-cost", async (req, res) => {
+  try {
+    const {
+      storeUrl,
+      accessToken,
+      apiVersion,
+      browserSessionId,
+      query,
+      variables = {},
+    } = req.body;
+
+    if (!storeUrl || !accessToken) {
+      return res.status(400).json({
+        error: "Missing store URL or access token",
+      });
+    }
+    const { error, operationName } = checkAnalyzableQuery(query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!isVariablesObject(variables)) {
+      return res.status(400).json({ error: "variables must be an object" });
+    }
+
+    const audit = getSessionAuditLog(browserSessionId);
+    const client = createGraphQLClient(storeUrl, accessToken, apiVersion);
+    const result = await handleGraphQLRequest(
+      client,
+      query,
+      variables,
+      operationName || "costAnalysis",
+      storeUrl,
+      accessToken,
+      audit
+    );
+
+    const { queryCost } = result;
+
+    // The static estimate next to what the store priced the query at. A store
+    // whose schema can't be introspected just goes without.
+    const loaded = await loadStoreSchema({
+      storeUrl,
+      accessToken,
+      apiVersion,
+      audit,
+    });
+    const { estimate } = loaded.success
+      ? estimateAgainstSchema(loaded.schema, query, variables)
+      : {};
+
+    res.json({
+      status: result.success ? "success" : "error",
+      operationName,
+      requestedQueryCost: queryCost?.requested ?? null,
+      actualQueryCost: queryCost?.actual ?? null,
+      refunded: Number.isFinite(queryCost?.actual)
+        ? queryCost.requested - queryCost.actual
+        : null,
+      // null when the store didn't send a breakdown
+      fields: queryCost?.fields ?? null,
+      bucket: result.rateLimit?.restoreRate
+        ? {
+            limit: result.rateLimit.limit,
+            remaining: result.rateLimit.remaining,
+            restoreRate: result.rateLimit.restoreRate,
+          }
+        : null,
+      responseTime: result.responseTime,
+      error: result.error || null,
+      estimate: estimate
+        ? {
+            estimatedQueryCost: estimate.cost,
+            warnings: estimate.warnings,
+            comparison: Number.isFinite(queryCost?.requested)
+              ? compareEstimate(estimate.cost, queryCost.requested)
+              : null,
+          }
+        : null,
+    });
+  } catch (error) {
+    console.error("Query cost analysis error:", error);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Query cost estimator
+// Prices a query from the store's introspected schema with Shopify's cost
+// rules, without running it - so mutations can be estimated too - and
+// predicts how fast it could run on the store's bucket.
+app.post("/api/query-cost/estimate", async (req, res) => {
+  try {
+    const {
+      storeUrl,
+      accessToken,
+      apiVersion,
+      browserSessionId,
+      query,
+      variables = {},
+    } = req.body;
+
+    if (!storeUrl || !accessToken) {
+      return res.status(400).json({
+        error: "Missing store URL or access token",
+      });
+    }
+    const { error: queryError, operationName } = checkAnalyzableQuery(query, {
+      mutations: true,
+    });
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    if (!isVariablesObject(variables)) {
+      return res.status(400).json({ error: "variables must be an object" });
+    }
+
+    const loaded = await loadStoreSchema({
+      storeUrl,
+      accessToken,
+      apiVersion,
+      audit: getSessionAuditLog(browserSessionId),
+    });
+    if (!loaded.success) {
+      return res.json({
+        status: "error",
+        message: "Schema introspection failed",
+        error: loaded.error,
+      });
+    }
+
+    const { estimate, error, errors } = estimateAgainstSchema(
+      loaded.schema,
+      query,
+      variables
+    );
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+
+    const bucket = predictionBucket(storeUrl, loaded.bucket);
+    res.json({
+      status: "success",
+      operationName,
+      operationType: estimate.operationType,
+      estimatedQueryCost: estimate.cost,
+      fields: estimate.fields,
+      warnings: estimate.warnings,
+      bucket,
+      rate: bucket ? predictRate(estimate.cost, bucket) : null,
+      schema: {
+        apiVersion: loaded.apiVersion,
+        fetchedAt: loaded.fetchedAt,
+        cached: loaded.source !== "store",
+      },
+    });
+  } catch (error) {
+    console.error("Query cost estimate error:", error);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// The app's own read queries, run once each to check the estimator against
+// the cost the store reports. Mutations are never run here.
+const ESTIMATE_CHECKS = [
+  {
+    operationName: "getProducts",
+    variables: {
+      first: 50,
+      after: null,
+      query: null,
+      sortKey: "ID",
+      reverse: false,
+    },
+  },
+  { operationName: "getProductPageCursors", variables: { first: 250 } },
+  { operationName: "readProductList", variables: { first: 50 } },
+  {
+    operationName: "readProductById",
+    variables: { id: "gid://shopify/Product/0" },
+  },
+  {
+    operationName: "readProductSearch",
+    variables: { first: 50, query: "tag:benchmarkify" },
+  },
+  {
+    operationName: "readProductsNested",
+    variables: { first: 10, nestedFirst: 5 },
+  },
+  { operationName: "countProducts", variables: {} },
+];
+
+app.post("/api/query-cost/validate", async (req, res) => {
+  try {
+    const { storeUrl, accessToken, apiVersion, browserSessionId } = req.body;
+
+    if (!storeUrl || !accessToken) {
+      return res.status(400).json({
+        error: "Missing store URL or access token",
+      });
+    }
+
+    const audit = getSessionAuditLog(browserSessionId);
+    const loaded = await loadStoreSchema({
+      storeUrl,
+      accessToken,
+      apiVersion,
+      audit,
+    });
+    if (!loaded.success) {
+      return res.json({
+        status: "error",
+        message: "Schema introspection failed",
+        error: loaded.error,
+      });
+    }
+
+    const client = createGraphQLClient(storeUrl, accessToken, apiVersion);
+    const checks = [];
+    for (const { operationName, variables } of ESTIMATE_CHECKS) {
+      const query = GRAPHQL_QUERIES[operationName];
+      const { estimate, error } = estimateAgainstSchema(
+        loaded.schema,
+        query,
+        variables
+      );
+      const result = await handleGraphQLRequest(
+        client,
+        query,
+        variables,
+        operationName,
+        storeUrl,
+        accessToken,
+        audit
+      );
+      const requested = result.queryCost?.requested;
+
+      checks.push({
+        operationName,
+        estimatedQueryCost: estimate ? estimate.cost : null,
+        requestedQueryCost: requested ?? null,
+        actualQueryCost: result.queryCost?.actual ?? null,
+        comparison:
+          estimate && Number.isFinite(requested)
+            ? compareEstimate(estimate.cost, requested)
+            : null,
+        error: error || result.error || null,
+      });
+    }
+
+    const comparisons = checks.map((check) => check.comparison).filter(Boolean);
+    res.json({
+      status: "success",
+      apiVersion: loaded.apiVersion,
+      checks,
+      summary: summarizeEstimateChecks(comparisons),
+    });
+  } catch (error) {
+    console.error("Query cost estimator validation error:", error);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Store credentials endpoint
+app.post("/api/store-credentials", (req, res) => {
+  try {
+    const { storeUrl, accessToken, sessionId } = req.body;
+
+    if (!storeUrl || !accessToken) {
+      return res.status(400).json({
+        error: "Missing store URL or access token",
+      });
+    }
 
     const sessionKey = sessionId || generateBenchmarkTag();
     storedCredentials.set(sessionKey, {
@@ -1098,7 +2081,7 @@ app.get("/api/stored-credentials/:sessionId", (req, res) => {
 // Rate limit analysis endpoint
 app.post("/api/rate-limit-analysis", async (req, res) => {
   try {
-    const { storeUrl, accessToken } = req.body;
+    const { storeUrl, accessToken, apiVersion, browserSessionId } = req.body;
 
     if (!storeUrl || !accessToken) {
       return res.status(400).json({
@@ -1106,9 +2089,11 @@ app.post("/api/rate-limit-analysis", async (req, res) => {
       });
     }
 
+    const audit = getSessionAuditLog(browserSessionId);
+
     console.log("Analyzing rate limits for store...");
 
-    const client = createGraphQLClient(storeUrl, accessToken);
+    const client = createGraphQLClient(storeUrl, accessToken, apiVersion);
 
     // Test with a simple query to get rate limit info
     const testQuery = `
@@ -1126,7 +2111,8 @@ app.post("/api/rate-limit-analysis", async (req, res) => {
       {},
       "rateLimitAnalysis",
       storeUrl,
-      accessToken
+      accessToken,
+      audit
     );
 
     if (!result.success) {
@@ -1279,26 +2265,387 @@ app.post("/api/rate-limit-analysis", async (req, res) => {
   }
 });
 
-// Benchmark endpoint for product creation
-app.post("/api/benchmark/create", async (req, res) => {
-  try {
-    const { storeUrl, accessToken, count = 5 } = req.body;
+// Live progress stream for a benchmark run (Server-Sent Events)
+app.get("/api/benchmark/progress/:runId", (req, res) => {
+  const { runId } = req.params;
+  const sessionId = req.query.sessionId || null;
+  const owner = progressOwner(runId);
+  if (owner !== undefined && owner !== sessionId) {
+    return res.status(404).json({ error: "Run not found" });
+  }
+  const channel = getProgressChannel(runId);
+  res.locals.clientSessionId = sessionId;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  // Replay the latest state so late subscribers don't start from zero
+  if (channel.lastEvent) {
+    res.write(
+      `event: ${channel.lastEvent.type}\ndata: ${JSON.stringify(
+        channel.lastEvent
+      )}\n\n`
+    );
+  }
+  channel.clients.add(res);
 
-    if (!storeUrl || !accessToken) {
-      return res.status(400).json({
-        error: "Missing store URL or access token",
-      });
+  // Keep proxies from closing an idle stream during long batch delays
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    channel.clients.delete(res);
+    if (!channel.clients.size && !channel.running) {
+      progressChannels.delete(runId);
+    }
+  });
+});
+
+// Error payload shared by the benchmark endpoints and background jobs
+function benchmarkErrorResponse(message) {
+  return {
+    status: "error",
+    responseTime: 0,
+    totalTime: 0,
+    rateLimit: { current: 0, limit: 1000, remaining: 1000 },
+    details: message,
+    cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
+    performanceProjections: {},
+  };
+}
+
+// Benchmark scenario registry
+// A scenario declares its GraphQL document, how to find the items it works on,
+// a variable generator and a result extractor. runBenchmarkScenario handles
+// rate limit probing, batching, metrics and the response shape for all of them.
+const BENCHMARK_SCENARIOS = new Map();
+
+function registerBenchmarkScenario(name, definition) {
+  const required = ["operationName", "query", "loadTargets", "variables"];
+  const missing = required.filter((key) => !definition[key]);
+  if (missing.length) {
+    throw new Error(
+      `Benchmark scenario "${name}" is missing: ${missing.join(", ")}`
+    );
+  }
+
+  BENCHMARK_SCENARIOS.set(name, {
+    name,
+    label: name,
+    verb: "Processed",
+    noun: "products",
+    defaultCount: 3,
+    extractResult: () => null,
+    onSuccess: null,
+    ...definition,
+  });
+}
+
+// Remember created IDs so deletes in the same session can target them directly
+function rememberCreatedProduct(product, { audit, storeUrl }) {
+  storeCreatedProductId(
+    audit,
+    storeUrl,
+    product.id,
+    product.title || "Unknown Product"
+  );
+}
+
+// Product creation - each item is a freshly generated product
+registerBenchmarkScenario("create", {
+  label: "product creation",
+  verb: "Created",
+  operationName: "createProduct",
+  query: GRAPHQL_QUERIES.createProduct,
+  defaultCount: 5,
+  loadTargets: async (context, count) => new Array(count).fill(null),
+  variables: () => ({ product: generateRandomProduct() }),
+  extractResult: (data) => data?.productCreate?.product || null,
+  onSuccess: rememberCreatedProduct,
+});
+
+// Bulk product creation - the same products, imported by one bulk operation
+// (see lib/bulkOperations.js) and compared with this run's "create" results
+registerBenchmarkScenario("bulkCreate", {
+  label: "bulk product creation",
+  verb: "Bulk created",
+  bulk: true,
+  comparesWith: "create",
+  operationName: "bulkOperationRunMutation",
+  query: GRAPHQL_QUERIES.createProduct,
+  defaultCount: 100,
+  loadTargets: async (context, count) => new Array(count).fill(null),
+  variables: () => ({ product: generateRandomProduct() }),
+  extractResult: (data) => data?.productCreate?.product || null,
+  onSuccess: rememberCreatedProduct,
+});
+
+// Catalog export - reads the catalog page by page, then again with one bulk
+// query, and compares the two (see runExportScenario). The count caps the
+// paginated read; a bulk query always returns the whole catalog.
+registerBenchmarkScenario("export", {
+  label: "catalog export",
+  verb: "Read",
+  export: true,
+  operationName: "bulkOperationRunQuery",
+  query: GRAPHQL_QUERIES.exportProducts,
+  defaultCount: 1000000,
+  emptyTargetsMessage: "No products in the catalog to export",
+  loadTargets: async ({ request }, count) => {
+    const result = await request(
+      GRAPHQL_QUERIES.countProducts,
+      {},
+      "countProducts"
+    );
+    if (!result.success) {
+      throw new Error(`Counting the catalog failed: ${result.error}`);
+    }
+    const catalogSize = result.data.data.productsCount?.count || 0;
+    return new Array(Math.min(catalogSize, count)).fill(null);
+  },
+  variables: () => ({ query: GRAPHQL_QUERIES.exportProducts }),
+});
+
+// Read queries
+// Each request is one query - a page of products, a lookup by ID or a search.
+// `readSettings` lists the settings a read scenario's queries take, with their
+// defaults: `first` (page size), `nestedFirst` (variants, metafields and media
+// per product) and `search` (a product search query, by default a rotation of
+// DEFAULT_SEARCH_QUERIES). Targets carry their own variables.
+const READ_SETTINGS = ["first", "nestedFirst", "search"];
+const MAX_READ_TARGETS = 1000;
+const MAX_SEARCH_LENGTH = 500;
+const DEFAULT_SEARCH_QUERIES = [
+  "tag:benchmarkify",
+  "tag:organic",
+  "tag:handmade -tag:local",
+  "title:a*",
+  "status:active",
+];
+
+// `count` targets, going round `items` again when there are fewer of them
+function cycleTargets(items, count, toTarget) {
+  if (items.length === 0) return [];
+  return Array.from({ length: count }, (_, index) =>
+    toTarget(items[index % items.length])
+  );
+}
+
+// Pages are read from the start cursor of each page, so a count above the
+// catalog's page count reads the first pages again
+async function loadPageTargets({ request, readSettings }, count) {
+  const afters = await collectPageCursors(request, {
+    pageSize: readSettings.first,
+    maxPages: Math.min(count, MAX_READ_TARGETS),
+  });
+  return cycleTargets(afters, count, (after) => ({ ...readSettings, after }));
+}
+
+const countEdges = (data) => data?.products?.edges?.length || 0;
+
+// Product list - a page of products with their top-level fields
+registerBenchmarkScenario("readList", {
+  label: "product list query",
+  verb: "Read",
+  noun: "pages",
+  read: true,
+  operationName: "readProductList",
+  query: GRAPHQL_QUERIES.readProductList,
+  defaultCount: 10,
+  readSettings: { first: 50 },
+  loadTargets: loadPageTargets,
+  variables: ({ first, after }) => ({ first, after }),
+  extractResult: (data) => data?.products || null,
+  countRows: countEdges,
+});
+
+// Single product by ID - IDs from the first products in the catalog
+registerBenchmarkScenario("readById", {
+  label: "product lookup",
+  verb: "Read",
+  noun: "products",
+  read: true,
+  operationName: "readProductById",
+  query: GRAPHQL_QUERIES.readProductById,
+  defaultCount: 10,
+  readSettings: {},
+  emptyTargetsMessage: "No products to read",
+  loadTargets: async ({ request }, count) => {
+    const { products } = await paginateProducts(request, {
+      maxToFetch: Math.min(count, MAX_READ_TARGETS),
+    });
+    return cycleTargets(products, count, ({ id }) => ({ id }));
+  },
+  variables: ({ id }) => ({ id }),
+  extractResult: (data) => data?.product || null,
+  countRows: (data) => (data?.product ? 1 : 0),
+});
+
+// Product search - one search query per request
+registerBenchmarkScenario("readSearch", {
+  label: "product search",
+  verb: "Ran",
+  noun: "searches",
+  read: true,
+  operationName: "readProductSearch",
+  query: GRAPHQL_QUERIES.readProductSearch,
+  defaultCount: 10,
+  readSettings: { first: 50, search: null },
+  loadTargets: async ({ readSettings }, count) =>
+    cycleTargets(
+      readSettings.search ? [readSettings.search] : DEFAULT_SEARCH_QUERIES,
+      count,
+      (query) => ({ first: readSettings.first, query })
+    ),
+  variables: ({ first, query }) => ({ first, query }),
+  extractResult: (data) => data?.products || null,
+  countRows: countEdges,
+});
+
+// Nested connections - a page of products with their variants, metafields and
+// media, where the requested cost grows with first * nestedFirst
+registerBenchmarkScenario("readNested", {
+  label: "nested product query",
+  verb: "Read",
+  noun: "pages",
+  read: true,
+  operationName: "readProductsNested",
+  query: GRAPHQL_QUERIES.readProductsNested,
+  defaultCount: 10,
+  readSettings: { first: 10, nestedFirst: 5 },
+  loadTargets: loadPageTargets,
+  variables: ({ first, nestedFirst, after }) => ({ first, nestedFirst, after }),
+  extractResult: (data) => data?.products || null,
+  countRows: countEdges,
+});
+
+// The read settings `scenario` takes, from `settings` or its defaults
+function resolveReadSettings(scenario, settings = {}) {
+  return Object.fromEntries(
+    Object.entries(scenario?.readSettings || {}).map(([key, fallback]) => [
+      key,
+      settings[key] ?? fallback,
+    ])
+  );
+}
+
+// Errors for read setting values; `field` names a setting in messages
+function validateReadSettings(settings, field = (name) => name) {
+  const errors = [];
+  ["first", "nestedFirst"].forEach((key) => {
+    const value = settings[key];
+    if (
+      value !== undefined &&
+      value !== null &&
+      (!Number.isInteger(value) || value < 1 || value > MAX_PAGE_SIZE)
+    ) {
+      errors.push(
+        `${field(key)} must be a whole number from 1 to ${MAX_PAGE_SIZE}`
+      );
     }
+  });
+  const { search } = settings;
+  if (
+    search !== undefined &&
+    search !== null &&
+    (typeof search !== "string" ||
+      !search.trim() ||
+      search.length > MAX_SEARCH_LENGTH)
+  ) {
+    errors.push(
+      `${field(
+        "search"
+      )} must be a search query of 1 to ${MAX_SEARCH_LENGTH} characters`
+    );
+  }
+  return errors;
+}
+
+// Product updates - only products carrying the "benchmarkify" tag
+registerBenchmarkScenario("update", {
+  label: "product update",
+  verb: "Updated",
+  operationName: "updateProduct",
+  query: GRAPHQL_QUERIES.updateProduct,
+  emptyTargetsMessage: "No benchmark products available for update",
+  loadTargets: ({ request }, count) =>
+    fetchProductsByTagWithPagination(request, "benchmarkify", count),
+  variables: (product) => ({
+    input: {
+      id: product.id,
+      title: `${product.title} (Updated ${new Date()
+        .toISOString()
+        .slice(0, 10)})`,
+      tags: [...(product.tags || []), "updated", "benchmark"],
+    },
+  }),
+  extractResult: (data) => data?.productUpdate?.product || null,
+});
+
+// Product deletion - products this session created, otherwise any product
+// carrying the "benchmarkify" tag
+registerBenchmarkScenario("delete", {
+  label: "product deletion",
+  verb: "Deleted",
+  operationName: "deleteProduct",
+  query: GRAPHQL_QUERIES.deleteProduct,
+  emptyTargetsMessage: "No benchmark products available for deletion",
+  loadTargets: async ({ storeUrl, audit, request }, count) => {
+    const stored = peekStoredProductIds(audit, storeUrl, count);
+    if (stored.length > 0) return stored;
+
+    return fetchProductsByTagWithPagination(request, "benchmarkify", count);
+  },
+  variables: (product) => ({ input: { id: product.id } }),
+  extractResult: (data) => data?.productDelete?.deletedProductId || null,
+  onSuccess: (productId, { audit, storeUrl }) =>
+    forgetStoredProductId(audit, storeUrl, productId),
+});
+
+// Generic benchmark runner - shared by the synchronous endpoint and background jobs
+async function runBenchmarkScenario(
+  name,
+  { storeUrl, accessToken, count, apiVersion },
+  run = {}
+) {
+  const scenario = BENCHMARK_SCENARIOS.get(name);
+  if (!scenario) {
+    throw new Error(`Unknown benchmark scenario: ${name}`);
+  }
+
+  const runId = run.runId || null;
+  const audit = run.audit || getDefaultAuditLog();
+  // Scenario-file phases: a label, warm-up flag and per-phase settings
+  const phase = run.phase || name;
+  const settings = run.settings || {};
+  const readSettings = scenario.read
+    ? resolveReadSettings(scenario, settings)
+    : null;
+  const version = apiVersion || DEFAULT_API_VERSION;
+  const requestedCount = Math.min(
+    Math.max(1, parseInt(count) || scenario.defaultCount),
+    1000000 // Support up to 1 million products
+  );
 
-    console.log(`Starting GraphQL product creation benchmark...`);
-    console.log(`🔒 Using benchmark tag: benchmarkify`);
-    console.log(`🎯 Requested to create exactly ${count} products`);
+  console.log(`Starting GraphQL ${scenario.label} benchmark...`);
+  console.log(
+    `🎯 Requested ${requestedCount} ${scenario.operationName} operations`
+  );
 
-    // Reset rate limit manager for fresh start
-    rateLimitManager.reset();
+  // Each store has its own manager, seeded from what earlier runs learned
+  const rateLimitManager = getRateLimitManager(storeUrl);
+  const freshStart = rateLimitManager.beginRun();
+  let outcome = null;
+  audit.currentPhase = {
+    ...(run.phase && { phase, ...(run.warmup && { warmup: true }) }),
+    apiVersion: version,
+  };
 
+  try {
     // Create GraphQL client first
-    const client = createGraphQLClient(storeUrl, accessToken);
+    const client = createGraphQLClient(storeUrl, accessToken, version);
 
     // Get current rate limits to calculate optimal batch configuration
     const rateLimitResult = await handleGraphQLRequest(
@@ -1307,7 +2654,8 @@ app.post("/api/benchmark/create", async (req, res) => {
       {},
       "rateLimitCheck",
       storeUrl,
-      accessToken
+      accessToken,
+      audit
     );
 
     // Initialize rate limit manager with initial response
@@ -1315,895 +2663,1823 @@ app.post("/api/benchmark/create", async (req, res) => {
       rateLimitResult.rateLimit,
       rateLimitResult.success
     );
+    // Calibrate the request scheduler from the probe's throttleStatus
+    rateLimitManager.scheduler.sync(rateLimitResult.rateLimit);
 
-    // Calculate optimal initial settings based on detected rate limits
-    if (rateLimitResult.rateLimit?.leakRate) {
+    // Without a learned profile, derive starting settings from the leak rate
+    if (
+      freshStart &&
+      !rateLimitManager.hasLearnedSettings() &&
+      rateLimitResult.rateLimit?.leakRate
+    ) {
       rateLimitManager.calculateOptimalInitialSettings(
         rateLimitResult.rateLimit.leakRate
       );
     }
 
-    // Get current optimal settings from manager
-    const { batchSize, delay: delayBetweenBatches } =
-      rateLimitManager.getCurrentSettings();
-
-    console.log(
-      `📊 Creating ${count} products with adaptive rate limiting - Initial batch size: ${batchSize}, Delay: ${delayBetweenBatches}ms`
-    );
+    // A phase's optimization mode overrides the starting batch size and delay
+    if (settings.optimizationMode) {
+      rateLimitManager.applyOptimizationMode(
+        rateLimitResult.rateLimit?.leakRate,
+        QUERY_COSTS[scenario.operationName] || 10,
+        settings.optimizationMode
+      );
+    }
 
-    const results = [];
-    const numProducts = Math.min(Math.max(1, count), 1000000); // Support up to 1 million products
-    const startTime = Date.now();
+    // A fixed concurrency replaces the adaptive batch size for this run
+    const getSettings = () =>
+      settings.concurrency
+        ? {
+            ...rateLimitManager.getCurrentSettings(),
+            batchSize: settings.concurrency,
+          }
+        : rateLimitManager.getCurrentSettings();
 
-    // Process in batches with adaptive rate limiting
-    for (
-      let batchStart = 0;
-      batchStart < numProducts;
-      batchStart += batchSize
-    ) {
-      // Get current optimal settings (may have changed from previous batch)
-      const currentSettings = rateLimitManager.getCurrentSettings();
-      const currentBatchSize = currentSettings.batchSize;
-      const currentDelay = currentSettings.delay;
+    // `request` sends one GraphQL request to this store, logged to this run
+    const request = (query, variables, operationName) =>
+      handleGraphQLRequest(
+        client,
+        query,
+        variables,
+        operationName,
+        storeUrl,
+        accessToken,
+        audit
+      );
+    const context = {
+      client,
+      storeUrl,
+      accessToken,
+      audit,
+      request,
+      readSettings,
+    };
+    const targets = await scenario.loadTargets(context, requestedCount);
+    const total = Math.min(targets.length, requestedCount);
+
+    const finish = (response, progress) => {
+      response.apiVersion = version;
+      if (run.assertions && !run.warmup) {
+        response.verdict = evaluateAssertions(
+          run.assertions.filter((assertion) =>
+            assertionAppliesTo(assertion, phase, name)
+          ),
+          [{ key: phase, operation: name, result: response }]
+        );
+      }
+      progress.complete(response);
+      recordRunResult(audit, name, storeUrl, response);
+      return response;
+    };
 
-      const batchEnd = Math.min(batchStart + currentBatchSize, numProducts);
-      const batchSizeActual = batchEnd - batchStart;
+    if (total === 0) {
+      const response = benchmarkErrorResponse(
+        scenario.emptyTargetsMessage || `Nothing to benchmark for ${name}`
+      );
+      createProgressReporter(runId, name, 0, phase).complete(response);
+      recordRunResult(audit, name, storeUrl, response);
+      return response;
+    }
+
+    // Bulk operations and exports don't use the adaptive batches, so they
+    // don't teach the store profile either (outcome stays null)
+    if (scenario.export) {
+      const progress = createProgressReporter(runId, name, total, phase);
+      return finish(
+        await runExportScenario(scenario, total, context, {
+          progress,
+          rateLimitManager,
+          isCancelled: run.isCancelled,
+        }),
+        progress
+      );
+    }
+    if (scenario.bulk) {
+      const progress = createProgressReporter(runId, name, total, phase);
+      return finish(
+        await runBulkScenario(scenario, targets.slice(0, total), context, {
+          progress,
+          rateLimitManager,
+          isCancelled: run.isCancelled,
+        }),
+        progress
+      );
+    }
+
+    const initialSettings = getSettings();
+    console.log(
+      `📊 Running ${total} ${scenario.operationName} operations with adaptive rate limiting - Initial batch size: ${initialSettings.batchSize}, Delay: ${initialSettings.delay}ms`
+    );
+
+    const progress = createProgressReporter(
+      runId,
+      name,
+      total,
+      phase,
+      scenario.noun
+    );
+    progress.start(initialSettings);
+
+    const results = [];
+    const batches = [];
+    const startTime = Date.now();
+    let cancelled = false;
+    let batchIndex = 0;
+    let batchStart = 0;
+
+    // Process in batches with adaptive rate limiting
+    while (batchStart < total) {
+      // Stop cleanly between batches when the run has been cancelled
+      if (run.isCancelled?.()) {
+        cancelled = true;
+        break;
+      }
+
+      // Get current optimal settings (may have changed from previous batch)
+      const currentSettings = getSettings();
+      const batchEnd = Math.min(batchStart + currentSettings.batchSize, total);
+      batchIndex++;
 
       console.log(
-        `🔄 Processing batch ${
-          Math.floor(batchStart / batchSize) + 1
-        }: products ${
+        `🔄 Processing ${name} batch ${batchIndex}: items ${
           batchStart + 1
-        }-${batchEnd} (batch size: ${batchSizeActual}, delay: ${currentDelay}ms)`
+        }-${batchEnd} (batch size: ${batchEnd - batchStart}, delay: ${
+          currentSettings.delay
+        }ms)`
       );
 
       // Process batch in parallel
-      const batchPromises = [];
-      for (let i = batchStart; i < batchEnd; i++) {
-        const productData = generateRandomProduct();
-        batchPromises.push(
-          retryGraphQLRequest(
-            client,
-            GRAPHQL_QUERIES.createProduct,
-            { product: productData },
-            "createProduct",
-            storeUrl,
-            accessToken
+      const batchStartedAt = Date.now();
+      const batchResults = await Promise.all(
+        targets
+          .slice(batchStart, batchEnd)
+          .map((target, offset) =>
+            retryGraphQLRequest(
+              () =>
+                request(
+                  scenario.query,
+                  scenario.variables(target, batchStart + offset),
+                  scenario.operationName
+                ),
+              rateLimitManager,
+              scenario.operationName
+            )
           )
-        );
-      }
-
-      // Wait for batch to complete
-      const batchResults = await Promise.all(batchPromises);
+      );
       results.push(...batchResults);
 
       // Log batch results for debugging
       const batchSuccesses = batchResults.filter((r) => r.success).length;
-      const batchFailures = batchResults.filter((r) => !r.success).length;
+      const batchFailures = batchResults.length - batchSuccesses;
       console.log(
-        `📊 Batch ${
-          Math.floor(batchStart / batchSize) + 1
-        } results: ${batchSuccesses} success, ${batchFailures} failures`
+        `📊 ${name} batch ${batchIndex} results: ${batchSuccesses} success, ${batchFailures} failures`
       );
 
-      // Store successful product IDs for direct deletion
-      batchResults.forEach((result) => {
-        if (result.success && result.data?.productCreate?.product?.id) {
-          const productId = result.data.productCreate.product.id;
-          const productTitle =
-            result.data.productCreate.product.title || "Unknown Product";
-          storeCreatedProductId(productId, productTitle);
-        }
+      const batchLatency = computeLatencyStats(
+        batchResults.filter((r) => r.success).map((r) => r.responseTime * 1000)
+      );
+      batches.push({
+        batch: batchIndex,
+        size: batchResults.length,
+        successes: batchSuccesses,
+        failures: batchFailures,
+        durationMs: Date.now() - batchStartedAt,
+        latency: batchLatency,
       });
 
+      progress.batch(batchIndex, batchResults, currentSettings, batchLatency);
+
+      if (scenario.onSuccess) {
+        batchResults.forEach((result) => {
+          const extracted = result.success
+            ? scenario.extractResult(result.data?.data)
+            : null;
+          if (extracted) scenario.onSuccess(extracted, context);
+        });
+      }
+
       // Optimize for maximum throughput if we have headroom
-      if (batchSuccesses > batchFailures * 2) {
+      if (!settings.concurrency && batchSuccesses > batchFailures * 2) {
         rateLimitManager.optimizeForThroughput();
       }
 
-      // Use current delay from rate limit manager
-      if (batchStart + batchSize < numProducts) {
-        console.log(`⏳ Waiting ${currentDelay}ms before next batch...`);
-        await new Promise((resolve) => setTimeout(resolve, currentDelay));
+      batchStart = batchEnd;
+
+      // Once the scheduler knows the bucket it paces every request itself;
+      // the fixed delay only applies until the first throttleStatus arrives
+      if (batchStart < total && !rateLimitManager.scheduler.isCalibrated()) {
+        console.log(
+          `⏳ Waiting ${currentSettings.delay}ms before next batch...`
+        );
+        await new Promise((resolve) =>
+          setTimeout(resolve, currentSettings.delay)
+        );
       }
     }
 
     const totalTime = (Date.now() - startTime) / 1000; // Convert to seconds
+    console.log(`✅ Finished ${results.length}/${total} ${name} operations`);
 
-    // Ensure we only return results for the requested number of products
-    const limitedResults = results.slice(0, numProducts);
-    console.log(
-      `✅ Created exactly ${limitedResults.length} products as requested`
+    outcome = {
+      successes: results.filter((r) => r.success).length,
+      failures: results.filter((r) => !r.success).length,
+      totalTime,
+    };
+
+    const response = buildBenchmarkResponse(
+      scenario,
+      results,
+      totalTime,
+      cancelled,
+      audit,
+      rateLimitManager,
+      batches
+    );
+    if (scenario.read) {
+      response.read = summarizeReadResults(
+        scenario,
+        results,
+        totalTime,
+        readSettings
+      );
+      response.details += `. ${response.read.pagesPerSecond.toFixed(2)} ${
+        scenario.noun
+      }/s, ${response.read.rowsPerPage.toFixed(1)} rows each, ${formatReadCost(
+        response.read.queryCost
+      )}`;
+    }
+    return finish(response, progress);
+  } finally {
+    delete audit.currentPhase;
+    // Pinned concurrency and warm-ups don't say anything about the best
+    // adaptive settings, and reads measure pages rather than products, so
+    // none of them teach the store profile
+    rateLimitManager.endRun(
+      settings.concurrency || run.warmup || scenario.read ? null : outcome
     );
+    saveRateLimitProfile(rateLimitManager);
+  }
+}
+
+// Bulk scenarios send every target as one bulk operation, one JSONL line of
+// variables each. Time runs from generating the lines to downloading the
+// results.
+async function runBulkScenario(
+  scenario,
+  targets,
+  context,
+  { progress, rateLimitManager, isCancelled = () => false }
+) {
+  const total = targets.length;
+  console.log(
+    `📦 Running ${total} ${scenario.name} rows as one bulk operation`
+  );
+  progress.start({ batchSize: total, delay: 0 });
+
+  const startTime = Date.now();
+  const rows = targets.map((target, index) =>
+    scenario.variables(target, index)
+  );
+  const generateMs = Date.now() - startTime;
+
+  const bulkRun = await runBulkMutation(context.request, {
+    mutation: scenario.query,
+    rows,
+    isCancelled,
+    onStatus: (bulkOperation, elapsedMs) =>
+      progress.bulk(bulkOperation, generateMs + elapsedMs),
+  });
+  const totalTime = (Date.now() - startTime) / 1000;
+  bulkRun.requests.forEach((result) =>
+    rateLimitManager.updateFromResponse(result.rateLimit, result.success)
+  );
+  console.log(
+    `✅ Bulk operation ${bulkRun.operation.id} ${bulkRun.operation.status}: ${bulkRun.operation.objectCount}/${total} rows`
+  );
+
+  const results = collectBulkResults(
+    bulkRun.lines,
+    total,
+    scenario.extractResult
+  );
+  if (scenario.onSuccess) {
+    results.forEach((result) => {
+      const extracted = result.success
+        ? scenario.extractResult(result.data?.data)
+        : null;
+      if (extracted) scenario.onSuccess(extracted, context);
+    });
+  }
+
+  return buildBulkBenchmarkResponse(
+    scenario,
+    results,
+    { ...bulkRun, timings: { generateMs, ...bulkRun.timings } },
+    totalTime,
+    context.audit,
+    rateLimitManager
+  );
+}
+
+// Export scenarios read the catalog twice: page by page with getProducts,
+// then with one bulk query. Pages go one at a time, as each needs the
+// previous page's cursor.
+async function runExportScenario(
+  scenario,
+  total,
+  context,
+  { progress, rateLimitManager, isCancelled = () => false }
+) {
+  console.log(
+    `📤 Reading ${total} products page by page, then with a bulk export`
+  );
+  progress.start({ batchSize: 1, delay: 0 });
+  const startTime = Date.now();
+
+  let pages = 0;
+  const paginated = await paginateProducts(context.request, {
+    maxToFetch: total,
+    isCancelled,
+    onPage: (page, products) => {
+      pages++;
+      rateLimitManager.updateFromResponse(page.rateLimit, page.success);
+      progress.export(
+        "pagination",
+        { rows: products.length, pages },
+        Date.now() - startTime
+      );
+    },
+  });
+  const paginationTime = (Date.now() - startTime) / 1000;
+  console.log(
+    `✅ Paginated read: ${paginated.products.length} products in ${paginated.pages.length} pages`
+  );
+
+  // A failed export still leaves the paginated numbers worth reporting
+  const bulkStartTime = Date.now();
+  let bulkRun = null;
+  let bulkError = null;
+  if (!isCancelled()) {
+    try {
+      bulkRun = await runBulkQuery(context.request, {
+        query: scenario.query,
+        isCancelled,
+        onStatus: (bulkOperation, elapsedMs) =>
+          progress.export(
+            "bulk",
+            {
+              rows: parseInt(bulkOperation.objectCount) || 0,
+              bulkOperationId: bulkOperation.id,
+              status: bulkOperation.status,
+            },
+            elapsedMs
+          ),
+      });
+      bulkRun.requests.forEach((result) =>
+        rateLimitManager.updateFromResponse(result.rateLimit, result.success)
+      );
+      console.log(
+        `✅ Bulk export ${bulkRun.operation.id} ${bulkRun.operation.status}: ${bulkRun.lines.length} lines`
+      );
+    } catch (error) {
+      bulkError = error.message;
+      console.error(`❌ Bulk export failed: ${error.message}`);
+    }
+  }
+
+  return buildExportBenchmarkResponse(
+    scenario,
+    {
+      total,
+      paginated,
+      paginationTime,
+      bulkRun,
+      bulkError,
+      bulkTime: bulkRun ? (Date.now() - bulkStartTime) / 1000 : 0,
+      totalTime: (Date.now() - startTime) / 1000,
+      cancelled: isCancelled(),
+    },
+    context.audit,
+    rateLimitManager
+  );
+}
+
+// Time, cost points and rows/sec of one way of reading the catalog
+function summarizeReadApproach(requests, rows, totalTime) {
+  const cost = requests.reduce((sum, r) => sum + (r.cost || 0), 0);
+  return {
+    rows,
+    requests: requests.length,
+    failedRequests: requests.filter((r) => !r.success).length,
+    totalTime,
+    cost,
+    rowsPerSecond: totalTime > 0 ? rows / totalTime : 0,
+    costPerRow: rows > 0 ? cost / rows : null,
+  };
+}
+
+// An export run in the same response shape as buildBenchmarkResponse. Both
+// approaches are expected to read `total` rows: counts and throughput cover
+// the rows read by both, latency their requests. The `export` block has each
+// approach on its own.
+function buildExportBenchmarkResponse(
+  scenario,
+  {
+    total,
+    paginated,
+    paginationTime,
+    bulkRun,
+    bulkError,
+    bulkTime,
+    totalTime,
+    cancelled,
+  },
+  audit,
+  rateLimitManager
+) {
+  const pagination = {
+    ...summarizeReadApproach(
+      paginated.pages,
+      paginated.products.length,
+      paginationTime
+    ),
+    pages: paginated.pages.length,
+  };
+  // Nested objects come after their parent with __parentId; rows are the
+  // top-level products
+  const bulkRows = bulkRun
+    ? bulkRun.lines.filter((line) => !line.__parentId).length
+    : 0;
+  const bulk = {
+    ...summarizeReadApproach(bulkRun?.requests || [], bulkRows, bulkTime),
+    operationId: bulkRun?.operation.id || null,
+    status: bulkRun?.operation.status || null,
+    errorCode: bulkRun?.operation.errorCode || null,
+    objectCount: bulkRun ? parseInt(bulkRun.operation.objectCount) || 0 : 0,
+    polls: bulkRun?.polls || 0,
+    timings: bulkRun?.timings || {},
+    error: bulkError,
+  };
+  const speedup =
+    pagination.rowsPerSecond > 0 && bulk.rowsPerSecond > 0
+      ? bulk.rowsPerSecond / pagination.rowsPerSecond
+      : null;
+
+  const requests = [...paginated.pages, ...(bulkRun?.requests || [])];
+  const answered = requests.filter((r) => r.success);
+  const totalCost = pagination.cost + bulk.cost;
+  const successCount =
+    Math.min(pagination.rows, total) + Math.min(bulk.rows, total);
+  const totalCount = total * 2;
+  const throughput = totalTime > 0 ? successCount / totalTime : 0;
+  const describe = (approach) =>
+    `${approach.rows} rows in ${approach.totalTime.toFixed(
+      2
+    )}s (${approach.rowsPerSecond.toFixed(2)} rows/s, ${approach.cost} points)`;
+
+  audit.summary.totalTime = totalTime;
 
-    // Calculate metrics
-    const successfulResults = limitedResults.filter((r) => r.success);
-    const avgResponseTime =
-      successfulResults.length > 0
+  return {
+    status: cancelled ? "cancelled" : successCount > 0 ? "success" : "error",
+    cancelled,
+    scenario: scenario.name,
+    responseTime:
+      answered.length > 0
         ? (
-            successfulResults.reduce((sum, r) => sum + r.responseTime, 0) /
-            successfulResults.length
+            answered.reduce((sum, r) => sum + r.responseTime, 0) /
+            answered.length
           ).toFixed(2)
-        : 0;
+        : 0,
+    totalTime: totalTime.toFixed(2),
+    rateLimit: requests[requests.length - 1]?.rateLimit || {
+      current: 0,
+      limit: 1000,
+      remaining: 1000,
+    },
+    details: `${cancelled ? "Cancelled. " : ""}Paginated read: ${describe(
+      pagination
+    )}. Bulk export: ${bulkError ? `failed (${bulkError})` : describe(bulk)}${
+      speedup
+        ? `. ${
+            speedup >= 1
+              ? `Bulk export ${speedup.toFixed(1)}x faster`
+              : `Pagination ${(1 / speedup).toFixed(1)}x faster`
+          }`
+        : ""
+    }`,
+    cost: {
+      total: totalCost,
+      average: (totalCost / (successCount || 1)).toFixed(2),
+      perSecond: totalTime > 0 ? (totalCost / totalTime).toFixed(2) : 0,
+      productsPerSecond: throughput.toFixed(2),
+    },
+    counts: {
+      total: totalCount,
+      successful: successCount,
+      failed: totalCount - successCount,
+    },
+    throughput,
+    latency: computeLatencyStats(answered.map((r) => r.responseTime * 1000)),
+    latencyBuckets: latencyBucketLabels(),
+    batches: [],
+    rateLimitAdaptation: rateLimitManager.getPerformanceSummary(),
+    failureBreakdown: buildFailureBreakdown(requests),
+    userErrors: summarizeUserErrors(requests),
+    throttling: {
+      events: requests.reduce((sum, r) => sum + (r.throttleEvents || 0), 0),
+      totalWaitMs: requests.reduce(
+        (sum, r) => sum + (r.throttleWaitMs || 0),
+        0
+      ),
+      throttledFailures: requests.filter((r) => !r.success && r.throttled)
+        .length,
+    },
+    export: {
+      pagination,
+      bulk,
+      // Bulk rows/sec over paginated rows/sec; above 1 the export was faster
+      speedup,
+      faster: speedup ? (speedup >= 1 ? "bulk" : "pagination") : null,
+    },
+  };
+}
+
+// This run's latest result for the per-request operation a bulk scenario
+// replaces (same API version), as objects/sec side by side
+function comparePerMutationRun(scenario, audit, bulkThroughput, products) {
+  const entry = [...audit.results]
+    .reverse()
+    .find(
+      (candidate) =>
+        candidate.scenario === scenario.comparesWith &&
+        !candidate.warmup &&
+        candidate.apiVersion === audit.currentPhase?.apiVersion &&
+        candidate.result?.counts?.successful > 0
+    );
+  if (!entry) return null;
+
+  const { throughput } = entry.result;
+  return {
+    operation: scenario.comparesWith,
+    phase: entry.phase || entry.scenario,
+    perMutation: {
+      products: entry.result.counts.successful,
+      totalTime: parseFloat(entry.result.totalTime),
+      throughput,
+    },
+    bulk: { products, throughput: bulkThroughput },
+    speedup: throughput > 0 ? bulkThroughput / throughput : null,
+    // How long the per-request path would need for the bulk run's products
+    perMutationEstimateSeconds: throughput > 0 ? products / throughput : null,
+  };
+}
 
-    const totalCost = limitedResults.reduce((sum, r) => sum + (r.cost || 0), 0);
-    const avgCost = (totalCost / limitedResults.length).toFixed(2);
+// A bulk run in the same response shape as buildBenchmarkResponse. Latency
+// and cost come from the staging, start and status requests - the rows
+// themselves aren't requests and don't spend bucket points.
+function buildBulkBenchmarkResponse(
+  scenario,
+  results,
+  bulkRun,
+  totalTime,
+  audit,
+  rateLimitManager
+) {
+  const { operation, requests } = bulkRun;
+  const cancelled = operation.status === "CANCELED";
+  const successCount = results.filter((r) => r.success).length;
+  const totalCount = results.length;
+  const answered = requests.filter((r) => r.success);
+  const totalCost = requests.reduce((sum, r) => sum + (r.cost || 0), 0);
+  const throughput = totalTime > 0 ? successCount / totalTime : 0;
+  const comparison = comparePerMutationRun(
+    scenario,
+    audit,
+    throughput,
+    successCount
+  );
 
-    const successCount = successfulResults.length;
-    const totalCount = limitedResults.length;
+  audit.summary.totalTime = totalTime;
 
-    // Calculate products per second based on cost limits
-    const costPerSecond =
-      successfulResults.length > 0
+  return {
+    status: cancelled ? "cancelled" : successCount > 0 ? "success" : "error",
+    cancelled,
+    scenario: scenario.name,
+    responseTime:
+      answered.length > 0
         ? (
-            totalCost /
-            successfulResults.reduce((sum, r) => sum + r.responseTime, 0)
+            answered.reduce((sum, r) => sum + r.responseTime, 0) /
+            answered.length
           ).toFixed(2)
-        : 0;
+        : 0,
+    totalTime: totalTime.toFixed(2),
+    rateLimit: requests[requests.length - 1]?.rateLimit || {
+      current: 0,
+      limit: 1000,
+      remaining: 1000,
+    },
+    details: `${cancelled ? "Cancelled. " : ""}${
+      scenario.verb
+    } ${successCount}/${totalCount} ${
+      scenario.noun
+    } successfully. Total time: ${totalTime.toFixed(2)}s (${throughput.toFixed(
+      2
+    )} objects/s${
+      comparison?.speedup
+        ? `, ${comparison.speedup.toFixed(1)}x ${comparison.phase}`
+        : ""
+    })${
+      ["COMPLETED", "CANCELED"].includes(operation.status)
+        ? ""
+        : `. Bulk operation ${operation.status}${
+            operation.errorCode ? ` (${operation.errorCode})` : ""
+          }`
+    }`,
+    cost: {
+      total: totalCost,
+      average: (totalCost / (totalCount || 1)).toFixed(2),
+      perSecond: totalTime > 0 ? (totalCost / totalTime).toFixed(2) : 0,
+      // The bucket doesn't limit bulk rows, so report the measured rate
+      productsPerSecond: throughput.toFixed(2),
+    },
+    counts: {
+      total: totalCount,
+      successful: successCount,
+      failed: totalCount - successCount,
+    },
+    throughput,
+    latency: computeLatencyStats(answered.map((r) => r.responseTime * 1000)),
+    latencyBuckets: latencyBucketLabels(),
+    batches: [],
+    rateLimitAdaptation: rateLimitManager.getPerformanceSummary(),
+    failureBreakdown: buildFailureBreakdown(results),
+    userErrors: summarizeUserErrors(results),
+    throttling: {
+      events: requests.reduce((sum, r) => sum + (r.throttleEvents || 0), 0),
+      totalWaitMs: requests.reduce(
+        (sum, r) => sum + (r.throttleWaitMs || 0),
+        0
+      ),
+      throttledFailures: requests.filter((r) => !r.success && r.throttled)
+        .length,
+    },
+    bulk: {
+      operationId: operation.id,
+      status: operation.status,
+      errorCode: operation.errorCode || null,
+      objectCount: parseInt(operation.objectCount) || 0,
+      polls: bulkRun.polls,
+      requests: requests.length,
+      // Milliseconds per step: generate, stage, upload, start, processing
+      // (polling until a final status) and download
+      timings: bulkRun.timings,
+      comparison,
+    },
+  };
+}
 
-    // Calculate performance projections
-    const calculateProjection = (productCount) => {
-      const estimatedCost = productCount * avgCost;
-      const estimatedTime = estimatedCost / (totalCost / totalTime);
-      return {
-        time: estimatedTime,
-        cost: estimatedCost,
-      };
-    };
+// Failed requests grouped by error category, most frequent first
+// Read scenarios report pages (or lookups and searches) per second, the rows
+// they returned, and the cost Shopify charged against what each query
+// requested up front: connections are priced at their full page size, then
+// refunded down to what they actually returned
+function summarizeReadResults(scenario, results, totalTime, readSettings) {
+  const answered = results.filter((r) => r.success);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const costStats = (costs) => ({
+    total: sum(costs),
+    mean: costs.length ? sum(costs) / costs.length : 0,
+    max: costs.length ? Math.max(...costs) : 0,
+  });
+  const priced = answered.filter((r) =>
+    Number.isFinite(r.rateLimit?.requestedCost)
+  );
+  const requested = costStats(priced.map((r) => r.rateLimit.requestedCost));
+  const actual = costStats(answered.map((r) => r.cost || 0));
+  const rows = sum(answered.map((r) => scenario.countRows(r.data?.data)));
+
+  return {
+    query: scenario.operationName,
+    settings: readSettings,
+    pages: answered.length,
+    pagesPerSecond: totalTime > 0 ? answered.length / totalTime : 0,
+    rows,
+    rowsPerPage: answered.length ? rows / answered.length : 0,
+    rowsPerSecond: totalTime > 0 ? rows / totalTime : 0,
+    queryCost: {
+      requested: priced.length ? requested : null,
+      actual,
+      // Share of the requested cost that was charged, for queries reporting both
+      chargedRatio:
+        requested.total > 0
+          ? sum(priced.map((r) => r.cost || 0)) / requested.total
+          : null,
+    },
+  };
+}
+
+function formatReadCost({ requested, actual }) {
+  return requested
+    ? `cost ${actual.mean.toFixed(1)} of ${requested.mean.toFixed(
+        1
+      )} requested per query`
+    : `cost ${actual.mean.toFixed(1)} per query`;
+}
 
-    const performanceProjections = {
-      products1000: calculateProjection(1000),
-      products100k: calculateProjection(100000),
-      products1m: calculateProjection(1000000),
-      products10m: calculateProjection(10000000),
+function buildFailureBreakdown(results) {
+  const byCategory = new Map();
+  for (const result of results) {
+    if (result.success) continue;
+
+    const category = result.errorCategory || "unknown";
+    if (!byCategory.has(category)) {
+      const policy = ERROR_CATEGORIES[category] || ERROR_CATEGORIES.unknown;
+      byCategory.set(category, {
+        category,
+        label: policy.label,
+        retryable: policy.retry,
+        count: 0,
+        example: result.error,
+      });
+    }
+    byCategory.get(category).count++;
+  }
+  return Array.from(byCategory.values()).sort((a, b) => b.count - a.count);
+}
+
+// userErrors across the run, grouped by field path and message
+function summarizeUserErrors(results) {
+  const byError = new Map();
+  let operations = 0;
+
+  for (const result of results) {
+    if (!result.userErrors?.length) continue;
+    operations++;
+
+    for (const userError of result.userErrors) {
+      const key = `${userError.path}|${userError.message}`;
+      if (!byError.has(key)) {
+        byError.set(key, {
+          path: userError.path,
+          message: userError.message,
+          count: 0,
+        });
+      }
+      byError.get(key).count++;
+    }
+  }
+
+  return {
+    operations,
+    errors: Array.from(byError.values()).sort((a, b) => b.count - a.count),
+  };
+}
+
+// Metrics and response shape shared by every scenario
+function buildBenchmarkResponse(
+  scenario,
+  results,
+  totalTime,
+  cancelled,
+  audit,
+  rateLimitManager,
+  batches = []
+) {
+  const successfulResults = results.filter((r) => r.success);
+  const successCount = successfulResults.length;
+  const totalCount = results.length;
+
+  const avgResponseTime =
+    successCount > 0
+      ? (
+          successfulResults.reduce((sum, r) => sum + r.responseTime, 0) /
+          successCount
+        ).toFixed(2)
+      : 0;
+
+  const totalCost = results.reduce((sum, r) => sum + (r.cost || 0), 0);
+  const avgCost = (totalCost / (totalCount || 1)).toFixed(2);
+
+  // Calculate cost throughput over time spent in successful requests
+  const costPerSecond =
+    successCount > 0
+      ? (
+          totalCost /
+          successfulResults.reduce((sum, r) => sum + r.responseTime, 0)
+        ).toFixed(2)
+      : 0;
+
+  // Calculate performance projections
+  const calculateProjection = (productCount) => {
+    const estimatedCost = productCount * avgCost;
+    const estimatedTime = estimatedCost / (totalCost / totalTime);
+    return {
+      time: estimatedTime,
+      cost: estimatedCost,
     };
+  };
 
-    // Update audit log with performance data
-    auditLog.summary.totalTime = totalTime;
-    auditLog.summary.performanceProjections = performanceProjections;
+  const performanceProjections = {
+    products1000: calculateProjection(1000),
+    products100k: calculateProjection(100000),
+    products1m: calculateProjection(1000000),
+    products10m: calculateProjection(10000000),
+  };
 
-    // Get rate limit manager performance summary
-    const rateLimitSummary = rateLimitManager.getPerformanceSummary();
+  // Update audit log with performance data
+  audit.summary.totalTime = totalTime;
+  audit.summary.performanceProjections = performanceProjections;
 
-    // Calculate theoretical maximum performance
-    const theoreticalMax = rateLimitSummary?.isEnterprisePlan
-      ? {
-          productsPerSecond: "200+",
-          batchSize: rateLimitSummary.currentBatchSize,
-          delay: rateLimitSummary.currentDelay,
-          efficiency: "Enterprise API - Maximum throughput mode",
-        }
-      : {
-          productsPerSecond: "50-150",
-          batchSize: rateLimitSummary.currentBatchSize,
-          delay: rateLimitSummary.currentDelay,
-          efficiency: "Standard/Plus API - Optimized mode",
-        };
+  // Get rate limit manager performance summary
+  const rateLimitSummary = rateLimitManager.getPerformanceSummary();
 
-    res.json({
-      status: successCount > 0 ? "success" : "error",
-      responseTime: avgResponseTime,
-      totalTime: totalTime.toFixed(2),
-      rateLimit: results[results.length - 1]?.rateLimit || {
-        current: 0,
-        limit: 1000,
-        remaining: 1000,
-      },
-      details: `Created ${successCount}/${totalCount} products successfully. Total time: ${totalTime.toFixed(
-        2
-      )}s`,
-      cost: {
-        total: totalCost,
-        average: avgCost,
-        perSecond: costPerSecond,
-        productsPerSecond: (1000 / avgCost).toFixed(2), // Theoretical max based on cost
-      },
-      performanceProjections,
-      rateLimitAdaptation: rateLimitSummary,
-      theoreticalMax,
-      retryStats: {
-        totalRetries: results.filter((r) => r.retriesExhausted).length,
-        successfulAfterRetry: results.filter(
-          (r) => r.success && r.retriesExhausted === false
-        ).length,
+  // Calculate theoretical maximum performance
+  const theoreticalMax = rateLimitSummary?.isEnterprisePlan
+    ? {
+        productsPerSecond: "200+",
+        batchSize: rateLimitSummary.currentBatchSize,
+        delay: rateLimitSummary.currentDelay,
+        efficiency: "Enterprise API - Maximum throughput mode",
+      }
+    : {
+        productsPerSecond: "50-150",
+        batchSize: rateLimitSummary?.currentBatchSize,
+        delay: rateLimitSummary?.currentDelay,
+        efficiency: "Standard/Plus API - Optimized mode",
+      };
+
+  return {
+    status: cancelled ? "cancelled" : successCount > 0 ? "success" : "error",
+    cancelled,
+    scenario: scenario.name,
+    responseTime: avgResponseTime,
+    totalTime: totalTime.toFixed(2),
+    rateLimit: results[results.length - 1]?.rateLimit || {
+      current: 0,
+      limit: 1000,
+      remaining: 1000,
+    },
+    details: `${cancelled ? "Cancelled. " : ""}${
+      scenario.verb
+    } ${successCount}/${totalCount} ${
+      scenario.noun
+    } successfully. Total time: ${totalTime.toFixed(2)}s`,
+    cost: {
+      total: totalCost,
+      average: avgCost,
+      perSecond: costPerSecond,
+      productsPerSecond: (1000 / avgCost).toFixed(2), // Theoretical max based on cost
+    },
+    counts: {
+      total: totalCount,
+      successful: successCount,
+      failed: totalCount - successCount,
+    },
+    // Products completed per second of wall-clock time
+    throughput: totalTime > 0 ? successCount / totalTime : 0,
+    performanceProjections,
+    // Percentiles and histograms are in milliseconds, successful requests only
+    latency: computeLatencyStats(
+      successfulResults.map((r) => r.responseTime * 1000)
+    ),
+    latencyBuckets: latencyBucketLabels(),
+    batches,
+    rateLimitAdaptation: rateLimitSummary,
+    theoreticalMax,
+    failureBreakdown: buildFailureBreakdown(results),
+    userErrors: summarizeUserErrors(results),
+    throttling: {
+      events: results.reduce((sum, r) => sum + (r.throttleEvents || 0), 0),
+      totalWaitMs: results.reduce((sum, r) => sum + (r.throttleWaitMs || 0), 0),
+      throttledFailures: results.filter((r) => !r.success && r.throttled)
+        .length,
+    },
+    retryStats: {
+      totalRetries: results.filter((r) => r.retriesExhausted).length,
+      successfulAfterRetry: results.filter(
+        (r) => r.success && r.retriesExhausted === false
+      ).length,
+    },
+  };
+}
+
+// Performance budgets
+// An assertion checks one metric of an operation's result against a limit:
+//
+//   { operation: "create", metric: "latencyP95", max: 800 }
+//   { metric: "failureRate", max: 1 }   # every operation
+//   { metric: "throughput", min: 8 }
+//
+// `max` and `min` are inclusive. Latencies are in ms, failure rates in
+// percent, throughput in products/sec.
+const ASSERTION_METRICS = {
+  throughput: {
+    label: "throughput",
+    unit: " products/s",
+    value: (result) => (result.counts ? result.throughput : null),
+  },
+  failureRate: {
+    label: "failure rate",
+    unit: "%",
+    value: (result) =>
+      result.counts?.total > 0
+        ? (result.counts.failed / result.counts.total) * 100
+        : null,
+  },
+  latencyMean: {
+    label: "mean latency",
+    unit: "ms",
+    value: (result) => (result.latency?.count > 0 ? result.latency.mean : null),
+  },
+  ...Object.fromEntries(
+    ["p50", "p90", "p95", "p99", "max"].map((stat) => [
+      `latency${stat[0].toUpperCase()}${stat.slice(1)}`,
+      {
+        label: `${stat} latency`,
+        unit: "ms",
+        value: (result) =>
+          result.latency?.count > 0 ? result.latency[stat] : null,
       },
-    });
-  } catch (error) {
-    console.error("Product creation benchmark error:", error);
-    res.status(500).json({
-      status: "error",
-      responseTime: 0,
-      totalTime: 0,
-      rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-      details: error.message,
-      cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-      performanceProjections: {},
-    });
-  }
-});
+    ])
+  ),
+  costPerProduct: {
+    label: "cost per product",
+    unit: " pts",
+    value: (result) =>
+      result.counts?.successful > 0
+        ? result.cost.total / result.counts.successful
+        : null,
+  },
+};
 
-/* SECOND DELETE ENDPOINT DISABLED */
-// Benchmark endpoint for product deletion
-app.post("/api/benchmark/delete", async (req, res) => {
-  try {
-    const { storeUrl, accessToken, count = 3 } = req.body;
+const MAX_ASSERTIONS = 50;
 
-    if (!storeUrl || !accessToken) {
-      return res.status(400).json({
-        error: "Missing store URL or access token",
-      });
+// Returns { errors, assertions }. `operations` lists the operation names and
+// phase keys an assertion may target.
+function validateAssertions(assertions, operations, field = "assertions") {
+  const errors = [];
+  if (assertions === undefined || assertions === null) {
+    return { errors, assertions: [] };
+  }
+  if (!Array.isArray(assertions)) {
+    return { errors: [`${field} must be a list`], assertions: [] };
+  }
+  if (assertions.length > MAX_ASSERTIONS) {
+    errors.push(`${field} can have at most ${MAX_ASSERTIONS} entries`);
+  }
+
+  const normalized = assertions.map((assertion, index) => {
+    const entry = `${field}[${index}]`;
+    if (
+      assertion === null ||
+      typeof assertion !== "object" ||
+      Array.isArray(assertion)
+    ) {
+      errors.push(`${entry} must be an object`);
+      return null;
     }
 
-    console.log("Starting GraphQL product deletion benchmark...");
-    console.log(`🔒 Looking for products with tag: benchmarkify`);
-    console.log(`🎯 Requested to delete exactly ${count} products`);
+    Object.keys(assertion)
+      .filter((key) => !["operation", "metric", "max", "min"].includes(key))
+      .forEach((key) =>
+        errors.push(`${entry}.${key} is not an assertion setting`)
+      );
 
-    // Reset rate limit manager for fresh start
-    rateLimitManager.reset();
+    if (!ASSERTION_METRICS[assertion.metric]) {
+      errors.push(
+        `${entry}.metric must be one of: ${Object.keys(ASSERTION_METRICS).join(
+          ", "
+        )}`
+      );
+    }
+    if (
+      assertion.operation !== undefined &&
+      !operations.includes(assertion.operation)
+    ) {
+      errors.push(
+        `${entry}.operation must be one of: ${operations.join(", ")}`
+      );
+    }
 
-    // Create GraphQL client first
-    const client = createGraphQLClient(storeUrl, accessToken);
+    const limits = ["max", "min"].filter((key) => assertion[key] !== undefined);
+    if (limits.length !== 1) {
+      errors.push(`${entry} needs exactly one of max or min`);
+    } else if (
+      typeof assertion[limits[0]] !== "number" ||
+      !Number.isFinite(assertion[limits[0]])
+    ) {
+      errors.push(`${entry}.${limits[0]} must be a number`);
+    }
 
-    // Get current rate limits to calculate optimal batch configuration
-    const rateLimitResult = await handleGraphQLRequest(
-      client,
-      `query { shop { name id } }`,
-      {},
-      "rateLimitCheck",
-      storeUrl,
-      accessToken
-    );
+    return {
+      operation: assertion.operation || null,
+      metric: assertion.metric,
+      ...(limits[0] && { [limits[0]]: assertion[limits[0]] }),
+    };
+  });
 
-    // Initialize rate limit manager with initial response
-    rateLimitManager.updateFromResponse(
-      rateLimitResult.rateLimit,
-      rateLimitResult.success
-    );
+  return { errors, assertions: normalized };
+}
 
-    // Calculate optimal initial settings based on detected rate limits
-    if (rateLimitResult.rateLimit?.leakRate) {
-      rateLimitManager.calculateOptimalInitialSettings(
-        rateLimitResult.rateLimit.leakRate
-      );
-    }
+function assertionAppliesTo(assertion, key, operation) {
+  return (
+    !assertion.operation ||
+    assertion.operation === key ||
+    assertion.operation === operation ||
+    // API version comparisons key their phases <phase>@<version>
+    key.startsWith(`${assertion.operation}@`)
+  );
+}
 
-    // Get current optimal settings from manager
-    const { batchSize, delay: delayBetweenBatches } =
-      rateLimitManager.getCurrentSettings();
+// Check assertions against finished phases ({ key, operation, result }).
+// A phase that never produced a result fails every assertion aimed at it, so
+// a stopped or crashed run can't pass its budget. Returns null when no
+// assertion applies.
+function evaluateAssertions(assertions, phases) {
+  const checks = [];
+  assertions.forEach((assertion) => {
+    const { label, unit, value } = ASSERTION_METRICS[assertion.metric];
+    const comparator = assertion.max !== undefined ? "max" : "min";
+    const limit = assertion[comparator];
+    const format = (number) => `${Math.round(number * 100) / 100}${unit}`;
+
+    phases
+      .filter(({ key, operation }) =>
+        assertionAppliesTo(assertion, key, operation)
+      )
+      .forEach(({ key, result }) => {
+        const actual = result ? value(result) : null;
+        const passed =
+          actual !== null &&
+          (comparator === "max" ? actual <= limit : actual >= limit);
+
+        let message;
+        if (!result) {
+          message = `${key} did not run (${label} budget ${format(limit)})`;
+        } else if (actual === null) {
+          message = `${key} ${label} was not measured (no successful requests)`;
+        } else {
+          const relation = passed
+            ? comparator === "max"
+              ? "is within"
+              : "meets"
+            : comparator === "max"
+            ? "exceeds"
+            : "is below";
+          message = `${key} ${label} ${format(actual)} ${relation} ${format(
+            limit
+          )}`;
+        }
 
-    console.log(
-      `📊 Deleting ${count} products with adaptive rate limiting - Initial batch size: ${batchSize}, Delay: ${delayBetweenBatches}ms`
-    );
+        checks.push({
+          operation: key,
+          metric: assertion.metric,
+          comparator,
+          limit,
+          actual: actual === null ? null : Math.round(actual * 100) / 100,
+          passed,
+          message,
+        });
+      });
+  });
 
-    // Fetch products with "benchmarkify" tag using pagination (up to requested count)
-    console.log(`🔍 Fetching products with tag: benchmarkify (paginated)`);
-    const productsToDelete = await fetchProductsByTagWithPagination(
-      client,
-      storeUrl,
-      accessToken,
-      "benchmarkify",
-      Math.max(1, Math.min(count, 1000000))
-    );
-    console.log(
-      `🔍 Paginated fetch returned ${productsToDelete.length} products`
-    );
+  if (checks.length === 0) return null;
+  const failed = checks.filter((check) => !check.passed).length;
+  return {
+    status: failed === 0 ? "pass" : "fail",
+    passed: checks.length - failed,
+    failed,
+    checks,
+  };
+}
 
-    console.log(`🔍 Found ${productsToDelete.length} products to delete`);
+// List registered benchmark scenarios
+app.get("/api/benchmark/scenarios", (req, res) => {
+  res.json({
+    scenarios: Array.from(BENCHMARK_SCENARIOS.values()).map((scenario) => ({
+      name: scenario.name,
+      label: scenario.label,
+      operationName: scenario.operationName,
+      defaultCount: scenario.defaultCount,
+      cost: QUERY_COSTS[scenario.operationName] || 0,
+    })),
+  });
+});
 
-    // If we have products to delete, proceed with deletion
-    if (productsToDelete.length > 0) {
-      console.log(
-        `🎯 Proceeding with ${productsToDelete.length} products found via Shopify query`
-      );
-      const products = productsToDelete;
-      const results = [];
-
-      // Delete products in batches with adaptive rate limiting
-      const deleteCount = Math.min(
-        Math.max(1, count),
-        Math.min(products.length, 1000000)
-      ); // Support up to 1 million products
-      const startTime = Date.now();
-
-      for (
-        let batchStart = 0;
-        batchStart < deleteCount;
-        batchStart += batchSize
-      ) {
-        // Get current optimal settings (may have changed from previous batch)
-        const currentSettings = rateLimitManager.getCurrentSettings();
-        const currentBatchSize = currentSettings.batchSize;
-        const currentDelay = currentSettings.delay;
+// Benchmark endpoint for any registered scenario (create, update, delete, ...)
+app.post("/api/benchmark/:scenario", async (req, res) => {
+  const { scenario } = req.params;
+  const { storeUrl, accessToken, runId = null, browserSessionId } = req.body;
 
-        const batchEnd = Math.min(batchStart + batchSize, deleteCount);
-        const batchSizeActual = batchEnd - batchStart;
+  if (!BENCHMARK_SCENARIOS.has(scenario)) {
+    return res.status(404).json({
+      error: `Unknown benchmark scenario: ${scenario}`,
+      available: Array.from(BENCHMARK_SCENARIOS.keys()),
+    });
+  }
 
-        console.log(
-          `🔄 Processing delete batch ${
-            Math.floor(batchStart / batchSize) + 1
-          }: products ${
-            batchStart + 1
-          }-${batchEnd} (batch size: ${batchSizeActual}, delay: ${currentDelay}ms)`
-        );
+  if (!storeUrl || !accessToken) {
+    return res.status(400).json({
+      error: "Missing store URL or access token",
+    });
+  }
 
-        // Process batch in parallel
-        const batchPromises = [];
-        for (let i = batchStart; i < batchEnd; i++) {
-          const product = products[i];
+  const { errors, assertions } = validateAssertions(req.body.assertions, [
+    scenario,
+  ]);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid assertions", errors });
+  }
+  const readSettings = req.body.readSettings || {};
+  const readSettingsErrors = validateReadSettings(
+    readSettings,
+    (name) => `readSettings.${name}`
+  );
+  if (readSettingsErrors.length > 0) {
+    return res
+      .status(400)
+      .json({ error: "Invalid read settings", errors: readSettingsErrors });
+  }
 
-          batchPromises.push(
-            retryGraphQLRequest(
-              client,
-              GRAPHQL_QUERIES.deleteProduct,
-              { input: { id: product.id } },
-              "deleteProduct",
-              storeUrl,
-              accessToken
-            )
-          );
-        }
+  // Each request is its own run in the audit history
+  const clientSessionId = isValidRunId(browserSessionId)
+    ? browserSessionId
+    : null;
+  const audit = createAuditContext(generateBenchmarkTag(), { clientSessionId });
+  claimProgressChannel(runId, clientSessionId);
+
+  try {
+    const response = await runBenchmarkScenario(scenario, req.body, {
+      runId,
+      audit,
+      assertions,
+      settings: readSettings,
+    });
+    if (response.verdict) recordRunVerdict(audit, response.verdict);
+    res.json({ ...response, auditRunId: audit.sessionId });
+  } catch (error) {
+    console.error(`Benchmark ${scenario} error:`, error);
+    createProgressReporter(runId, scenario, 0).fail(error);
+    res.status(500).json({
+      ...benchmarkErrorResponse(error.message),
+      auditRunId: audit.sessionId,
+    });
+  } finally {
+    closeAuditContext(audit);
+  }
+});
 
-        // Wait for batch to complete
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
+// Background benchmark jobs
+// POST /api/jobs starts a run and returns immediately so long benchmarks don't
+// hold an HTTP request open (Heroku's router drops requests after 30s)
+const jobs = new Map();
 
-        // Log batch results for debugging
-        const batchSuccesses = batchResults.filter((r) => r.success).length;
-        const batchFailures = batchResults.filter((r) => !r.success).length;
-        console.log(
-          `📊 Delete batch ${
-            Math.floor(batchStart / batchSize) + 1
-          } results: ${batchSuccesses} success, ${batchFailures} failures`
-        );
+const TERMINAL_JOB_STATES = ["completed", "failed", "cancelled"];
 
-        // Optimize for maximum throughput if we have headroom
-        if (batchSuccesses > batchFailures * 2) {
-          rateLimitManager.optimizeForThroughput();
-        }
+function createJob(
+  operations,
+  clientSessionId = null,
+  scenario = null,
+  assertions = []
+) {
+  // Drop finished jobs older than 24 hours
+  const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  for (const [id, existing] of jobs.entries()) {
+    if (
+      TERMINAL_JOB_STATES.includes(existing.state) &&
+      Date.parse(existing.finishedAt) < oneDayAgo
+    ) {
+      jobs.delete(id);
+    }
+  }
 
-        // Use current delay from rate limit manager
-        if (batchStart + batchSize < deleteCount) {
-          console.log(`⏳ Waiting ${currentDelay}ms before next batch...`);
-          await new Promise((resolve) => setTimeout(resolve, currentDelay));
-        }
-      }
+  const job = {
+    id: `job-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    state: "queued",
+    scenario, // scenario file name, for runs started from one
+    operations,
+    assertions, // performance budgets, checked when the job finishes
+    verdict: null,
+    apiVersionComparison: null, // set when phases ran against two API versions
+    clientSessionId,
+    currentOperation: null,
+    progress: null,
+    results: {},
+    error: null,
+    cancelRequested: false,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  return job;
+}
 
-      const totalTime = (Date.now() - startTime) / 1000; // Convert to seconds
+// A job the caller may see or cancel, matched to its browser session like
+// runs are. Other sessions' jobs are reported as not found.
+function resolveSessionJob(jobId, sessionId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+  return (job.clientSessionId || null) === (sessionId || null) ? job : null;
+}
 
-      // Ensure we only return results for the requested number of products
-      const limitedResults = results.slice(0, deleteCount);
-      console.log(
-        `✅ Deleted exactly ${limitedResults.length} products as requested`
-      );
+// Status and progress URLs carry the job's session so they pass its check
+function jobLinks(job) {
+  const query = job.clientSessionId
+    ? `?sessionId=${encodeURIComponent(job.clientSessionId)}`
+    : "";
+  return {
+    statusUrl: `/api/jobs/${job.id}${query}`,
+    progressUrl: `/api/benchmark/progress/${job.id}${query}`,
+  };
+}
 
-      // Calculate metrics
-      const successfulResults = limitedResults.filter((r) => r.success);
-      const avgResponseTime =
-        successfulResults.length > 0
-          ? (
-              limitedResults.reduce((sum, r) => sum + r.responseTime, 0) /
-              limitedResults.length
-            ).toFixed(2)
-          : 0;
+function serializeJob(job) {
+  const { cancelRequested, ...publicFields } = job;
+  return {
+    ...publicFields,
+    cancelling: cancelRequested && job.state === "running",
+  };
+}
 
-      const totalCost = limitedResults.reduce(
-        (sum, r) => sum + (r.cost || 0),
-        0
-      );
-      const avgCost = (totalCost / limitedResults.length).toFixed(2);
-
-      const successCount = successfulResults.length;
-      const totalCount = limitedResults.length;
-
-      // Calculate products per second based on cost limits
-      const costPerSecond =
-        successfulResults.length > 0
-          ? (
-              totalCost /
-              successfulResults.reduce((sum, r) => sum + r.responseTime, 0)
-            ).toFixed(2)
-          : 0;
+// Sleep in short slices so a cancel request doesn't wait out the full delay
+async function sleepUnlessCancelled(ms, job) {
+  const until = Date.now() + ms;
+  while (!job.cancelRequested && Date.now() < until) {
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(250, until - Date.now()))
+    );
+  }
+}
 
-      // Calculate performance projections
-      const calculateProjection = (productCount) => {
-        const estimatedCost = productCount * avgCost;
-        const estimatedTime = estimatedCost / (totalCost / totalTime);
-        return {
-          time: estimatedTime,
-          cost: estimatedCost,
-        };
-      };
+// A job runs its phases in order. Phases from the form are just an operation
+// and a count; scenario files add per-phase settings, warm-ups and pauses.
+async function executeJob(
+  job,
+  { storeUrl, accessToken, delayBetweenOperations = 0 }
+) {
+  job.state = "running";
+  job.startedAt = new Date().toISOString();
+  console.log(`🧵 Job ${job.id} started`);
 
-      const performanceProjections = {
-        products1000: calculateProjection(1000),
-        products100k: calculateProjection(100000),
-        products1m: calculateProjection(1000000),
-        products10m: calculateProjection(10000000),
-      };
+  // The job ID doubles as the audit run ID
+  const audit = createAuditContext(job.id, {
+    clientSessionId: job.clientSessionId,
+  });
 
-      // Update audit log with performance data
-      auditLog.summary.totalTime = totalTime;
-      auditLog.summary.performanceProjections = performanceProjections;
+  let operation = null;
+  let previousApiVersion = null;
+  try {
+    for (const [index, phase] of job.operations.entries()) {
+      if (job.cancelRequested) break;
+
+      // Start each API version's pass with a full bucket, so the second
+      // version isn't measured against what the first one left behind
+      if (
+        phase.operation &&
+        previousApiVersion &&
+        phase.apiVersion !== previousApiVersion
+      ) {
+        const bucket = getRateLimitManager(storeUrl).scheduler.getStats();
+        const refillMs = bucket.calibrated
+          ? ((bucket.capacity - bucket.available) / bucket.restoreRate) * 1000
+          : 0;
+        if (refillMs > 0) {
+          emitProgress(job.id, "status", {
+            message: `Waiting ${Math.ceil(
+              refillMs / 1000
+            )} seconds for the bucket to refill before API ${
+              phase.apiVersion
+            }...`,
+          });
+          await sleepUnlessCancelled(refillMs, job);
+          if (job.cancelRequested) break;
+        }
+      }
+      if (phase.operation) previousApiVersion = phase.apiVersion;
 
-      // Get rate limit manager performance summary
-      const rateLimitSummary = rateLimitManager.getPerformanceSummary();
+      if (phase.pause) {
+        emitProgress(job.id, "status", {
+          message: `Pausing ${phase.pause} seconds${
+            phase.reason ? ` (${phase.reason})` : ""
+          }...`,
+        });
+        await sleepUnlessCancelled(phase.pause * 1000, job);
+        continue;
+      }
 
-      res.json({
-        status: successCount > 0 ? "success" : "error",
-        responseTime: avgResponseTime,
-        totalTime: totalTime.toFixed(2),
-        rateLimit: results[results.length - 1]?.rateLimit || {
-          current: 0,
-          limit: 1000,
-          remaining: 1000,
-        },
-        details: `Deleted ${successCount}/${totalCount} products successfully using Shopify query. Total time: ${totalTime.toFixed(
-          2
-        )}s`,
-        cost: {
-          total: totalCost,
-          average: avgCost,
-          perSecond: costPerSecond,
-          productsPerSecond: (1000 / avgCost).toFixed(2),
-        },
-        performanceProjections,
-        rateLimitAdaptation: rateLimitSummary,
-        retryStats: {
-          totalRetries: results.filter((r) => r.retriesExhausted).length,
-          successfulAfterRetry: results.filter(
-            (r) => r.success && r.retriesExhausted === false
-          ).length,
+      const key = phase.key || phase.operation;
+      operation = phase.operation;
+      job.currentOperation = key;
+      job.progress = null;
+      const runOptions = {
+        runId: job.id,
+        audit,
+        isCancelled: () => job.cancelRequested,
+        phase: key,
+        assertions: job.assertions,
+        settings: {
+          concurrency: phase.concurrency,
+          optimizationMode: phase.optimizationMode,
+          ...resolveReadSettings(BENCHMARK_SCENARIOS.get(operation), phase),
         },
-      });
-      return;
-    } else {
-      // Fallback: We already set productsToDelete above; use them directly
-      const benchmarkProducts = productsToDelete;
-
-      // Only allow deletions of products created by Benchmarkify ('benchmarkify' tag)
-
-      if (benchmarkProducts.length === 0) {
-        return res.json({
-          status: "error",
-          responseTime: 0,
-          totalTime: 0,
-          rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-          details: "No benchmark products available for deletion",
-          cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-          performanceProjections: {},
+      };
+
+      // Warm-up requests run first and are left out of the phase's results
+      if (phase.warmup > 0) {
+        emitProgress(job.id, "status", {
+          message: `Warming up ${key} with ${phase.warmup} requests...`,
         });
+        await runBenchmarkScenario(
+          operation,
+          {
+            storeUrl,
+            accessToken,
+            count: phase.warmup,
+            apiVersion: phase.apiVersion,
+          },
+          { ...runOptions, warmup: true }
+        );
+        if (job.cancelRequested) break;
       }
 
-      console.log(
-        `🔍 Found ${benchmarkProducts.length} benchmark products to delete`
+      job.results[key] = await runBenchmarkScenario(
+        operation,
+        {
+          storeUrl,
+          accessToken,
+          count: phase.count,
+          apiVersion: phase.apiVersion,
+        },
+        runOptions
       );
 
-      const products = benchmarkProducts;
-      const results = [];
+      // Give Shopify's search index time to pick up the changes before the
+      // next operation looks products up by tag
+      const hasNext = Boolean(job.operations[index + 1]?.operation);
+      if (hasNext && delayBetweenOperations > 0 && !job.cancelRequested) {
+        emitProgress(job.id, "status", {
+          message: `Waiting ${delayBetweenOperations} seconds for products to be indexed...`,
+        });
+        await sleepUnlessCancelled(delayBetweenOperations * 1000, job);
+      }
+    }
 
-      // Delete products in batches with adaptive rate limiting
-      const deleteCount = Math.min(
-        Math.max(1, count),
-        Math.min(products.length, 1000000)
-      ); // Support up to 1 million products
-      const startTime = Date.now();
+    job.state = job.cancelRequested ? "cancelled" : "completed";
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    job.state = "failed";
+    job.error = error.message;
+    job.results[job.currentOperation] = benchmarkErrorResponse(error.message);
+    createProgressReporter(job.id, operation, 0, job.currentOperation).fail(
+      error
+    );
+  } finally {
+    job.currentOperation = null;
+    job.finishedAt = new Date().toISOString();
+    job.verdict = evaluateAssertions(
+      job.assertions,
+      job.operations
+        .filter((phase) => phase.operation)
+        .map((phase) => {
+          const key = phase.key || phase.operation;
+          return { key, operation: phase.operation, result: job.results[key] };
+        })
+    );
+    if (job.verdict) recordRunVerdict(audit, job.verdict);
+    job.apiVersionComparison = compareApiVersions(audit);
+    closeAuditContext(audit);
+    emitProgress(job.id, "job", { state: job.state });
+    console.log(`🧵 Job ${job.id} finished with state: ${job.state}`);
+  }
 
-      for (
-        let batchStart = 0;
-        batchStart < deleteCount;
-        batchStart += batchSize
-      ) {
-        // Get current optimal settings (may have changed from previous batch)
-        const currentSettings = rateLimitManager.getCurrentSettings();
-        const currentBatchSize = currentSettings.batchSize;
-        const currentDelay = currentSettings.delay;
+  return audit;
+}
 
-        const batchEnd = Math.min(batchStart + batchSize, deleteCount);
-        const batchSizeActual = batchEnd - batchStart;
+// Requested counts per operation, in registration order (create ->
+// bulkCreate -> export -> reads -> update -> delete). Read settings apply to
+// the read operations that take them.
+function planJobOperations(operations, readSettings = {}) {
+  return Array.from(BENCHMARK_SCENARIOS.values())
+    .filter(({ name }) => operations[name] > 0)
+    .map((scenario) => ({
+      operation: scenario.name,
+      count: Math.min(parseInt(operations[scenario.name]), 1000000),
+      ...resolveReadSettings(scenario, readSettings),
+    }));
+}
 
-        console.log(
-          `🔄 Processing delete batch ${
-            Math.floor(batchStart / batchSize) + 1
-          }: products ${
-            batchStart + 1
-          }-${batchEnd} (batch size: ${batchSizeActual}, delay: ${currentDelay}ms)`
-        );
+// Scenario files
+// A scenario file (YAML or JSON) describes phases that run in order:
+//
+//   name: Weekly catalog benchmark
+//   apiVersion: 2025-07            # optional, default SHOPIFY_API_VERSION
+//   compareApiVersion: 2025-10     # optional, runs the phases again against it
+//   phases:
+//     - operation: create
+//       count: 500
+//       concurrency: 20            # fixed requests in flight (default: adaptive)
+//       optimizationMode: balanced # starting settings from calculateOptimalBatchConfig
+//       warmup: 10                 # requests run first, left out of the results
+//     - operation: readNested
+//       count: 50
+//       first: 25                  # read settings, see READ_SETTINGS
+//       nestedFirst: 10
+//     - pause: 5                   # seconds, e.g. for search indexing
+//       reason: indexing
+//     - operation: delete
+//       count: 500
+//   assertions:                    # optional, see validateAssertions
+//     - { operation: create, metric: latencyP95, max: 800 }
+const OPTIMIZATION_MODES = ["throughput", "balanced", "aggressive"];
+const MAX_SCENARIO_PHASES = 50;
+const MAX_PHASE_COUNT = 1000000;
+const MAX_CONCURRENCY = 1000;
+const MAX_PAUSE_SECONDS = 3600;
+
+function parseScenarioFile(text) {
+  try {
+    // JSON is valid YAML, so one parser covers both formats
+    return YAML.parse(text);
+  } catch (error) {
+    throw new BenchmarkError(
+      "validation",
+      `Scenario file is not valid YAML or JSON: ${error.message}`
+    );
+  }
+}
 
-        // Process batch in parallel
-        const batchPromises = [];
-        for (let i = batchStart; i < batchEnd; i++) {
-          const product = products[i];
+// Returns { errors, scenario }; the scenario is normalized and only
+// meaningful when there are no errors
+function validateScenario(definition) {
+  const errors = [];
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const checkInteger = (value, field, min, max) => {
+    if (value === undefined) return;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${field} must be a whole number from ${min} to ${max}`);
+    }
+  };
 
-          batchPromises.push(
-            retryGraphQLRequest(
-              client,
-              GRAPHQL_QUERIES.deleteProduct,
-              { input: { id: product.id } },
-              "deleteProduct",
-              storeUrl,
-              accessToken
-            )
-          );
-        }
+  if (!isObject(definition)) {
+    return {
+      errors: ["Scenario must be an object with phases"],
+      scenario: null,
+    };
+  }
+  if (definition.name !== undefined && typeof definition.name !== "string") {
+    errors.push("name must be a string");
+  }
+  if (!Array.isArray(definition.phases) || definition.phases.length === 0) {
+    errors.push("phases must be a non-empty list");
+    return { errors, scenario: null };
+  }
+  if (definition.phases.length > MAX_SCENARIO_PHASES) {
+    errors.push(`phases can have at most ${MAX_SCENARIO_PHASES} entries`);
+  }
 
-        // Wait for batch to complete
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
+  const occurrences = {};
+  const phases = definition.phases.map((phase, index) => {
+    const field = (name) => `phases[${index}].${name}`;
+    if (!isObject(phase)) {
+      errors.push(`phases[${index}] must be an object`);
+      return null;
+    }
 
-        // Log batch results for debugging
-        const batchSuccesses = batchResults.filter((r) => r.success).length;
-        const batchFailures = batchResults.filter((r) => !r.success).length;
-        console.log(
-          `📊 Delete batch ${
-            Math.floor(batchStart / batchSize) + 1
-          } results: ${batchSuccesses} success, ${batchFailures} failures`
+    if (phase.pause !== undefined) {
+      const extra = Object.keys(phase).filter(
+        (key) => !["pause", "reason"].includes(key)
+      );
+      if (extra.length > 0) {
+        errors.push(
+          `phases[${index}] is a pause and can't also set ${extra.join(", ")}`
+        );
+      }
+      if (
+        typeof phase.pause !== "number" ||
+        phase.pause <= 0 ||
+        phase.pause > MAX_PAUSE_SECONDS
+      ) {
+        errors.push(
+          `${field(
+            "pause"
+          )} must be a number of seconds above 0 and at most ${MAX_PAUSE_SECONDS}`
         );
-
-        // Optimize for maximum throughput if we have headroom
-        if (batchSuccesses > batchFailures * 2) {
-          rateLimitManager.optimizeForThroughput();
-        }
-
-        // Use current delay from rate limit manager
-        if (batchStart + batchSize < deleteCount) {
-          console.log(`⏳ Waiting ${currentDelay}ms before next batch...`);
-          await new Promise((resolve) => setTimeout(resolve, currentDelay));
-        }
       }
+      return { pause: phase.pause, reason: phase.reason || null };
+    }
 
-      const totalTime = (Date.now() - startTime) / 1000; // Convert to seconds
-
-      // Ensure we only return results for the requested number of products
-      const limitedResults = results.slice(0, deleteCount);
-      console.log(
-        `✅ Deleted exactly ${limitedResults.length} products as requested`
+    const allowed = [
+      "operation",
+      "count",
+      "concurrency",
+      "optimizationMode",
+      "warmup",
+      ...READ_SETTINGS,
+    ];
+    Object.keys(phase)
+      .filter((key) => !allowed.includes(key))
+      .forEach((key) => errors.push(`${field(key)} is not a phase setting`));
+
+    if (!BENCHMARK_SCENARIOS.has(phase.operation)) {
+      errors.push(
+        `${field("operation")} must be one of: ${Array.from(
+          BENCHMARK_SCENARIOS.keys()
+        ).join(", ")}`
+      );
+    }
+    if (phase.count === undefined) {
+      errors.push(`${field("count")} is required`);
+    }
+    checkInteger(phase.count, field("count"), 1, MAX_PHASE_COUNT);
+    checkInteger(phase.concurrency, field("concurrency"), 1, MAX_CONCURRENCY);
+    checkInteger(phase.warmup, field("warmup"), 0, MAX_PHASE_COUNT);
+    // One bulk operation carries every row, and an export reads one page
+    // after another, so there's nothing to pace
+    const phaseScenario = BENCHMARK_SCENARIOS.get(phase.operation);
+    if (phaseScenario?.bulk || phaseScenario?.export) {
+      ["concurrency", "optimizationMode", "warmup"]
+        .filter((key) => phase[key] !== undefined)
+        .forEach((key) =>
+          errors.push(
+            `${field(key)} doesn't apply to ${
+              phaseScenario.bulk ? "bulk operations" : "catalog exports"
+            }`
+          )
+        );
+    }
+    if (phaseScenario) {
+      READ_SETTINGS.filter(
+        (key) =>
+          phase[key] !== undefined &&
+          !(key in (phaseScenario.readSettings || {}))
+      ).forEach((key) =>
+        errors.push(`${field(key)} doesn't apply to ${phase.operation}`)
+      );
+    }
+    errors.push(...validateReadSettings(phase, field));
+    if (
+      phase.optimizationMode !== undefined &&
+      !OPTIMIZATION_MODES.includes(phase.optimizationMode)
+    ) {
+      errors.push(
+        `${field("optimizationMode")} must be one of: ${OPTIMIZATION_MODES.join(
+          ", "
+        )}`
       );
+    }
 
-      // Calculate metrics
-      const successfulResults = limitedResults.filter((r) => r.success);
-      const avgResponseTime =
-        successfulResults.length > 0
-          ? (
-              limitedResults.reduce((sum, r) => sum + r.responseTime, 0) /
-              limitedResults.length
-            ).toFixed(2)
-          : 0;
+    // Repeated operations get numbered keys: create, create-2, ...
+    occurrences[phase.operation] = (occurrences[phase.operation] || 0) + 1;
+    const occurrence = occurrences[phase.operation];
+    return {
+      key:
+        occurrence === 1 ? phase.operation : `${phase.operation}-${occurrence}`,
+      operation: phase.operation,
+      count: phase.count,
+      concurrency: phase.concurrency || null,
+      optimizationMode: phase.optimizationMode || null,
+      warmup: phase.warmup || 0,
+      ...resolveReadSettings(phaseScenario, phase),
+    };
+  });
 
-      const totalCost = limitedResults.reduce(
-        (sum, r) => sum + (r.cost || 0),
-        0
-      );
-      const avgCost = (totalCost / limitedResults.length).toFixed(2);
-
-      const successCount = successfulResults.length;
-      const totalCount = limitedResults.length;
-
-      // Calculate products per second based on cost limits
-      const costPerSecond =
-        successfulResults.length > 0
-          ? (
-              totalCost /
-              successfulResults.reduce((sum, r) => sum + r.responseTime, 0)
-            ).toFixed(2)
-          : 0;
+  if (phases.every((phase) => !phase?.operation)) {
+    errors.push("phases must include at least one operation");
+  }
 
-      // Calculate performance projections
-      const calculateProjection = (productCount) => {
-        const estimatedCost = productCount * avgCost;
-        const estimatedTime = estimatedCost / (totalCost / totalTime);
-        return {
-          time: estimatedTime,
-          cost: estimatedCost,
-        };
-      };
+  const versionErrors = validateApiVersionSettings(definition);
+  errors.push(...versionErrors);
+  const apiVersion = definition.apiVersion || DEFAULT_API_VERSION;
+  const compareApiVersion = definition.compareApiVersion || null;
+  const plannedPhases =
+    versionErrors.length > 0
+      ? phases
+      : planApiVersionPhases(phases, { apiVersion, compareApiVersion });
+
+  // Assertions can target an operation, a phase key or a versioned key
+  const targets = [
+    ...new Set(
+      [...phases, ...plannedPhases]
+        .filter((phase) => phase?.operation)
+        .flatMap((phase) => [phase.operation, phase.key])
+    ),
+  ];
+  const assertions = validateAssertions(definition.assertions, targets);
+  errors.push(...assertions.errors);
 
-      const performanceProjections = {
-        products1000: calculateProjection(1000),
-        products100k: calculateProjection(100000),
-        products1m: calculateProjection(1000000),
-        products10m: calculateProjection(10000000),
-      };
+  return {
+    errors,
+    scenario: {
+      name: definition.name || "Untitled scenario",
+      description: definition.description || null,
+      apiVersion,
+      compareApiVersion,
+      phases: plannedPhases,
+      assertions: assertions.assertions,
+    },
+  };
+}
 
-      res.json({
-        status: successCount > 0 ? "success" : "error",
-        responseTime: avgResponseTime,
-        totalTime: totalTime.toFixed(2),
-        rateLimit: results[results.length - 1]?.rateLimit || {
-          current: 0,
-          limit: 1000,
-          remaining: 1000,
-        },
-        details: `Deleted ${successCount}/${totalCount} products successfully using Shopify query. Total time: ${totalTime.toFixed(
-          2
-        )}s`,
-        cost: {
-          total: totalCost,
-          average: avgCost,
-          perSecond: costPerSecond,
-          productsPerSecond: (1000 / avgCost).toFixed(2),
-        },
-        performanceProjections,
-        rateLimitAdaptation: rateLimitSummary,
-        retryStats: {
-          totalRetries: results.filter((r) => r.retriesExhausted).length,
-          successfulAfterRetry: results.filter(
-            (r) => r.success && r.retriesExhausted === false
-          ).length,
-        },
-      });
+// Scenario from a request body: file text in `definition`, or an object in
+// `scenario`. An apiVersion or compareApiVersion in the body overrides the
+// scenario's own.
+function scenarioFromRequest(body) {
+  const definition =
+    typeof body.definition === "string"
+      ? parseScenarioFile(body.definition)
+      : body.scenario;
+  if (
+    definition === null ||
+    typeof definition !== "object" ||
+    Array.isArray(definition)
+  ) {
+    return validateScenario(definition);
+  }
+
+  return validateScenario({
+    ...definition,
+    ...(body.apiVersion && { apiVersion: body.apiVersion }),
+    ...(body.compareApiVersion && {
+      compareApiVersion: body.compareApiVersion,
+    }),
+  });
+}
+
+app.post("/api/scenarios/validate", (req, res) => {
+  try {
+    const { errors, scenario } = scenarioFromRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ valid: false, errors });
     }
+    res.json({ valid: true, scenario });
   } catch (error) {
-    console.error("Product deletion benchmark error:", error);
-    res.status(500).json({
-      status: "error",
-      responseTime: 0,
-      totalTime: 0,
-      rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-      details: error.message,
-      cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-      performanceProjections: {},
-    });
+    if (error instanceof BenchmarkError) {
+      return res.status(400).json({ valid: false, errors: [error.message] });
+    }
+    console.error("Scenario validation error:", error);
+    res.status(500).json({ error: "Failed to validate scenario" });
   }
 });
 
-// Benchmark endpoint for product updates
-app.post("/api/benchmark/update", async (req, res) => {
+// Run a scenario file as a background job (same status and progress
+// endpoints as /api/jobs)
+app.post("/api/scenarios/run", (req, res) => {
   try {
-    const { storeUrl, accessToken, count = 3 } = req.body;
-
+    const { storeUrl, accessToken, browserSessionId } = req.body;
     if (!storeUrl || !accessToken) {
       return res.status(400).json({
         error: "Missing store URL or access token",
       });
     }
 
-    console.log("Starting GraphQL product update benchmark...");
-    console.log(`🔒 Looking for products with tag: benchmarkify`);
-    console.log(`🎯 Requested to update exactly ${count} products`);
-
-    // Reset rate limit manager for fresh start
-    rateLimitManager.reset();
-
-    // Create GraphQL client first
-    const client = createGraphQLClient(storeUrl, accessToken);
-
-    // Get current rate limits to calculate optimal batch configuration
-    const rateLimitResult = await handleGraphQLRequest(
-      client,
-      `query { shop { name id } }`,
-      {},
-      "rateLimitCheck",
-      storeUrl,
-      accessToken
-    );
+    const { errors, scenario } = scenarioFromRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid scenario", errors });
+    }
 
-    // Initialize rate limit manager with initial response
-    rateLimitManager.updateFromResponse(
-      rateLimitResult.rateLimit,
-      rateLimitResult.success
+    const job = createJob(
+      scenario.phases,
+      isValidRunId(browserSessionId) ? browserSessionId : null,
+      scenario.name,
+      scenario.assertions
     );
+    executeJob(job, { storeUrl, accessToken });
 
-    // Calculate optimal initial settings based on detected rate limits
-    if (rateLimitResult.rateLimit?.leakRate) {
-      rateLimitManager.calculateOptimalInitialSettings(
-        rateLimitResult.rateLimit.leakRate
-      );
+    res.status(202).json({
+      status: "accepted",
+      jobId: job.id,
+      scenario,
+      ...jobLinks(job),
+    });
+  } catch (error) {
+    if (error instanceof BenchmarkError) {
+      return res
+        .status(400)
+        .json({ error: "Invalid scenario", errors: [error.message] });
     }
+    console.error("Scenario run error:", error);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
 
-    // Get current optimal settings from manager
-    const { batchSize, delay: delayBetweenBatches } =
-      rateLimitManager.getCurrentSettings();
-
-    console.log(
-      `📊 Updating ${count} products with adaptive rate limiting - Initial batch size: ${batchSize}, Delay: ${delayBetweenBatches}ms`
-    );
-
-    // Fetch products with "benchmarkify" tag using pagination (up to requested count)
-    console.log(`🔍 Fetching products with tag: benchmarkify (paginated)`);
-    const allProducts = await fetchProductsByTagWithPagination(
-      client,
+// Start a benchmark job
+app.post("/api/jobs", (req, res) => {
+  try {
+    const {
       storeUrl,
       accessToken,
-      "benchmarkify",
-      Math.max(1, Math.min(count, 1000000))
-    );
-    console.log(`🔍 Paginated fetch returned ${allProducts.length} products`);
+      operations = {},
+      readSettings = {},
+      delayBetweenOperations = 3,
+      browserSessionId,
+    } = req.body;
 
-    console.log(`🔍 Found ${allProducts.length} products to update`);
-
-    // Products are fetched directly from Shopify with "benchmarkify" tag
-    const benchmarkProducts = allProducts;
-
-    // Only allow updates to products created by Benchmarkify (with "benchmarkify" tag)
-
-    if (benchmarkProducts.length === 0) {
-      return res.json({
-        status: "error",
-        responseTime: 0,
-        totalTime: 0,
-        rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-        details: "No benchmark products available for update",
-        cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-        performanceProjections: {},
+    if (!storeUrl || !accessToken) {
+      return res.status(400).json({
+        error: "Missing store URL or access token",
       });
     }
 
-    console.log(
-      `🔍 Found ${benchmarkProducts.length} benchmark products to update`
+    const readSettingsErrors = validateReadSettings(
+      readSettings,
+      (name) => `readSettings.${name}`
     );
-
-    const products = benchmarkProducts;
-    const results = [];
-
-    // Update products in batches with adaptive rate limiting
-    const updateCount = Math.min(
-      Math.max(1, count),
-      Math.min(products.length, 1000000)
-    ); // Support up to 1 million products
-    const startTime = Date.now();
-
-    for (
-      let batchStart = 0;
-      batchStart < updateCount;
-      batchStart += batchSize
-    ) {
-      // Get current optimal settings (may have changed from previous batch)
-      const currentSettings = rateLimitManager.getCurrentSettings();
-      const currentBatchSize = currentSettings.batchSize;
-      const currentDelay = currentSettings.delay;
-
-      const batchEnd = Math.min(batchStart + batchSize, updateCount);
-      const batchSizeActual = batchEnd - batchStart;
-
-      console.log(
-        `🔄 Processing update batch ${
-          Math.floor(batchStart / batchSize) + 1
-        }: products ${
-          batchStart + 1
-        }-${batchEnd} (batch size: ${batchSizeActual}, delay: ${currentDelay}ms)`
-      );
-
-      // Process batch in parallel
-      const batchPromises = [];
-      for (let i = batchStart; i < batchEnd; i++) {
-        const product = products[i];
-        const updateData = {
-          id: product.id,
-          title: `${product.title} (Updated ${new Date()
-            .toISOString()
-            .slice(0, 10)})`,
-          tags: [...(product.tags || []), "updated", "benchmark"],
-        };
-
-        batchPromises.push(
-          retryGraphQLRequest(
-            client,
-            GRAPHQL_QUERIES.updateProduct,
-            { input: updateData },
-            "updateProduct",
-            storeUrl,
-            accessToken
-          )
-        );
-      }
-
-      // Wait for batch to complete
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-
-      // Log batch results for debugging
-      const batchSuccesses = batchResults.filter((r) => r.success).length;
-      const batchFailures = batchResults.filter((r) => !r.success).length;
-      console.log(
-        `📊 Update batch ${
-          Math.floor(batchStart / batchSize) + 1
-        } results: ${batchSuccesses} success, ${batchFailures} failures`
-      );
-
-      // Optimize for maximum throughput if we have headroom
-      if (batchSuccesses > batchFailures * 2) {
-        rateLimitManager.optimizeForThroughput();
-      }
-
-      // Use current delay from rate limit manager
-      if (batchStart + batchSize < updateCount) {
-        console.log(`⏳ Waiting ${currentDelay}ms before next batch...`);
-        await new Promise((resolve) => setTimeout(resolve, currentDelay));
-      }
+    if (readSettingsErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid read settings", errors: readSettingsErrors });
     }
 
-    // Ensure we only return results for the requested number of products
-    const limitedResults = results.slice(0, updateCount);
-    console.log(
-      `✅ Updated exactly ${limitedResults.length} products as requested`
+    const plannedOperations = planApiVersionPhases(
+      planJobOperations(operations, readSettings),
+      req.body
     );
 
-    // Calculate metrics
-    const successfulResults = limitedResults.filter((r) => r.success);
-    const avgResponseTime =
-      successfulResults.length > 0
-        ? (
-            limitedResults.reduce((sum, r) => sum + r.responseTime, 0) /
-            limitedResults.length
-          ).toFixed(2)
-        : 0;
+    if (plannedOperations.length === 0) {
+      return res.status(400).json({
+        error: "Select at least one operation with a count of 1 or more",
+      });
+    }
 
-    const totalCost = limitedResults.reduce((sum, r) => sum + (r.cost || 0), 0);
-    const avgCost = (totalCost / limitedResults.length).toFixed(2);
+    const { errors, assertions } = validateAssertions(req.body.assertions, [
+      ...new Set(
+        plannedOperations.flatMap(({ operation, key }) =>
+          key ? [operation, key] : [operation]
+        )
+      ),
+    ]);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid assertions", errors });
+    }
 
-    const successCount = successfulResults.length;
-    const totalCount = limitedResults.length;
+    const job = createJob(
+      plannedOperations,
+      isValidRunId(browserSessionId) ? browserSessionId : null,
+      null,
+      assertions
+    );
+    executeJob(job, { storeUrl, accessToken, delayBetweenOperations });
 
-    const totalTime = (Date.now() - startTime) / 1000; // Convert to seconds
+    res.status(202).json({
+      status: "accepted",
+      jobId: job.id,
+      phases: plannedOperations,
+      ...jobLinks(job),
+    });
+  } catch (error) {
+    console.error("Job creation error:", error);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
 
-    const costPerSecond =
-      successfulResults.length > 0
-        ? (
-            totalCost /
-            limitedResults.reduce((sum, r) => sum + r.responseTime, 0)
-          ).toFixed(2)
-        : 0;
+// Job status with partial results
+app.get("/api/jobs/:id", (req, res) => {
+  const job = resolveSessionJob(req.params.id, req.query.sessionId);
 
-    // Calculate performance projections
-    const calculateProjection = (productCount) => {
-      const estimatedCost = productCount * avgCost;
-      const estimatedTime = estimatedCost / (totalCost / totalTime);
-      return {
-        time: estimatedTime,
-        cost: estimatedCost,
-      };
-    };
+  if (!job) {
+    return res.status(404).json({
+      error: "Job not found or expired",
+    });
+  }
 
-    const performanceProjections = {
-      products1000: calculateProjection(1000),
-      products100k: calculateProjection(100000),
-      products1m: calculateProjection(1000000),
-      products10m: calculateProjection(10000000),
-    };
+  res.json(serializeJob(job));
+});
 
-    // Get rate limit manager performance summary
-    const rateLimitSummary = rateLimitManager.getPerformanceSummary();
+// Cancel a running job - stops between batches
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = resolveSessionJob(req.params.id, req.query.sessionId);
 
-    res.json({
-      status: successCount > 0 ? "success" : "error",
-      responseTime: avgResponseTime,
-      totalTime: totalTime.toFixed(2),
-      rateLimit: results[results.length - 1]?.rateLimit || {
-        current: 0,
-        limit: 1000,
-        remaining: 1000,
-      },
-      details: `Updated ${successCount}/${totalCount} products successfully. Total time: ${totalTime.toFixed(
-        2
-      )}s`,
-      cost: {
-        total: totalCost,
-        average: avgCost,
-        perSecond: costPerSecond,
-        productsPerSecond: (1000 / avgCost).toFixed(2),
-      },
-      performanceProjections,
-      rateLimitAdaptation: rateLimitSummary,
-      retryStats: {
-        totalRetries: results.filter((r) => r.retriesExhausted).length,
-        successfulAfterRetry: results.filter(
-          (r) => r.success && r.retriesExhausted === false
-        ).length,
-      },
+  if (!job) {
+    return res.status(404).json({
+      error: "Job not found or expired",
     });
-  } catch (error) {
-    console.error("Product update benchmark error:", error);
-    res.status(500).json({
-      status: "error",
-      responseTime: 0,
-      totalTime: 0,
-      rateLimit: { current: 0, limit: 1000, remaining: 1000 },
-      details: error.message,
-      cost: { total: 0, average: 0, perSecond: 0, productsPerSecond: 0 },
-      performanceProjections: {},
+  }
+
+  if (TERMINAL_JOB_STATES.includes(job.state)) {
+    return res.status(409).json({
+      error: `Job already ${job.state}`,
+      job: serializeJob(job),
     });
   }
+
+  job.cancelRequested = true;
+  console.log(`🛑 Cancellation requested for job ${job.id}`);
+
+  res.status(202).json({
+    status: "cancelling",
+    message: "Job will stop after the current batch",
+    job: serializeJob(job),
+  });
 });
+
 // Health check endpoint
 app.get("/api/health", (req, res) => {
   res.json({
@@ -2223,7 +4499,7 @@ app.get("/api/health", (req, res) => {
 // Cleanup endpoint to remove all benchmark products
 app.post("/api/cleanup-benchmark", async (req, res) => {
   try {
-    const { storeUrl, accessToken } = req.body;
+    const { storeUrl, accessToken, apiVersion, browserSessionId } = req.body;
 
     if (!storeUrl || !accessToken) {
       return res.status(400).json({
@@ -2231,18 +4507,23 @@ app.post("/api/cleanup-benchmark", async (req, res) => {
       });
     }
 
+    const audit = getSessionAuditLog(browserSessionId);
+
     console.log(
       `🧹 Starting cleanup of benchmark products with tag: ${SESSION_BENCHMARK_TAG}`
     );
 
-    const client = createGraphQLClient(storeUrl, accessToken);
+    const client = createGraphQLClient(storeUrl, accessToken, apiVersion);
 
     // Get all benchmark products
     const productsResponse = await handleGraphQLRequest(
       client,
       GRAPHQL_QUERIES.getProducts,
       { first: 250 }, // Get more products to find all benchmark ones
-      "getProducts"
+      "getProducts",
+      storeUrl,
+      accessToken,
+      audit
     );
 
     if (
@@ -2273,66 +4554,509 @@ app.post("/api/cleanup-benchmark", async (req, res) => {
       });
     }
 
-    console.log(
-      `🔍 Found ${benchmarkProducts.length} benchmark products to clean up`
+    console.log(
+      `🔍 Found ${benchmarkProducts.length} benchmark products to clean up`
+    );
+
+    const results = [];
+
+    // Delete all benchmark products
+    for (let i = 0; i < benchmarkProducts.length; i++) {
+      const product = benchmarkProducts[i];
+
+      try {
+        const result = await handleGraphQLRequest(
+          client,
+          GRAPHQL_QUERIES.deleteProduct,
+          { input: { id: product.id } },
+          "cleanupDelete",
+          storeUrl,
+          accessToken,
+          audit
+        );
+
+        results.push(result);
+        await new Promise((resolve) => setTimeout(resolve, 100)); // Small delay
+      } catch (error) {
+        console.error(`Cleanup deletion ${i + 1} failed:`, error.message);
+        results.push({
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    const successfulDeletions = results.filter((r) => r.success).length;
+    const totalProducts = benchmarkProducts.length;
+
+    res.json({
+      status: "success",
+      message: `Cleanup completed. Deleted ${successfulDeletions}/${totalProducts} benchmark products.`,
+      deletedCount: successfulDeletions,
+      totalCount: totalProducts,
+      benchmarkTag: SESSION_BENCHMARK_TAG,
+    });
+  } catch (error) {
+    console.error("Cleanup error:", error);
+    res.status(500).json({
+      status: "error",
+      message: error.message,
+    });
+  }
+});
+
+// Time-series for the run charts. Samples are grouped into windows (at most
+// TIMESERIES_MAX_POINTS per series) so long runs stay cheap to plot; times
+// are ms since the run started.
+const TIMESERIES_MAX_POINTS = 120;
+const THROUGHPUT_WINDOW_MS = 1000;
+
+// Operation names that act on a product, i.e. count towards products/sec.
+// A bulk operation's requests only stage and poll it, and exports and read
+// queries only read.
+function benchmarkOperationNames() {
+  return new Set(
+    Array.from(BENCHMARK_SCENARIOS.values())
+      .filter(
+        (scenario) => !scenario.bulk && !scenario.export && !scenario.read
+      )
+      .map((scenario) => scenario.operationName)
+  );
+}
+
+function buildTimeSeries(log) {
+  const startMs = Date.parse(log.startTime);
+  const offset = (entry) => Date.parse(entry.timestamp) - startMs;
+  const productActions = benchmarkOperationNames();
+
+  const operations = log.operations
+    .map((op) => ({ ...op, t: offset(op) }))
+    .sort((a, b) => a.t - b.t);
+  // Failed requests and responses without throttleStatus or the call-limit
+  // header log placeholder bucket values (resetTime null) - leave them out
+  const bucketReadings = log.rateLimitHistory
+    .filter((rl) => rl.resetTime !== null)
+    .map((rl) => ({ ...rl, t: offset(rl) }))
+    .sort((a, b) => a.t - b.t);
+
+  const durationMs = Math.max(
+    operations[operations.length - 1]?.t || 0,
+    bucketReadings[bucketReadings.length - 1]?.t || 0,
+    1
+  );
+  const windowMs = Math.max(
+    250,
+    Math.ceil(durationMs / TIMESERIES_MAX_POINTS / 250) * 250
+  );
+  const windowCount = Math.ceil(durationMs / windowMs);
+  const windowEnd = (index) => Math.min((index + 1) * windowMs, durationMs);
+  const windowOf = (t) =>
+    Math.min(Math.max(Math.floor(t / windowMs), 0), windowCount - 1);
+
+  // Products/sec over a trailing window ending at each point
+  const completed = operations
+    .filter((op) => op.success && productActions.has(op.action))
+    .map((op) => op.t);
+  const throughputWindowMs = Math.max(THROUGHPUT_WINDOW_MS, windowMs);
+  const throughput = [];
+  let first = 0;
+  let last = 0;
+  for (let index = 0; index < windowCount; index++) {
+    const t = windowEnd(index);
+    while (last < completed.length && completed[last] <= t) last++;
+    while (first < last && completed[first] <= t - throughputWindowMs) first++;
+    const spanMs = Math.min(throughputWindowMs, t);
+    throughput.push({ t, value: (last - first) / (spanMs / 1000) });
+  }
+
+  // Mean and slowest response per window, successful requests only
+  const responseWindows = new Map();
+  operations
+    .filter((op) => op.success && typeof op.responseTime === "number")
+    .forEach((op) => {
+      const index = windowOf(op.t);
+      const bucket = responseWindows.get(index) || { sum: 0, count: 0, max: 0 };
+      bucket.sum += op.responseTime;
+      bucket.count++;
+      bucket.max = Math.max(bucket.max, op.responseTime);
+      responseWindows.set(index, bucket);
+    });
+  const responseTimes = Array.from(responseWindows.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([index, bucket]) => ({
+      t: windowEnd(index),
+      mean: bucket.sum / bucket.count,
+      max: bucket.max,
+    }));
+
+  // Last reading in each window - the bucket level as the window closed
+  const bucketWindows = new Map();
+  bucketReadings.forEach((rl) => bucketWindows.set(windowOf(rl.t), rl));
+  const bucketLevels = Array.from(bucketWindows.values()).map((rl) => ({
+    t: rl.t,
+    currentlyAvailable: rl.remaining,
+    maximumAvailable: rl.limit,
+  }));
+
+  return {
+    runId: log.sessionId,
+    startTime: log.startTime,
+    durationMs,
+    windowMs,
+    throughputWindowMs,
+    throughput,
+    responseTimes,
+    bucketLevels,
+  };
+}
+
+// Run comparison
+// Metrics are computed from product operations only, so rate limit probes
+// and connection tests don't skew them. Each metric keeps its raw samples for
+// the significance tests.
+function summarizeRunForComparison(log, source) {
+  const productActions = benchmarkOperationNames();
+  const operations = log.operations.filter(
+    (op) => productActions.has(op.action) && !op.warmup
+  );
+  const successful = operations.filter((op) => op.success);
+  const results = (log.results || []).filter((entry) => !entry.warmup);
+  const totalCost = operations.reduce((sum, op) => sum + (op.cost || 0), 0);
+
+  // Time spent benchmarking, falling back to the span of operations for
+  // logs without benchmark results
+  const timestamps = operations.map((op) => Date.parse(op.timestamp));
+  const totalTime =
+    results.reduce(
+      (sum, entry) => sum + (parseFloat(entry.result?.totalTime) || 0),
+      0
+    ) ||
+    (timestamps.length > 1
+      ? (Math.max(...timestamps) - Math.min(...timestamps)) / 1000
+      : 0);
+
+  const latencySamples = successful.map((op) => op.responseTime);
+  return {
+    id: log.sessionId,
+    source,
+    startTime: log.startTime,
+    scenarios: [...new Set(results.map((entry) => entry.scenario))],
+    operations: operations.length,
+    successes: successful.length,
+    failures: operations.length - successful.length,
+    totalTime,
+    throughput: totalTime > 0 ? successful.length / totalTime : 0,
+    failureRate:
+      operations.length > 0
+        ? (operations.length - successful.length) / operations.length
+        : 0,
+    costPerProduct: successful.length > 0 ? totalCost / successful.length : 0,
+    latency: computeLatencyStats(latencySamples),
+    samples: {
+      latency: latencySamples,
+      // Every attempt spends points, so failures raise the cost per product
+      cost: operations.map((op) => ({
+        numerator: op.cost || 0,
+        denominator: op.success ? 1 : 0,
+      })),
+      // Products/sec of each batch - one throughput sample per batch
+      batchThroughput: results.flatMap((entry) =>
+        (entry.result?.batches || [])
+          .filter((batch) => batch.durationMs > 0)
+          .map((batch) => batch.successes / (batch.durationMs / 1000))
+      ),
+    },
+  };
+}
+
+// Deltas of a candidate run against the baseline. A regression is a
+// significant change in the worse direction.
+function compareRunMetrics(baseline, candidate) {
+  const latencyShift = mannWhitneyTest(
+    baseline.samples.latency,
+    candidate.samples.latency
+  );
+  const metrics = [
+    {
+      metric: "throughput",
+      label: "Products/sec",
+      higherIsBetter: true,
+      value: (run) => run.throughput,
+      test: welchTTest(
+        baseline.samples.batchThroughput,
+        candidate.samples.batchThroughput
+      ),
+    },
+    {
+      metric: "latencyMean",
+      label: "Mean latency (ms)",
+      higherIsBetter: false,
+      value: (run) => run.latency.mean,
+      test: welchTTest(baseline.samples.latency, candidate.samples.latency),
+    },
+    ...["p50", "p90", "p95", "p99"].map((p) => ({
+      metric: `latency${p.toUpperCase()}`,
+      label: `${p} latency (ms)`,
+      higherIsBetter: false,
+      value: (run) => run.latency[p],
+      test: latencyShift,
+    })),
+    {
+      metric: "failureRate",
+      label: "Failure rate",
+      higherIsBetter: false,
+      value: (run) => run.failureRate,
+      test: twoProportionZTest(
+        baseline.failures,
+        baseline.operations,
+        candidate.failures,
+        candidate.operations
+      ),
+    },
+    {
+      metric: "costPerProduct",
+      label: "Cost per product (pts)",
+      higherIsBetter: false,
+      value: (run) => run.costPerProduct,
+      test: ratioZTest(baseline.samples.cost, candidate.samples.cost),
+    },
+  ];
+
+  return metrics.map(({ value, test, higherIsBetter, ...metric }) => {
+    const before = value(baseline);
+    const after = value(candidate);
+    const delta = after - before;
+    const significant = test !== null && test.pValue < SIGNIFICANCE_LEVEL;
+    const worse = higherIsBetter ? delta < 0 : delta > 0;
+    return {
+      ...metric,
+      higherIsBetter,
+      baseline: before,
+      candidate: after,
+      delta,
+      deltaPercent: before !== 0 ? (delta / before) * 100 : null,
+      test,
+      verdict:
+        test === null
+          ? "untested"
+          : !significant || delta === 0
+          ? "unchanged"
+          : worse
+          ? "regression"
+          : "improvement",
+    };
+  });
+}
+
+// API version comparison
+// Each version's operations and results are summarized as if they were a run
+// of their own and compared like two runs; the first version run is the
+// baseline. Returns null unless the run used at least two versions.
+function compareApiVersions(log) {
+  const versions = [
+    ...new Set(
+      log.results
+        .filter((entry) => !entry.warmup)
+        .map((entry) => entry.apiVersion)
+        .filter(Boolean)
+    ),
+  ];
+  if (versions.length < 2) return null;
+
+  const [baseline, ...candidates] = versions.map((apiVersion) => ({
+    apiVersion,
+    ...summarizeRunForComparison(
+      {
+        ...log,
+        operations: log.operations.filter((op) => op.apiVersion === apiVersion),
+        results: log.results.filter((entry) => entry.apiVersion === apiVersion),
+      },
+      apiVersion
+    ),
+  }));
+
+  return {
+    baseline: baseline.apiVersion,
+    significanceLevel: SIGNIFICANCE_LEVEL,
+    versions: [baseline, ...candidates].map(
+      ({ samples, ...summary }) => summary
+    ),
+    comparisons: candidates.map((candidate) => {
+      const metrics = compareRunMetrics(baseline, candidate);
+      return {
+        apiVersion: candidate.apiVersion,
+        metrics,
+        regressions: metrics
+          .filter((metric) => metric.verdict === "regression")
+          .map((metric) => metric.metric),
+      };
+    }),
+  };
+}
+
+// An uploaded audit JSON file, as downloaded from /api/audit-log/json
+function parseUploadedAuditLog(upload, index) {
+  const log = upload?.log;
+  if (
+    !log ||
+    typeof log.sessionId !== "string" ||
+    typeof log.startTime !== "string" ||
+    !Array.isArray(log.operations)
+  ) {
+    throw new BenchmarkError(
+      "validation",
+      `Upload ${upload?.name || index + 1} is not a Benchmarkify audit log`
     );
+  }
+  return { ...log, results: Array.isArray(log.results) ? log.results : [] };
+}
 
-    const results = [];
+// Run history endpoints
+app.get("/api/runs", (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const runs = listPersistedRuns()
+      .filter((run) => (run.clientSessionId || null) === (sessionId || null))
+      .map((run) => ({
+        ...run,
+        live: auditContexts.has(run.id),
+      }));
+    res.json({ runs });
+  } catch (error) {
+    console.error("Error listing runs:", error);
+    res.status(500).json({ error: "Failed to list runs" });
+  }
+});
 
-    // Delete all benchmark products
-    for (let i = 0; i < benchmarkProducts.length; i++) {
-      const product = benchmarkProducts[i];
+app.get("/api/runs/:id", (req, res) => {
+  try {
+    const log = resolveSessionRun(req.params.id, req.query.sessionId);
+    if (!log) {
+      return res.status(404).json({ error: "Run not found" });
+    }
 
-      try {
-        const result = await handleGraphQLRequest(
-          client,
-          GRAPHQL_QUERIES.deleteProduct,
-          { input: { id: product.id } },
-          "cleanupDelete",
-          storeUrl,
-          accessToken
-        );
+    const query = `?runId=${encodeURIComponent(log.sessionId)}${
+      log.clientSessionId
+        ? `&sessionId=${encodeURIComponent(log.clientSessionId)}`
+        : ""
+    }`;
+    updateAuditSummary(log);
+    res.json({
+      id: log.sessionId,
+      clientSessionId: log.clientSessionId,
+      live: auditContexts.get(log.sessionId) === log,
+      startTime: log.startTime,
+      endTime: log.endTime,
+      summary: log.summary,
+      results: log.results,
+      apiVersionComparison: compareApiVersions(log),
+      totalOperations: log.operations.length,
+      rateLimitChecks: log.rateLimitHistory.length,
+      createdProducts: log.createdProductIds.length,
+      downloads: {
+        json: `/api/audit-log/json${query}`,
+        txt: `/api/audit-log/txt${query}`,
+        summary: `/api/audit-log/summary${query}`,
+      },
+    });
+  } catch (error) {
+    console.error("Error loading run:", error);
+    res.status(500).json({ error: "Failed to load run" });
+  }
+});
 
-        results.push(result);
-        await new Promise((resolve) => setTimeout(resolve, 100)); // Small delay
-      } catch (error) {
-        console.error(`Cleanup deletion ${i + 1} failed:`, error.message);
-        results.push({
-          success: false,
-          error: error.message,
-        });
+// Compare two or more runs; the oldest is the baseline. Saved runs must
+// belong to the caller's session - other runs are compared by uploading
+// their audit logs.
+app.post("/api/runs/compare", (req, res) => {
+  try {
+    const { runIds = [], uploads = [], sessionId } = req.body;
+    if (!Array.isArray(runIds) || !Array.isArray(uploads)) {
+      return res
+        .status(400)
+        .json({ error: "runIds and uploads must be arrays" });
+    }
+
+    const runs = [];
+    for (const runId of runIds) {
+      const log = resolveSessionRun(runId, sessionId);
+      if (!log) {
+        return res.status(404).json({ error: `Run ${runId} not found` });
       }
+      runs.push(summarizeRunForComparison(log, "run"));
+    }
+    uploads.forEach((upload, index) => {
+      runs.push(
+        summarizeRunForComparison(
+          parseUploadedAuditLog(upload, index),
+          upload.name || "upload"
+        )
+      );
+    });
+
+    if (runs.length < 2) {
+      return res
+        .status(400)
+        .json({ error: "Select at least two runs or audit logs to compare" });
     }
 
-    const successfulDeletions = results.filter((r) => r.success).length;
-    const totalProducts = benchmarkProducts.length;
+    runs.sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+    const [baseline, ...candidates] = runs;
+    const comparisons = candidates.map((candidate) => {
+      const metrics = compareRunMetrics(baseline, candidate);
+      return {
+        runId: candidate.id,
+        metrics,
+        regressions: metrics
+          .filter((metric) => metric.verdict === "regression")
+          .map((metric) => metric.metric),
+      };
+    });
 
     res.json({
-      status: "success",
-      message: `Cleanup completed. Deleted ${successfulDeletions}/${totalProducts} benchmark products.`,
-      deletedCount: successfulDeletions,
-      totalCount: totalProducts,
-      benchmarkTag: SESSION_BENCHMARK_TAG,
+      baseline: baseline.id,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      runs: runs.map(({ samples, ...run }) => run),
+      comparisons,
     });
   } catch (error) {
-    console.error("Cleanup error:", error);
-    res.status(500).json({
-      status: "error",
-      message: error.message,
-    });
+    if (error instanceof BenchmarkError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error comparing runs:", error);
+    res.status(500).json({ error: "Failed to compare runs" });
+  }
+});
+
+app.get("/api/runs/:id/timeseries", (req, res) => {
+  try {
+    const log = resolveSessionRun(req.params.id, req.query.sessionId);
+    if (!log) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    res.json(buildTimeSeries(log));
+  } catch (error) {
+    console.error("Error building run time-series:", error);
+    res.status(500).json({ error: "Failed to build time-series" });
   }
 });
 
 // Audit log download endpoints
 app.get("/api/audit-log/json", (req, res) => {
   try {
-    finalizeAuditLog(); // Ensure summary is up to date
+    const log = resolveSessionRun(req.query.runId, req.query.sessionId);
+    if (!log) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    finalizeAuditLog(log); // Ensure summary is up to date
     res.setHeader("Content-Type", "application/json");
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="benchmarkify-audit-${auditLog.sessionId}.json"`
+      `attachment; filename="benchmarkify-audit-${log.sessionId}.json"`
     );
-    res.json(auditLog);
+    res.json(log);
   } catch (error) {
     console.error("Error generating JSON audit log:", error);
     res.status(500).json({ error: "Failed to generate audit log" });
@@ -2341,34 +5065,190 @@ app.get("/api/audit-log/json", (req, res) => {
 
 app.get("/api/audit-log/txt", (req, res) => {
   try {
-    finalizeAuditLog(); // Ensure summary is up to date
+    const log = resolveSessionRun(req.query.runId, req.query.sessionId);
+    if (!log) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    finalizeAuditLog(log); // Ensure summary is up to date
 
     let logContent = `Benchmarkify Audit Log\n`;
     logContent += `========================\n\n`;
-    logContent += `Session ID: ${auditLog.sessionId}\n`;
-    logContent += `Start Time: ${auditLog.startTime}\n`;
-    logContent += `End Time: ${auditLog.endTime}\n\n`;
+    logContent += `Session ID: ${log.sessionId}\n`;
+    logContent += `Start Time: ${log.startTime}\n`;
+    logContent += `End Time: ${log.endTime}\n\n`;
 
     // Summary
     logContent += `SUMMARY\n`;
     logContent += `-------\n`;
-    logContent += `Total Operations: ${auditLog.summary.totalOperations}\n`;
-    logContent += `Successful: ${auditLog.summary.successfulOperations}\n`;
-    logContent += `Failed: ${auditLog.summary.failedOperations}\n`;
-    logContent += `Total Cost: ${auditLog.summary.totalCost} points\n`;
-    logContent += `Average Response Time: ${auditLog.summary.averageResponseTime.toFixed(
+    logContent += `Total Operations: ${log.summary.totalOperations}\n`;
+    logContent += `Successful: ${log.summary.successfulOperations}\n`;
+    logContent += `Failed: ${log.summary.failedOperations}\n`;
+    logContent += `Total Cost: ${log.summary.totalCost} points\n`;
+    logContent += `Average Response Time: ${log.summary.averageResponseTime.toFixed(
       2
     )}ms\n`;
-    logContent += `Peak Rate Limit Usage: ${auditLog.summary.peakRateLimitUsage.toFixed(
+    logContent += `Peak Rate Limit Usage: ${log.summary.peakRateLimitUsage.toFixed(
       1
     )}%\n`;
-    logContent += `Recommended Batch Size: ${auditLog.summary.recommendedBatchSize}\n`;
-    logContent += `Recommended Delay: ${auditLog.summary.recommendedDelay}ms\n\n`;
+    logContent += `Throttle Events: ${log.summary.throttleEvents} (${log.summary.throttleWaitMs}ms waiting)\n`;
+    logContent += `Recommended Batch Size: ${log.summary.recommendedBatchSize}\n`;
+    logContent += `Recommended Delay: ${log.summary.recommendedDelay}ms\n\n`;
+
+    // Performance budgets
+    if (log.verdict) {
+      logContent += `VERDICT: ${log.verdict.status.toUpperCase()} (${
+        log.verdict.passed
+      }/${log.verdict.checks.length} assertions passed)\n`;
+      logContent += `-------\n`;
+      log.verdict.checks.forEach((check) => {
+        logContent += `${check.passed ? "PASS" : "FAIL"} ${check.message}\n`;
+      });
+      logContent += `\n`;
+    }
+
+    // API version comparison
+    const versionComparison = compareApiVersions(log);
+    if (versionComparison) {
+      logContent += `API VERSION COMPARISON (baseline ${versionComparison.baseline})\n`;
+      logContent += `----------------------\n`;
+      versionComparison.comparisons.forEach((comparison) => {
+        logContent += `${comparison.apiVersion}:\n`;
+        comparison.metrics.forEach((metric) => {
+          logContent += `   ${metric.label}: ${metric.baseline.toFixed(
+            2
+          )} -> ${metric.candidate.toFixed(2)}${
+            metric.deltaPercent === null
+              ? ""
+              : ` (${
+                  metric.deltaPercent > 0 ? "+" : ""
+                }${metric.deltaPercent.toFixed(1)}%)`
+          } | ${metric.verdict}\n`;
+        });
+      });
+      logContent += `\n`;
+    }
+
+    // Benchmark results
+    logContent += `BENCHMARK RESULTS\n`;
+    logContent += `-----------------\n`;
+    log.results.forEach((entry, index) => {
+      const label =
+        entry.phase && entry.phase !== entry.scenario
+          ? `${entry.scenario} [${entry.phase}]`
+          : entry.scenario;
+      logContent += `${index + 1}. ${entry.timestamp} | ${label}${
+        entry.warmup ? " (warm-up)" : ""
+      }${entry.apiVersion ? ` | API ${entry.apiVersion}` : ""} | ${
+        entry.result.status
+      } | ${entry.result.details}\n`;
+      if (entry.result.latency) {
+        logContent += `   Latency: ${formatLatencyStats(
+          entry.result.latency
+        )}\n`;
+      }
+      (entry.result.batches || []).forEach((batch) => {
+        logContent += `   Batch ${batch.batch}: ${batch.successes}/${
+          batch.size
+        } ok in ${batch.durationMs}ms | ${formatLatencyStats(batch.latency)}\n`;
+      });
+      const { bulk } = entry.result;
+      if (bulk) {
+        logContent += `   Bulk operation ${bulk.operationId} ${bulk.status}: ${
+          bulk.objectCount
+        } objects, ${bulk.polls} polls | ${Object.entries(bulk.timings)
+          .map(([step, ms]) => `${step.replace(/Ms$/, "")} ${ms}ms`)
+          .join(", ")}\n`;
+      }
+      if (bulk?.comparison) {
+        logContent += `   vs ${
+          bulk.comparison.phase
+        }: ${bulk.comparison.bulk.throughput.toFixed(
+          2
+        )} vs ${bulk.comparison.perMutation.throughput.toFixed(
+          2
+        )} products/s (${bulk.comparison.speedup.toFixed(1)}x)\n`;
+      }
+      if (entry.result.read) {
+        const { read } = entry.result;
+        logContent += `   Read ${read.query} (${
+          Object.entries(read.settings)
+            .map(([key, value]) => `${key} ${value ?? "default"}`)
+            .join(", ") || "no settings"
+        }): ${read.pages} queries, ${read.pagesPerSecond.toFixed(2)}/s, ${
+          read.rows
+        } rows | ${formatReadCost(read.queryCost)}\n`;
+      }
+      if (entry.result.export) {
+        const { pagination, bulk: bulkExport } = entry.result.export;
+        logContent += `   Paginated read: ${pagination.rows} rows, ${
+          pagination.pages
+        } pages, ${pagination.totalTime.toFixed(
+          2
+        )}s, ${pagination.rowsPerSecond.toFixed(2)} rows/s, ${
+          pagination.cost
+        } points\n`;
+        logContent += `   Bulk export ${bulkExport.operationId || "-"} ${
+          bulkExport.error ? `failed: ${bulkExport.error}` : bulkExport.status
+        }: ${bulkExport.rows} rows, ${bulkExport.totalTime.toFixed(
+          2
+        )}s, ${bulkExport.rowsPerSecond.toFixed(2)} rows/s, ${
+          bulkExport.cost
+        } points\n`;
+      }
+    });
+    logContent += `\n`;
+
+    // Latency distribution of successful operations
+    logContent += `LATENCY\n`;
+    logContent += `-------\n`;
+    if (log.summary.latency?.count) {
+      logContent += `All operations: ${formatLatencyStats(
+        log.summary.latency
+      )}\n`;
+      Object.entries(log.summary.latencyByOperation).forEach(
+        ([action, stats]) => {
+          logContent += `${action}: ${formatLatencyStats(stats)}\n`;
+        }
+      );
+      logContent += `\nHistogram (all operations)\n`;
+      const peak = Math.max(...log.summary.latency.histogram, 1);
+      latencyBucketLabels().forEach((label, index) => {
+        const count = log.summary.latency.histogram[index];
+        logContent += `${label.padStart(9)} | ${"#".repeat(
+          Math.ceil((count / peak) * 40)
+        )} ${count}\n`;
+      });
+    } else {
+      logContent += `No successful operations recorded\n`;
+    }
+    logContent += `\n`;
+
+    // Requested vs actual cost per operation, with the costliest fields
+    logContent += `QUERY COSTS\n`;
+    logContent += `-----------\n`;
+    const queryCosts = log.summary.queryCosts;
+    if (queryCosts?.operations) {
+      logContent += `All operations: ${formatQueryCosts(queryCosts)}\n`;
+      Object.entries(queryCosts.byOperation).forEach(([action, costs]) => {
+        logContent += `${action}: ${formatQueryCosts(costs)}${
+          costs.tableCost !== null ? ` | estimate ${costs.tableCost}` : ""
+        }\n`;
+        costs.fields.forEach((field) => {
+          logContent += `   ${field.path}: ${field.requestedTotalCost.toFixed(
+            1
+          )} (field ${field.definedCost ?? "-"})\n`;
+        });
+      });
+    } else {
+      logContent += `No query costs recorded\n`;
+    }
+    logContent += `\n`;
 
     // Rate limit history
     logContent += `RATE LIMIT HISTORY\n`;
     logContent += `------------------\n`;
-    auditLog.rateLimitHistory.forEach((rl, index) => {
+    log.rateLimitHistory.forEach((rl, index) => {
       logContent += `${index + 1}. ${rl.timestamp} | Usage: ${
         rl.currentUsage
       }/${rl.limit} (${rl.usagePercentage.toFixed(1)}%) | Remaining: ${
@@ -2377,23 +5257,49 @@ app.get("/api/audit-log/txt", (req, res) => {
     });
     logContent += `\n`;
 
+    // Throttle events
+    logContent += `THROTTLE EVENTS\n`;
+    logContent += `---------------\n`;
+    log.throttleEvents.forEach((event, index) => {
+      logContent += `${index + 1}. ${event.timestamp} | ${event.action} | ${
+        event.source
+      } | Attempt ${event.attempt} | ${
+        event.exhausted ? "Gave up" : `Waited ${event.waitMs}ms`
+      }\n`;
+    });
+    logContent += `\n`;
+
     // Operations log
     logContent += `OPERATIONS LOG\n`;
     logContent += `---------------\n`;
-    auditLog.operations.forEach((op, index) => {
+    log.operations.forEach((op, index) => {
       const status = op.success ? "✅ SUCCESS" : "❌ FAILED";
       const summary = op.summary || "No summary available";
       logContent += `${index + 1}. ${op.timestamp} | ${
         op.action
       } | ${status} | Product: ${op.productId || "N/A"} | Cost: ${
-        op.cost || 0
+        op.queryCost
+          ? `${op.queryCost.actual ?? "-"} (requested ${
+              op.queryCost.requested
+            })`
+          : op.cost || 0
       } | Time: ${op.responseTime || "N/A"}ms | ${summary}\n`;
+      if (op.category) {
+        logContent += `   Category: ${op.category}${
+          op.userErrors ? "" : ` | Error: ${op.error}`
+        }\n`;
+      }
+      (op.userErrors || []).forEach((userError) => {
+        logContent += `   userError ${userError.path || "-"}: ${
+          userError.message
+        }\n`;
+      });
     });
 
     res.setHeader("Content-Type", "text/plain");
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="benchmarkify-audit-${auditLog.sessionId}.txt"`
+      `attachment; filename="benchmarkify-audit-${log.sessionId}.txt"`
     );
     res.send(logContent);
   } catch (error) {
@@ -2402,14 +5308,38 @@ app.get("/api/audit-log/txt", (req, res) => {
   }
 });
 
+// "requested 52.0, actual 31.5 per request (61% charged), 120 requests"
+function formatQueryCosts(costs) {
+  return `requested ${costs.requested.mean.toFixed(
+    1
+  )}, actual ${costs.actual.mean.toFixed(1)} per request${
+    costs.chargedRatio !== null
+      ? ` (${(costs.chargedRatio * 100).toFixed(0)}% charged)`
+      : ""
+  }, ${costs.operations} requests`;
+}
+
 app.get("/api/audit-log/summary", (req, res) => {
   try {
-    updateAuditSummary();
+    const log = resolveSessionRun(req.query.runId, req.query.sessionId);
+    if (!log) {
+      return res.status(404).json({ error: "Run not found" });
+    }
+
+    updateAuditSummary(log);
     res.json({
-      summary: auditLog.summary,
-      sessionId: auditLog.sessionId,
-      totalOperations: auditLog.operations.length,
-      rateLimitChecks: auditLog.rateLimitHistory.length,
+      summary: log.summary,
+      verdict: log.verdict,
+      apiVersions: [
+        ...new Set(
+          log.results.map((entry) => entry.apiVersion).filter(Boolean)
+        ),
+      ],
+      apiVersionComparison: compareApiVersions(log),
+      sessionId: log.sessionId,
+      totalOperations: log.operations.length,
+      rateLimitChecks: log.rateLimitHistory.length,
+      throttleEvents: log.throttleEvents.length,
     });
   } catch (error) {
     console.error("Error getting audit summary:", error);
@@ -2417,405 +5347,49 @@ app.get("/api/audit-log/summary", (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(
-    `🚀 Benchmarkify GraphQL server running on http://localhost:${PORT}`
-  );
-  console.log(`📊 Ready to benchmark Shopify stores with GraphQL!`);
-  console.log(
-    `🔍 Features: Rate limit monitoring, Query cost analysis, Performance metrics`
-  );
-});
-
-// Rate limiting and retry management system
-class RateLimitManager {
-  constructor() {
-    // More aggressive initial settings for higher throughput
-    this.currentBatchSize = 50; // Increased from 10
-    this.currentDelay = 25; // Reduced from 100ms
-    this.maxBatchSize = 200; // Increased from 100
-    this.minDelay = 10; // Reduced from 50ms
-    this.maxDelay = 2000; // Reduced from 5000ms
-    this.retryAttempts = 3;
-    this.retryDelay = 500; // Reduced from 1000ms
-    this.rateLimitHistory = [];
-    this.failureHistory = [];
-
-    // Enterprise API optimization flags
-    this.isEnterprisePlan = false;
-    this.aggressiveMode = true;
-  }
-
-  // Update settings based on rate limit response
-  updateFromResponse(rateLimitInfo, success = true) {
-    if (success && rateLimitInfo) {
-      // Detect Enterprise plan based on leak rate
-      if (rateLimitInfo.leakRate >= 2000) {
-        this.isEnterprisePlan = true;
-        this.aggressiveMode = true;
-        console.log(
-          `🚀 Enterprise API detected (${rateLimitInfo.leakRate} points/sec) - enabling aggressive mode`
-        );
-      }
-
-      const usagePercentage =
-        (rateLimitInfo.current / rateLimitInfo.limit) * 100;
-
-      // Store rate limit info
-      this.rateLimitHistory.push({
-        timestamp: Date.now(),
-        usage: usagePercentage,
-        current: rateLimitInfo.current,
-        limit: rateLimitInfo.limit,
-        remaining: rateLimitInfo.remaining,
-        leakRate: rateLimitInfo.leakRate || rateLimitInfo.restoreRate,
-      });
-
-      // More aggressive adjustment strategy for Enterprise plans
-      if (this.isEnterprisePlan && this.aggressiveMode) {
-        if (usagePercentage > 90) {
-          // Very high usage - minimal reduction
-          this.currentBatchSize = Math.max(
-            Math.floor(this.currentBatchSize * 0.85),
-            this.maxBatchSize / 4
-          );
-          this.currentDelay = Math.min(
-            this.maxDelay,
-            Math.floor(this.currentDelay * 1.2)
-          );
-          console.log(
-            `⚠️ Very high rate limit usage (${usagePercentage.toFixed(
-              1
-            )}%). Reducing batch size to ${
-              this.currentBatchSize
-            }, increasing delay to ${this.currentDelay}ms`
-          );
-        } else if (usagePercentage > 75) {
-          // High usage - slight reduction
-          this.currentBatchSize = Math.max(
-            Math.floor(this.currentBatchSize * 0.9),
-            this.maxBatchSize / 3
-          );
-          this.currentDelay = Math.min(
-            this.maxDelay,
-            Math.floor(this.currentDelay * 1.1)
-          );
-          console.log(
-            `⚠️ High rate limit usage (${usagePercentage.toFixed(
-              1
-            )}%). Adjusting batch size to ${this.currentBatchSize}, delay to ${
-              this.currentDelay
-            }ms`
-          );
-        } else if (usagePercentage < 50) {
-          // Low usage - aggressive increase
-          this.currentBatchSize = Math.min(
-            this.maxBatchSize,
-            Math.floor(this.currentBatchSize * 1.3)
-          );
-          this.currentDelay = Math.max(
-            this.minDelay,
-            Math.floor(this.currentDelay * 0.7)
-          );
-          console.log(
-            `✅ Low rate limit usage (${usagePercentage.toFixed(
-              1
-            )}%). Increasing batch size to ${
-              this.currentBatchSize
-            }, reducing delay to ${this.currentDelay}ms`
-          );
-        } else if (usagePercentage < 30) {
-          // Very low usage - maximum throughput
-          this.currentBatchSize = Math.min(
-            this.maxBatchSize,
-            Math.floor(this.currentBatchSize * 1.5)
-          );
-          this.currentDelay = Math.max(
-            this.minDelay,
-            Math.floor(this.currentDelay * 0.5)
-          );
-          console.log(
-            `🚀 Very low rate limit usage (${usagePercentage.toFixed(
-              1
-            )}%). Maximizing batch size to ${
-              this.currentBatchSize
-            }, minimizing delay to ${this.currentDelay}ms`
-          );
-        }
-      } else {
-        // Standard adjustment strategy (existing logic)
-        if (usagePercentage > 85) {
-          this.currentBatchSize = Math.max(
-            1,
-            Math.floor(this.currentBatchSize * 0.7)
-          );
-          this.currentDelay = Math.min(
-            this.maxDelay,
-            Math.floor(this.currentDelay * 1.5)
-          );
-          console.log(
-            `⚠️ High rate limit usage (${usagePercentage.toFixed(
-              1
-            )}%). Reducing batch size to ${
-              this.currentBatchSize
-            }, increasing delay to ${this.currentDelay}ms`
-          );
-        } else if (usagePercentage > 70) {
-          this.currentBatchSize = Math.max(
-            1,
-            Math.floor(this.currentBatchSize * 0.9)
-          );
-          this.currentDelay = Math.min(
-            this.maxDelay,
-            Math.floor(this.currentDelay * 1.2)
-          );
-          console.log(
-            `⚠️ Moderate rate limit usage (${usagePercentage.toFixed(
-              1
-            )}%). Adjusting batch size to ${this.currentBatchSize}, delay to ${
-              this.currentDelay
-            }ms`
-          );
-        } else if (usagePercentage < 30) {
-          this.currentBatchSize = Math.min(
-            this.maxBatchSize,
-            Math.floor(this.currentBatchSize * 1.2)
-          );
-          this.currentDelay = Math.max(
-            this.minDelay,
-            Math.floor(this.currentDelay * 0.8)
-          );
-          console.log(
-            `✅ Low rate limit usage (${usagePercentage.toFixed(
-              1
-            )}%). Increasing batch size to ${
-              this.currentBatchSize
-            }, reducing delay to ${this.currentDelay}ms`
-          );
-        }
-      }
-    }
-  }
-
-  // Get current optimal settings
-  getCurrentSettings() {
-    return {
-      batchSize: this.currentBatchSize,
-      delay: this.currentDelay,
-    };
-  }
-
-  // Calculate retry delay with exponential backoff
-  getRetryDelay(attempt) {
-    return Math.min(this.retryDelay * Math.pow(2, attempt), this.maxDelay);
-  }
-
-  // Record failure for analysis
-  recordFailure(error, operation) {
-    this.failureHistory.push({
-      timestamp: Date.now(),
-      error: error.message,
-      operation,
-      batchSize: this.currentBatchSize,
-      delay: this.currentDelay,
-    });
-
-    // If we have many recent failures, reduce batch size
-    const recentFailures = this.failureHistory.filter(
-      (f) => Date.now() - f.timestamp < 60000 // Last minute
+// Start server unless loaded as a library (the CLI runs benchmarks in-process)
+// Startup checks and logging. Kept out of module load, so tests can require
+// the server without side effects; the server and the CLI call it first.
+// Throws on an invalid configuration.
+function initServer() {
+  if (!isValidApiVersion(DEFAULT_API_VERSION)) {
+    throw new Error(
+      `SHOPIFY_API_VERSION must be a version like 2025-07 or "unstable", got "${DEFAULT_API_VERSION}"`
     );
-
-    if (recentFailures.length > 5) {
-      this.currentBatchSize = Math.max(
-        1,
-        Math.floor(this.currentBatchSize * 0.8)
-      );
-      this.currentDelay = Math.min(
-        this.maxDelay,
-        Math.floor(this.currentDelay * 1.3)
-      );
-      console.log(
-        `🚨 High failure rate detected. Reducing batch size to ${this.currentBatchSize}, increasing delay to ${this.currentDelay}ms`
-      );
-      // Clear failure history to avoid continuous reduction
-      this.failureHistory = [];
-    }
-  }
-
-  // Get performance summary
-  getPerformanceSummary() {
-    if (this.rateLimitHistory.length === 0) return null;
-
-    const recent = this.rateLimitHistory.slice(-10);
-    const avgUsage =
-      recent.reduce((sum, r) => sum + r.usage, 0) / recent.length;
-    const avgLeakRate =
-      recent.reduce((sum, r) => sum + (r.leakRate || 100), 0) / recent.length;
-
-    return {
-      averageUsage: avgUsage,
-      averageLeakRate: avgLeakRate,
-      currentBatchSize: this.currentBatchSize,
-      currentDelay: this.currentDelay,
-      totalRateLimitChecks: this.rateLimitHistory.length,
-      totalFailures: this.failureHistory.length,
-      isEnterprisePlan: this.isEnterprisePlan,
-      aggressiveMode: this.aggressiveMode,
-    };
-  }
-
-  // Optimize for maximum throughput during operation
-  optimizeForThroughput() {
-    if (this.isEnterprisePlan && this.aggressiveMode) {
-      // For Enterprise API, push the limits more aggressively
-      const currentUsage =
-        this.rateLimitHistory.length > 0
-          ? this.rateLimitHistory[this.rateLimitHistory.length - 1].usage
-          : 0;
-
-      if (currentUsage < 60) {
-        // We have plenty of headroom - maximize throughput
-        this.currentBatchSize = Math.min(
-          this.maxBatchSize,
-          this.currentBatchSize + 25
-        );
-        this.currentDelay = Math.max(this.minDelay, this.currentDelay - 5);
-        console.log(
-          `🚀 Optimizing for maximum throughput: batch size ${this.currentBatchSize}, delay ${this.currentDelay}ms`
-        );
-      }
-    }
-  }
-
-  // Calculate optimal initial settings based on rate limits
-  calculateOptimalInitialSettings(leakRate) {
-    if (leakRate >= 2000) {
-      // Enterprise API - maximum throughput
-      this.currentBatchSize = Math.min(200, Math.floor(leakRate / 10));
-      this.currentDelay = 10;
-      this.maxBatchSize = Math.min(400, Math.floor(leakRate / 5));
-      console.log(
-        `🚀 Enterprise API detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
-      );
-    } else if (leakRate >= 1000) {
-      // Shopify Plus - high throughput
-      this.currentBatchSize = Math.min(100, Math.floor(leakRate / 10));
-      this.currentDelay = 20;
-      this.maxBatchSize = Math.min(200, Math.floor(leakRate / 5));
-      console.log(
-        `⚡ Shopify Plus detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
-      );
-    } else if (leakRate >= 200) {
-      // Advanced Shopify - moderate throughput
-      this.currentBatchSize = Math.min(50, Math.floor(leakRate / 10));
-      this.currentDelay = 50;
-      this.maxBatchSize = Math.min(100, Math.floor(leakRate / 5));
-      console.log(
-        `📈 Advanced Shopify detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
-      );
-    } else {
-      // Standard Shopify - conservative throughput
-      this.currentBatchSize = Math.min(25, Math.floor(leakRate / 10));
-      this.currentDelay = 100;
-      this.maxBatchSize = Math.min(50, Math.floor(leakRate / 5));
-      console.log(
-        `📊 Standard Shopify detected - setting batch size to ${this.currentBatchSize}, delay to ${this.currentDelay}ms`
-      );
-    }
   }
+  console.log(`🔒 Benchmark session tag: ${SESSION_BENCHMARK_TAG}`);
+}
 
-  // Reset manager for new operation
-  reset() {
-    this.currentBatchSize = 50;
-    this.currentDelay = 25;
-    this.rateLimitHistory = [];
-    this.failureHistory = [];
-    this.isEnterprisePlan = false;
-    this.aggressiveMode = true;
+if (require.main === module) {
+  initServer();
+  app.listen(PORT, () => {
     console.log(
-      `🔄 Rate limit manager reset to aggressive settings (batch: ${this.currentBatchSize}, delay: ${this.currentDelay}ms)`
+      `🚀 Benchmarkify GraphQL server running on http://localhost:${PORT}`
     );
-  }
+    console.log(`📊 Ready to benchmark Shopify stores with GraphQL!`);
+    console.log(
+      `🔍 Features: Rate limit monitoring, Query cost analysis, Performance metrics`
+    );
+  });
 }
 
-// Global rate limit manager
-const rateLimitManager = new RateLimitManager();
-
-// Retry wrapper for GraphQL requests with exponential backoff
-async function retryGraphQLRequest(
-  client,
-  query,
-  variables,
-  operationName,
-  storeUrl,
-  accessToken,
-  maxRetries = 3
-) {
-  let lastError;
-
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const result = await handleGraphQLRequest(
-        client,
-        query,
-        variables,
-        operationName,
-        storeUrl,
-        accessToken
-      );
-
-      // Update rate limit manager with response info
-      rateLimitManager.updateFromResponse(result.rateLimit, result.success);
-
-      if (result.success) {
-        return result;
-      } else {
-        // Log the failure
-        console.log(
-          `❌ ${operationName} failed (attempt ${attempt + 1}/${
-            maxRetries + 1
-          }): ${result.error}`
-        );
-        lastError = result.error;
-
-        // Record failure for rate limit analysis
-        rateLimitManager.recordFailure(new Error(result.error), operationName);
-
-        // If this is a rate limit error, wait longer
-        if (result.error && result.error.includes("rate limit")) {
-          const retryDelay = rateLimitManager.getRetryDelay(attempt);
-          console.log(
-            `⏳ Rate limit hit, waiting ${retryDelay}ms before retry...`
-          );
-          await new Promise((resolve) => setTimeout(resolve, retryDelay));
-        }
-      }
-    } catch (error) {
-      console.log(
-        `❌ ${operationName} threw error (attempt ${attempt + 1}/${
-          maxRetries + 1
-        }): ${error.message}`
-      );
-      lastError = error;
-
-      // Record failure for rate limit analysis
-      rateLimitManager.recordFailure(error, operationName);
-
-      // If this is the last attempt, don't wait
-      if (attempt < maxRetries) {
-        const retryDelay = rateLimitManager.getRetryDelay(attempt);
-        console.log(`⏳ Waiting ${retryDelay}ms before retry...`);
-        await new Promise((resolve) => setTimeout(resolve, retryDelay));
-      }
-    }
-  }
-
-  // All retries exhausted
-  return {
-    success: false,
-    error: `All ${maxRetries + 1} attempts failed. Last error: ${lastError}`,
-    cost: QUERY_COSTS[operationName] || 0,
-    retriesExhausted: true,
-  };
-}
+module.exports = {
+  app,
+  initServer,
+  BENCHMARK_SCENARIOS,
+  DEFAULT_API_VERSION,
+  planJobOperations,
+  planApiVersionPhases,
+  recentApiVersions,
+  compareApiVersions,
+  validateApiVersionSettings,
+  validateReadSettings,
+  parseScenarioFile,
+  validateScenario,
+  scenarioFromRequest,
+  validateAssertions,
+  evaluateAssertions,
+  createJob,
+  executeJob,
+  onProgress,
+};
@@ -0,0 +1,174 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_API_VERSION,
+  validateApiVersionSettings,
+  planApiVersionPhases,
+  recentApiVersions,
+  compareApiVersions,
+} = require("../server");
+
+test("API versions must be quarterly releases or unstable, and differ", () => {
+  assert.deepEqual(
+    validateApiVersionSettings({
+      apiVersion: "2025-07",
+      compareApiVersion: "unstable",
+    }),
+    []
+  );
+  assert.deepEqual(validateApiVersionSettings({}), []);
+
+  assert.deepEqual(
+    validateApiVersionSettings({
+      apiVersion: "2025-08",
+      compareApiVersion: "latest",
+    }),
+    [
+      `apiVersion must be a version like ${DEFAULT_API_VERSION} or "unstable"`,
+      `compareApiVersion must be a version like ${DEFAULT_API_VERSION} or "unstable"`,
+    ]
+  );
+  assert.deepEqual(
+    validateApiVersionSettings({
+      apiVersion: "2025-10",
+      compareApiVersion: "2025-10",
+    }),
+    ["compareApiVersion must differ from apiVersion"]
+  );
+  // Without an apiVersion the comparison is against the default
+  assert.deepEqual(
+    validateApiVersionSettings({ compareApiVersion: DEFAULT_API_VERSION }),
+    ["compareApiVersion must differ from apiVersion"]
+  );
+});
+
+test("a version comparison runs every phase twice, keyed by version", () => {
+  const phases = [
+    { key: "create", operation: "create", count: 10 },
+    { pause: 5, reason: null },
+    { key: "create-2", operation: "create", count: 5 },
+  ];
+
+  assert.deepEqual(
+    planApiVersionPhases(phases, {
+      apiVersion: "2025-07",
+      compareApiVersion: "2025-10",
+    }).map((phase) => phase.key || `pause ${phase.pause}s`),
+    [
+      "create@2025-07",
+      "pause 5s",
+      "create-2@2025-07",
+      "create@2025-10",
+      "pause 5s",
+      "create-2@2025-10",
+    ]
+  );
+
+  // Without a comparison keys stay as they are
+  const single = planApiVersionPhases(phases);
+  assert.deepEqual(
+    single.map((phase) => [phase.key, phase.apiVersion]),
+    [
+      ["create", DEFAULT_API_VERSION],
+      [undefined, undefined],
+      ["create-2", DEFAULT_API_VERSION],
+    ]
+  );
+});
+
+test("recent versions are this quarter's release and the three before", () => {
+  assert.deepEqual(recentApiVersions(new Date("2025-08-15T12:00:00Z")), [
+    "2025-07",
+    "2025-04",
+    "2025-01",
+    "2024-10",
+  ]);
+  // January rolls back into the previous year
+  assert.deepEqual(recentApiVersions(new Date("2026-01-01T00:00:00Z")), [
+    "2026-01",
+    "2025-10",
+    "2025-07",
+    "2025-04",
+  ]);
+  assert.deepEqual(recentApiVersions(new Date("2025-12-31T23:59:59Z")), [
+    "2025-10",
+    "2025-07",
+    "2025-04",
+    "2025-01",
+  ]);
+});
+
+// Product creations against one version, with latencies from `base` up
+function versionRun(apiVersion, base, { warmup = false } = {}) {
+  const operations = Array.from({ length: 30 }, (_, index) => ({
+    timestamp: new Date(Date.UTC(2025, 6, 1, 0, 0, index)).toISOString(),
+    action: "createProduct",
+    success: true,
+    responseTime: base + index,
+    cost: 10,
+    apiVersion,
+    warmup,
+  }));
+  const results = [
+    {
+      scenario: "create",
+      apiVersion,
+      warmup,
+      result: { totalTime: "10.00", batches: [] },
+    },
+  ];
+  return { operations, results };
+}
+
+test("each version is summarized like a run and compared with the first", () => {
+  const first = versionRun("2025-07", 100);
+  const second = versionRun("2025-10", 300);
+  const log = {
+    sessionId: "job-1",
+    startTime: "2025-07-01T00:00:00.000Z",
+    operations: [...first.operations, ...second.operations],
+    results: [...first.results, ...second.results],
+  };
+
+  const comparison = compareApiVersions(log);
+
+  assert.equal(comparison.baseline, "2025-07");
+  assert.deepEqual(
+    comparison.versions.map((version) => [
+      version.apiVersion,
+      version.operations,
+      version.latency.mean,
+    ]),
+    [
+      ["2025-07", 30, 114.5],
+      ["2025-10", 30, 314.5],
+    ]
+  );
+  assert.equal(comparison.comparisons.length, 1);
+  const [candidate] = comparison.comparisons;
+  assert.equal(candidate.apiVersion, "2025-10");
+  const verdicts = Object.fromEntries(
+    candidate.metrics.map((metric) => [metric.metric, metric.verdict])
+  );
+  assert.equal(verdicts.latencyMean, "regression");
+  assert.equal(verdicts.latencyP95, "regression");
+  // One result per version has no per-batch samples to test
+  assert.equal(verdicts.throughput, "untested");
+  assert.ok(candidate.regressions.includes("latencyP95"));
+});
+
+test("runs against a single version have nothing to compare", () => {
+  const only = versionRun("2025-07", 100);
+  const warmup = versionRun("2025-10", 300, { warmup: true });
+
+  assert.equal(
+    compareApiVersions({
+      sessionId: "job-2",
+      startTime: "2025-07-01T00:00:00.000Z",
+      operations: [...only.operations, ...warmup.operations],
+      // Warmup phases don't count as a version of their own
+      results: [...only.results, ...warmup.results],
+    }),
+    null
+  );
+});
@@ -0,0 +1,33 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateOptimalBatchConfig } = require("../lib/batchConfig");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+test("standard plan batches wait for the bucket to restore", () => {
+  const { batchSize, delayBetweenBatches } = calculateOptimalBatchConfig(
+    50,
+    10
+  );
+  assert.equal(batchSize, 10);
+  // 10 mutations cost 100 points: two seconds at 50 points/sec, plus margin,
+  // capped at the two second maximum
+  assert.equal(delayBetweenBatches, 2000);
+});
+
+test("aggressive mode runs bigger batches than balanced mode", () => {
+  const aggressive = calculateOptimalBatchConfig(1000, 10, "aggressive");
+  const throughput = calculateOptimalBatchConfig(1000, 10, "throughput");
+  const balanced = calculateOptimalBatchConfig(1000, 10, "balanced");
+
+  assert.ok(aggressive.batchSize > throughput.batchSize);
+  assert.ok(throughput.batchSize > balanced.batchSize);
+  assert.deepEqual(aggressive, { batchSize: 180, delayBetweenBatches: 1836 });
+});
+
+test("delay between batches is capped at two seconds", () => {
+  const { delayBetweenBatches } = calculateOptimalBatchConfig(10, 50);
+  assert.equal(delayBetweenBatches, 2000);
+});
@@ -0,0 +1,153 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  runBulkMutation,
+  runBulkQuery,
+  collectBulkResults,
+  parseJsonl,
+} = require("../lib/bulkOperations");
+const { BenchmarkError } = require("../lib/errors");
+const { GRAPHQL_QUERIES } = require("../lib/graphqlQueries");
+const { createHarness, makeProducts } = require("./helpers/mockShopify");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+const rows = (titles) => titles.map((title) => ({ product: { title } }));
+const extractProduct = (data) => data?.productCreate?.product || null;
+
+function bulkCreate(harness, options = {}) {
+  return runBulkMutation(harness.request, {
+    mutation: GRAPHQL_QUERIES.createProduct,
+    rows: rows(["One", "Two", "Three"]),
+    fetch: harness.shop.fetch,
+    pollIntervalMs: 10,
+    ...options,
+  });
+}
+
+test("stages the rows as JSONL, runs the mutation and collects the results", async (t) => {
+  const harness = await createHarness(t);
+  const statuses = [];
+
+  const run = await bulkCreate(harness, {
+    onStatus: (operation) => statuses.push(operation.status),
+  });
+
+  assert.equal(run.operation.status, "COMPLETED");
+  assert.equal(statuses.at(-1), "COMPLETED");
+  assert.ok(
+    statuses
+      .slice(0, -1)
+      .every((status) => ["CREATED", "RUNNING"].includes(status))
+  );
+  assert.deepEqual(harness.shop.stats.operations, [
+    "stagedUploadsCreate",
+    "bulkOperationRunMutation",
+    ...Array(statuses.length).fill("bulkOperationStatus"),
+  ]);
+  assert.deepEqual(
+    parseJsonl(harness.shop.stats.uploads[0]),
+    rows(["One", "Two", "Three"])
+  );
+  assert.equal(run.lines.length, 3);
+  assert.equal(run.polls, statuses.length);
+  assert.equal(run.requests.length, 2 + run.polls);
+  assert.ok(
+    ["stageMs", "uploadMs", "startMs", "processingMs", "downloadMs"].every(
+      (step) => run.timings[step] >= 0
+    )
+  );
+});
+
+test("rows rejected with userErrors fail on their own", async (t) => {
+  const harness = await createHarness(t);
+
+  const run = await bulkCreate(harness, { rows: rows(["One", "", "Three"]) });
+  const results = collectBulkResults(run.lines, 3, extractProduct);
+
+  assert.deepEqual(
+    results.map((result) => result.success),
+    [true, false, true]
+  );
+  assert.equal(results[1].errorCategory, "validation");
+  assert.equal(results[1].userErrors[0].path, "title");
+});
+
+test("rows without a result line count as not processed", () => {
+  const results = collectBulkResults(
+    [
+      {
+        data: { productCreate: { product: { id: "1" }, userErrors: [] } },
+        __lineNumber: 0,
+      },
+    ],
+    2,
+    extractProduct
+  );
+
+  assert.equal(results[0].success, true);
+  assert.equal(results[1].success, false);
+  assert.match(results[1].error, /not processed/);
+});
+
+test("a failed staged upload stops before the operation starts", async (t) => {
+  const harness = await createHarness(t, { uploadStatus: 403 });
+
+  await assert.rejects(bulkCreate(harness), (error) => {
+    assert.ok(error instanceof BenchmarkError);
+    assert.match(error.message, /HTTP 403/);
+    return true;
+  });
+  assert.deepEqual(harness.shop.stats.operations, ["stagedUploadsCreate"]);
+});
+
+test("cancelling sends bulkOperationCancel and waits for CANCELED", async (t) => {
+  const harness = await createHarness(t, { bulkRowsPerSecond: 0.001 });
+
+  const run = await bulkCreate(harness, { isCancelled: () => true });
+
+  assert.equal(run.operation.status, "CANCELED");
+  const [cancel, ...polls] = harness.shop.stats.operations.slice(2);
+  assert.equal(cancel, "bulkOperationCancel");
+  assert.ok(polls.every((operation) => operation === "bulkOperationStatus"));
+  assert.deepEqual(run.lines, []);
+});
+
+test("gives up once the timeout has passed", async (t) => {
+  const harness = await createHarness(t, { bulkRowsPerSecond: 0.001 });
+
+  await assert.rejects(
+    bulkCreate(harness, { pollIntervalMs: 5, timeoutMs: 30 }),
+    (error) => {
+      assert.equal(error.category, "network");
+      assert.match(error.message, /did not finish/);
+      return true;
+    }
+  );
+});
+
+test("bulk queries export the whole connection without an upload", async (t) => {
+  const harness = await createHarness(t, {
+    products: makeProducts(600, 10),
+    bulkExportRowsPerSecond: 10000,
+  });
+
+  const run = await runBulkQuery(harness.request, {
+    query: GRAPHQL_QUERIES.exportProducts,
+    fetch: harness.shop.fetch,
+    pollIntervalMs: 10,
+  });
+
+  assert.equal(run.operation.status, "COMPLETED");
+  assert.equal(run.lines.length, 600);
+  assert.equal(run.lines[599].id, harness.shop.products[599].id);
+  assert.deepEqual(harness.shop.stats.uploads, []);
+  assert.deepEqual(harness.shop.stats.operations, [
+    "bulkOperationRunQuery",
+    ...Array(run.polls).fill("bulkOperationStatus"),
+  ]);
+  assert.equal(run.timings.stageMs, undefined);
+  assert.ok(run.timings.totalMs >= run.timings.processingMs);
+});
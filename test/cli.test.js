@@ -0,0 +1,108 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { makeProducts, startMockShop } = require("./helpers/mockShopify");
+
+const CLI = path.join(__dirname, "..", "bin", "benchmarkify.js");
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "benchmarkify-cli-"));
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Run the CLI against a store and collect its exit code, output and audit log
+function runCli(shop, args, { token = "shpat_test" } = {}) {
+  const output = path.join(dataDir, `audit-${Date.now()}.json`);
+  const child = spawn(
+    process.execPath,
+    [
+      CLI,
+      "--store",
+      shop.url,
+      "--token",
+      token,
+      "--delay",
+      "0",
+      "--output",
+      output,
+      ...args,
+    ],
+    { env: { ...process.env, BENCHMARKIFY_DATA_DIR: dataDir } }
+  );
+
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (chunk) => (stdout += chunk));
+  child.stderr.on("data", (chunk) => (stderr += chunk));
+  return new Promise((resolve) =>
+    child.on("close", (code) =>
+      resolve({
+        code,
+        stdout,
+        stderr,
+        audit: fs.existsSync(output)
+          ? JSON.parse(fs.readFileSync(output, "utf8"))
+          : null,
+      })
+    )
+  );
+}
+
+test("counts must be whole numbers", async (t) => {
+  const shop = await startMockShop(t);
+
+  const result = await runCli(shop, ["--create", "2.5"]);
+  assert.equal(result.code, 2);
+  assert.match(result.stderr, /--create must be a whole number/);
+  assert.equal(result.audit, null);
+});
+
+test("a run within its thresholds exits 0 with the verdict in the audit log", async (t) => {
+  const shop = await startMockShop(t, { products: makeProducts(20, 0) });
+
+  const result = await runCli(shop, [
+    "--create",
+    "3",
+    "--read-list",
+    "2",
+    "--min-throughput",
+    "0.01",
+    "--max-failure-rate",
+    "0",
+  ]);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /All 3 assertions passed/);
+  assert.equal(result.audit.verdict.status, "pass");
+  // Pages/sec isn't held to a products/sec budget
+  assert.deepEqual(
+    result.audit.verdict.checks.map((check) => [check.operation, check.metric]),
+    [
+      ["create", "throughput"],
+      ["create", "failureRate"],
+      ["readList", "failureRate"],
+    ]
+  );
+});
+
+test("a missed threshold exits 1 and names it", async (t) => {
+  const shop = await startMockShop(t);
+
+  const result = await runCli(shop, [
+    "--create",
+    "2",
+    "--min-throughput",
+    "1000000",
+  ]);
+  assert.equal(result.code, 1);
+  assert.match(result.stderr, /^FAIL create throughput .* is below/m);
+  assert.equal(result.audit.verdict.status, "fail");
+});
+
+test("a run the store rejects exits 3", async (t) => {
+  const shop = await startMockShop(t, { accessToken: "shpat_good" });
+
+  const result = await runCli(shop, ["--create", "2"], { token: "wrong" });
+  assert.equal(result.code, 3);
+  assert.match(result.stderr, /^Run failed: /m);
+});
@@ -0,0 +1,234 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildSchema, parse } = require("graphql");
+const {
+  estimateQueryCost,
+  predictRate,
+  compareEstimate,
+  summarizeEstimateChecks,
+} = require("../lib/costEstimator");
+const { GRAPHQL_QUERIES } = require("../lib/graphqlQueries");
+const { SCHEMA_SDL, calculateQueryCost } = require("../mock/shopifyMockServer");
+
+const schema = buildSchema(`
+  interface Media {
+    id: ID!
+  }
+  type MediaImage implements Media {
+    id: ID!
+    image: Image
+  }
+  type Video implements Media {
+    id: ID!
+    sources: [VideoSource!]!
+    preview: Image
+  }
+  type Image {
+    url: String!
+  }
+  type VideoSource {
+    url: String!
+  }
+  type MediaEdge {
+    node: Media!
+  }
+  type MediaConnection {
+    edges: [MediaEdge!]!
+  }
+  type Product {
+    id: ID!
+    title: String!
+    media(first: Int, last: Int): MediaConnection!
+  }
+  type ProductConnection {
+    nodes: [Product!]!
+  }
+  type Query {
+    products(first: Int, last: Int): ProductConnection!
+    product(id: ID!): Product
+  }
+  type Mutation {
+    productDelete(id: ID!): Product
+  }
+`);
+
+test("estimates match the mock's calculated cost for the app's queries", () => {
+  const mockSchema = buildSchema(SCHEMA_SDL);
+  const variables = {
+    getProducts: { first: 50 },
+    getProductPageCursors: { first: 250 },
+    readProductList: { first: 50 },
+    readProductById: { id: "gid://shopify/Product/1" },
+    readProductSearch: { first: 50, query: "tag:benchmarkify" },
+    readProductsNested: { first: 10, nestedFirst: 5 },
+    countProducts: {},
+    bulkOperationStatus: { id: "gid://shopify/BulkOperation/1" },
+    createProduct: { input: { title: "Test" } },
+    bulkOperationRunQuery: { query: GRAPHQL_QUERIES.exportProducts },
+  };
+
+  for (const [name, vars] of Object.entries(variables)) {
+    const query = GRAPHQL_QUERIES[name];
+    assert.equal(
+      estimateQueryCost(mockSchema, query, vars).cost,
+      calculateQueryCost(mockSchema, parse(query), vars),
+      name
+    );
+  }
+  assert.equal(
+    estimateQueryCost(mockSchema, GRAPHQL_QUERIES.readProductsNested, {
+      first: 10,
+      nestedFirst: 5,
+    }).cost,
+    222
+  );
+});
+
+test("connections are sized by first or last and nested pages multiply", () => {
+  const estimate = estimateQueryCost(
+    schema,
+    `query ($first: Int = 20) {
+      products(first: $first) {
+        nodes {
+          id
+          media(last: 3) { edges { node { id } } }
+        }
+      }
+    }`,
+    { first: 10 }
+  );
+
+  // Each product: 1 + media (2 + 3 × 1)
+  assert.equal(estimate.cost, 2 + 10 * (1 + 5));
+  assert.equal(estimate.operationType, "query");
+  assert.deepEqual(estimate.fields, [
+    {
+      path: "products.nodes.media.edges.node",
+      definedCost: 1,
+      requestedTotalCost: 1,
+      requestedChildrenCost: 0,
+    },
+    {
+      path: "products.nodes.media",
+      definedCost: 2,
+      requestedTotalCost: 5,
+      requestedChildrenCost: 3,
+    },
+    {
+      path: "products.nodes",
+      definedCost: 1,
+      requestedTotalCost: 6,
+      requestedChildrenCost: 5,
+    },
+    {
+      path: "products",
+      definedCost: 2,
+      requestedTotalCost: 62,
+      requestedChildrenCost: 60,
+    },
+  ]);
+
+  // The variable's default applies when it isn't passed
+  assert.equal(
+    estimateQueryCost(
+      schema,
+      "query ($first: Int = 20) { products(first: $first) { nodes { id } } }"
+    ).cost,
+    2 + 20
+  );
+});
+
+test("an interface costs its most expensive possible type", () => {
+  const estimate = estimateQueryCost(
+    schema,
+    `query {
+      product(id: "gid://shopify/Product/1") {
+        media(first: 2) {
+          edges {
+            node {
+              id
+              ... on MediaImage { image { url } }
+              ...video
+            }
+          }
+        }
+      }
+    }
+    fragment video on Video {
+      sources { url }
+      preview { url }
+    }`
+  );
+
+  // product 1 + media (2 + 2 × (node 1 + video 2))
+  assert.equal(estimate.cost, 1 + 2 + 2 * 3);
+});
+
+test("mutations are a fixed price and a connection without a size is flagged", () => {
+  const mutation = estimateQueryCost(
+    schema,
+    `mutation {
+      first: productDelete(id: "1") { id media(first: 250) { edges { node { id } } } }
+      second: productDelete(id: "2") { id }
+    }`
+  );
+  assert.equal(mutation.cost, 20);
+  assert.equal(mutation.operationType, "mutation");
+  assert.deepEqual(
+    mutation.fields.map((field) => field.path),
+    ["first", "second"]
+  );
+
+  const unsized = estimateQueryCost(schema, "{ products { nodes { id } } }");
+  assert.equal(unsized.cost, 2);
+  assert.equal(unsized.warnings.length, 1);
+});
+
+test("queries the schema rejects aren't estimated", () => {
+  assert.throws(
+    () =>
+      estimateQueryCost(schema, "{ products(first: 1) { nodes { price } } }"),
+    { category: "graphql", message: /doesn't match the schema/ }
+  );
+  assert.throws(() => estimateQueryCost(schema, "{ products("), {
+    category: "graphql",
+    message: /Not valid GraphQL/,
+  });
+});
+
+test("rates follow from the cost and the bucket", () => {
+  const bucket = { limit: 1000, restoreRate: 50 };
+  assert.deepEqual(predictRate(52, bucket), {
+    runnable: true,
+    maxCost: 1000,
+    requestsPerSecond: 50 / 52,
+    burst: 19,
+  });
+  assert.equal(predictRate(0, bucket).requestsPerSecond, null);
+  // Above the bucket, or Shopify's single query maximum, it never runs
+  assert.equal(
+    predictRate(1200, { limit: 2000, restoreRate: 100 }).runnable,
+    false
+  );
+  assert.equal(predictRate(150, { limit: 100, restoreRate: 50 }).maxCost, 100);
+});
+
+test("predictions are compared with the measured requested cost", () => {
+  const checks = [
+    compareEstimate(52, 52),
+    compareEstimate(55, 50),
+    compareEstimate(0, 0),
+  ];
+  assert.deepEqual(checks[1], {
+    predicted: 55,
+    measured: 50,
+    difference: 5,
+    errorPercent: 10,
+    exact: false,
+  });
+  assert.deepEqual(summarizeEstimateChecks(checks), {
+    checks: 3,
+    exact: 2,
+    meanAbsoluteErrorPercent: 5,
+  });
+});
@@ -0,0 +1,150 @@
+const { createGraphQLRequestHandler } = require("../../lib/graphqlRequest");
+const { RateLimitManager } = require("../../lib/rateLimitManager");
+const { GRAPHQL_QUERIES } = require("../../lib/graphqlQueries");
+const { createShopifyMockServer } = require("../../mock/shopifyMockServer");
+
+// The mock Admin API (mock/shopifyMockServer.js) on a random port, for the
+// rate limiting, pagination and bulk operation tests and as the store behind
+// the server and CLI tests. Requests go over HTTP
+// through a fetch that records each GraphQL operation and can serve scripted
+// failures the mock doesn't produce on demand.
+
+// Benchmark-style products, `tagged` of them carrying the benchmarkify tag
+function makeProducts(total, tagged) {
+  return Array.from({ length: total }, (_, index) => ({
+    title: `Product ${index + 1}`,
+    tags: index < tagged ? ["benchmarkify"] : ["other"],
+  }));
+}
+
+// `failures` is a queue of responses served before a GraphQL request reaches
+// the mock: { status, retryAfter } for an HTTP error or { network: true } for a
+// connection failure. `uploadStatus` makes staged uploads fail. Other options
+// (bucketSize, restoreRate, bulkRowsPerSecond...) go to the mock. The server
+// is stopped when test `t` ends.
+async function startMockShop(
+  t,
+  { products = [], failures = [], uploadStatus = null, ...options } = {}
+) {
+  const mock = createShopifyMockServer({ latencyMs: 0, ...options });
+  const { server, url } = await mock.listen(0);
+  t.after(() => {
+    // Stops bulk operations that are still processing
+    mock.store.reset();
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const seeded = products.map((product) => mock.store.createProduct(product));
+  const pending = [...failures];
+  const operations = [];
+
+  async function fetchWithFailures(target, init = {}) {
+    if (target.endsWith("/mock/staged-uploads") && uploadStatus) {
+      return new Response("", { status: uploadStatus });
+    }
+    if (target.endsWith("/graphql.json")) {
+      const { query } = JSON.parse(init.body);
+      operations.push(/(?:mutation|query)\s+(\w+)/.exec(query)?.[1] || "shop");
+
+      const failure = pending.shift();
+      if (failure?.network) throw new TypeError("fetch failed");
+      if (failure) {
+        return new Response("", {
+          status: failure.status,
+          statusText: `Status ${failure.status}`,
+          headers: failure.retryAfter
+            ? { "Retry-After": String(failure.retryAfter) }
+            : {},
+        });
+      }
+    }
+    return fetch(target, init);
+  }
+
+  return {
+    url,
+    store: mock.store,
+    products: seeded,
+    fetch: fetchWithFailures,
+    stats: {
+      // Every GraphQL request, scripted failures included
+      get requests() {
+        return operations.length;
+      },
+      get throttled() {
+        return mock.store.stats.throttled;
+      },
+      operations,
+      get uploads() {
+        return Array.from(mock.store.uploads.values());
+      },
+    },
+    // Spend points behind the client's back
+    drain(points) {
+      mock.store.refill();
+      mock.store.available -= points;
+    },
+  };
+}
+
+// A mock shop wired to a RateLimitManager and handleGraphQLRequest the way the
+// server wires them, with retries fast enough for tests
+async function createHarness(t, options = {}) {
+  const shop = await startMockShop(t, options);
+  const manager = new RateLimitManager(new URL(shop.url).host);
+  manager.retryDelay = 5;
+  const throttleEvents = [];
+  const operations = [];
+  const handleGraphQLRequest = createGraphQLRequestHandler({
+    fetch: shop.fetch,
+    getScheduler: () => manager.scheduler,
+    logOperation: (audit, operation) => operations.push(operation),
+    logThrottleEvent: (audit, event) => throttleEvents.push(event),
+  });
+  const client = { url: `${shop.url}/admin/api/2025-07/graphql.json` };
+
+  const request = (query, variables, operationName) =>
+    handleGraphQLRequest(
+      client,
+      query,
+      variables,
+      operationName,
+      shop.url,
+      "shpat_test"
+    );
+
+  return {
+    shop,
+    manager,
+    request,
+    throttleEvents,
+    operations,
+    // One product creation, as a benchmark batch sends it
+    createProduct:
+      (title = "Benchmark product") =>
+      () =>
+        request(
+          GRAPHQL_QUERIES.createProduct,
+          { product: { title } },
+          "createProduct"
+        ),
+    // The benchmark's initial shop query, which calibrates the scheduler
+    calibrate: async () => {
+      const result = await request(
+        "query { shop { name id } }",
+        {},
+        "rateLimitCheck"
+      );
+      manager.updateFromResponse(result.rateLimit, result.success);
+      manager.scheduler.sync(result.rateLimit);
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  makeProducts,
+  startMockShop,
+  createHarness,
+};
@@ -0,0 +1,151 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  paginateProducts,
+  collectPageCursors,
+  fetchProductsByTagWithPagination,
+} = require("../lib/pagination");
+const { GRAPHQL_QUERIES } = require("../lib/graphqlQueries");
+const { createHarness, makeProducts } = require("./helpers/mockShopify");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+test("pages through every tagged product", async (t) => {
+  const { shop, request } = await createHarness(t, {
+    bucketSize: 10000,
+    products: makeProducts(700, 600),
+  });
+
+  const products = await fetchProductsByTagWithPagination(
+    request,
+    "benchmarkify",
+    1000
+  );
+
+  assert.equal(products.length, 600);
+  assert.equal(new Set(products.map((product) => product.id)).size, 600);
+  assert.ok(products.every((product) => product.tags.includes("benchmarkify")));
+  // Pages of 250, 250 and 100 - the last one reports no next page
+  assert.equal(shop.stats.requests, 3);
+});
+
+test("stops once maxToFetch products are collected", async (t) => {
+  const { shop, request } = await createHarness(t, {
+    bucketSize: 10000,
+    products: makeProducts(700, 600),
+  });
+
+  const products = await fetchProductsByTagWithPagination(
+    request,
+    "benchmarkify",
+    260
+  );
+
+  // Newest first: product 600 down to product 341
+  assert.equal(products.length, 260);
+  assert.equal(products[259].id, shop.products[340].id);
+  assert.equal(shop.stats.requests, 2);
+});
+
+test("returns nothing when no product carries the tag", async (t) => {
+  const { request } = await createHarness(t, { products: makeProducts(20, 0) });
+
+  const products = await fetchProductsByTagWithPagination(
+    request,
+    "benchmarkify",
+    10
+  );
+
+  assert.deepEqual(products, []);
+});
+
+test("page requests that are throttled are retried", async (t) => {
+  const { shop, request, throttleEvents } = await createHarness(t, {
+    bucketSize: 300,
+    restoreRate: 1000,
+    products: makeProducts(400, 400),
+  });
+
+  const products = await fetchProductsByTagWithPagination(
+    request,
+    "benchmarkify",
+    400
+  );
+
+  // Each 250 product page costs 252 points; the second waits for a refill
+  assert.equal(products.length, 400);
+  assert.equal(shop.stats.throttled, 1);
+  assert.equal(throttleEvents.length, 1);
+});
+
+test("paginateProducts walks the whole catalog and returns every page", async (t) => {
+  const { request } = await createHarness(t, {
+    bucketSize: 10000,
+    products: makeProducts(520, 10),
+  });
+  const seen = [];
+
+  const { products, pages } = await paginateProducts(request, {
+    onPage: (page, collected) => seen.push(collected.length),
+  });
+
+  assert.equal(products.length, 520);
+  assert.deepEqual(seen, [250, 500, 520]);
+  assert.equal(pages.length, 3);
+  assert.ok(pages.every((page) => page.success && page.cost > 0));
+});
+
+test("paginateProducts stops between pages once cancelled", async (t) => {
+  const { shop, request } = await createHarness(t, {
+    bucketSize: 10000,
+    products: makeProducts(600, 0),
+  });
+
+  const { products } = await paginateProducts(request, {
+    isCancelled: () => shop.stats.requests >= 1,
+  });
+
+  assert.equal(products.length, 250);
+});
+
+test("collectPageCursors returns where each page starts", async (t) => {
+  const { shop, request } = await createHarness(t, {
+    bucketSize: 10000,
+    products: makeProducts(120, 0),
+  });
+
+  const cursors = await collectPageCursors(request, { pageSize: 50 });
+
+  // Pages start at products 1, 51 and 101; the last page has no next page
+  assert.equal(cursors.length, 3);
+  assert.equal(cursors[0], null);
+  assert.deepEqual(shop.stats.operations, [
+    "getProductPageCursors",
+    "getProductPageCursors",
+    "getProductPageCursors",
+  ]);
+
+  const page = await request(
+    GRAPHQL_QUERIES.getProducts,
+    { first: 1, after: cursors[2] },
+    "getProducts"
+  );
+  assert.equal(page.data.data.products.edges[0].node.id, shop.products[100].id);
+});
+
+test("collectPageCursors stops at maxPages", async (t) => {
+  const { shop, request } = await createHarness(t, {
+    bucketSize: 10000,
+    products: makeProducts(1000, 0),
+  });
+
+  const cursors = await collectPageCursors(request, {
+    pageSize: 10,
+    maxPages: 4,
+  });
+
+  assert.equal(cursors.length, 4);
+  assert.equal(shop.stats.requests, 3);
+});
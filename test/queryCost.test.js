@@ -0,0 +1,101 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { extractQueryCost, summarizeQueryCosts } = require("../lib/queryCost");
+const { GRAPHQL_QUERIES } = require("../lib/graphqlQueries");
+const { createHarness, makeProducts } = require("./helpers/mockShopify");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+const operation = (action, requested, actual, fields = null) => ({
+  action,
+  queryCost: { requested, actual, fields },
+});
+
+test("every request records requested vs actual cost and the field breakdown", async (t) => {
+  const harness = await createHarness(t, { products: makeProducts(30, 0) });
+
+  const result = await harness.request(
+    GRAPHQL_QUERIES.getProducts,
+    { first: 50, after: null, query: null, sortKey: "ID", reverse: false },
+    "getProducts"
+  );
+
+  const expected = {
+    requested: 52,
+    actual: 32,
+    // The free scalar fields are left out
+    fields: [
+      {
+        path: "products.edges.node",
+        definedCost: 1,
+        requestedTotalCost: 1,
+        requestedChildrenCost: 0,
+      },
+      {
+        path: "products",
+        definedCost: 2,
+        requestedTotalCost: 52,
+        requestedChildrenCost: 50,
+      },
+    ],
+  };
+  assert.deepEqual(result.queryCost, expected);
+  assert.equal(result.cost, 32);
+  assert.deepEqual(harness.operations[0].queryCost, expected);
+});
+
+test("queries that didn't run have a requested cost only", () => {
+  assert.deepEqual(
+    extractQueryCost({
+      cost: { requestedQueryCost: 1200, actualQueryCost: null },
+    }),
+    { requested: 1200, actual: null, fields: null }
+  );
+  assert.equal(extractQueryCost({}), null);
+  assert.equal(extractQueryCost(undefined), null);
+});
+
+test("the summary compares requested and actual cost per operation", () => {
+  const pageFields = (requested) => [
+    { path: "products", definedCost: 2, requestedTotalCost: requested },
+    {
+      path: "products.edges.node.variants",
+      definedCost: 2,
+      requestedTotalCost: 12,
+    },
+  ];
+  const summary = summarizeQueryCosts(
+    [
+      operation("getProducts", 52, 32, pageFields(52)),
+      operation("getProducts", 52, 12, pageFields(52)),
+      // Throttled before it ran
+      operation("getProducts", 52, null),
+      operation("createProduct", 10, 10),
+      { action: "createProduct", cost: 10 },
+    ],
+    { getProducts: 52, createProduct: 10 }
+  );
+
+  const products = summary.byOperation.getProducts;
+  assert.equal(products.operations, 3);
+  assert.deepEqual(products.requested, { total: 156, mean: 52, max: 52 });
+  assert.deepEqual(products.actual, { total: 44, mean: 22, max: 32 });
+  assert.equal(products.refunded, 60);
+  assert.equal(products.chargedRatio, 44 / 104);
+  assert.equal(products.tableCost, 52);
+  assert.deepEqual(
+    products.fields.map((field) => [field.path, field.requestedTotalCost]),
+    [
+      ["products", 52],
+      ["products.edges.node.variants", 12],
+    ]
+  );
+
+  assert.equal(summary.byOperation.createProduct.operations, 1);
+  assert.deepEqual(summary.byOperation.createProduct.fields, []);
+  assert.equal(summary.operations, 4);
+  assert.equal(summary.actual.total, 54);
+  assert.equal(summary.chargedRatio, 54 / 114);
+});
@@ -0,0 +1,157 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { RateLimitManager } = require("../lib/rateLimitManager");
+const { retryGraphQLRequest } = require("../lib/retry");
+const { createHarness } = require("./helpers/mockShopify");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+function rateLimitInfo(restoreRate, capacity, remaining = capacity) {
+  return {
+    current: capacity - remaining,
+    limit: capacity,
+    remaining,
+    restoreRate,
+    leakRate: restoreRate,
+    cost: 1,
+  };
+}
+
+test("a 2000 points/sec leak rate is detected as an Enterprise plan", () => {
+  const manager = new RateLimitManager("enterprise.myshopify.com");
+  manager.updateFromResponse(rateLimitInfo(2000, 20000));
+
+  assert.equal(manager.isEnterprisePlan, true);
+  assert.equal(manager.aggressiveMode, true);
+  assert.equal(manager.learned.leakRate, 2000);
+  assert.equal(manager.getPerformanceSummary().isEnterprisePlan, true);
+  // An empty bucket means low usage: batches grow, the delay shrinks
+  assert.deepEqual(manager.getCurrentSettings(), { batchSize: 65, delay: 17 });
+});
+
+test("standard and Plus leak rates are not Enterprise plans", () => {
+  for (const restoreRate of [50, 100, 1000]) {
+    const manager = new RateLimitManager();
+    manager.updateFromResponse(rateLimitInfo(restoreRate, restoreRate * 20));
+    assert.equal(manager.isEnterprisePlan, false, `${restoreRate} points/sec`);
+  }
+});
+
+test("initial settings scale with the leak rate", () => {
+  const manager = new RateLimitManager();
+
+  manager.calculateOptimalInitialSettings(2000);
+  assert.deepEqual(manager.getCurrentSettings(), { batchSize: 200, delay: 10 });
+  assert.equal(manager.maxBatchSize, 400);
+
+  manager.calculateOptimalInitialSettings(1000);
+  assert.deepEqual(manager.getCurrentSettings(), { batchSize: 100, delay: 20 });
+
+  manager.calculateOptimalInitialSettings(50);
+  assert.deepEqual(manager.getCurrentSettings(), { batchSize: 5, delay: 100 });
+});
+
+test("an Enterprise plan is remembered across runs", () => {
+  const manager = new RateLimitManager("enterprise.myshopify.com");
+  manager.beginRun();
+  manager.updateFromResponse(rateLimitInfo(2000, 20000));
+  manager.endRun({ successes: 100, failures: 0, totalTime: 2 });
+
+  const next = new RateLimitManager(
+    "enterprise.myshopify.com",
+    manager.learned
+  );
+  next.beginRun();
+  assert.equal(next.isEnterprisePlan, true);
+  assert.deepEqual(next.learned.bestSettings, {
+    batchSize: 65,
+    delay: 17,
+    maxBatchSize: 200,
+    throughput: 50,
+  });
+});
+
+test("a new run drops the raised batch ceiling and earlier readings", () => {
+  const manager = new RateLimitManager("plus.myshopify.com");
+  manager.beginRun();
+  manager.applyOptimizationMode(2000, 10, "aggressive");
+  assert.equal(manager.maxBatchSize, 360);
+  for (let i = 0; i < 150; i++) {
+    manager.updateFromResponse(rateLimitInfo(50, 1000));
+  }
+  // Only the latest readings are kept, but every check is counted
+  assert.equal(manager.rateLimitHistory.length, 100);
+  assert.equal(manager.getPerformanceSummary().totalRateLimitChecks, 150);
+  manager.endRun();
+
+  manager.beginRun();
+  assert.equal(manager.maxBatchSize, 200);
+  assert.equal(manager.rateLimitHistory.length, 0);
+  assert.equal(manager.getPerformanceSummary(), null);
+});
+
+test("retry delays back off exponentially up to the maximum", () => {
+  const manager = new RateLimitManager();
+  assert.deepEqual(
+    [0, 1, 2, 3, 4].map((attempt) => manager.getRetryDelay(attempt)),
+    [500, 1000, 2000, 2000, 2000]
+  );
+});
+
+test("repeated failures shrink the batch size", () => {
+  const manager = new RateLimitManager();
+  for (let i = 0; i < 6; i++) {
+    manager.recordFailure(new Error("HTTP 502"), "createProduct");
+  }
+  assert.deepEqual(manager.getCurrentSettings(), { batchSize: 40, delay: 32 });
+  assert.equal(manager.failureHistory.length, 0);
+});
+
+test("the scheduler paces a burst to the bucket without being throttled", async (t) => {
+  const { shop, manager, createProduct, calibrate } = await createHarness(t, {
+    bucketSize: 100,
+    restoreRate: 400,
+  });
+  await calibrate();
+
+  // 30 mutations cost 300 points, three times what the bucket holds
+  const startedAt = Date.now();
+  const results = await Promise.all(
+    Array.from({ length: 30 }, () =>
+      retryGraphQLRequest(createProduct(), manager, "createProduct")
+    )
+  );
+
+  assert.ok(results.every((result) => result.success));
+  assert.equal(shop.stats.throttled, 0);
+  assert.equal(
+    results.reduce((sum, result) => sum + result.throttleEvents, 0),
+    0
+  );
+  // The 200 points beyond the bucket take half a second to restore
+  assert.ok(Date.now() - startedAt >= 450);
+
+  const stats = manager.scheduler.getStats();
+  assert.equal(stats.calibrated, true);
+  assert.equal(stats.admitted, 30);
+  assert.ok(stats.waited > 0);
+  assert.equal(stats.inFlight, 0);
+});
+
+test("without calibration a burst overruns the bucket", async (t) => {
+  const { shop, createProduct } = await createHarness(t, {
+    bucketSize: 100,
+    restoreRate: 400,
+  });
+
+  // Sent directly, as a client without the scheduler would
+  const results = await Promise.all(
+    Array.from({ length: 30 }, () => createProduct()())
+  );
+
+  assert.ok(shop.stats.throttled > 0);
+  // Throttled requests are retried after the bucket refills
+  assert.ok(results.every((result) => result.success));
+});
@@ -0,0 +1,129 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { retryGraphQLRequest } = require("../lib/retry");
+const { throttleWaitMs } = require("../lib/graphqlRequest");
+const { createHarness } = require("./helpers/mockShopify");
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+test("THROTTLED responses wait for the bucket and retry", async (t) => {
+  const { shop, manager, createProduct, throttleEvents } = await createHarness(
+    t,
+    {
+      bucketSize: 10,
+      restoreRate: 40,
+    }
+  );
+  // Drain the bucket behind the scheduler's back
+  shop.drain(10);
+
+  const result = await retryGraphQLRequest(
+    createProduct(),
+    manager,
+    "createProduct"
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(result.throttleEvents, 1);
+  assert.ok(result.throttleWaitMs >= 250);
+  assert.equal(shop.stats.throttled, 1);
+  assert.equal(throttleEvents.length, 1);
+  assert.equal(throttleEvents[0].source, "THROTTLED");
+  assert.equal(throttleEvents[0].throttleStatus.maximumAvailable, 10);
+  // The throttle calibrated the scheduler from throttleStatus
+  assert.equal(manager.scheduler.getStats().restoreRate, 40);
+});
+
+test("HTTP 429 responses wait for Retry-After and retry", async (t) => {
+  const { shop, manager, createProduct, throttleEvents } = await createHarness(
+    t,
+    {
+      failures: [{ status: 429, retryAfter: 0.05 }],
+    }
+  );
+
+  const result = await retryGraphQLRequest(
+    createProduct(),
+    manager,
+    "createProduct"
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(result.throttleEvents, 1);
+  assert.equal(result.throttleWaitMs, 50);
+  assert.equal(shop.stats.requests, 2);
+  assert.equal(throttleEvents[0].source, "HTTP 429");
+});
+
+test("server and network errors are retried with backoff", async (t) => {
+  const { shop, manager, createProduct } = await createHarness(t, {
+    failures: [{ status: 502 }, { network: true }],
+  });
+
+  const result = await retryGraphQLRequest(
+    createProduct(),
+    manager,
+    "createProduct"
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(shop.stats.requests, 3);
+  assert.equal(manager.failureHistory.length, 2);
+});
+
+test("authentication errors are not retried", async (t) => {
+  const { shop, manager, createProduct, operations } = await createHarness(t, {
+    accessToken: "shpat_other",
+  });
+
+  const result = await retryGraphQLRequest(
+    createProduct(),
+    manager,
+    "createProduct"
+  );
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorCategory, "auth");
+  assert.equal(result.statusCode, 401);
+  assert.equal(result.attempts, 1);
+  assert.equal(shop.stats.requests, 1);
+  assert.equal(operations[0].category, "auth");
+});
+
+test("retries stop after maxRetries attempts", async (t) => {
+  const { shop, manager, createProduct } = await createHarness(t, {
+    failures: Array(5).fill({ status: 503 }),
+  });
+
+  const result = await retryGraphQLRequest(
+    createProduct(),
+    manager,
+    "createProduct",
+    2
+  );
+
+  assert.equal(result.success, false);
+  assert.equal(result.retriesExhausted, true);
+  assert.equal(result.attempts, 3);
+  assert.equal(result.errorCategory, "server");
+  assert.match(result.error, /^All 3 attempts failed/);
+  assert.equal(shop.stats.requests, 3);
+});
+
+test("throttle waits cover the missing points at the restore rate", () => {
+  const cost = (currentlyAvailable) => ({
+    requestedQueryCost: 112,
+    throttleStatus: {
+      maximumAvailable: 1000,
+      currentlyAvailable,
+      restoreRate: 50,
+    },
+  });
+
+  assert.equal(throttleWaitMs(cost(12)), 2000);
+  assert.equal(throttleWaitMs(cost(110)), 250);
+  assert.equal(throttleWaitMs(null), 1000);
+});
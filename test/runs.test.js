@@ -0,0 +1,174 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMockShop } = require("./helpers/mockShopify");
+
+// Run history goes to a scratch directory; the server reads it on load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "benchmarkify-runs-"));
+process.env.BENCHMARKIFY_DATA_DIR = dataDir;
+const { app } = require("../server");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+async function api(method, url, body) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function createProducts(shop, count, browserSessionId) {
+  const { status, body } = await api("POST", "/api/benchmark/create", {
+    storeUrl: shop.url,
+    accessToken: "shpat_test",
+    count,
+    browserSessionId,
+  });
+  assert.equal(status, 200);
+  return body.auditRunId;
+}
+
+async function waitForJob(statusUrl) {
+  while (true) {
+    const { body } = await api("GET", statusUrl);
+    if (["completed", "failed", "cancelled"].includes(body.state)) return body;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+test("runs are only listed and served to the session that started them", async (t) => {
+  const shop = await startMockShop(t);
+  const runId = await createProducts(shop, 2, "session-a");
+
+  const listed = async (query) =>
+    (await api("GET", `/api/runs${query}`)).body.runs.map((run) => run.id);
+  assert.ok((await listed("?sessionId=session-a")).includes(runId));
+  assert.ok(!(await listed("?sessionId=session-b")).includes(runId));
+  assert.ok(!(await listed("")).includes(runId));
+
+  assert.equal(
+    (await api("GET", `/api/runs/${runId}?sessionId=session-b`)).status,
+    404
+  );
+  assert.equal((await api("GET", `/api/runs/${runId}`)).status, 404);
+  assert.equal(
+    (await api("GET", `/api/audit-log/json?runId=${runId}&sessionId=session-b`))
+      .status,
+    404
+  );
+
+  const { status, body } = await api(
+    "GET",
+    `/api/runs/${runId}?sessionId=session-a`
+  );
+  assert.equal(status, 200);
+  assert.equal(body.clientSessionId, "session-a");
+  assert.equal(
+    body.downloads.json,
+    `/api/audit-log/json?runId=${runId}&sessionId=session-a`
+  );
+});
+
+test("jobs and their progress are only visible to their session", async (t) => {
+  const shop = await startMockShop(t);
+  const started = await api("POST", "/api/jobs", {
+    storeUrl: shop.url,
+    accessToken: "shpat_test",
+    operations: { create: 3 },
+    delayBetweenOperations: 0,
+    browserSessionId: "session-a",
+  });
+  assert.equal(started.status, 202);
+  const { jobId, statusUrl, progressUrl } = started.body;
+  assert.equal(statusUrl, `/api/jobs/${jobId}?sessionId=session-a`);
+  assert.equal(
+    progressUrl,
+    `/api/benchmark/progress/${jobId}?sessionId=session-a`
+  );
+
+  for (const query of ["?sessionId=session-b", ""]) {
+    assert.equal((await api("GET", `/api/jobs/${jobId}${query}`)).status, 404);
+    assert.equal(
+      (await api("DELETE", `/api/jobs/${jobId}${query}`)).status,
+      404
+    );
+    const stream = await fetch(
+      `${baseUrl}/api/benchmark/progress/${jobId}${query}`
+    );
+    assert.equal(stream.status, 404);
+  }
+
+  // Nobody else could cancel it, so it ran to the end
+  const job = await waitForJob(statusUrl);
+  assert.equal(job.state, "completed");
+  assert.equal(job.results.create.status, "success");
+});
+
+test("the run index keeps the latest entry per run and survives a torn line", async (t) => {
+  const shop = await startMockShop(t);
+  const runId = await createProducts(shop, 3);
+
+  const indexFile = path.join(dataDir, "runs", "index.jsonl");
+  const entries = fs
+    .readFileSync(indexFile, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((entry) => entry.id === runId);
+  // Appended to as the run goes, not rewritten
+  assert.ok(entries.length > 1);
+
+  // A crash mid-write leaves half a line behind
+  fs.appendFileSync(indexFile, '{"id":"torn-run","startT');
+
+  const { runs } = (await api("GET", "/api/runs")).body;
+  const matching = runs.filter((run) => run.id === runId);
+  assert.equal(matching.length, 1);
+  assert.deepEqual(
+    {
+      scenarios: matching[0].scenarios,
+      storeUrls: matching[0].storeUrls,
+      totalOperations: matching[0].totalOperations,
+      successfulOperations: matching[0].successfulOperations,
+      live: matching[0].live,
+    },
+    {
+      scenarios: ["create"],
+      storeUrls: [shop.url],
+      // The rate limit probe and three creations
+      totalOperations: 4,
+      successfulOperations: 4,
+      live: false,
+    }
+  );
+  assert.ok(!runs.some((run) => run.id === "torn-run"));
+
+  // The finished run is rebuilt from its own file
+  const { status, body } = await api("GET", `/api/runs/${runId}`);
+  assert.equal(status, 200);
+  assert.equal(body.live, false);
+  assert.equal(body.totalOperations, 4);
+  assert.equal(body.createdProducts, 3);
+  assert.equal(body.results[0].result.status, "success");
+});
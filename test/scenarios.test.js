@@ -0,0 +1,200 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_API_VERSION,
+  parseScenarioFile,
+  validateScenario,
+  validateAssertions,
+  evaluateAssertions,
+} = require("../server");
+
+test("scenarios are normalized, with numbered keys for repeated operations", () => {
+  const { errors, scenario } = validateScenario(
+    parseScenarioFile(`
+      name: Weekly check
+      phases:
+        - operation: create
+          count: 100
+          concurrency: 5
+        - pause: 30
+          reason: Let search indexing catch up
+        - operation: readList
+          count: 10
+          first: 25
+        - operation: create
+          count: 50
+      assertions:
+        - operation: create-2
+          metric: latencyP95
+          max: 800
+    `)
+  );
+
+  assert.deepEqual(errors, []);
+  assert.equal(scenario.name, "Weekly check");
+  assert.equal(scenario.apiVersion, DEFAULT_API_VERSION);
+  assert.equal(scenario.compareApiVersion, null);
+  assert.deepEqual(
+    scenario.phases.map((phase) => phase.key || `pause ${phase.pause}s`),
+    ["create", "pause 30s", "readList", "create-2"]
+  );
+  assert.equal(scenario.phases[0].concurrency, 5);
+  assert.equal(scenario.phases[2].first, 25);
+  assert.deepEqual(scenario.assertions, [
+    { operation: "create-2", metric: "latencyP95", max: 800 },
+  ]);
+});
+
+test("every problem in a scenario is reported, by field", () => {
+  const { errors } = validateScenario({
+    phases: [
+      { operation: "teleport", count: 1 },
+      { operation: "create", count: 0, colour: "red" },
+      { operation: "bulkCreate", count: 10, concurrency: 2 },
+      { operation: "create", count: 5, first: 10 },
+      { pause: 5, count: 3 },
+    ],
+  });
+
+  assert.equal(errors.length, 6);
+  assert.match(errors[0], /^phases\[0\]\.operation must be one of: create,/);
+  assert.deepEqual(errors.slice(1), [
+    "phases[1].colour is not a phase setting",
+    "phases[1].count must be a whole number from 1 to 1000000",
+    "phases[2].concurrency doesn't apply to bulk operations",
+    "phases[3].first doesn't apply to create",
+    "phases[4] is a pause and can't also set count",
+  ]);
+
+  assert.deepEqual(validateScenario({ phases: [{ pause: 5 }] }).errors, [
+    "phases must include at least one operation",
+  ]);
+  assert.deepEqual(validateScenario([]).errors, [
+    "Scenario must be an object with phases",
+  ]);
+  assert.throws(() => parseScenarioFile("phases: [create"), {
+    category: "validation",
+  });
+});
+
+test("assertions need a known metric, a known operation and one limit", () => {
+  const { errors, assertions } = validateAssertions(
+    [
+      { metric: "throughput", min: 8 },
+      { operation: "update", metric: "latencyP95", max: 800 },
+      { operation: "create", metric: "speed", max: 1, min: 0 },
+      { metric: "failureRate", max: "1%", unit: "percent" },
+    ],
+    ["create", "create@2025-10"]
+  );
+
+  assert.deepEqual(assertions[0], {
+    operation: null,
+    metric: "throughput",
+    min: 8,
+  });
+  assert.equal(errors.length, 5);
+  assert.deepEqual(
+    [errors[0], errors[2], errors[3], errors[4]],
+    [
+      "assertions[1].operation must be one of: create, create@2025-10",
+      "assertions[2] needs exactly one of max or min",
+      "assertions[3].unit is not an assertion setting",
+      "assertions[3].max must be a number",
+    ]
+  );
+  assert.match(errors[1], /^assertions\[2\]\.metric must be one of:/);
+
+  assert.deepEqual(validateAssertions(undefined, []), {
+    errors: [],
+    assertions: [],
+  });
+  assert.deepEqual(validateAssertions({}, [], "thresholds").errors, [
+    "thresholds must be a list",
+  ]);
+});
+
+const phaseResult = ({ total, failed, p95, throughput }) => ({
+  counts: { total, failed, successful: total - failed },
+  throughput,
+  latency: { count: total - failed, mean: p95 / 2, p95 },
+  cost: { total: (total - failed) * 10 },
+});
+
+test("assertions are checked against every phase they apply to", () => {
+  const verdict = evaluateAssertions(
+    [
+      { operation: "create", metric: "latencyP95", max: 800 },
+      { operation: null, metric: "failureRate", max: 1 },
+    ],
+    [
+      {
+        key: "create@2025-07",
+        operation: "create",
+        result: phaseResult({ total: 100, failed: 0, p95: 650 }),
+      },
+      {
+        key: "create@2025-10",
+        operation: "create",
+        result: phaseResult({ total: 100, failed: 2, p95: 912.345 }),
+      },
+      {
+        key: "delete",
+        operation: "delete",
+        result: phaseResult({ total: 50, failed: 0, p95: 300 }),
+      },
+    ]
+  );
+
+  assert.equal(verdict.status, "fail");
+  assert.equal(verdict.passed, 3);
+  assert.equal(verdict.failed, 2);
+  assert.deepEqual(
+    verdict.checks.map((check) => check.message),
+    [
+      "create@2025-07 p95 latency 650ms is within 800ms",
+      "create@2025-10 p95 latency 912.35ms exceeds 800ms",
+      "create@2025-07 failure rate 0% is within 1%",
+      "create@2025-10 failure rate 2% exceeds 1%",
+      "delete failure rate 0% is within 1%",
+    ]
+  );
+  assert.equal(verdict.checks[1].actual, 912.35);
+});
+
+test("a phase that didn't run or measured nothing fails its assertions", () => {
+  const verdict = evaluateAssertions(
+    [{ operation: null, metric: "throughput", min: 5 }],
+    [
+      { key: "create", operation: "create", result: null },
+      {
+        key: "update",
+        operation: "update",
+        result: phaseResult({ total: 10, failed: 10, throughput: 0 }),
+      },
+      {
+        key: "delete",
+        operation: "delete",
+        result: { ...phaseResult({ total: 10, failed: 0 }), counts: null },
+      },
+    ]
+  );
+
+  assert.equal(verdict.status, "fail");
+  assert.deepEqual(
+    verdict.checks.map((check) => [check.passed, check.message]),
+    [
+      [false, "create did not run (throughput budget 5 products/s)"],
+      [false, "update throughput 0 products/s is below 5 products/s"],
+      [false, "delete throughput was not measured (no successful requests)"],
+    ]
+  );
+
+  assert.equal(
+    evaluateAssertions(
+      [{ operation: "delete", metric: "throughput", min: 5 }],
+      [{ key: "create", operation: "create", result: null }]
+    ),
+    null
+  );
+});
@@ -0,0 +1,161 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildSchema, introspectionFromSchema } = require("graphql");
+const {
+  typeRefName,
+  describeSchema,
+  searchSchema,
+} = require("../lib/schemaBrowser");
+
+const introspection = introspectionFromSchema(
+  buildSchema(`
+    enum ProductStatus {
+      ACTIVE
+      ARCHIVED
+      DRAFT @deprecated(reason: "Use ARCHIVED")
+    }
+    type Product {
+      id: ID!
+      "The product's name"
+      title: String!
+      status: ProductStatus!
+      bodyHtml: String @deprecated(reason: "Use descriptionHtml")
+      descriptionHtml: String
+      variants(first: Int = 10, reverse: Boolean @deprecated): [ProductVariant!]!
+    }
+    type ProductVariant {
+      id: ID!
+      price: String!
+    }
+    input ProductInput {
+      title: String
+      status: ProductStatus = ACTIVE
+    }
+    type Query {
+      product(id: ID!): Product
+      shop: Shop!
+    }
+    type Shop {
+      name: String!
+    }
+    type Mutation {
+      productCreate(input: ProductInput!): Product
+    }
+  `)
+);
+
+test("the summary counts types per kind, root fields and deprecations", () => {
+  assert.deepEqual(describeSchema(introspection), {
+    // ProductStatus, Product, ProductVariant, ProductInput, Query, Shop,
+    // Mutation and the built-in scalars in use
+    types: 11,
+    kinds: {
+      OBJECT: 5,
+      INPUT_OBJECT: 1,
+      ENUM: 1,
+      INTERFACE: 0,
+      UNION: 0,
+      SCALAR: 4,
+    },
+    queryType: "Query",
+    mutationType: "Mutation",
+    queries: 2,
+    mutations: 1,
+    // DRAFT, bodyHtml and the reverse argument
+    deprecated: 3,
+  });
+});
+
+test("search matches type names and members, exact names first", () => {
+  const result = searchSchema(introspection, { search: "product" });
+
+  assert.equal(result.matches, 6);
+  assert.deepEqual(
+    result.types.map((type) => [type.name, type.matchedMembers]),
+    [
+      ["Product", []],
+      ["ProductInput", []],
+      ["ProductStatus", []],
+      ["ProductVariant", []],
+      ["Mutation", ["productCreate"]],
+      ["Query", ["product"]],
+    ]
+  );
+
+  const product = result.types[0];
+  assert.equal(product.kind, "OBJECT");
+  assert.equal(product.fields[1].description, "The product's name");
+  assert.deepEqual(
+    product.fields.find((field) => field.name === "bodyHtml"),
+    {
+      name: "bodyHtml",
+      description: null,
+      type: "String",
+      args: [],
+      isDeprecated: true,
+      deprecationReason: "Use descriptionHtml",
+    }
+  );
+  assert.deepEqual(
+    product.fields
+      .find((field) => field.name === "variants")
+      .args.map((arg) => [
+        arg.name,
+        arg.type,
+        arg.defaultValue,
+        arg.isDeprecated,
+      ]),
+    [
+      ["first", "Int", "10", false],
+      ["reverse", "Boolean", null, true],
+    ]
+  );
+
+  const input = result.types.find((type) => type.name === "ProductInput");
+  assert.equal(input.fields, null);
+  assert.deepEqual(
+    input.inputFields.map((field) => [field.name, field.defaultValue]),
+    [
+      ["title", null],
+      ["status", "ACTIVE"],
+    ]
+  );
+});
+
+test("search can filter by kind, hide deprecations and cap the results", () => {
+  const enums = searchSchema(introspection, {
+    search: "draft",
+    kind: "ENUM",
+    includeDeprecated: false,
+  });
+  assert.equal(enums.matches, 0);
+
+  const status = searchSchema(introspection, {
+    search: "ProductStatus",
+    includeDeprecated: false,
+  });
+  assert.deepEqual(
+    status.types[0].enumValues.map((value) => value.name),
+    ["ACTIVE", "ARCHIVED"]
+  );
+
+  const everything = searchSchema(introspection, { limit: 2 });
+  assert.equal(everything.matches, 11);
+  assert.equal(everything.types.length, 2);
+});
+
+test("type references are written as in SDL", () => {
+  assert.equal(
+    typeRefName({
+      kind: "NON_NULL",
+      ofType: {
+        kind: "LIST",
+        ofType: {
+          kind: "NON_NULL",
+          ofType: { kind: "OBJECT", name: "Product" },
+        },
+      },
+    }),
+    "[Product!]!"
+  );
+});